@@ -1,6 +1,13 @@
 const { User, Issue, Flag } = require('../models');
 const FlaggingService = require('../services/flaggingService');
 const AdminLogService = require('../services/adminLogService');
+const NotificationService = require('../services/notificationService');
+const RoutingService = require('../services/routingService');
+const BoundaryService = require('../services/boundaryService');
+const CategoryService = require('../services/categoryService');
+const SlaService = require('../services/slaService');
+const ReporterReviewService = require('../services/reporterReviewService');
+const SessionService = require('../services/sessionService');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 
@@ -132,6 +139,9 @@ class AdminController {
         timestamp: new Date().toISOString()
       });
       
+      // Let the reporter know how the review turned out
+      await NotificationService.notifyFlagReviewOutcome(id, action, reason);
+      
     } catch (error) {
       console.error('Error reviewing flagged issue:', error);
       res.status(500).json({
@@ -253,6 +263,12 @@ class AdminController {
         }
       });
       
+      // Get SLA compliance for categories with a target
+      const sla = await SlaService.getCompliance({ startDate, endDate, category });
+      
+      // Get how often reporters reopen resolved issues, per department
+      const reopens = await ReporterReviewService.getReopenRates({ startDate, endDate, category });
+      
       // Format response
       const analytics = {
         issues: {
@@ -279,7 +295,9 @@ class AdminController {
           total: totalUsers,
           banned: bannedUsers,
           active: totalUsers - bannedUsers
-        }
+        },
+        sla,
+        reopens
       };
       
       res.json({
@@ -352,9 +370,10 @@ class AdminController {
       const transaction = await require('../config/database').sequelize.transaction();
       
       try {
-        // Ban the user
+        // Ban the user; banned_at keeps tokens issued before the ban invalid after an unban
         await user.update({
-          is_banned: true
+          is_banned: true,
+          banned_at: new Date()
         }, { transaction });
         
         // Hide all issues reported by this user
@@ -367,6 +386,9 @@ class AdminController {
           transaction
         });
         
+        // Log the user out on every device, together with the ban
+        const sessionsRevoked = await SessionService.revokeAllSessions(id, 'ban', { transaction });
+        
         await transaction.commit();
         
         // Log the admin action
@@ -387,10 +409,14 @@ class AdminController {
           },
           ban_reason: reason || null,
           banned_by: req.user.id,
-          banned_at: new Date(),
+          banned_at: user.banned_at,
+          sessions_revoked: sessionsRevoked,
           timestamp: new Date().toISOString()
         });
         
+        // Send the ban notice by email
+        await NotificationService.notifyUserBanned(id, reason);
+        
       } catch (error) {
         await transaction.rollback();
         throw error;
@@ -675,6 +701,865 @@ class AdminController {
       });
     }
   }
+  
+  /**
+   * List routing rules
+   * GET /api/admin/routing-rules
+   */
+  static async getRoutingRules(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { category, active } = req.query;
+      
+      const result = await RoutingService.getRules({
+        category,
+        active: active !== undefined ? active === 'true' : undefined
+      });
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'ROUTING_RULES_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        rules: result.rules,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching routing rules:', error);
+      res.status(500).json({
+        error: {
+          code: 'ROUTING_RULES_FETCH_ERROR',
+          message: 'Failed to fetch routing rules',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Create a routing rule
+   * POST /api/admin/routing-rules
+   */
+  static async createRoutingRule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await RoutingService.createRule(req.body, req.user.id);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: {
+            code: 'ROUTING_RULE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logRoutingRuleChange(
+        req.user.id,
+        result.rule.id,
+        'create',
+        result.rule,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.status(201).json({
+        message: 'Routing rule created successfully',
+        rule: result.rule,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error creating routing rule:', error);
+      res.status(500).json({
+        error: {
+          code: 'ROUTING_RULE_ERROR',
+          message: 'Failed to create routing rule',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Update a routing rule
+   * PATCH /api/admin/routing-rules/:id
+   */
+  static async updateRoutingRule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await RoutingService.updateRule(req.params.id, req.body);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'ROUTING_RULE_NOT_FOUND' : 'ROUTING_RULE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logRoutingRuleChange(
+        req.user.id,
+        result.rule.id,
+        'update',
+        result.rule,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Routing rule updated successfully',
+        rule: result.rule,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error updating routing rule:', error);
+      res.status(500).json({
+        error: {
+          code: 'ROUTING_RULE_ERROR',
+          message: 'Failed to update routing rule',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Delete a routing rule
+   * DELETE /api/admin/routing-rules/:id
+   */
+  static async deleteRoutingRule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await RoutingService.deleteRule(req.params.id);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 500).json({
+          error: {
+            code: result.notFound ? 'ROUTING_RULE_NOT_FOUND' : 'ROUTING_RULE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logRoutingRuleChange(
+        req.user.id,
+        result.rule.id,
+        'delete',
+        result.rule,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Routing rule deleted successfully',
+        rule: result.rule,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error deleting routing rule:', error);
+      res.status(500).json({
+        error: {
+          code: 'ROUTING_RULE_ERROR',
+          message: 'Failed to delete routing rule',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Show which routing rule would match an issue of a category at a point
+   * GET /api/admin/routing-rules/dry-run
+   */
+  static async dryRunRouting(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { lat, lng, category } = req.query;
+      
+      const rule = await RoutingService.findMatchingRule(category, parseFloat(lat), parseFloat(lng));
+      
+      res.json({
+        matched: Boolean(rule),
+        rule: rule ? RoutingService.formatRule(rule) : null,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error running routing dry run:', error);
+      res.status(500).json({
+        error: {
+          code: 'ROUTING_DRY_RUN_ERROR',
+          message: 'Failed to match routing rules',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * List jurisdiction boundaries
+   * GET /api/admin/boundaries
+   */
+  static async getBoundaries(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { kind, active } = req.query;
+      
+      const result = await BoundaryService.getBoundaries({
+        kind,
+        active: active !== undefined ? active === 'true' : undefined
+      });
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'BOUNDARIES_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        boundaries: result.boundaries,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching boundaries:', error);
+      res.status(500).json({
+        error: {
+          code: 'BOUNDARIES_FETCH_ERROR',
+          message: 'Failed to fetch boundaries',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Upload a jurisdiction boundary
+   * POST /api/admin/boundaries
+   */
+  static async createBoundary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await BoundaryService.createBoundary(req.body, req.user.id);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: {
+            code: 'BOUNDARY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logBoundaryChange(
+        req.user.id,
+        result.boundary.id,
+        'create',
+        result.boundary,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.status(201).json({
+        message: 'Boundary created successfully',
+        boundary: result.boundary,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error creating boundary:', error);
+      res.status(500).json({
+        error: {
+          code: 'BOUNDARY_ERROR',
+          message: 'Failed to create boundary',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Update a jurisdiction boundary
+   * PATCH /api/admin/boundaries/:id
+   */
+  static async updateBoundary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await BoundaryService.updateBoundary(req.params.id, req.body);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'BOUNDARY_NOT_FOUND' : 'BOUNDARY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logBoundaryChange(
+        req.user.id,
+        result.boundary.id,
+        'update',
+        result.boundary,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Boundary updated successfully',
+        boundary: result.boundary,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error updating boundary:', error);
+      res.status(500).json({
+        error: {
+          code: 'BOUNDARY_ERROR',
+          message: 'Failed to update boundary',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Delete a jurisdiction boundary
+   * DELETE /api/admin/boundaries/:id
+   */
+  static async deleteBoundary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await BoundaryService.deleteBoundary(req.params.id);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 500).json({
+          error: {
+            code: result.notFound ? 'BOUNDARY_NOT_FOUND' : 'BOUNDARY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logBoundaryChange(
+        req.user.id,
+        result.boundary.id,
+        'delete',
+        result.boundary,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Boundary deleted successfully',
+        boundary: result.boundary,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error deleting boundary:', error);
+      res.status(500).json({
+        error: {
+          code: 'BOUNDARY_ERROR',
+          message: 'Failed to delete boundary',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * List all categories, including inactive ones
+   * GET /api/admin/categories
+   */
+  static async getCategories(req, res) {
+    try {
+      const result = await CategoryService.getCategories({ includeInactive: true });
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'CATEGORIES_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        categories: result.categories,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      res.status(500).json({
+        error: {
+          code: 'CATEGORIES_FETCH_ERROR',
+          message: 'Failed to fetch categories',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Create a category or subcategory
+   * POST /api/admin/categories
+   */
+  static async createCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await CategoryService.createCategory(req.body);
+      
+      if (!result.success) {
+        return res.status(result.conflict ? 409 : 400).json({
+          error: {
+            code: 'CATEGORY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logCategoryChange(
+        req.user.id,
+        result.category.id,
+        'create',
+        result.category,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.status(201).json({
+        message: 'Category created successfully',
+        category: result.category,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error creating category:', error);
+      res.status(500).json({
+        error: {
+          code: 'CATEGORY_ERROR',
+          message: 'Failed to create category',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Update a category
+   * PATCH /api/admin/categories/:id
+   */
+  static async updateCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await CategoryService.updateCategory(req.params.id, req.body);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'CATEGORY_NOT_FOUND' : 'CATEGORY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logCategoryChange(
+        req.user.id,
+        result.category.id,
+        'update',
+        result.category,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Category updated successfully',
+        category: result.category,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error updating category:', error);
+      res.status(500).json({
+        error: {
+          code: 'CATEGORY_ERROR',
+          message: 'Failed to update category',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Delete an unused category
+   * DELETE /api/admin/categories/:id
+   */
+  static async deleteCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await CategoryService.deleteCategory(req.params.id);
+      
+      if (!result.success) {
+        const status = result.notFound ? 404 : result.conflict ? 409 : 500;
+        return res.status(status).json({
+          error: {
+            code: result.notFound ? 'CATEGORY_NOT_FOUND' : result.conflict ? 'CATEGORY_IN_USE' : 'CATEGORY_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logCategoryChange(
+        req.user.id,
+        result.category.id,
+        'delete',
+        result.category,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Category deleted successfully',
+        category: result.category,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      res.status(500).json({
+        error: {
+          code: 'CATEGORY_ERROR',
+          message: 'Failed to delete category',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * List SLA targets
+   * GET /api/admin/sla-targets
+   */
+  static async getSlaTargets(req, res) {
+    try {
+      const result = await SlaService.getTargets();
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'SLA_TARGETS_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        targets: result.targets,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching SLA targets:', error);
+      res.status(500).json({
+        error: {
+          code: 'SLA_TARGETS_FETCH_ERROR',
+          message: 'Failed to fetch SLA targets',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Set the SLA target of a category
+   * PUT /api/admin/sla-targets/:category
+   */
+  static async setSlaTarget(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { response_hours, resolution_hours } = req.body;
+      
+      const result = await SlaService.upsertTarget(
+        req.params.category,
+        { response_hours, resolution_hours },
+        req.user.id
+      );
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: {
+            code: 'SLA_TARGET_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logSlaTargetChange(
+        req.user.id,
+        result.target.id,
+        'set',
+        result.target,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.status(result.created ? 201 : 200).json({
+        message: 'SLA target saved successfully',
+        target: result.target,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error saving SLA target:', error);
+      res.status(500).json({
+        error: {
+          code: 'SLA_TARGET_ERROR',
+          message: 'Failed to save SLA target',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Remove the SLA target of a category
+   * DELETE /api/admin/sla-targets/:category
+   */
+  static async deleteSlaTarget(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await SlaService.deleteTarget(req.params.category);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 500).json({
+          error: {
+            code: result.notFound ? 'SLA_TARGET_NOT_FOUND' : 'SLA_TARGET_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the admin action
+      await AdminLogService.logSlaTargetChange(
+        req.user.id,
+        result.target.id,
+        'delete',
+        result.target,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'SLA target deleted successfully',
+        target: result.target,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error deleting SLA target:', error);
+      res.status(500).json({
+        error: {
+          code: 'SLA_TARGET_ERROR',
+          message: 'Failed to delete SLA target',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
 }
 
 module.exports = AdminController;
\ No newline at end of file
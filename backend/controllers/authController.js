@@ -1,5 +1,9 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const PasswordResetService = require('../services/passwordResetService');
+const SessionService = require('../services/sessionService');
+const AnonymousClaimService = require('../services/anonymousClaimService');
 
 /**
  * Validation rules for user registration
@@ -15,7 +19,26 @@ const registerValidation = [
   body('role')
     .optional()
     .isIn(['citizen', 'authority', 'admin'])
-    .withMessage('Invalid role specified')
+    .withMessage('Invalid role specified'),
+  body('anonymousSessionTokens')
+    .optional()
+    .isArray()
+    .withMessage('anonymousSessionTokens must be an array of session tokens'),
+  body('anonymousSessionTokens.*')
+    .isJWT()
+    .withMessage('Anonymous session token is invalid'),
+  body('keepReportsAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('keepReportsAnonymous must be a boolean')
+    .toBoolean(),
+  body('anonymousIssueIds')
+    .optional()
+    .isArray()
+    .withMessage('anonymousIssueIds must be an array of issue IDs'),
+  body('anonymousIssueIds.*')
+    .isUUID()
+    .withMessage('anonymousIssueIds must be an array of issue IDs')
 ];
 
 /**
@@ -28,7 +51,38 @@ const loginValidation = [
     .withMessage('Please provide a valid email address'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('anonymousSessionTokens')
+    .optional()
+    .isArray()
+    .withMessage('anonymousSessionTokens must be an array of session tokens'),
+  body('anonymousSessionTokens.*')
+    .isJWT()
+    .withMessage('Anonymous session token is invalid'),
+  body('keepReportsAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('keepReportsAnonymous must be a boolean')
+    .toBoolean(),
+  body('anonymousIssueIds')
+    .optional()
+    .isArray()
+    .withMessage('anonymousIssueIds must be an array of issue IDs'),
+  body('anonymousIssueIds.*')
+    .isUUID()
+    .withMessage('anonymousIssueIds must be an array of issue IDs')
+];
+
+/**
+ * Validation rules for listing the issues of an anonymous session
+ */
+const anonymousReportsValidation = [
+  body('anonymousSessionTokens')
+    .isArray({ min: 1 })
+    .withMessage('anonymousSessionTokens must be an array of session tokens'),
+  body('anonymousSessionTokens.*')
+    .isJWT()
+    .withMessage('Anonymous session token is invalid')
 ];
 
 /**
@@ -43,6 +97,69 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 8 characters long')
 ];
 
+/**
+ * Validation rules for email verification
+ */
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .isHexadecimal()
+    .withMessage('Verification token is invalid')
+];
+
+/**
+ * Validation rules for requesting a password reset
+ */
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+/**
+ * Validation rules for resetting a password
+ */
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .isHexadecimal()
+    .withMessage('Reset token is invalid'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+];
+
+/**
+ * Validation rules for refreshing a session
+ */
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .isHexadecimal()
+    .withMessage('Refresh token is invalid')
+];
+
+/**
+ * Validation rules for revoking one session
+ */
+const sessionIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Session ID must be a valid UUID')
+];
+
+/**
+ * Request details stored with a session so users can recognise their devices
+ */
+const getSessionMeta = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
 /**
  * Handle validation errors
  */
@@ -66,18 +183,23 @@ const handleValidationErrors = (req, res, next) => {
  */
 const register = async (req, res) => {
   try {
-    const { email, password, role } = req.body;
+    const { email, password, role, anonymousSessionTokens, keepReportsAnonymous, anonymousIssueIds } = req.body;
     
     const result = await authService.registerUser({
       email,
       password,
-      role
-    });
+      role,
+      anonymousSessionTokens,
+      keepReportsAnonymous,
+      anonymousIssueIds
+    }, getSessionMeta(req));
     
     res.status(201).json({
       message: 'User registered successfully',
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken,
+      claimedReports: result.claimedReports
     });
   } catch (error) {
     res.status(400).json({
@@ -95,14 +217,20 @@ const register = async (req, res) => {
  */
 const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, anonymousSessionTokens, keepReportsAnonymous, anonymousIssueIds } = req.body;
     
-    const result = await authService.loginUser(email, password);
+    const result = await authService.loginUser(email, password, getSessionMeta(req), {
+      anonymousSessionTokens,
+      keepReportsAnonymous,
+      anonymousIssueIds
+    });
     
     res.json({
       message: 'Login successful',
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken,
+      claimedReports: result.claimedReports
     });
   } catch (error) {
     res.status(401).json({
@@ -138,6 +266,37 @@ const createAnonymousSession = async (req, res) => {
   }
 };
 
+/**
+ * List the issues of the anonymous sessions that registering or logging in would claim
+ */
+const getAnonymousReports = async (req, res) => {
+  try {
+    const result = await AnonymousClaimService.listSessionIssues(req.body.anonymousSessionTokens);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_SESSION_TOKEN',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      issues: result.issues
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'ANONYMOUS_REPORTS_FETCH_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -243,12 +402,316 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Verify email address with the token from the verification email
  */
-const logout = (req, res) => {
-  res.json({
-    message: 'Logout successful. Please remove the token from client storage.'
-  });
+const verifyEmail = async (req, res) => {
+  try {
+    const result = await EmailVerificationService.verifyEmail(req.body.token);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: {
+          code: result.expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      message: 'Email address verified successfully',
+      user: result.user
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'VERIFICATION_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isAnonymous) {
+      return res.status(401).json({
+        error: {
+          code: 'ANONYMOUS_USER',
+          message: 'Anonymous users have no email address to verify',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    const result = await EmailVerificationService.resendVerification(req.user.id);
+    
+    if (!result.success) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      
+      const status = result.notFound ? 404 : result.alreadyVerified ? 409 : result.retryAfter ? 429 : 500;
+      return res.status(status).json({
+        error: {
+          code: result.notFound ? 'USER_NOT_FOUND'
+            : result.alreadyVerified ? 'ALREADY_VERIFIED'
+            : result.retryAfter ? 'TOO_MANY_REQUESTS'
+            : 'VERIFICATION_EMAIL_FAILED',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'VERIFICATION_EMAIL_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Email a password reset link
+ * Answers the same whether or not an account uses the address.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const result = await PasswordResetService.requestReset(req.body.email);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        error: {
+          code: 'PASSWORD_RESET_FAILED',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      message: 'If an account exists for this email address, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'PASSWORD_RESET_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Set a new password with the token from the reset email
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const result = await PasswordResetService.resetPassword(token, password);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: {
+          code: result.invalidPassword ? 'INVALID_PASSWORD'
+            : result.expired ? 'RESET_TOKEN_EXPIRED'
+            : 'INVALID_RESET_TOKEN',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'PASSWORD_RESET_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    const result = await SessionService.refreshSession(req.body.refreshToken, getSessionMeta(req));
+    
+    if (!result.success) {
+      const status = result.banned ? 403 : 401;
+      return res.status(status).json({
+        error: {
+          code: result.banned ? 'USER_BANNED'
+            : result.reused ? 'REFRESH_TOKEN_REUSED'
+            : 'INVALID_REFRESH_TOKEN',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'REFRESH_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Logout user by revoking the session of the access token
+ */
+const logout = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await SessionService.revokeSession(req.user.sessionId, 'logout');
+    }
+    
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * List the active sessions of the current user
+ */
+const getSessions = async (req, res) => {
+  try {
+    if (req.user.isAnonymous) {
+      return res.status(401).json({
+        error: {
+          code: 'ANONYMOUS_USER',
+          message: 'Anonymous users have no sessions to manage',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    const sessions = await SessionService.listSessions(req.user.id, req.user.sessionId);
+    
+    res.json({
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'SESSIONS_FETCH_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Log out one session of the current user, e.g. a lost device
+ */
+const revokeSession = async (req, res) => {
+  try {
+    if (req.user.isAnonymous) {
+      return res.status(401).json({
+        error: {
+          code: 'ANONYMOUS_USER',
+          message: 'Anonymous users have no sessions to manage',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    const result = await SessionService.revokeUserSession(req.user.id, req.params.id);
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        error: {
+          code: result.notFound ? 'SESSION_NOT_FOUND' : 'SESSION_REVOKE_FAILED',
+          message: result.error,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.json({
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Log out every session of the current user except the one making the request
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    if (req.user.isAnonymous) {
+      return res.status(401).json({
+        error: {
+          code: 'ANONYMOUS_USER',
+          message: 'Anonymous users have no sessions to manage',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    // Tokens from before sessions existed carry no session id; they still keep working until they expire
+    const revoked = await SessionService.revokeAllSessions(req.user.id, 'user', {
+      exceptSessionId: req.user.sessionId
+    });
+    
+    res.json({
+      message: 'Logged out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
 };
 
 /**
@@ -270,14 +733,29 @@ const verifyToken = (req, res) => {
 module.exports = {
   registerValidation,
   loginValidation,
+  anonymousReportsValidation,
   changePasswordValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  refreshValidation,
+  sessionIdValidation,
   handleValidationErrors,
   register,
   login,
   createAnonymousSession,
+  getAnonymousReports,
   getProfile,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refresh,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   verifyToken
 };
\ No newline at end of file
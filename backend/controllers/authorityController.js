@@ -0,0 +1,99 @@
+const AssignmentService = require('../services/assignmentService');
+const IssueController = require('./issueController');
+const { Department } = require('../models');
+const { validationResult } = require('express-validator');
+
+/**
+ * Authority Controller - Handles the work queue of authority users
+ */
+class AuthorityController {
+
+  /**
+   * Get the issues assigned to the current user or their department
+   * GET /api/authority/queue
+   */
+  static async getQueue(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { sort, userLat, userLng, status, category, limit = 50, offset = 0 } = req.query;
+
+      const result = await AssignmentService.getQueue(req.user, {
+        sort,
+        userLat: userLat !== undefined ? parseFloat(userLat) : undefined,
+        userLng: userLng !== undefined ? parseFloat(userLng) : undefined,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        ...IssueController.parseListFilters(status, category)
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'QUEUE_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        issues: result.issues,
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching assignment queue:', error);
+      res.status(500).json({
+        error: {
+          code: 'QUEUE_FETCH_ERROR',
+          message: 'Failed to fetch assignment queue',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * List active departments issues can be assigned to
+   * GET /api/authority/departments
+   */
+  static async getDepartments(req, res) {
+    try {
+      const departments = await Department.findAll({
+        where: { is_active: true },
+        attributes: ['id', 'name', 'description'],
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        departments,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching departments:', error);
+      res.status(500).json({
+        error: {
+          code: 'DEPARTMENTS_FETCH_ERROR',
+          message: 'Failed to fetch departments',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+}
+
+module.exports = AuthorityController;
@@ -1,8 +1,20 @@
-const { Issue, User, StatusHistory } = require('../models');
+const { Issue, User, StatusHistory, Department, Boundary } = require('../models');
 const GeolocationService = require('../services/geolocationService');
+const GeospatialUtils = require('../utils/geospatial');
 const fileService = require('../services/fileService');
 const NotificationService = require('../services/notificationService');
 const FlaggingService = require('../services/flaggingService');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const IssueMergeService = require('../services/issueMergeService');
+const AssignmentService = require('../services/assignmentService');
+const RoutingService = require('../services/routingService');
+const SupportService = require('../services/supportService');
+const CommentService = require('../services/commentService');
+const WorkflowService = require('../services/workflowService');
+const AdminLogService = require('../services/adminLogService');
+const SocketService = require('../services/socketService');
+const ReporterReviewService = require('../services/reporterReviewService');
+const CategoryService = require('../services/categoryService');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 
@@ -37,22 +49,36 @@ class IssueController {
         latitude,
         longitude,
         address,
+        subcategory,
+        custom_fields: customFields,
         isAnonymous = false
       } = req.body;
       
+      // Reporting under one's name needs a verified email, unverified users can still report anonymously
+      if (req.user && !req.user.isAnonymous && !isAnonymous && !req.user.isVerified) {
+        return res.status(403).json({
+          error: {
+            code: 'ACCOUNT_NOT_VERIFIED',
+            message: 'Verify your email address to report under your name, or report anonymously',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
       // Process uploaded files
-      const photos = [];
-      if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-        for (const file of req.uploadedFiles) {
-          photos.push({
-            filename: file.filename,
-            originalName: file.originalName,
-            path: file.relativePath,
-            size: file.size,
-            mimetype: file.mimetype,
-            url: fileService.generatePublicUrl(file.relativePath)
-          });
-        }
+      const photos = IssueController.formatUploadedPhotos(req.uploadedFiles);
+      
+      // Check the subcategory and the answers to the category's custom fields
+      const categoryCheck = await CategoryService.checkIssueCategory(category, subcategory, customFields);
+      if (!categoryCheck.success) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CATEGORY',
+            message: categoryCheck.error,
+            details: categoryCheck.details,
+            timestamp: new Date().toISOString()
+          }
+        });
       }
       
       // Validate location for reporting
@@ -60,7 +86,7 @@ class IssueController {
       if (!locationValidation.isValid) {
         return res.status(400).json({
           error: {
-            code: 'INVALID_LOCATION',
+            code: locationValidation.code || 'INVALID_LOCATION',
             message: locationValidation.error,
             timestamp: new Date().toISOString()
           }
@@ -72,12 +98,15 @@ class IssueController {
         title: title.trim(),
         description: description.trim(),
         category,
+        subcategory: categoryCheck.subcategory,
+        custom_fields: categoryCheck.customFields,
         latitude: locationValidation.location.latitude,
         longitude: locationValidation.location.longitude,
         address: address ? address.trim() : null,
         photos: photos, // Processed uploaded photos
         is_anonymous: isAnonymous,
-        status: 'reported'
+        status: WorkflowService.getInitialStatus(),
+        boundary_id: locationValidation.boundary ? locationValidation.boundary.id : null
       };
       
       // Set reporter information based on authentication
@@ -110,7 +139,7 @@ class IssueController {
           await StatusHistory.create({
             issue_id: issue.id,
             previous_status: null, // No previous status for new issues
-            new_status: 'reported',
+            new_status: issueData.status,
             comment: 'Issue reported',
             updated_by: historyUpdatedBy
           }, { transaction });
@@ -118,10 +147,13 @@ class IssueController {
         
         await transaction.commit();
         
+        // Hand the issue to the responsible department
+        const routingResult = await RoutingService.routeIssue(issue);
+        
         // Fetch the created issue with formatted response
         const createdIssue = await Issue.findByPk(issue.id, {
         attributes: [
-          'id', 'title', 'description', 'category', 'status',
+          'id', 'title', 'description', 'category', 'subcategory', 'custom_fields', 'status',
           'latitude', 'longitude', 'address', 'photos',
           'is_anonymous', 'flag_count', 'created_at', 'updated_at'
         ],
@@ -131,6 +163,12 @@ class IssueController {
             as: 'reporter',
             attributes: ['id', 'email'],
             required: false
+          },
+          {
+            model: Boundary,
+            as: 'boundary',
+            attributes: ['id', 'name', 'kind'],
+            required: false
           }
         ]
       });
@@ -144,12 +182,23 @@ class IssueController {
         } : null
       };
       
+      // Point the reporter to open issues that probably describe the same problem
+      const duplicateCheck = await DuplicateDetectionService.findPossibleDuplicates(
+        issueData,
+        { excludeId: issue.id }
+      );
+      
       res.status(201).json({
         message: 'Issue created successfully',
         issue: responseData,
+        possible_duplicates: duplicateCheck.success ? duplicateCheck.duplicates : [],
+        routing: routingResult.success ? routingResult.routing : null,
         timestamp: new Date().toISOString()
       });
       
+      // Let nearby map viewers see the new issue without polling
+      SocketService.broadcastIssueEvent('issue:created', createdIssue);
+      
       } catch (transactionError) {
         await transaction.rollback();
         throw transactionError;
@@ -206,8 +255,10 @@ class IssueController {
         lat,
         lng,
         radius = 3,
+        bbox,
         status,
         category,
+        sort,
         limit = 50,
         offset = 0
       } = req.query;
@@ -220,25 +271,15 @@ class IssueController {
       const filters = {
         radius: parseFloat(radius),
         limit: parseInt(limit),
-        offset: parseInt(offset)
+        offset: parseInt(offset),
+        sort,
+        ...IssueController.parseListFilters(status, category)
       };
       
-      // Add status filter if provided
-      if (status) {
-        const statusArray = Array.isArray(status) ? status : status.split(',');
-        const validStatuses = ['reported', 'in_progress', 'resolved'];
-        filters.status = statusArray.filter(s => validStatuses.includes(s.trim()));
-      }
-      
-      // Add category filter if provided
-      if (category) {
-        const categoryArray = Array.isArray(category) ? category : category.split(',');
-        const validCategories = ['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'];
-        filters.category = categoryArray.filter(c => validCategories.includes(c.trim()));
-      }
-      
-      // Get issues using geolocation service
-      const result = await GeolocationService.getIssuesWithinRadius(userLat, userLng, filters);
+      // Get issues using geolocation service (a viewport bbox takes precedence over lat/lng)
+      const result = bbox
+        ? await GeolocationService.getIssuesWithinBoundingBox(GeospatialUtils.parseBoundingBox(bbox), filters)
+        : await GeolocationService.getIssuesWithinRadius(userLat, userLng, filters);
       
       // Format issues for response (remove sensitive data for anonymous users)
       const formattedIssues = result.issues.map(issue => ({
@@ -253,6 +294,7 @@ class IssueController {
         photos: issue.photos || [],
         is_anonymous: issue.is_anonymous,
         flag_count: issue.flag_count,
+        support_count: issue.support_count,
         distance_km: issue.distance_km,
         distance_meters: issue.distance_meters,
         created_at: issue.created_at,
@@ -280,6 +322,179 @@ class IssueController {
     }
   }
   
+  /**
+   * Get the issue workflow definition
+   * GET /api/issues/workflow
+   */
+  static async getWorkflow(req, res) {
+    res.json({
+      workflow: WorkflowService.getDefinition(),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Get the categories with their subcategories, icons, colors and custom fields
+   * GET /api/issues/categories
+   */
+  static async getCategories(req, res) {
+    try {
+      // Inactive categories are listed too so existing issues keep their labels and colors
+      const result = await CategoryService.getCategories({ includeInactive: true });
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'CATEGORIES_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        categories: result.categories,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      res.status(500).json({
+        error: {
+          code: 'CATEGORIES_FETCH_ERROR',
+          message: 'Failed to fetch categories',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Check for likely duplicates before a report is submitted
+   * GET /api/issues/duplicates-check
+   */
+  static async checkDuplicates(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { lat, lng, category, title = '', description = '' } = req.query;
+      
+      const result = await DuplicateDetectionService.findPossibleDuplicates({
+        latitude: parseFloat(lat),
+        longitude: parseFloat(lng),
+        category,
+        title,
+        description
+      });
+      
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'DUPLICATE_CHECK_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        duplicates: result.duplicates,
+        settings: DuplicateDetectionService.getSettings(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error checking for duplicates:', error);
+      res.status(500).json({
+        error: {
+          code: 'DUPLICATE_CHECK_ERROR',
+          message: 'Failed to check for duplicate issues',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get issue clusters for a map viewport
+   * GET /api/issues/clusters
+   */
+  static async getIssueClusters(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { bbox, zoom, status, category } = req.query;
+      
+      const result = await GeolocationService.getIssueClusters(
+        GeospatialUtils.parseBoundingBox(bbox),
+        parseInt(zoom),
+        IssueController.parseListFilters(status, category)
+      );
+      
+      res.json({
+        clusters: result.clusters,
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching issue clusters:', error);
+      res.status(500).json({
+        error: {
+          code: 'CLUSTERS_FETCH_ERROR',
+          message: 'Failed to fetch issue clusters',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Parse comma separated status and category query values into filter arrays
+   * @param {string|string[]} status - Status query value
+   * @param {string|string[]} category - Category query value
+   * @returns {Object} Filters { status?, category? }
+   */
+  static parseListFilters(status, category) {
+    const filters = {};
+    
+    if (status) {
+      const statusArray = Array.isArray(status) ? status : status.split(',');
+      const validStatuses = WorkflowService.getStatusKeys();
+      filters.status = statusArray.map(s => s.trim()).filter(s => validStatuses.includes(s));
+    }
+    
+    // Category keys were checked against the categories table by IssueValidation.categoryFilter
+    if (category) {
+      const categoryArray = Array.isArray(category) ? category : category.split(',');
+      filters.category = categoryArray.map(c => c.trim()).filter(Boolean);
+    }
+    
+    return filters;
+  }
+  
   /**
    * Get issue details by ID
    * GET /api/issues/:id
@@ -295,9 +510,9 @@ class IssueController {
           is_hidden: false
         },
         attributes: [
-          'id', 'title', 'description', 'category', 'status',
-          'latitude', 'longitude', 'address', 'photos',
-          'is_anonymous', 'flag_count', 'created_at', 'updated_at'
+          'id', 'title', 'description', 'category', 'subcategory', 'custom_fields', 'status',
+          'latitude', 'longitude', 'address', 'photos', 'reporter_id', 'reporter_session',
+          'is_anonymous', 'flag_count', 'support_count', 'merged_into_id', 'assigned_at', 'created_at', 'updated_at'
         ],
         include: [
           {
@@ -306,10 +521,28 @@ class IssueController {
             attributes: ['id', 'email'],
             required: false
           },
+          {
+            model: Department,
+            as: 'assignedDepartment',
+            attributes: ['id', 'name'],
+            required: false
+          },
+          {
+            model: Boundary,
+            as: 'boundary',
+            attributes: ['id', 'name', 'kind'],
+            required: false
+          },
+          {
+            model: Issue,
+            as: 'mergedIssues',
+            attributes: ['id', 'title', 'created_at', 'merged_at'],
+            required: false
+          },
           {
             model: StatusHistory,
             as: 'statusHistory',
-            attributes: ['id', 'previous_status', 'new_status', 'comment', 'updated_at'],
+            attributes: ['id', 'previous_status', 'new_status', 'comment', 'reason', 'photos', 'is_reporter_action', 'updated_at'],
             include: [
               {
                 model: User,
@@ -333,6 +566,13 @@ class IssueController {
         });
       }
       
+      // Merged duplicates live on as their canonical issue
+      if (issue.merged_into_id) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        const query = queryIndex >= 0 ? req.originalUrl.substring(queryIndex) : '';
+        return res.redirect(302, `${req.baseUrl}/${issue.merged_into_id}${query}`);
+      }
+      
       // Calculate distance if user location is provided
       let distance = null;
       if (req.userLocation) {
@@ -348,19 +588,34 @@ class IssueController {
         };
       }
       
-      // Format response
+      // Let the viewer see whether they already said "me too"
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      const supported = await SupportService.hasSupported(issue.id, userId, sessionToken);
+      
+      // Let the reporter confirm or reopen a resolved issue
+      const reporterReview = await ReporterReviewService.getReviewState(issue, userId, sessionToken);
+      
+      // Format response, reporter identifiers stay private
+      const { reporter_id, reporter_session, ...issueData } = issue.toJSON();
       const responseData = {
-        ...issue.toJSON(),
+        ...issueData,
         distance,
+        supported,
+        reporter_review: reporterReview,
         reporter: issue.is_anonymous ? null : {
           id: issue.reporter?.id || null,
           email: issue.reporter?.email || null
         },
+        // "After" photos from status changes, shown next to the reporter's photos
+        after_photos: IssueController.collectAfterPhotos(issue.statusHistory),
         statusHistory: issue.statusHistory?.map(history => ({
           id: history.id,
           previous_status: history.previous_status,
           new_status: history.new_status,
           comment: history.comment,
+          reason: history.reason,
+          photos: history.photos || [],
+          is_reporter_action: history.is_reporter_action,
           updated_at: history.updated_at,
           updated_by: history.updatedBy ? {
             id: history.updatedBy.id,
@@ -401,7 +656,15 @@ class IssueController {
           id,
           is_hidden: false
         },
-        attributes: ['id', 'title', 'status', 'created_at']
+        attributes: ['id', 'title', 'status', 'created_at'],
+        include: [
+          {
+            model: Issue,
+            as: 'mergedIssues',
+            attributes: ['id'],
+            required: false
+          }
+        ]
       });
       
       if (!issue) {
@@ -414,13 +677,15 @@ class IssueController {
         });
       }
       
-      // Get complete status history
+      // Get complete status history, including the trails of merged duplicates
       const statusHistory = await StatusHistory.findAll({
         where: {
-          issue_id: id
+          issue_id: {
+            [Op.in]: [issue.id, ...(issue.mergedIssues || []).map(merged => merged.id)]
+          }
         },
         attributes: [
-          'id', 'previous_status', 'new_status', 'comment', 'updated_at'
+          'id', 'issue_id', 'previous_status', 'new_status', 'comment', 'reason', 'photos', 'is_reporter_action', 'updated_at'
         ],
         include: [
           {
@@ -436,9 +701,13 @@ class IssueController {
       // Format history for response
       const formattedHistory = statusHistory.map(history => ({
         id: history.id,
+        issue_id: history.issue_id,
         previous_status: history.previous_status,
         new_status: history.new_status,
         comment: history.comment,
+        reason: history.reason,
+        photos: history.photos || [],
+        is_reporter_action: history.is_reporter_action,
         updated_at: history.updated_at,
         updated_by: history.updatedBy ? {
           id: history.updatedBy.id,
@@ -480,10 +749,14 @@ class IssueController {
    * PATCH /api/issues/:id/status
    */
   static async updateIssueStatus(req, res) {
+    // Once the change is committed, its history entry references the uploaded photos
+    let committed = false;
+    
     try {
       // Check for validation errors
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
         return res.status(400).json({
           error: {
             code: 'VALIDATION_ERROR',
@@ -495,7 +768,7 @@ class IssueController {
       }
       
       const { id } = req.params;
-      const { status, comment } = req.body;
+      const { status, comment, reason } = req.body;
       
       // Find the issue
       const issue = await Issue.findOne({
@@ -506,6 +779,7 @@ class IssueController {
       });
       
       if (!issue) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
         return res.status(404).json({
           error: {
             code: 'ISSUE_NOT_FOUND',
@@ -515,40 +789,36 @@ class IssueController {
         });
       }
       
-      // Check if status is actually changing
-      if (issue.status === status) {
-        return res.status(400).json({
-          error: {
-            code: 'STATUS_UNCHANGED',
-            message: `Issue is already in ${status} status`,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-      
-      // Validate status transition
-      const validTransitions = {
-        'reported': ['in_progress', 'resolved'],
-        'in_progress': ['resolved', 'reported'],
-        'resolved': ['in_progress', 'reported']
-      };
-      
-      if (!validTransitions[issue.status].includes(status)) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_STATUS_TRANSITION',
-            message: `Cannot change status from ${issue.status} to ${status}`,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
+      // Check the change against the workflow: allowed transition, role and required fields
+      const check = WorkflowService.checkTransition(issue.status, status, req.user.role, {
+        comment,
+        reason,
+        photos: req.uploadedFiles
+      });
       
-      // Validate that comment is required for status updates
-      if (!comment || comment.trim().length === 0) {
-        return res.status(400).json({
+      if (!check.allowed) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
+        
+        // A missing required field is an input error like any other, the workflow code says which
+        if (check.missing) {
+          return res.status(400).json({
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: check.error,
+              details: [{
+                field: check.missing,
+                message: check.error,
+                code: check.code
+              }],
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+        
+        return res.status(check.forbidden ? 403 : 400).json({
           error: {
-            code: 'COMMENT_REQUIRED',
-            message: 'Comment is required when updating issue status',
+            code: check.code,
+            message: check.error,
             timestamp: new Date().toISOString()
           }
         });
@@ -563,17 +833,22 @@ class IssueController {
           issue_id: issue.id,
           previous_status: issue.status,
           new_status: status,
-          comment: comment.trim(),
+          comment: comment ? comment.trim() : null,
+          reason: reason || null,
+          photos: IssueController.formatUploadedPhotos(req.uploadedFiles),
           updated_by: req.user.id
         }, { transaction });
         
         // Update issue status
         await issue.update({
           status,
+          // Closed issues are no longer overdue, reopened ones are again if they breached an SLA
+          is_overdue: WorkflowService.isOpen(status) && Boolean(issue.response_breached_at || issue.resolution_breached_at),
           updated_at: new Date()
         }, { transaction });
         
         await transaction.commit();
+        committed = true;
         
         // Fetch updated issue with history
         const updatedIssue = await Issue.findByPk(issue.id, {
@@ -586,7 +861,7 @@ class IssueController {
             {
               model: StatusHistory,
               as: 'statusHistory',
-              attributes: ['id', 'previous_status', 'new_status', 'comment', 'updated_at'],
+              attributes: ['id', 'previous_status', 'new_status', 'comment', 'reason', 'photos', 'is_reporter_action', 'updated_at'],
               include: [
                 {
                   model: User,
@@ -610,6 +885,9 @@ class IssueController {
               previous_status: history.previous_status,
               new_status: history.new_status,
               comment: history.comment,
+              reason: history.reason,
+              photos: history.photos || [],
+              is_reporter_action: history.is_reporter_action,
               updated_at: history.updated_at,
               updated_by: history.updatedBy ? {
                 id: history.updatedBy.id,
@@ -621,23 +899,36 @@ class IssueController {
           timestamp: new Date().toISOString()
         });
         
+        // Let nearby map viewers see the new status
+        SocketService.broadcastIssueEvent('issue:updated', updatedIssue);
+        
         // Send notification to reporter about status change
         await NotificationService.notifyStatusChange(
           issue.id,
           issue.status,
           status,
-          comment.trim(),
+          comment ? comment.trim() : null,
           req.user.id
         );
         
       } catch (error) {
-        await transaction.rollback();
+        if (!committed) {
+          await transaction.rollback();
+        }
         throw error;
       }
       
     } catch (error) {
       console.error('Error updating issue status:', error);
       
+      if (!committed) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
+      }
+      
+      if (res.headersSent) {
+        return;
+      }
+      
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
           error: {
@@ -662,6 +953,111 @@ class IssueController {
     }
   }
   
+  /**
+   * Confirm the fix of a resolved issue (original reporter only)
+   * POST /api/issues/:id/confirm
+   */
+  static async confirmResolution(req, res) {
+    return IssueController.reviewResolution(req, res, 'confirm');
+  }
+  
+  /**
+   * Reopen a resolved issue that is not fixed (original reporter only)
+   * POST /api/issues/:id/reopen
+   */
+  static async reopenIssue(req, res) {
+    return IssueController.reviewResolution(req, res, 'reopen');
+  }
+  
+  /**
+   * Record the reporter's review of a resolved issue
+   * @param {Object} req - Express request (after optionalAuth)
+   * @param {Object} res - Express response
+   * @param {string} outcome - confirm or reopen
+   */
+  static async reviewResolution(req, res, outcome) {
+    // Once the review is recorded, its history entry references the uploaded photos
+    let reviewed = false;
+    
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      const comment = req.body.comment ? req.body.comment.trim() : null;
+      
+      const result = outcome === 'reopen'
+        ? await ReporterReviewService.reopenIssue(req.params.id, userId, sessionToken, {
+          comment,
+          photos: IssueController.formatUploadedPhotos(req.uploadedFiles)
+        })
+        : await ReporterReviewService.confirmResolution(req.params.id, userId, sessionToken);
+      
+      if (!result.success) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
+        const statusCode = result.notFound ? 404 : result.forbidden ? 403 : 400;
+        return res.status(statusCode).json({
+          error: {
+            code: result.notFound ? 'ISSUE_NOT_FOUND' : result.forbidden ? 'NOT_ISSUE_REPORTER' : 'REVIEW_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      reviewed = true;
+      const { issue } = result;
+      
+      res.json({
+        message: outcome === 'reopen' ? 'Issue reopened successfully' : 'Fix confirmed successfully',
+        issue: {
+          id: issue.id,
+          status: issue.status,
+          updated_at: issue.updated_at
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+      // Let nearby map viewers see the new status
+      SocketService.broadcastIssueEvent('issue:updated', issue);
+      
+      // The people working on the issue need to pick it up again
+      if (outcome === 'reopen') {
+        await NotificationService.notifyIssueReopened(issue, comment);
+      }
+      
+    } catch (error) {
+      console.error('Error reviewing issue resolution:', error);
+      
+      if (!reviewed) {
+        await IssueController.discardUploadedPhotos(req.uploadedFiles);
+      }
+      
+      if (res.headersSent) {
+        return;
+      }
+      
+      res.status(500).json({
+        error: {
+          code: 'REVIEW_ERROR',
+          message: 'Failed to review issue resolution',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
   /**
    * Flag an issue for inappropriate content
    * POST /api/issues/:id/flag
@@ -730,7 +1126,10 @@ class IssueController {
         issue: result.issue,
         timestamp: new Date().toISOString()
       });
-      
+
+      // Let admins know there is content to review
+      await NotificationService.notifyFlaggedContent(id, userId, reason);
+
     } catch (error) {
       console.error('Error flagging issue:', error);
       res.status(500).json({
@@ -742,6 +1141,508 @@ class IssueController {
       });
     }
   }
+  
+  /**
+   * Merge duplicate issues into a canonical issue (authorities and admins only)
+   * POST /api/issues/:id/merge
+   */
+  static async mergeIssues(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { id } = req.params;
+      const { duplicate_ids: duplicateIds, comment } = req.body;
+      
+      const result = await IssueMergeService.mergeIssues(
+        id,
+        duplicateIds,
+        req.user.id,
+        comment ? comment.trim() : null
+      );
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'ISSUE_NOT_FOUND' : 'MERGE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      // Log the merge in the audit trail
+      await AdminLogService.logIssueMerge(
+        req.user.id,
+        id,
+        result.summary,
+        req.ip,
+        req.get('User-Agent')
+      );
+      
+      res.json({
+        message: 'Issues merged successfully',
+        issue: result.issue,
+        merge: result.summary,
+        timestamp: new Date().toISOString()
+      });
+      
+      // Let nearby map viewers drop the duplicates and see the updated canonical issue
+      result.duplicates.forEach(duplicate => SocketService.broadcastIssueEvent('issue:updated', duplicate));
+      SocketService.broadcastIssueEvent('issue:updated', result.issue);
+      
+      // Tell the reporters of the duplicates where their report went
+      await NotificationService.notifyIssueMerged(result.issue, result.duplicates);
+      
+    } catch (error) {
+      console.error('Error merging issues:', error);
+      res.status(500).json({
+        error: {
+          code: 'MERGE_ERROR',
+          message: 'Failed to merge issues',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Assign an issue to a department and/or authority user (authorities and admins only)
+   * PATCH /api/issues/:id/assignment
+   */
+  static async assignIssue(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { id } = req.params;
+      const { department_id: departmentId, assignee_id: assigneeId, comment } = req.body;
+      
+      const result = await AssignmentService.assignIssue(
+        id,
+        { departmentId, assigneeId },
+        req.user.id,
+        comment ? comment.trim() : null
+      );
+      
+      if (!result.success) {
+        let code = 'ASSIGNMENT_ERROR';
+        if (result.notFound) {
+          code = 'ISSUE_NOT_FOUND';
+        } else if (result.unchanged) {
+          code = 'ASSIGNMENT_UNCHANGED';
+        }
+        
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code,
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        message: 'Issue assignment updated successfully',
+        issue: result.issue,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error assigning issue:', error);
+      res.status(500).json({
+        error: {
+          code: 'ASSIGNMENT_ERROR',
+          message: 'Failed to assign issue',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Add a "me too" vote to an issue
+   * POST /api/issues/:id/support
+   */
+  static async supportIssue(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      
+      // Validate that we have some way to track the supporter
+      if (!userId && !sessionToken) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for supporting',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await SupportService.supportIssue(req.params.id, userId, sessionToken);
+      
+      if (!result.success) {
+        const statusCode = result.notFound ? 404 : result.conflict ? 409 : 400;
+        return res.status(statusCode).json({
+          error: {
+            code: result.notFound ? 'ISSUE_NOT_FOUND' : 'SUPPORT_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.status(201).json({
+        message: 'Issue supported successfully',
+        issue: result.issue,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error supporting issue:', error);
+      res.status(500).json({
+        error: {
+          code: 'SUPPORT_ERROR',
+          message: 'Failed to support issue',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Withdraw a "me too" vote from an issue
+   * DELETE /api/issues/:id/support
+   */
+  static async removeSupport(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      
+      if (!userId && !sessionToken) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for supporting',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await SupportService.removeSupport(req.params.id, userId, sessionToken);
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'SUPPORT_NOT_FOUND' : 'SUPPORT_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        message: 'Support removed successfully',
+        issue: result.issue,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error removing issue support:', error);
+      res.status(500).json({
+        error: {
+          code: 'SUPPORT_ERROR',
+          message: 'Failed to remove support',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get the comment thread of an issue
+   * GET /api/issues/:id/comments
+   */
+  static async getComments(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { limit = 20, offset = 0 } = req.query;
+      
+      const result = await CommentService.getComments(req.params.id, {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 500).json({
+          error: {
+            code: result.notFound ? 'ISSUE_NOT_FOUND' : 'COMMENTS_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.json({
+        comments: result.comments,
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({
+        error: {
+          code: 'COMMENTS_FETCH_ERROR',
+          message: 'Failed to fetch comments',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Add a comment to an issue
+   * POST /api/issues/:id/comments
+   */
+  static async createComment(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      
+      // Validate that we have some way to track the author
+      if (!userId && !sessionToken) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for commenting',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await CommentService.createComment(
+        req.params.id,
+        { userId, sessionToken, role: req.user.role },
+        req.body.body
+      );
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: {
+            code: result.notFound ? 'ISSUE_NOT_FOUND' : 'COMMENT_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment: result.comment,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      res.status(500).json({
+        error: {
+          code: 'COMMENT_ERROR',
+          message: 'Failed to add comment',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Flag a comment for inappropriate content
+   * POST /api/issues/:id/comments/:commentId/flag
+   */
+  static async flagComment(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const { id, commentId } = req.params;
+      const { reason, flag_type = 'spam' } = req.body;
+      const { userId, sessionToken } = IssueController.getRequester(req);
+      
+      // Validate that we have some way to track the flagger
+      if (!userId && !sessionToken) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for flagging',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      const result = await CommentService.flagComment(id, commentId, userId, sessionToken, reason, flag_type);
+      
+      if (!result.success) {
+        const statusCode = result.notFound ? 404 : result.conflict ? 409 : 400;
+        return res.status(statusCode).json({
+          error: {
+            code: result.notFound ? 'COMMENT_NOT_FOUND' : 'FLAG_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+      
+      res.status(201).json({
+        message: 'Comment flagged successfully',
+        flag: result.flag,
+        comment: result.comment,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error flagging comment:', error);
+      res.status(500).json({
+        error: {
+          code: 'FLAG_ERROR',
+          message: 'Failed to flag comment',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+  
+  /**
+   * Turn files stored by the upload middleware into photo records
+   * @param {Object[]} uploadedFiles - req.uploadedFiles from processUploadedFiles
+   * @returns {Object[]} Photos { filename, originalName, path, size, mimetype, url }
+   */
+  static formatUploadedPhotos(uploadedFiles = []) {
+    return uploadedFiles.map(file => ({
+      filename: file.filename,
+      originalName: file.originalName,
+      path: file.relativePath,
+      size: file.size,
+      mimetype: file.mimetype,
+      url: fileService.generatePublicUrl(file.relativePath)
+    }));
+  }
+  
+  /**
+   * Delete the files stored by the upload middleware for a request that was rejected
+   * @param {Object[]} uploadedFiles - req.uploadedFiles from processUploadedFiles
+   * @returns {Promise<void>}
+   */
+  static async discardUploadedPhotos(uploadedFiles = []) {
+    if (uploadedFiles.length > 0) {
+      await fileService.deleteFiles(uploadedFiles.map(file => file.relativePath));
+    }
+  }
+  
+  /**
+   * Collect the photos attached to status changes, newest change first
+   * @param {Object[]} statusHistory - Status history entries with photos
+   * @returns {Object[]} Photos tagged with the status and time of their change
+   */
+  static collectAfterPhotos(statusHistory = []) {
+    return [...statusHistory]
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+      .flatMap(history => (history.photos || []).map(photo => ({
+        ...photo,
+        status: history.new_status,
+        uploaded_at: history.updated_at
+      })));
+  }
+  
+  /**
+   * Identify the requester as a verified user or an anonymous session
+   * @param {Object} req - Express request (after optionalAuth)
+   * @returns {Object} { userId, sessionToken } with at most one of them set
+   */
+  static getRequester(req) {
+    if (req.user && !req.user.isAnonymous) {
+      return { userId: req.user.id, sessionToken: null };
+    }
+    return { userId: null, sessionToken: req.user?.sessionToken || null };
+  }
 }
 
 module.exports = IssueController;
\ No newline at end of file
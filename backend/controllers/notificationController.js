@@ -0,0 +1,379 @@
+const NotificationService = require('../services/notificationService');
+const PushService = require('../services/pushService');
+const { validationResult } = require('express-validator');
+
+/**
+ * Notification Controller - Handles the notification inbox and push subscriptions
+ */
+class NotificationController {
+
+  /**
+   * Get the notification inbox of the current user or anonymous session
+   * GET /api/notifications
+   */
+  static async getNotifications(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const recipient = NotificationController.getRecipient(req);
+
+      if (!recipient) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for notifications',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { unread, limit = 20, offset = 0 } = req.query;
+
+      const result = await NotificationService.getNotifications(
+        recipient.userId,
+        recipient.sessionToken,
+        {
+          unreadOnly: unread === 'true' || unread === true,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      );
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'NOTIFICATIONS_FETCH_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        notifications: result.notifications,
+        unread_count: result.unreadCount,
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({
+        error: {
+          code: 'NOTIFICATIONS_FETCH_ERROR',
+          message: 'Failed to fetch notifications',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * PATCH /api/notifications/:id/read
+   */
+  static async markAsRead(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const recipient = NotificationController.getRecipient(req);
+
+      if (!recipient) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for notifications',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await NotificationService.markAsRead(
+        req.params.id,
+        recipient.userId,
+        recipient.sessionToken
+      );
+
+      if (!result.success) {
+        const notFound = result.error === 'Notification not found';
+        return res.status(notFound ? 404 : 500).json({
+          error: {
+            code: notFound ? 'NOTIFICATION_NOT_FOUND' : 'NOTIFICATION_UPDATE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        message: 'Notification marked as read',
+        notification: result.notification,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({
+        error: {
+          code: 'NOTIFICATION_UPDATE_ERROR',
+          message: 'Failed to update notification',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   * POST /api/notifications/read-all
+   */
+  static async markAllAsRead(req, res) {
+    try {
+      const recipient = NotificationController.getRecipient(req);
+
+      if (!recipient) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for notifications',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await NotificationService.markAllAsRead(recipient.userId, recipient.sessionToken);
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'NOTIFICATION_UPDATE_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        message: 'All notifications marked as read',
+        updated: result.updated,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      res.status(500).json({
+        error: {
+          code: 'NOTIFICATION_UPDATE_ERROR',
+          message: 'Failed to update notifications',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the public VAPID key browsers subscribe with
+   * GET /api/notifications/vapid-public-key
+   */
+  static getVapidPublicKey(req, res) {
+    const publicKey = PushService.getPublicKey();
+
+    if (!publicKey) {
+      return res.status(503).json({
+        error: {
+          code: 'PUSH_NOT_CONFIGURED',
+          message: 'Push notifications are not available',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      publicKey,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Store a browser push subscription
+   * POST /api/notifications/subscriptions
+   */
+  static async createSubscription(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const recipient = NotificationController.getRecipient(req);
+
+      if (!recipient) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for push notifications',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { endpoint, expirationTime, keys } = req.body;
+
+      const result = await PushService.saveSubscription(
+        { endpoint, expirationTime, keys },
+        recipient.userId,
+        recipient.sessionToken,
+        req.get('user-agent')
+      );
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'SUBSCRIPTION_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.status(result.created ? 201 : 200).json({
+        message: 'Push subscription saved',
+        subscription: result.subscription,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error saving push subscription:', error);
+      res.status(500).json({
+        error: {
+          code: 'SUBSCRIPTION_ERROR',
+          message: 'Failed to save push subscription',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove a browser push subscription
+   * DELETE /api/notifications/subscriptions
+   */
+  static async deleteSubscription(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: errors.array(),
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const recipient = NotificationController.getRecipient(req);
+
+      if (!recipient) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_USER',
+            message: 'Unable to identify user for push notifications',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await PushService.removeSubscription(
+        req.body.endpoint,
+        recipient.userId,
+        recipient.sessionToken
+      );
+
+      if (!result.success) {
+        return res.status(500).json({
+          error: {
+            code: 'SUBSCRIPTION_ERROR',
+            message: result.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (result.removed === 0) {
+        return res.status(404).json({
+          error: {
+            code: 'SUBSCRIPTION_NOT_FOUND',
+            message: 'Push subscription not found',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        message: 'Push subscription removed',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error removing push subscription:', error);
+      res.status(500).json({
+        error: {
+          code: 'SUBSCRIPTION_ERROR',
+          message: 'Failed to remove push subscription',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Recipient of notifications for the current request
+   * @param {Object} req - Express request
+   * @returns {{userId: string|null, sessionToken: string|null}|null} Recipient or null if unidentified
+   */
+  static getRecipient(req) {
+    if (req.user && !req.user.isAnonymous) {
+      return { userId: req.user.id, sessionToken: null };
+    }
+
+    if (req.user && req.user.sessionToken) {
+      return { userId: null, sessionToken: req.user.sessionToken };
+    }
+
+    return null;
+  }
+}
+
+module.exports = NotificationController;
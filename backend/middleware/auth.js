@@ -1,21 +1,30 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, UserSession } = require('../models');
 
 // JWT secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token (see SessionService)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
  * Generate JWT token for user
+ * @param {Object} user - User record
+ * @param {string} [sessionId] - Session the token belongs to; revoking the session ends the token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId = null) => {
   const payload = {
     id: user.id,
     email: user.email,
     role: user.role,
-    isVerified: user.is_verified
+    isVerified: user.is_verified,
+    // Issue time in milliseconds; iat is in whole seconds, too coarse to compare with a password reset or ban
+    iatMs: Date.now()
   };
   
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
@@ -31,6 +40,125 @@ const generateSessionToken = () => {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
 };
 
+/**
+ * Check that a token is an anonymous session token signed by this server
+ * Expired tokens pass: they still identify the reports made with them.
+ * @param {string} token - Anonymous session token
+ * @returns {boolean} Whether the token is an anonymous session token
+ */
+const isAnonymousSessionToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+    return decoded.type === 'anonymous';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Moment before which all tokens of a user are invalid: the last password reset or ban
+ * @param {Object} user - User record
+ * @returns {Date|null} Cut-off, or null when the user's tokens were never revoked
+ */
+const getTokensRevokedAt = (user) => {
+  const times = [user.password_changed_at, user.banned_at]
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+  
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Check whether a token or session was issued before the user's last password reset or ban, which ended it
+ * Access tokens and refresh sessions share this rule, so a client is never let in by one and turned away by the other.
+ * @param {Object} user - User record
+ * @param {Date|number} issuedAt - Issue time of the token or session
+ * @returns {boolean} Whether the token or session has been revoked
+ */
+const isIssuedBeforeRevocation = (user, issuedAt) => {
+  const revokedAt = getTokensRevokedAt(user);
+  return Boolean(revokedAt) && new Date(issuedAt).getTime() < revokedAt.getTime();
+};
+
+/**
+ * Build an error carrying the HTTP status and error code used in API responses
+ */
+const createAuthError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Resolve the user behind a raw JWT or anonymous session token
+ * Shared by the HTTP middleware and the Socket.io handshake so both accept the same tokens
+ * @param {string} token - Bearer token from the client
+ * @returns {Promise<Object>} Request user object
+ * @throws {Error} Error with `status` and `code` when the token is not acceptable
+ */
+const resolveTokenUser = async (token) => {
+  let decoded;
+  
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createAuthError(401, 'TOKEN_EXPIRED', 'Access token has expired');
+    }
+    throw createAuthError(403, 'INVALID_TOKEN', 'Invalid access token');
+  }
+  
+  // For anonymous users, just attach the decoded token
+  if (decoded.type === 'anonymous') {
+    return { 
+      id: null, 
+      role: 'citizen', 
+      isAnonymous: true,
+      sessionToken: token 
+    };
+  }
+  
+  // For registered users, fetch from database
+  const user = await User.findByPk(decoded.id);
+  
+  if (!user) {
+    throw createAuthError(401, 'USER_NOT_FOUND', 'User not found');
+  }
+  
+  if (user.is_banned) {
+    throw createAuthError(403, 'USER_BANNED', 'User account has been banned');
+  }
+  
+  // Tokens issued before the last password reset or ban have ended. Tokens without iatMs only
+  // carry whole seconds, so they count as issued at the start of their second.
+  const issuedAt = decoded.iatMs || decoded.iat * 1000;
+  if (isIssuedBeforeRevocation(user, issuedAt)) {
+    throw createAuthError(401, 'SESSION_REVOKED', 'Session has ended, please log in again');
+  }
+  
+  // Tokens of a session that was logged out or revoked have ended too
+  if (decoded.sid) {
+    const session = await UserSession.findByPk(decoded.sid);
+    
+    if (!session || session.revoked_at || session.user_id !== user.id) {
+      throw createAuthError(401, 'SESSION_REVOKED', 'Session has ended, please log in again');
+    }
+  }
+  
+  // Update last active timestamp
+  await user.update({ last_active_at: new Date() });
+  
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    isVerified: user.is_verified,
+    isAnonymous: false,
+    sessionId: decoded.sid || null
+  };
+};
+
 /**
  * Middleware to authenticate JWT tokens
  */
@@ -49,69 +177,17 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // For anonymous users, just attach the decoded token
-    if (decoded.type === 'anonymous') {
-      req.user = { 
-        id: null, 
-        role: 'citizen', 
-        isAnonymous: true,
-        sessionToken: token 
-      };
-      return next();
-    }
-    
-    // For registered users, fetch from database
-    const user = await User.findByPk(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({
-        error: {
-          code: 'USER_NOT_FOUND',
-          message: 'User not found',
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-    
-    if (user.is_banned) {
-      return res.status(403).json({
-        error: {
-          code: 'USER_BANNED',
-          message: 'User account has been banned',
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-    
-    // Update last active timestamp
-    await user.update({ last_active_at: new Date() });
-    
-    req.user = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      isVerified: user.is_verified,
-      isAnonymous: false
-    };
-    
+    req.user = await resolveTokenUser(token);
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: {
-          code: 'TOKEN_EXPIRED',
-          message: 'Access token has expired',
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
+    const authError = error.status
+      ? error
+      : createAuthError(403, 'INVALID_TOKEN', 'Invalid access token');
     
-    return res.status(403).json({
+    return res.status(authError.status).json({
       error: {
-        code: 'INVALID_TOKEN',
-        message: 'Invalid access token',
+        code: authError.code,
+        message: authError.message,
         timestamp: new Date().toISOString()
       }
     });
@@ -131,40 +207,12 @@ const optionalAuth = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    if (decoded.type === 'anonymous') {
-      req.user = { 
-        id: null, 
-        role: 'citizen', 
-        isAnonymous: true,
-        sessionToken: token 
-      };
-      return next();
-    }
-    
-    const user = await User.findByPk(decoded.id);
-    
-    if (!user || user.is_banned) {
-      req.user = { id: null, role: 'citizen', isAnonymous: true };
-      return next();
-    }
-    
-    await user.update({ last_active_at: new Date() });
-    
-    req.user = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      isVerified: user.is_verified,
-      isAnonymous: false
-    };
-    
-    next();
+    req.user = await resolveTokenUser(token);
   } catch (error) {
     req.user = { id: null, role: 'citizen', isAnonymous: true };
-    next();
   }
+  
+  next();
 };
 
 /**
@@ -229,6 +277,9 @@ const requireVerified = (req, res, next) => {
 module.exports = {
   generateToken,
   generateSessionToken,
+  isAnonymousSessionToken,
+  isIssuedBeforeRevocation,
+  resolveTokenUser,
   authenticateToken,
   optionalAuth,
   requireRole,
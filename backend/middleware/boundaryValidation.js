@@ -0,0 +1,106 @@
+const { body, param, query } = require('express-validator');
+const GeospatialUtils = require('../utils/geospatial');
+
+const KINDS = ['jurisdiction', 'ward'];
+
+/**
+ * Validation middleware for jurisdiction boundary endpoints
+ */
+class BoundaryValidation {
+
+  /**
+   * Validate boundary creation
+   */
+  static createBoundary() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+      body('geometry')
+        .custom((value) => this.checkGeometry(value)),
+
+      ...this.boundaryOptions()
+    ];
+  }
+
+  /**
+   * Validate boundary update
+   */
+  static updateBoundary() {
+    return [
+      this.boundaryId(),
+
+      body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+      body('geometry')
+        .optional()
+        .custom((value) => this.checkGeometry(value)),
+
+      ...this.boundaryOptions()
+    ];
+  }
+
+  /**
+   * Optional fields shared by boundary creation and update
+   */
+  static boundaryOptions() {
+    return [
+      body('kind')
+        .optional()
+        .isIn(KINDS)
+        .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+
+      body('is_active')
+        .optional()
+        .isBoolean()
+        .withMessage('is_active must be a boolean')
+        .toBoolean()
+    ];
+  }
+
+  /**
+   * Boundaries need a GeoJSON area, unlike routing rules they cannot be empty
+   * @param {*} value - Submitted geometry
+   * @returns {boolean} True when valid
+   */
+  static checkGeometry(value) {
+    if (!GeospatialUtils.parseZone(value)) {
+      throw new Error('Geometry must be a GeoJSON Polygon or MultiPolygon with [lng, lat] positions');
+    }
+    return true;
+  }
+
+  /**
+   * Validate boundary ID parameter
+   */
+  static boundaryId() {
+    return param('id')
+      .isUUID()
+      .withMessage('Boundary ID must be a valid UUID');
+  }
+
+  /**
+   * Validate boundary listing filters
+   */
+  static getBoundaries() {
+    return [
+      query('kind')
+        .optional()
+        .isIn(KINDS)
+        .withMessage(`Kind must be one of: ${KINDS.join(', ')}`),
+
+      query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+    ];
+  }
+}
+
+module.exports = BoundaryValidation;
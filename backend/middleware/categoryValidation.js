@@ -0,0 +1,126 @@
+const { body, param } = require('express-validator');
+const CategoryService = require('../services/categoryService');
+
+/**
+ * Validation middleware for category endpoints, and the category check shared by other validators
+ */
+class CategoryValidation {
+
+  /**
+   * Custom validator accepting the key of a top-level category
+   * @param {Object} options - { includeInactive? } passed to CategoryService.getCategoryKeys
+   * @returns {Function} Async express-validator custom validator
+   */
+  static isKnownCategory(options = {}) {
+    return async (value) => {
+      const keys = await CategoryService.getCategoryKeys(options);
+
+      if (!keys.includes(value)) {
+        throw new Error(`Category must be one of: ${keys.join(', ')}`);
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Validate category creation
+   */
+  static createCategory() {
+    return [
+      body('key')
+        .matches(/^[a-z][a-z0-9_]{1,49}$/)
+        .withMessage('Key must be 2 to 50 lowercase letters, digits or underscores, starting with a letter'),
+
+      body('label')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Label must be between 2 and 100 characters'),
+
+      body('parent_key')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Parent key must be the key of a top-level category'),
+
+      ...this.categoryOptions()
+    ];
+  }
+
+  /**
+   * Validate category update (the key cannot change)
+   */
+  static updateCategory() {
+    return [
+      this.categoryId(),
+
+      body('key')
+        .not()
+        .exists()
+        .withMessage('The key of a category cannot change, create a new category instead'),
+
+      body('label')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Label must be between 2 and 100 characters'),
+
+      ...this.categoryOptions()
+    ];
+  }
+
+  /**
+   * Optional fields shared by category creation and update
+   */
+  static categoryOptions() {
+    return [
+      body('description')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description must not exceed 500 characters'),
+
+      body('icon')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Icon must be at most 50 characters, for example an emoji'),
+
+      body('color')
+        .optional({ values: 'null' })
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color like #dc2626'),
+
+      body('custom_fields')
+        .optional()
+        .custom((value) => {
+          const problem = CategoryService.checkFieldSchema(value);
+          if (problem) {
+            throw new Error(problem);
+          }
+          return true;
+        }),
+
+      body('sort_order')
+        .optional()
+        .isInt({ min: -1000, max: 1000 })
+        .withMessage('Sort order must be an integer between -1000 and 1000')
+        .toInt(),
+
+      body('is_active')
+        .optional()
+        .isBoolean()
+        .withMessage('is_active must be a boolean')
+        .toBoolean()
+    ];
+  }
+
+  /**
+   * Validate category ID parameter
+   */
+  static categoryId() {
+    return param('id')
+      .isUUID()
+      .withMessage('Category ID must be a valid UUID');
+  }
+}
+
+module.exports = CategoryValidation;
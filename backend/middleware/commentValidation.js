@@ -0,0 +1,77 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Validation middleware for issue comments
+ */
+class CommentValidation {
+  
+  /**
+   * Validate get comments request
+   */
+  static getComments() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+        .toInt(),
+      
+      query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be a non-negative integer')
+        .toInt()
+    ];
+  }
+  
+  /**
+   * Validate create comment request
+   */
+  static createComment() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      body('body')
+        .isString()
+        .withMessage('Comment is required')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Comment must be between 1 and 1000 characters')
+    ];
+  }
+  
+  /**
+   * Validate flag comment request
+   */
+  static flagComment() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      param('commentId')
+        .isUUID()
+        .withMessage('Comment ID must be a valid UUID'),
+      
+      body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Reason must be between 3 and 500 characters')
+        .escape(),
+      
+      body('flag_type')
+        .optional()
+        .isIn(['spam', 'inappropriate', 'irrelevant', 'other'])
+        .withMessage('Flag type must be one of: spam, inappropriate, irrelevant, other')
+    ];
+  }
+}
+
+module.exports = CommentValidation;
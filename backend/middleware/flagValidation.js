@@ -1,4 +1,6 @@
 const { body, param, query } = require('express-validator');
+const WorkflowService = require('../services/workflowService');
+const CategoryValidation = require('./categoryValidation');
 
 /**
  * Validation middleware for flagging operations
@@ -125,13 +127,12 @@ class FlagValidation {
       
       query('category')
         .optional()
-        .isIn(['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'])
-        .withMessage('Category must be one of: roads, lighting, water, cleanliness, safety, obstructions'),
+        .custom(CategoryValidation.isKnownCategory({ includeInactive: true })),
       
       query('status')
         .optional()
-        .isIn(['reported', 'in_progress', 'resolved'])
-        .withMessage('Status must be one of: reported, in_progress, resolved')
+        .isIn(WorkflowService.getStatusKeys())
+        .withMessage(`Status must be one of: ${WorkflowService.getStatusKeys().join(', ')}`)
     ];
   }
   
@@ -184,8 +185,8 @@ class FlagValidation {
       
       query('action')
         .optional()
-        .isIn(['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'bulk_action'])
-        .withMessage('Action must be one of: flag_review, user_ban, user_unban, issue_delete, bulk_action'),
+        .isIn(['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'routing_rule_change', 'sla_target_change', 'boundary_change', 'category_change', 'bulk_action'])
+        .withMessage('Action must be one of: flag_review, user_ban, user_unban, issue_delete, issue_merge, routing_rule_change, sla_target_change, boundary_change, category_change, bulk_action'),
       
       query('targetType')
         .optional()
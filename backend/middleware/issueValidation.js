@@ -1,4 +1,8 @@
 const { body, query, param } = require('express-validator');
+const GeospatialUtils = require('../utils/geospatial');
+const WorkflowService = require('../services/workflowService');
+const CategoryService = require('../services/categoryService');
+const CategoryValidation = require('./categoryValidation');
 
 /**
  * Validation middleware for issue-related endpoints
@@ -22,9 +26,28 @@ class IssueValidation {
         .isLength({ min: 10, max: 2000 })
         .withMessage('Description must be between 10 and 2000 characters'),
       
+      // Categories are managed by admins, see CategoryService
       body('category')
-        .isIn(['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'])
-        .withMessage('Invalid category. Must be one of: roads, lighting, water, cleanliness, safety, obstructions'),
+        .isString()
+        .withMessage('Category is required')
+        .bail()
+        .custom(CategoryValidation.isKnownCategory()),
+      
+      body('subcategory')
+        .optional({ values: 'falsy' })
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Subcategory must be a subcategory key'),
+      
+      // Answers to the category's custom fields, checked against its schema when the issue is created
+      body('custom_fields')
+        .optional()
+        .custom((value) => {
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new Error('Custom fields must be an object of answers keyed by field');
+          }
+          return true;
+        }),
       
       body('latitude')
         .isFloat({ min: -90, max: 90 })
@@ -78,11 +101,16 @@ class IssueValidation {
    */
   static getIssues() {
     return [
+      this.boundingBox().optional(),
+      
+      // lat/lng are only required when no bounding box is given
       query('lat')
+        .if(query('bbox').not().exists())
         .isFloat({ min: -90, max: 90 })
         .withMessage('Latitude must be a valid number between -90 and 90'),
       
       query('lng')
+        .if(query('bbox').not().exists())
         .isFloat({ min: -180, max: 180 })
         .withMessage('Longitude must be a valid number between -180 and 180'),
       
@@ -91,35 +119,14 @@ class IssueValidation {
         .isFloat({ min: 0.1, max: 5 })
         .withMessage('Radius must be between 0.1 and 5 kilometers'),
       
-      query('status')
-        .optional()
-        .custom((value) => {
-          if (value) {
-            const statuses = Array.isArray(value) ? value : value.split(',');
-            const validStatuses = ['reported', 'in_progress', 'resolved'];
-            const invalidStatuses = statuses.filter(s => !validStatuses.includes(s.trim()));
-            
-            if (invalidStatuses.length > 0) {
-              throw new Error(`Invalid status values: ${invalidStatuses.join(', ')}. Valid values are: ${validStatuses.join(', ')}`);
-            }
-          }
-          return true;
-        }),
+      this.statusFilter(),
       
-      query('category')
+      this.categoryFilter(),
+      
+      query('sort')
         .optional()
-        .custom((value) => {
-          if (value) {
-            const categories = Array.isArray(value) ? value : value.split(',');
-            const validCategories = ['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'];
-            const invalidCategories = categories.filter(c => !validCategories.includes(c.trim()));
-            
-            if (invalidCategories.length > 0) {
-              throw new Error(`Invalid category values: ${invalidCategories.join(', ')}. Valid values are: ${validCategories.join(', ')}`);
-            }
-          }
-          return true;
-        }),
+        .isIn(['distance', 'newest', 'support'])
+        .withMessage('Sort must be one of: distance, newest, support'),
       
       query('limit')
         .optional()
@@ -133,6 +140,107 @@ class IssueValidation {
     ];
   }
   
+  /**
+   * Validation rules for the duplicate check preflight
+   */
+  static checkDuplicates() {
+    return [
+      query('lat')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be a valid number between -90 and 90'),
+      
+      query('lng')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be a valid number between -180 and 180'),
+      
+      query('category')
+        .custom(CategoryValidation.isKnownCategory()),
+      
+      query('title')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Title must not exceed 200 characters'),
+      
+      query('description')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Description must not exceed 2000 characters')
+    ];
+  }
+  
+  /**
+   * Validation rules for getting issue clusters of a map viewport
+   */
+  static getIssueClusters() {
+    return [
+      this.boundingBox(),
+      
+      query('zoom')
+        .isInt({ min: 0, max: 22 })
+        .withMessage('Zoom must be an integer between 0 and 22'),
+      
+      this.statusFilter(),
+      
+      this.categoryFilter()
+    ];
+  }
+  
+  /**
+   * Bounding box query parameter ("minLng,minLat,maxLng,maxLat")
+   */
+  static boundingBox() {
+    return query('bbox')
+      .custom((value) => {
+        if (!GeospatialUtils.parseBoundingBox(value)) {
+          throw new Error('Bounding box must be "minLng,minLat,maxLng,maxLat" with valid coordinates and min values below max values');
+        }
+        return true;
+      });
+  }
+  
+  /**
+   * Optional comma separated status filter
+   */
+  static statusFilter() {
+    return query('status')
+      .optional()
+      .custom((value) => {
+        if (value) {
+          const statuses = Array.isArray(value) ? value : value.split(',');
+          const validStatuses = WorkflowService.getStatusKeys();
+          const invalidStatuses = statuses.filter(s => !validStatuses.includes(s.trim()));
+          
+          if (invalidStatuses.length > 0) {
+            throw new Error(`Invalid status values: ${invalidStatuses.join(', ')}. Valid values are: ${validStatuses.join(', ')}`);
+          }
+        }
+        return true;
+      });
+  }
+  
+  /**
+   * Optional comma separated category filter
+   */
+  static categoryFilter() {
+    return query('category')
+      .optional()
+      .custom(async (value) => {
+        if (value) {
+          const categories = Array.isArray(value) ? value : value.split(',');
+          // Inactive categories still label existing issues
+          const validCategories = await CategoryService.getCategoryKeys({ includeInactive: true });
+          const invalidCategories = categories.filter(c => !validCategories.includes(c.trim()));
+          
+          if (invalidCategories.length > 0) {
+            throw new Error(`Invalid category values: ${invalidCategories.join(', ')}. Valid values are: ${validCategories.join(', ')}`);
+          }
+        }
+        return true;
+      });
+  }
+  
   /**
    * Validation rules for getting issue by ID
    */
@@ -165,18 +273,164 @@ class IssueValidation {
         .withMessage('Issue ID must be a valid UUID'),
       
       body('status')
-        .isIn(['reported', 'in_progress', 'resolved'])
-        .withMessage('Status must be one of: reported, in_progress, resolved'),
+        .isIn(WorkflowService.getStatusKeys())
+        .withMessage(`Status must be one of: ${WorkflowService.getStatusKeys().join(', ')}`),
       
+      // Whether a comment or reason is required depends on the transition, see WorkflowService
       body('comment')
+        .optional({ values: 'falsy' })
         .trim()
         .isLength({ min: 5, max: 1000 })
         .withMessage('Comment must be between 5 and 1000 characters')
         .matches(/^[a-zA-Z0-9\s\-.,!?()'"]+$/)
+        .withMessage('Comment contains invalid characters'),
+      
+      body('reason')
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Reason must be a reason key of at most 50 characters')
+    ];
+  }
+  
+  /**
+   * Validation rules for a reporter confirming the fix of a resolved issue
+   */
+  static confirmResolution() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID')
+    ];
+  }
+  
+  /**
+   * Validation rules for a reporter reopening a resolved issue
+   */
+  static reopenIssue() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      body('comment')
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage('Describe what is still wrong in 5 to 1000 characters')
+        .matches(/^[a-zA-Z0-9\s\-.,!?()'"]+$/)
         .withMessage('Comment contains invalid characters')
     ];
   }
   
+  /**
+   * Validation rules for adding or removing a "me too" vote
+   */
+  static supportIssue() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID')
+    ];
+  }
+  
+  /**
+   * Validation rules for merging duplicate issues into a canonical issue
+   */
+  static mergeIssues() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      body('duplicate_ids')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('duplicate_ids must be an array of 1 to 20 issue IDs'),
+      
+      body('duplicate_ids.*')
+        .isUUID()
+        .withMessage('Each duplicate issue ID must be a valid UUID'),
+      
+      body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Comment must not exceed 1000 characters')
+    ];
+  }
+  
+  /**
+   * Validation rules for assigning an issue to a department and/or authority user
+   */
+  static assignIssue() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Issue ID must be a valid UUID'),
+      
+      body()
+        .custom((value) => {
+          if (value.department_id === undefined && value.assignee_id === undefined) {
+            throw new Error('department_id or assignee_id is required');
+          }
+          return true;
+        }),
+      
+      body('department_id')
+        .optional({ values: 'null' })
+        .isUUID()
+        .withMessage('Department ID must be a valid UUID or null'),
+      
+      body('assignee_id')
+        .optional({ values: 'null' })
+        .isUUID()
+        .withMessage('Assignee ID must be a valid UUID or null'),
+      
+      body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Comment must not exceed 1000 characters')
+    ];
+  }
+  
+  /**
+   * Validation rules for the work queue of authority users
+   */
+  static getAssignmentQueue() {
+    return [
+      query('sort')
+        .optional()
+        .isIn(['age', 'distance'])
+        .withMessage('Sort must be one of: age, distance'),
+      
+      // A location is only needed to sort by distance
+      query('userLat')
+        .if(query('sort').equals('distance'))
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('User latitude must be a valid number between -90 and 90'),
+      
+      query('userLng')
+        .if(query('sort').equals('distance'))
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('User longitude must be a valid number between -180 and 180'),
+      
+      this.statusFilter(),
+      
+      this.categoryFilter(),
+      
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be an integer between 1 and 100'),
+      
+      query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be a non-negative integer')
+    ];
+  }
+  
   /**
    * Validation rules for user location parameters (used in multiple endpoints)
    */
@@ -221,7 +475,7 @@ class IssueValidation {
    */
   static sanitizeInput(req, res, next) {
     // Sanitize string fields
-    const stringFields = ['title', 'description', 'address', 'comment'];
+    const stringFields = ['title', 'description', 'address', 'comment', 'body'];
     
     stringFields.forEach(field => {
       if (req.body[field] && typeof req.body[field] === 'string') {
@@ -246,6 +500,15 @@ class IssueValidation {
       }
     });
     
+    // Multipart forms send the custom field answers as a JSON string
+    if (typeof req.body.custom_fields === 'string') {
+      try {
+        req.body.custom_fields = JSON.parse(req.body.custom_fields);
+      } catch (error) {
+        req.body.custom_fields = null;
+      }
+    }
+    
     // Ensure boolean fields are properly typed
     if (req.body.isAnonymous !== undefined) {
       req.body.isAnonymous = req.body.isAnonymous === true || req.body.isAnonymous === 'true';
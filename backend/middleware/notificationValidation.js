@@ -0,0 +1,79 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Validation middleware for notification operations
+ */
+class NotificationValidation {
+
+  /**
+   * Validate get notifications query
+   */
+  static getNotifications() {
+    return [
+      query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('Unread must be a boolean value'),
+
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+      query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be a non-negative integer')
+    ];
+  }
+
+  /**
+   * Validate mark notification as read request
+   */
+  static markAsRead() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Notification ID must be a valid UUID')
+    ];
+  }
+
+  /**
+   * Validate push subscription request (browser PushSubscription JSON)
+   */
+  static createSubscription() {
+    return [
+      body('endpoint')
+        .isURL({ protocols: ['https'], require_tld: false })
+        .withMessage('Endpoint must be a valid HTTPS URL'),
+
+      body('expirationTime')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Expiration time must be a timestamp in milliseconds'),
+
+      body('keys.p256dh')
+        .isString()
+        .notEmpty()
+        .withMessage('Subscription key p256dh is required'),
+
+      body('keys.auth')
+        .isString()
+        .notEmpty()
+        .withMessage('Subscription key auth is required')
+    ];
+  }
+
+  /**
+   * Validate push unsubscribe request
+   */
+  static deleteSubscription() {
+    return [
+      body('endpoint')
+        .isURL({ protocols: ['https'], require_tld: false })
+        .withMessage('Endpoint must be a valid HTTPS URL')
+    ];
+  }
+}
+
+module.exports = NotificationValidation;
@@ -0,0 +1,129 @@
+const { body, param, query } = require('express-validator');
+const GeospatialUtils = require('../utils/geospatial');
+const CategoryValidation = require('./categoryValidation');
+
+/**
+ * Validation middleware for routing rule endpoints
+ */
+class RoutingValidation {
+
+  /**
+   * Validate routing rule creation
+   */
+  static createRule() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+      body('category')
+        .custom(CategoryValidation.isKnownCategory({ includeInactive: true })),
+
+      body('department_id')
+        .isUUID()
+        .withMessage('Department ID must be a valid UUID'),
+
+      ...this.ruleOptions()
+    ];
+  }
+
+  /**
+   * Validate routing rule update
+   */
+  static updateRule() {
+    return [
+      this.ruleId(),
+
+      body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+      body('category')
+        .optional()
+        .custom(CategoryValidation.isKnownCategory({ includeInactive: true })),
+
+      body('department_id')
+        .optional()
+        .isUUID()
+        .withMessage('Department ID must be a valid UUID'),
+
+      ...this.ruleOptions()
+    ];
+  }
+
+  /**
+   * Optional fields shared by rule creation and update
+   */
+  static ruleOptions() {
+    return [
+      body('zone')
+        .optional({ values: 'null' })
+        .custom((value) => {
+          if (!GeospatialUtils.parseZone(value)) {
+            throw new Error('Zone must be a GeoJSON Polygon or MultiPolygon with [lng, lat] positions');
+          }
+          return true;
+        }),
+
+      body('priority')
+        .optional()
+        .isInt({ min: -1000, max: 1000 })
+        .withMessage('Priority must be an integer between -1000 and 1000')
+        .toInt(),
+
+      body('is_active')
+        .optional()
+        .isBoolean()
+        .withMessage('is_active must be a boolean')
+        .toBoolean()
+    ];
+  }
+
+  /**
+   * Validate routing rule ID parameter
+   */
+  static ruleId() {
+    return param('id')
+      .isUUID()
+      .withMessage('Routing rule ID must be a valid UUID');
+  }
+
+  /**
+   * Validate routing rule listing filters
+   */
+  static getRules() {
+    return [
+      query('category')
+        .optional()
+        .custom(CategoryValidation.isKnownCategory({ includeInactive: true })),
+
+      query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be a boolean')
+    ];
+  }
+
+  /**
+   * Validate the "which rule would match" dry run
+   */
+  static dryRun() {
+    return [
+      query('lat')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be a valid number between -90 and 90'),
+
+      query('lng')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be a valid number between -180 and 180'),
+
+      query('category')
+        .custom(CategoryValidation.isKnownCategory())
+    ];
+  }
+}
+
+module.exports = RoutingValidation;
@@ -0,0 +1,40 @@
+const { body, param } = require('express-validator');
+const CategoryValidation = require('./categoryValidation');
+
+// One year, longer targets are almost certainly typos
+const MAX_TARGET_HOURS = 8760;
+
+/**
+ * Validation middleware for SLA target endpoints
+ */
+class SlaValidation {
+
+  /**
+   * Validate setting the SLA target of a category
+   */
+  static upsertTarget() {
+    return [
+      this.category(),
+
+      body('response_hours')
+        .isInt({ min: 1, max: MAX_TARGET_HOURS })
+        .withMessage(`Response hours must be an integer between 1 and ${MAX_TARGET_HOURS}`)
+        .toInt(),
+
+      body('resolution_hours')
+        .isInt({ min: 1, max: MAX_TARGET_HOURS })
+        .withMessage(`Resolution hours must be an integer between 1 and ${MAX_TARGET_HOURS}`)
+        .toInt()
+    ];
+  }
+
+  /**
+   * Validate the category route parameter
+   */
+  static category() {
+    return param('category')
+      .custom(CategoryValidation.isKnownCategory({ includeInactive: true }));
+  }
+}
+
+module.exports = SlaValidation;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('push_subscriptions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      session_token: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      endpoint: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      p256dh_key: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      auth_key: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      user_agent: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      last_sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('push_subscriptions', ['user_id']);
+    await queryInterface.addIndex('push_subscriptions', ['session_token']);
+    await queryInterface.addIndex('push_subscriptions', ['expires_at']);
+
+    // One row per browser and recipient
+    await queryInterface.addConstraint('push_subscriptions', {
+      fields: ['endpoint', 'user_id'],
+      type: 'unique',
+      name: 'unique_user_push_endpoint'
+    });
+
+    await queryInterface.addConstraint('push_subscriptions', {
+      fields: ['endpoint', 'session_token'],
+      type: 'unique',
+      name: 'unique_session_push_endpoint'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('push_subscriptions');
+  }
+};
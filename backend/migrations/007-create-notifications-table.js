@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('notifications', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      session_token: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      issue_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'issues',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      read_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('notifications', ['user_id', 'read_at']);
+    await queryInterface.addIndex('notifications', ['session_token']);
+    await queryInterface.addIndex('notifications', ['issue_id']);
+    await queryInterface.addIndex('notifications', ['created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('notifications');
+  }
+};
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+
+const ADMIN_ACTIONS = ['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'bulk_action'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Duplicates point to the canonical issue they were merged into
+    await queryInterface.addColumn('issues', 'merged_into_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'issues',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('issues', 'merged_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('issues', ['merged_into_id']);
+
+    // Reporters of merged duplicates, so they keep getting updates on the canonical issue
+    await queryInterface.createTable('issue_reporters', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      issue_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'issues',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      session_token: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      source_issue_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'issues',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('issue_reporters', ['issue_id']);
+    await queryInterface.addIndex('issue_reporters', ['user_id']);
+    await queryInterface.addIndex('issue_reporters', ['session_token']);
+
+    // Allow merges in the audit log
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: [...ADMIN_ACTIONS, 'issue_merge']
+        }
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: ADMIN_ACTIONS
+        }
+      }
+    });
+
+    await queryInterface.dropTable('issue_reporters');
+    await queryInterface.removeIndex('issues', ['merged_into_id']);
+    await queryInterface.removeColumn('issues', 'merged_at');
+    await queryInterface.removeColumn('issues', 'merged_into_id');
+  }
+};
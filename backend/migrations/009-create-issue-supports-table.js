@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('issue_supports', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      issue_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'issues',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      supported_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      supporter_session: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // One vote per user or anonymous session and issue
+    await queryInterface.addIndex('issue_supports', ['issue_id', 'supported_by'], { unique: true });
+    await queryInterface.addIndex('issue_supports', ['issue_id', 'supporter_session'], { unique: true });
+    await queryInterface.addIndex('issue_supports', ['supported_by']);
+
+    // Denormalized like flag_count so lists can be sorted by it
+    await queryInterface.addColumn('issues', 'support_count', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addIndex('issues', ['support_count']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('issues', ['support_count']);
+    await queryInterface.removeColumn('issues', 'support_count');
+    await queryInterface.dropTable('issue_supports');
+  }
+};
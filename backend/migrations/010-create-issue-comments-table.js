@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('issue_comments', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      issue_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'issues',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      author_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      author_session: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      is_hidden: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      flag_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('issue_comments', ['issue_id', 'created_at']);
+    await queryInterface.addIndex('issue_comments', ['author_id']);
+    await queryInterface.addIndex('issue_comments', ['is_hidden']);
+
+    await queryInterface.createTable('comment_flags', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      comment_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'issue_comments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      flagged_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      flagger_session: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      flag_type: {
+        type: DataTypes.ENUM('spam', 'inappropriate', 'irrelevant', 'other'),
+        defaultValue: 'spam',
+        allowNull: false
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('comment_flags', ['comment_id']);
+    await queryInterface.addIndex('comment_flags', ['flagged_by']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('comment_flags');
+    await queryInterface.dropTable('issue_comments');
+  }
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('departments', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // Authority users belong to the department they work for
+    await queryInterface.addColumn('users', 'department_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'departments',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('users', ['department_id']);
+
+    // Who owns an issue
+    await queryInterface.addColumn('issues', 'assigned_department_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'departments',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('issues', 'assignee_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('issues', 'assigned_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('issues', ['assigned_department_id']);
+    await queryInterface.addIndex('issues', ['assignee_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('issues', ['assignee_id']);
+    await queryInterface.removeIndex('issues', ['assigned_department_id']);
+    await queryInterface.removeColumn('issues', 'assigned_at');
+    await queryInterface.removeColumn('issues', 'assignee_id');
+    await queryInterface.removeColumn('issues', 'assigned_department_id');
+    await queryInterface.removeIndex('users', ['department_id']);
+    await queryInterface.removeColumn('users', 'department_id');
+    await queryInterface.dropTable('departments');
+  }
+};
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+
+const ADMIN_ACTIONS = ['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'bulk_action'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('routing_rules', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      category: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      // GeoJSON Polygon or MultiPolygon, null matches everywhere
+      zone: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      department_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'departments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('routing_rules', ['category', 'is_active']);
+    await queryInterface.addIndex('routing_rules', ['department_id']);
+
+    // Automatic routing writes history entries without a user
+    await queryInterface.changeColumn('status_history', 'updated_by', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    });
+
+    // Allow routing rule changes in the audit log
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: [...ADMIN_ACTIONS, 'routing_rule_change']
+        }
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: ADMIN_ACTIONS
+        }
+      }
+    });
+
+    await queryInterface.sequelize.query('DELETE FROM status_history WHERE updated_by IS NULL');
+    await queryInterface.changeColumn('status_history', 'updated_by', {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.dropTable('routing_rules');
+  }
+};
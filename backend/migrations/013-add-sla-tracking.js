@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+
+const ADMIN_ACTIONS = ['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'routing_rule_change', 'bulk_action'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Response and resolution targets per issue category
+    await queryInterface.createTable('sla_targets', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      category: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      response_hours: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      resolution_hours: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      updated_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // Department heads are notified when their issues breach an SLA
+    await queryInterface.addColumn('departments', 'head_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    // Set by the escalation job, each breach is escalated once
+    await queryInterface.addColumn('issues', 'is_overdue', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('issues', 'response_breached_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('issues', 'resolution_breached_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('issues', ['is_overdue']);
+
+    // Allow SLA target changes in the audit log
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: [...ADMIN_ACTIONS, 'sla_target_change']
+        }
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: ADMIN_ACTIONS
+        }
+      }
+    });
+
+    await queryInterface.removeIndex('issues', ['is_overdue']);
+    await queryInterface.removeColumn('issues', 'resolution_breached_at');
+    await queryInterface.removeColumn('issues', 'response_breached_at');
+    await queryInterface.removeColumn('issues', 'is_overdue');
+    await queryInterface.removeColumn('departments', 'head_id');
+    await queryInterface.dropTable('sla_targets');
+  }
+};
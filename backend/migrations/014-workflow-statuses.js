@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+// Statuses that did not exist before the configurable workflow, mapped to their closest old status
+const LEGACY_STATUS_MAP = {
+  acknowledged: 'reported',
+  reopened: 'reported',
+  rejected: 'resolved',
+  duplicate: 'resolved',
+  closed: 'resolved'
+};
+
+const STATUS_COLUMNS = [
+  ['issues', 'status'],
+  ['status_history', 'previous_status'],
+  ['status_history', 'new_status']
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Statuses are defined in config/workflow.json, so the columns hold plain strings
+    await queryInterface.sequelize.query('ALTER TABLE issues ALTER COLUMN status DROP DEFAULT');
+
+    for (const [table, column] of STATUS_COLUMNS) {
+      await queryInterface.sequelize.query(
+        `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE VARCHAR(30) USING ${column}::text`
+      );
+    }
+
+    await queryInterface.sequelize.query("ALTER TABLE issues ALTER COLUMN status SET DEFAULT 'reported'");
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_issues_status"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_status_history_previous_status"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_status_history_new_status"');
+
+    await queryInterface.addColumn('status_history', 'reason', {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('status_history', 'reason');
+
+    for (const [table, column] of STATUS_COLUMNS) {
+      for (const [status, legacyStatus] of Object.entries(LEGACY_STATUS_MAP)) {
+        await queryInterface.sequelize.query(
+          `UPDATE ${table} SET ${column} = '${legacyStatus}' WHERE ${column} = '${status}'`
+        );
+      }
+    }
+
+    await queryInterface.sequelize.query('ALTER TABLE issues ALTER COLUMN status DROP DEFAULT');
+
+    for (const [table, column] of STATUS_COLUMNS) {
+      const enumName = `enum_${table}_${column}`;
+
+      await queryInterface.sequelize.query(
+        `CREATE TYPE "${enumName}" AS ENUM ('reported', 'in_progress', 'resolved')`
+      );
+      await queryInterface.sequelize.query(
+        `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE "${enumName}" USING ${column}::"${enumName}"`
+      );
+    }
+
+    await queryInterface.sequelize.query("ALTER TABLE issues ALTER COLUMN status SET DEFAULT 'reported'");
+  }
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // "After" photos attached by authorities to a status change, such as proof of a repair
+    await queryInterface.addColumn('status_history', 'photos', {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('status_history', 'photos');
+  }
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Status changes made by the reporter when confirming or reopening a resolved issue
+    await queryInterface.addColumn('status_history', 'is_reporter_action', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('status_history', 'is_reporter_action');
+  }
+};
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+const ADMIN_ACTIONS = ['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'routing_rule_change', 'sla_target_change', 'bulk_action'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('boundaries', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      kind: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'jurisdiction'
+      },
+      // GeoJSON Polygon or MultiPolygon
+      geometry: {
+        type: DataTypes.JSONB,
+        allowNull: false
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('boundaries', ['kind', 'is_active']);
+
+    // Ward or jurisdiction the issue was reported in
+    await queryInterface.addColumn('issues', 'boundary_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'boundaries',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('issues', ['boundary_id']);
+
+    // Allow boundary changes in the audit log
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: [...ADMIN_ACTIONS, 'boundary_change']
+        }
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: ADMIN_ACTIONS
+        }
+      }
+    });
+
+    await queryInterface.removeIndex('issues', ['boundary_id']);
+    await queryInterface.removeColumn('issues', 'boundary_id');
+    await queryInterface.dropTable('boundaries');
+  }
+};
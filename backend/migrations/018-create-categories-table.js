@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+const ADMIN_ACTIONS = ['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'routing_rule_change', 'sla_target_change', 'boundary_change', 'bulk_action'];
+
+const LEGACY_CATEGORIES = ['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'];
+
+// The categories that used to be hardcoded, plus the examples the admin screens start from
+const DEFAULT_CATEGORIES = [
+  {
+    key: 'roads',
+    label: 'Roads',
+    icon: '🚧',
+    color: '#dc2626',
+    subcategories: [
+      { key: 'pothole', label: 'Pothole' },
+      { key: 'faded_markings', label: 'Faded markings' }
+    ]
+  },
+  {
+    key: 'lighting',
+    label: 'Lighting',
+    icon: '💡',
+    color: '#f59e0b',
+    custom_fields: [
+      { key: 'pole_number', label: 'Pole number', type: 'text', required: false }
+    ]
+  },
+  { key: 'water', label: 'Water Supply', icon: '💧', color: '#2563eb' },
+  { key: 'cleanliness', label: 'Cleanliness', icon: '🗑️', color: '#16a34a' },
+  { key: 'safety', label: 'Public Safety', icon: '🚨', color: '#7c3aed' },
+  { key: 'obstructions', label: 'Obstructions', icon: '⛔', color: '#db2777' }
+];
+
+const buildRows = () => {
+  const now = new Date();
+  const row = (category, sortOrder, parentId = null) => ({
+    id: crypto.randomUUID(),
+    key: category.key,
+    label: category.label,
+    description: null,
+    icon: category.icon || null,
+    color: category.color || null,
+    parent_id: parentId,
+    custom_fields: JSON.stringify(category.custom_fields || []),
+    sort_order: sortOrder,
+    is_active: true,
+    created_at: now,
+    updated_at: now
+  });
+
+  return DEFAULT_CATEGORIES.flatMap((category, index) => {
+    const parent = row(category, index);
+    return [parent, ...(category.subcategories || []).map((subcategory, subIndex) => row(subcategory, subIndex, parent.id))];
+  });
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('categories', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      key: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      label: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      icon: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      color: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      parent_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      // Custom field schema, see models/Category.js
+      custom_fields: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      sort_order: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('categories', ['parent_id']);
+    await queryInterface.addIndex('categories', ['is_active']);
+
+    await queryInterface.bulkInsert('categories', buildRows());
+
+    // Categories are rows now, so the column holds plain keys
+    await queryInterface.sequelize.query(
+      'ALTER TABLE issues ALTER COLUMN category TYPE VARCHAR(50) USING category::text'
+    );
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_issues_category"');
+
+    await queryInterface.addColumn('issues', 'subcategory', {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    });
+
+    // Answers to the category's custom fields
+    await queryInterface.addColumn('issues', 'custom_fields', {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    // Allow category changes in the audit log
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: [...ADMIN_ACTIONS, 'category_change']
+        }
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Issues of categories added since cannot be represented by the old enum
+    const legacyList = LEGACY_CATEGORIES.map(category => `'${category}'`).join(', ');
+    const [[{ count }]] = await queryInterface.sequelize.query(
+      `SELECT COUNT(*) AS count FROM issues WHERE category NOT IN (${legacyList})`
+    );
+    if (parseInt(count) > 0) {
+      throw new Error(`${count} issues use categories added after this migration, recategorize them first`);
+    }
+
+    await queryInterface.removeConstraint('admin_logs', 'admin_logs_action_check');
+    await queryInterface.addConstraint('admin_logs', {
+      fields: ['action'],
+      type: 'check',
+      name: 'admin_logs_action_check',
+      where: {
+        action: {
+          [Sequelize.Op.in]: ADMIN_ACTIONS
+        }
+      }
+    });
+
+    await queryInterface.removeColumn('issues', 'custom_fields');
+    await queryInterface.removeColumn('issues', 'subcategory');
+
+    await queryInterface.sequelize.query(`CREATE TYPE "enum_issues_category" AS ENUM (${legacyList})`);
+    await queryInterface.sequelize.query(
+      'ALTER TABLE issues ALTER COLUMN category TYPE "enum_issues_category" USING category::"enum_issues_category"'
+    );
+
+    await queryInterface.dropTable('categories');
+  }
+};
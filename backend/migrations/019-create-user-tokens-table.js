@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Single-use tokens emailed to users, stored as SHA-256 hashes
+    await queryInterface.createTable('user_tokens', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      purpose: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('user_tokens', ['user_id', 'purpose']);
+    await queryInterface.addIndex('user_tokens', ['expires_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('user_tokens');
+  }
+};
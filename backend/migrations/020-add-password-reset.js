@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Password reset tokens live in user_tokens with purpose 'password_reset';
+    // sessions issued before the last reset are rejected using this timestamp
+    await queryInterface.addColumn('users', 'password_changed_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'password_changed_at');
+  }
+};
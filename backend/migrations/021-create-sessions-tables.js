@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // One row per login; access tokens name their session so it can be revoked
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id']);
+    await queryInterface.addIndex('user_sessions', ['expires_at']);
+
+    // Rotating refresh tokens, stored as SHA-256 hashes
+    await queryInterface.createTable('refresh_tokens', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      session_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['session_id']);
+
+    // Tokens issued before a ban stay invalid after an unban
+    await queryInterface.addColumn('users', 'banned_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'banned_at');
+    await queryInterface.dropTable('refresh_tokens');
+    await queryInterface.dropTable('user_sessions');
+  }
+};
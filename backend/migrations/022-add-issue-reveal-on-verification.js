@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Claimed anonymous reports that go public under the reporter's name once their email is verified
+    await queryInterface.addColumn('issues', 'reveal_reporter_on_verification', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('issues', 'reveal_reporter_on_verification');
+  }
+};
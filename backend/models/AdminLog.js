@@ -23,7 +23,7 @@ const AdminLog = sequelize.define('AdminLog', {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      isIn: [['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'bulk_action']]
+      isIn: [['flag_review', 'user_ban', 'user_unban', 'issue_delete', 'issue_merge', 'routing_rule_change', 'sla_target_change', 'boundary_change', 'category_change', 'bulk_action']]
     }
   },
   target_type: {
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Boundary Model - Admin-uploaded jurisdiction and ward boundaries
+ * Issues can only be reported inside an active boundary once at least one exists.
+ */
+const Boundary = sequelize.define('Boundary', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  // A jurisdiction is the whole service area, wards subdivide it
+  kind: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'jurisdiction',
+    validate: {
+      isIn: [['jurisdiction', 'ward']]
+    }
+  },
+  // GeoJSON Polygon or MultiPolygon geometry
+  geometry: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'boundaries',
+  indexes: [
+    {
+      fields: ['kind', 'is_active']
+    }
+  ]
+});
+
+module.exports = Boundary;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Category Model - Admin-managed issue categories
+ * Top-level categories can have one level of subcategories (roads -> pothole) and a schema of
+ * custom fields reporters fill in (lighting -> pole number).
+ */
+const Category = sequelize.define('Category', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Stored on issues, routing rules and SLA targets, so it cannot change after creation
+  key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-z0-9_]*$/
+    }
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  icon: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Hex color used on the map, e.g. #dc2626
+  color: {
+    type: DataTypes.STRING(7),
+    allowNull: true,
+    validate: {
+      is: /^#[0-9a-fA-F]{6}$/
+    }
+  },
+  // Null for top-level categories
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  // [{ key, label, type: text|number|boolean|select, required, options? }]
+  custom_fields: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Inactive categories cannot be chosen for new issues but still label existing ones
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'categories',
+  indexes: [
+    {
+      fields: ['parent_id']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+module.exports = Category;
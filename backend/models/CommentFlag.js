@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * CommentFlag Model - Reports of inappropriate issue comments
+ */
+const CommentFlag = sequelize.define('CommentFlag', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  comment_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'issue_comments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  flagged_by: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous flaggers
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // For anonymous flagging session tracking
+  flagger_session: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [3, 500]
+    }
+  },
+  flag_type: {
+    type: DataTypes.ENUM('spam', 'inappropriate', 'irrelevant', 'other'),
+    defaultValue: 'spam',
+    allowNull: false
+  }
+}, {
+  tableName: 'comment_flags',
+  indexes: [
+    {
+      fields: ['comment_id']
+    },
+    {
+      fields: ['flagged_by']
+    }
+  ]
+});
+
+module.exports = CommentFlag;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Department Model - City departments that issues can be assigned to
+ * Authority users belong to at most one department.
+ */
+const Department = sequelize.define('Department', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Notified when issues of the department breach their SLA
+  head_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'departments',
+  indexes: [
+    {
+      fields: ['name']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+module.exports = Department;
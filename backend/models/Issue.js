@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const WorkflowService = require('../services/workflowService');
 
 const Issue = sequelize.define('Issue', {
   id: {
@@ -21,14 +22,28 @@ const Issue = sequelize.define('Issue', {
       len: [10, 2000]
     }
   },
+  // Key of a top-level category from the categories table
   category: {
-    type: DataTypes.ENUM('roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'),
+    type: DataTypes.STRING(50),
     allowNull: false
   },
+  subcategory: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Answers to the custom fields of the category, keyed by field key
+  custom_fields: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Statuses come from the workflow definition in config/workflow.json
   status: {
-    type: DataTypes.ENUM('reported', 'in_progress', 'resolved'),
-    defaultValue: 'reported',
-    allowNull: false
+    type: DataTypes.STRING(30),
+    defaultValue: WorkflowService.getInitialStatus(),
+    allowNull: false,
+    validate: {
+      isIn: [WorkflowService.getStatusKeys()]
+    }
   },
   // PostGIS geometry field for location
   location: {
@@ -79,6 +94,12 @@ const Issue = sequelize.define('Issue', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Claimed anonymous report to show under the reporter's name once they verify their email
+  reveal_reporter_on_verification: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   is_hidden: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -90,10 +111,74 @@ const Issue = sequelize.define('Issue', {
       min: 0
     }
   },
+  // Number of "me too" votes
+  support_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
   // For anonymous reporting session tracking
   reporter_session: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // Canonical issue this duplicate was merged into
+  merged_into_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'issues',
+      key: 'id'
+    }
+  },
+  merged_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Department and authority user responsible for the issue
+  assigned_department_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    }
+  },
+  assignee_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  assigned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Ward or jurisdiction boundary the issue was reported in
+  boundary_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'boundaries',
+      key: 'id'
+    }
+  },
+  // Breached a response or resolution SLA and is not resolved yet
+  is_overdue: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  response_breached_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolution_breached_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'issues',
@@ -113,6 +198,24 @@ const Issue = sequelize.define('Issue', {
     {
       fields: ['created_at']
     },
+    {
+      fields: ['merged_into_id']
+    },
+    {
+      fields: ['support_count']
+    },
+    {
+      fields: ['assigned_department_id']
+    },
+    {
+      fields: ['assignee_id']
+    },
+    {
+      fields: ['is_overdue']
+    },
+    {
+      fields: ['boundary_id']
+    },
     // Spatial index for location-based queries
     {
       name: 'issues_location_gist',
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * IssueComment Model - Public comments adding information to an issue
+ */
+const IssueComment = sequelize.define('IssueComment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  issue_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'issues',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  author_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous comments
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // For anonymous commenting session tracking
+  author_session: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 1000]
+    }
+  },
+  is_hidden: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  flag_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'issue_comments',
+  indexes: [
+    {
+      fields: ['issue_id', 'created_at']
+    },
+    {
+      fields: ['author_id']
+    },
+    {
+      fields: ['is_hidden']
+    }
+  ],
+  validate: {
+    // A comment is written by either a user or an anonymous session
+    hasAuthor() {
+      if (!this.author_id && !this.author_session) {
+        throw new Error('Comment needs a user or a session token');
+      }
+    }
+  }
+});
+
+module.exports = IssueComment;
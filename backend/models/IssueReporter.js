@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * IssueReporter Model - Additional reporters of an issue, carried over from merged duplicates
+ * The original reporter stays on the issue itself (reporter_id / reporter_session).
+ */
+const IssueReporter = sequelize.define('IssueReporter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  issue_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'issues',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous reporters
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // For anonymous reporters, matches issues.reporter_session of the duplicate
+  session_token: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Duplicate issue the reporter originally filed
+  source_issue_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'issues',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'issue_reporters',
+  indexes: [
+    {
+      fields: ['issue_id']
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['session_token']
+    }
+  ],
+  validate: {
+    // A reporter is either a user or an anonymous session
+    hasRecipient() {
+      if (!this.user_id && !this.session_token) {
+        throw new Error('Issue reporter needs a user or a session token');
+      }
+    }
+  }
+});
+
+module.exports = IssueReporter;
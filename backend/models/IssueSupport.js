@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * IssueSupport Model - "Me too" votes of citizens affected by an issue
+ * Each verified user or anonymous session has one vote per issue.
+ */
+const IssueSupport = sequelize.define('IssueSupport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  issue_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'issues',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  supported_by: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous supporters
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // For anonymous supporter session tracking
+  supporter_session: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'issue_supports',
+  indexes: [
+    {
+      unique: true,
+      fields: ['issue_id', 'supported_by']
+    },
+    {
+      unique: true,
+      fields: ['issue_id', 'supporter_session']
+    },
+    {
+      fields: ['supported_by']
+    }
+  ],
+  validate: {
+    // A vote belongs to either a user or an anonymous session
+    hasSupporter() {
+      if (!this.supported_by && !this.supporter_session) {
+        throw new Error('Issue support needs a user or a session token');
+      }
+    }
+  }
+});
+
+module.exports = IssueSupport;
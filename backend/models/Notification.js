@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Notification Model - In-app notification inbox of users and anonymous sessions
+ */
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous sessions
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // For anonymous reporters, matches issues.reporter_session
+  session_token: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  issue_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'issues',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['status_change', 'flagged_content', 'issue_merged', 'sla_overdue', 'issue_reopened']]
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 255]
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Type-specific details, e.g. previous and new status
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  indexes: [
+    {
+      fields: ['user_id', 'read_at']
+    },
+    {
+      fields: ['session_token']
+    },
+    {
+      fields: ['issue_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = Notification;
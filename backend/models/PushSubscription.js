@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PushSubscription Model - Browser Web Push subscriptions of users and anonymous sessions
+ */
+const PushSubscription = sequelize.define('PushSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for anonymous sessions
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // For anonymous reporters, matches issues.reporter_session
+  session_token: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  endpoint: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      isUrl: true
+    }
+  },
+  p256dh_key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  auth_key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Expiration announced by the browser (PushSubscription.expirationTime)
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  last_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'push_subscriptions',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['session_token']
+    },
+    {
+      fields: ['expires_at']
+    },
+    // One row per browser and recipient
+    {
+      unique: true,
+      fields: ['endpoint', 'user_id'],
+      name: 'unique_user_push_endpoint'
+    },
+    {
+      unique: true,
+      fields: ['endpoint', 'session_token'],
+      name: 'unique_session_push_endpoint'
+    }
+  ]
+});
+
+module.exports = PushSubscription;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RefreshToken Model - Refresh tokens of a session, stored as SHA-256 hashes
+ * Each token is exchanged once for a new pair; a used token presented again ends the session.
+ */
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'user_sessions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Set when the token is exchanged for a new one
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  indexes: [
+    {
+      fields: ['session_id']
+    }
+  ]
+});
+
+module.exports = RefreshToken;
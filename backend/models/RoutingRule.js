@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RoutingRule Model - Admin-defined rules that route new issues to a department
+ * A rule matches on category and, optionally, on a GeoJSON zone the issue lies in.
+ */
+const RoutingRule = sequelize.define('RoutingRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // GeoJSON Polygon or MultiPolygon geometry, null matches everywhere
+  zone: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  department_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Higher priority rules win when several rules match
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'routing_rules',
+  indexes: [
+    {
+      fields: ['category', 'is_active']
+    },
+    {
+      fields: ['department_id']
+    }
+  ]
+});
+
+module.exports = RoutingRule;
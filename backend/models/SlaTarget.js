@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * SlaTarget Model - Response and resolution targets for an issue category
+ * Response is the first status change away from "reported", resolution the change to a closed status.
+ */
+const SlaTarget = sequelize.define('SlaTarget', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  // Hours from creation until an authority must acknowledge the issue
+  response_hours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  // Hours from creation until the issue must be resolved
+  resolution_hours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'sla_targets',
+  indexes: [
+    {
+      unique: true,
+      fields: ['category']
+    }
+  ]
+});
+
+module.exports = SlaTarget;
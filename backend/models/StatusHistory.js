@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const WorkflowService = require('../services/workflowService');
 
 const StatusHistory = sequelize.define('StatusHistory', {
   id: {
@@ -17,12 +18,23 @@ const StatusHistory = sequelize.define('StatusHistory', {
     onDelete: 'CASCADE'
   },
   previous_status: {
-    type: DataTypes.ENUM('reported', 'in_progress', 'resolved'),
-    allowNull: true // null for initial status
+    type: DataTypes.STRING(30),
+    allowNull: true, // null for initial status
+    validate: {
+      isIn: [WorkflowService.getStatusKeys()]
+    }
   },
   new_status: {
-    type: DataTypes.ENUM('reported', 'in_progress', 'resolved'),
-    allowNull: false
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [WorkflowService.getStatusKeys()]
+    }
+  },
+  // Reason key for transitions that require one, such as rejections
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
   },
   comment: {
     type: DataTypes.TEXT,
@@ -31,14 +43,33 @@ const StatusHistory = sequelize.define('StatusHistory', {
       len: [0, 1000]
     }
   },
+  // "After" photos uploaded with the change, kept apart from the reporter's issue photos
+  photos: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      maxPhotos(value) {
+        if (value && Array.isArray(value) && value.length > 3) {
+          throw new Error('Maximum 3 photos allowed per status update');
+        }
+      }
+    }
+  },
   updated_by: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // null for automatic entries such as routing
     references: {
       model: 'users',
       key: 'id'
     }
   },
+  // Made by the reporter confirming or reopening a fix, updated_by is null for anonymous reporters
+  is_reporter_action: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   updated_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -32,14 +32,33 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Set when the user is banned; tokens issued before this moment stay invalid after an unban
+  banned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   last_active_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   },
+  // Set when the password is reset; tokens issued before this moment are no longer accepted
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   // Anonymous user session tracking
   session_token: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // Department an authority user works for
+  department_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'users',
@@ -55,6 +74,9 @@ const User = sequelize.define('User', {
     },
     {
       fields: ['session_token']
+    },
+    {
+      fields: ['department_id']
     }
   ]
 });
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * UserSession Model - One login of a registered user on one device
+ * Access tokens carry the session ID, so revoking the session ends them before they expire.
+ */
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Expiry of the current refresh token; moves forward on every refresh
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    validate: {
+      isIn: [['logout', 'user', 'refresh_token_reuse', 'password_reset', 'ban']]
+    }
+  }
+}, {
+  tableName: 'user_sessions',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = UserSession;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * UserToken Model - Single-use tokens emailed to users, to verify their email address or reset their password
+ * Only a SHA-256 hash of the token is stored; the token itself exists only in the email.
+ */
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  purpose: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [['email_verification', 'password_reset']]
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Set when the token is redeemed, so it cannot be used twice
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_tokens',
+  indexes: [
+    {
+      fields: ['user_id', 'purpose']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = UserToken;
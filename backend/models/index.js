@@ -4,6 +4,20 @@ const Issue = require('./Issue');
 const StatusHistory = require('./StatusHistory');
 const Flag = require('./Flag');
 const AdminLog = require('./AdminLog');
+const PushSubscription = require('./PushSubscription');
+const Notification = require('./Notification');
+const IssueReporter = require('./IssueReporter');
+const IssueSupport = require('./IssueSupport');
+const IssueComment = require('./IssueComment');
+const CommentFlag = require('./CommentFlag');
+const Department = require('./Department');
+const RoutingRule = require('./RoutingRule');
+const SlaTarget = require('./SlaTarget');
+const Boundary = require('./Boundary');
+const Category = require('./Category');
+const UserToken = require('./UserToken');
+const UserSession = require('./UserSession');
+const RefreshToken = require('./RefreshToken');
 
 // Define model associations
 const defineAssociations = () => {
@@ -51,6 +65,24 @@ const defineAssociations = () => {
     onDelete: 'CASCADE'
   });
 
+  // Merged duplicates point to their canonical issue
+  Issue.belongsTo(Issue, { 
+    foreignKey: 'merged_into_id', 
+    as: 'mergedInto',
+    allowNull: true
+  });
+  
+  Issue.hasMany(Issue, { 
+    foreignKey: 'merged_into_id', 
+    as: 'mergedIssues'
+  });
+  
+  Issue.hasMany(IssueReporter, { 
+    foreignKey: 'issue_id', 
+    as: 'linkedReporters',
+    onDelete: 'CASCADE'
+  });
+
   // StatusHistory associations
   StatusHistory.belongsTo(Issue, { 
     foreignKey: 'issue_id', 
@@ -91,6 +123,237 @@ const defineAssociations = () => {
     as: 'adminLogs',
     onDelete: 'CASCADE'
   });
+
+  // PushSubscription associations
+  PushSubscription.belongsTo(User, { 
+    foreignKey: 'user_id', 
+    as: 'user',
+    allowNull: true
+  });
+  
+  User.hasMany(PushSubscription, { 
+    foreignKey: 'user_id', 
+    as: 'pushSubscriptions',
+    onDelete: 'CASCADE'
+  });
+
+  // UserToken associations
+  UserToken.belongsTo(User, { 
+    foreignKey: 'user_id', 
+    as: 'user'
+  });
+  
+  User.hasMany(UserToken, { 
+    foreignKey: 'user_id', 
+    as: 'tokens',
+    onDelete: 'CASCADE'
+  });
+
+  // UserSession associations
+  UserSession.belongsTo(User, { 
+    foreignKey: 'user_id', 
+    as: 'user'
+  });
+  
+  User.hasMany(UserSession, { 
+    foreignKey: 'user_id', 
+    as: 'sessions',
+    onDelete: 'CASCADE'
+  });
+  
+  RefreshToken.belongsTo(UserSession, { 
+    foreignKey: 'session_id', 
+    as: 'session'
+  });
+  
+  UserSession.hasMany(RefreshToken, { 
+    foreignKey: 'session_id', 
+    as: 'refreshTokens',
+    onDelete: 'CASCADE'
+  });
+
+  // Notification associations
+  Notification.belongsTo(User, { 
+    foreignKey: 'user_id', 
+    as: 'user',
+    allowNull: true
+  });
+  
+  Notification.belongsTo(Issue, { 
+    foreignKey: 'issue_id', 
+    as: 'issue',
+    allowNull: true
+  });
+  
+  User.hasMany(Notification, { 
+    foreignKey: 'user_id', 
+    as: 'notifications',
+    onDelete: 'CASCADE'
+  });
+  
+  Issue.hasMany(Notification, { 
+    foreignKey: 'issue_id', 
+    as: 'notifications',
+    onDelete: 'CASCADE'
+  });
+
+  // IssueSupport associations
+  Issue.hasMany(IssueSupport, { 
+    foreignKey: 'issue_id', 
+    as: 'supports',
+    onDelete: 'CASCADE'
+  });
+  
+  IssueSupport.belongsTo(Issue, { 
+    foreignKey: 'issue_id', 
+    as: 'issue'
+  });
+  
+  IssueSupport.belongsTo(User, { 
+    foreignKey: 'supported_by', 
+    as: 'supporter',
+    allowNull: true
+  });
+
+  // IssueComment associations
+  Issue.hasMany(IssueComment, { 
+    foreignKey: 'issue_id', 
+    as: 'comments',
+    onDelete: 'CASCADE'
+  });
+  
+  IssueComment.belongsTo(Issue, { 
+    foreignKey: 'issue_id', 
+    as: 'issue'
+  });
+  
+  IssueComment.belongsTo(User, { 
+    foreignKey: 'author_id', 
+    as: 'author',
+    allowNull: true
+  });
+  
+  IssueComment.hasMany(CommentFlag, { 
+    foreignKey: 'comment_id', 
+    as: 'flags',
+    onDelete: 'CASCADE'
+  });
+  
+  CommentFlag.belongsTo(IssueComment, { 
+    foreignKey: 'comment_id', 
+    as: 'comment'
+  });
+  
+  CommentFlag.belongsTo(User, { 
+    foreignKey: 'flagged_by', 
+    as: 'flaggedBy',
+    allowNull: true
+  });
+
+  // Department associations
+  Department.hasMany(User, { 
+    foreignKey: 'department_id', 
+    as: 'members',
+    onDelete: 'SET NULL'
+  });
+  
+  User.belongsTo(Department, { 
+    foreignKey: 'department_id', 
+    as: 'department',
+    allowNull: true
+  });
+  
+  Department.hasMany(Issue, { 
+    foreignKey: 'assigned_department_id', 
+    as: 'assignedIssues',
+    onDelete: 'SET NULL'
+  });
+  
+  Issue.belongsTo(Department, { 
+    foreignKey: 'assigned_department_id', 
+    as: 'assignedDepartment',
+    allowNull: true
+  });
+  
+  User.hasMany(Issue, { 
+    foreignKey: 'assignee_id', 
+    as: 'assignedIssues',
+    onDelete: 'SET NULL'
+  });
+  
+  Issue.belongsTo(User, { 
+    foreignKey: 'assignee_id', 
+    as: 'assignee',
+    allowNull: true
+  });
+
+  Department.belongsTo(User, { 
+    foreignKey: 'head_id', 
+    as: 'head',
+    allowNull: true
+  });
+
+  // RoutingRule associations
+  Department.hasMany(RoutingRule, { 
+    foreignKey: 'department_id', 
+    as: 'routingRules',
+    onDelete: 'CASCADE'
+  });
+  
+  RoutingRule.belongsTo(Department, { 
+    foreignKey: 'department_id', 
+    as: 'department'
+  });
+  
+  RoutingRule.belongsTo(User, { 
+    foreignKey: 'created_by', 
+    as: 'createdBy',
+    allowNull: true
+  });
+
+  // Boundary associations
+  Boundary.hasMany(Issue, { 
+    foreignKey: 'boundary_id', 
+    as: 'issues',
+    onDelete: 'SET NULL'
+  });
+  
+  Issue.belongsTo(Boundary, { 
+    foreignKey: 'boundary_id', 
+    as: 'boundary',
+    allowNull: true
+  });
+  
+  Boundary.belongsTo(User, { 
+    foreignKey: 'created_by', 
+    as: 'createdBy',
+    allowNull: true
+  });
+
+  // Category associations
+  Category.hasMany(Category, { 
+    foreignKey: 'parent_id', 
+    as: 'subcategories',
+    onDelete: 'CASCADE'
+  });
+  
+  Category.belongsTo(Category, { 
+    foreignKey: 'parent_id', 
+    as: 'parent',
+    allowNull: true
+  });
+
+  // IssueReporter associations
+  IssueReporter.belongsTo(Issue, { 
+    foreignKey: 'issue_id', 
+    as: 'issue'
+  });
+  
+  IssueReporter.belongsTo(User, { 
+    foreignKey: 'user_id', 
+    as: 'user',
+    allowNull: true
+  });
 };
 
 // Initialize associations
@@ -125,5 +388,19 @@ module.exports = {
   StatusHistory,
   Flag,
   AdminLog,
+  PushSubscription,
+  Notification,
+  IssueReporter,
+  IssueSupport,
+  IssueComment,
+  CommentFlag,
+  Department,
+  RoutingRule,
+  SlaTarget,
+  Boundary,
+  Category,
+  UserToken,
+  UserSession,
+  RefreshToken,
   initializeDatabase
 };
\ No newline at end of file
@@ -4,7 +4,11 @@ const router = express.Router();
 // Import controllers and middleware
 const AdminController = require('../controllers/adminController');
 const FlagValidation = require('../middleware/flagValidation');
-const { requireRole } = require('../middleware/auth');
+const RoutingValidation = require('../middleware/routingValidation');
+const BoundaryValidation = require('../middleware/boundaryValidation');
+const CategoryValidation = require('../middleware/categoryValidation');
+const SlaValidation = require('../middleware/slaValidation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 /**
  * Admin Routes - All routes require admin role
@@ -116,6 +120,224 @@ router.get('/activity-stats',
   AdminController.getAdminActivityStats
 );
 
+/**
+ * @route   GET /api/admin/routing-rules
+ * @desc    List the rules that route new issues to departments
+ * @access  Private - Admin only
+ * @query   {category?, active?}
+ */
+router.get('/routing-rules',
+  FlagValidation.sanitizeInput,
+  RoutingValidation.getRules(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.getRoutingRules
+);
+
+/**
+ * @route   GET /api/admin/routing-rules/dry-run
+ * @desc    Show which routing rule would match an issue of a category at a point
+ * @access  Private - Admin only
+ * @query   {lat, lng, category}
+ */
+router.get('/routing-rules/dry-run',
+  FlagValidation.sanitizeInput,
+  RoutingValidation.dryRun(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.dryRunRouting
+);
+
+/**
+ * @route   POST /api/admin/routing-rules
+ * @desc    Create a routing rule
+ * @access  Private - Admin only
+ * @body    {name, category, department_id, zone?, priority?, is_active?}
+ */
+router.post('/routing-rules',
+  FlagValidation.sanitizeInput,
+  RoutingValidation.createRule(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.createRoutingRule
+);
+
+/**
+ * @route   PATCH /api/admin/routing-rules/:id
+ * @desc    Update a routing rule
+ * @access  Private - Admin only
+ * @params  {id} - Routing rule UUID
+ * @body    {name?, category?, department_id?, zone?, priority?, is_active?}
+ */
+router.patch('/routing-rules/:id',
+  FlagValidation.sanitizeInput,
+  RoutingValidation.updateRule(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.updateRoutingRule
+);
+
+/**
+ * @route   DELETE /api/admin/routing-rules/:id
+ * @desc    Delete a routing rule (issues keep their assignment)
+ * @access  Private - Admin only
+ * @params  {id} - Routing rule UUID
+ */
+router.delete('/routing-rules/:id',
+  RoutingValidation.ruleId(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.deleteRoutingRule
+);
+
+/**
+ * @route   GET /api/admin/boundaries
+ * @desc    List the jurisdiction and ward boundaries issues can be reported in
+ * @access  Private - Admin only
+ * @query   {kind?, active?}
+ */
+router.get('/boundaries',
+  FlagValidation.sanitizeInput,
+  BoundaryValidation.getBoundaries(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.getBoundaries
+);
+
+/**
+ * @route   POST /api/admin/boundaries
+ * @desc    Upload a boundary as a GeoJSON Polygon or MultiPolygon
+ * @access  Private - Admin only
+ * @body    {name, geometry, kind?, is_active?}
+ */
+router.post('/boundaries',
+  FlagValidation.sanitizeInput,
+  BoundaryValidation.createBoundary(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.createBoundary
+);
+
+/**
+ * @route   PATCH /api/admin/boundaries/:id
+ * @desc    Update a boundary (issues keep the boundary they were reported in)
+ * @access  Private - Admin only
+ * @params  {id} - Boundary UUID
+ * @body    {name?, geometry?, kind?, is_active?}
+ */
+router.patch('/boundaries/:id',
+  FlagValidation.sanitizeInput,
+  BoundaryValidation.updateBoundary(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.updateBoundary
+);
+
+/**
+ * @route   DELETE /api/admin/boundaries/:id
+ * @desc    Delete a boundary (its issues are kept without a boundary)
+ * @access  Private - Admin only
+ * @params  {id} - Boundary UUID
+ */
+router.delete('/boundaries/:id',
+  BoundaryValidation.boundaryId(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.deleteBoundary
+);
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    List all issue categories with their subcategories, including inactive ones
+ * @access  Private - Admin only
+ */
+router.get('/categories',
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.getCategories
+);
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Create a category, or a subcategory when parent_key is given
+ * @access  Private - Admin only
+ * @body    {key, label, parent_key?, description?, icon?, color?, custom_fields?, sort_order?, is_active?}
+ */
+router.post('/categories',
+  FlagValidation.sanitizeInput,
+  CategoryValidation.createCategory(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.createCategory
+);
+
+/**
+ * @route   PATCH /api/admin/categories/:id
+ * @desc    Update a category (the key cannot change)
+ * @access  Private - Admin only
+ * @params  {id} - Category UUID
+ * @body    {label?, description?, icon?, color?, custom_fields?, sort_order?, is_active?}
+ */
+router.patch('/categories/:id',
+  FlagValidation.sanitizeInput,
+  CategoryValidation.updateCategory(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.updateCategory
+);
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Delete a category no issue, routing rule or SLA target uses (deactivate it otherwise)
+ * @access  Private - Admin only
+ * @params  {id} - Category UUID
+ */
+router.delete('/categories/:id',
+  CategoryValidation.categoryId(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.deleteCategory
+);
+
+/**
+ * @route   GET /api/admin/sla-targets
+ * @desc    List the response and resolution targets per category
+ * @access  Private - Admin only
+ */
+router.get('/sla-targets',
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.getSlaTargets
+);
+
+/**
+ * @route   PUT /api/admin/sla-targets/:category
+ * @desc    Set the SLA target of a category
+ * @access  Private - Admin only
+ * @params  {category} - Issue category
+ * @body    {response_hours, resolution_hours}
+ */
+router.put('/sla-targets/:category',
+  FlagValidation.sanitizeInput,
+  SlaValidation.upsertTarget(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.setSlaTarget
+);
+
+/**
+ * @route   DELETE /api/admin/sla-targets/:category
+ * @desc    Remove the SLA target of a category
+ * @access  Private - Admin only
+ * @params  {category} - Issue category
+ */
+router.delete('/sla-targets/:category',
+  SlaValidation.category(),
+  authenticateToken,
+  requireRole(['admin']),
+  AdminController.deleteSlaTarget
+);
+
 /**
  * Error handling middleware for admin routes
  */
@@ -1,7 +1,9 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
+const SessionService = require('../services/sessionService');
 const { 
   authenticateToken, 
   optionalAuth, 
@@ -9,6 +11,28 @@ const {
   requireVerified 
 } = require('../middleware/auth');
 
+/**
+ * Limit requests that send an email to 5 per hour per IP address
+ * @param {string} message - Error message once the limit is reached
+ */
+const emailLimiter = (message) => rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: {
+        code: 'TOO_MANY_REQUESTS',
+        message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// On top of the per-user waits in EmailVerificationService and PasswordResetService
+const resendVerificationLimiter = emailLimiter('Too many verification emails requested, please try again later');
+const forgotPasswordLimiter = emailLimiter('Too many password reset requests, please try again later');
+
 // Public routes (no authentication required)
 
 /**
@@ -40,6 +64,67 @@ router.post('/login',
  */
 router.post('/anonymous', authController.createAnonymousSession);
 
+/**
+ * @route   POST /api/auth/anonymous/reports
+ * @desc    List the issues of anonymous sessions, to choose which stay anonymous when claiming them
+ * @access  Public
+ * @body    {anonymousSessionTokens}
+ */
+router.post('/anonymous/reports',
+  authController.anonymousReportsValidation,
+  authController.handleValidationErrors,
+  authController.getAnonymousReports
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address with the token from the verification email
+ * @access  Public
+ * @body    {token}
+ */
+router.post('/verify-email',
+  authController.verifyEmailValidation,
+  authController.handleValidationErrors,
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link; the response does not reveal whether the account exists
+ * @access  Public
+ * @body    {email}
+ */
+router.post('/forgot-password',
+  forgotPasswordLimiter,
+  authController.forgotPasswordValidation,
+  authController.handleValidationErrors,
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email and end all sessions
+ * @access  Public
+ * @body    {token, password}
+ */
+router.post('/reset-password',
+  authController.resetPasswordValidation,
+  authController.handleValidationErrors,
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (refresh token required)
+ * @body    {refreshToken}
+ */
+router.post('/refresh',
+  authController.refreshValidation,
+  authController.handleValidationErrors,
+  authController.refresh
+);
+
 // Protected routes (authentication required)
 
 /**
@@ -74,9 +159,20 @@ router.post('/change-password',
   authController.changePassword
 );
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link to the current user
+ * @access  Private
+ */
+router.post('/resend-verification',
+  resendVerificationLimiter,
+  authenticateToken,
+  authController.resendVerification
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user by revoking the current session
  * @access  Private
  */
 router.post('/logout',
@@ -84,6 +180,38 @@ router.post('/logout',
   authController.logout
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticateToken,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere else, keeping the current session
+ * @access  Private
+ */
+router.delete('/sessions',
+  authenticateToken,
+  authController.revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Log out one session of the current user
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  authController.sessionIdValidation,
+  authController.handleValidationErrors,
+  authController.revokeSession
+);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify token validity
@@ -161,7 +289,12 @@ router.post('/users/:id/ban',
         });
       }
       
-      await user.update({ is_banned: banned });
+      // banned_at keeps tokens issued before the ban invalid after an unban
+      await user.update(banned ? { is_banned: true, banned_at: new Date() } : { is_banned: false });
+      
+      if (banned) {
+        await SessionService.revokeAllSessions(user.id, 'ban');
+      }
       
       res.json({
         message: `User ${banned ? 'banned' : 'unbanned'} successfully`,
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const AuthorityController = require('../controllers/authorityController');
+const IssueValidation = require('../middleware/issueValidation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Authority Routes - All routes require authority or admin role
+ * These routes handle the work queue of the people who fix issues
+ */
+
+/**
+ * @route   GET /api/authority/queue
+ * @desc    Get open issues assigned to the current user or their department
+ * @access  Private - Requires authority or admin role
+ * @query   {sort?, userLat?, userLng?, status?, category?, limit?, offset?} - userLat/userLng are required when sort=distance
+ */
+router.get('/queue',
+  IssueValidation.sanitizeInput,
+  IssueValidation.getAssignmentQueue(),
+  authenticateToken,
+  requireRole(['authority', 'admin']),
+  AuthorityController.getQueue
+);
+
+/**
+ * @route   GET /api/authority/departments
+ * @desc    List active departments issues can be assigned to
+ * @access  Private - Requires authority or admin role
+ */
+router.get('/departments',
+  authenticateToken,
+  requireRole(['authority', 'admin']),
+  AuthorityController.getDepartments
+);
+
+module.exports = router;
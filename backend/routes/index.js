@@ -6,12 +6,16 @@ const authRoutes = require('./auth');
 const issueRoutes = require('./issues');
 const fileRoutes = require('./files');
 const adminRoutes = require('./admin');
+const notificationRoutes = require('./notifications');
+const authorityRoutes = require('./authority');
 
 // API routes
 router.use('/auth', authRoutes);
 router.use('/issues', issueRoutes);
 router.use('/files', fileRoutes);
 router.use('/admin', adminRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/authority', authorityRoutes);
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -5,8 +5,9 @@ const router = express.Router();
 const IssueController = require('../controllers/issueController');
 const IssueValidation = require('../middleware/issueValidation');
 const FlagValidation = require('../middleware/flagValidation');
+const CommentValidation = require('../middleware/commentValidation');
 const LocationMiddleware = require('../middleware/location');
-const { optionalAuth, requireRole } = require('../middleware/auth');
+const { optionalAuth, authenticateToken, requireRole } = require('../middleware/auth');
 const { uploadIssuePhotos, handleUploadErrors, processUploadedFiles } = require('../middleware/upload');
 
 /**
@@ -18,7 +19,7 @@ const { uploadIssuePhotos, handleUploadErrors, processUploadedFiles } = require(
  * @route   POST /api/issues
  * @desc    Create a new issue report with photo uploads
  * @access  Public (supports both anonymous and authenticated users)
- * @body    {title, description, category, latitude, longitude, address?, isAnonymous?, userLat?, userLng?}
+ * @body    {title, description, category, subcategory?, custom_fields?, latitude, longitude, address?, isAnonymous?, userLat?, userLng?}
  * @files   photos[] - Up to 3 image files (JPEG, PNG, WebP, max 5MB each)
  */
 router.post('/',
@@ -34,9 +35,9 @@ router.post('/',
 
 /**
  * @route   GET /api/issues
- * @desc    Get issues with geospatial and category filtering
+ * @desc    Get issues with geospatial and category filtering (radius around lat/lng, or a bbox viewport)
  * @access  Public (supports both anonymous and authenticated users)
- * @query   {lat, lng, radius?, status?, category?, limit?, offset?}
+ * @query   {lat, lng, radius?, bbox?, status?, category?, sort?, limit?, offset?}
  */
 router.get('/',
   IssueValidation.sanitizeInput,
@@ -46,9 +47,54 @@ router.get('/',
   IssueController.getIssues
 );
 
+/**
+ * @route   GET /api/issues/duplicates-check
+ * @desc    List open nearby issues that likely describe the same problem as a report being written
+ * @access  Public (supports both anonymous and authenticated users)
+ * @query   {lat, lng, category, title?, description?}
+ */
+router.get('/duplicates-check',
+  IssueValidation.sanitizeInput,
+  IssueValidation.checkDuplicates(),
+  optionalAuth,
+  IssueController.checkDuplicates
+);
+
+/**
+ * @route   GET /api/issues/workflow
+ * @desc    Get the issue workflow: statuses, transitions, role permissions and required fields
+ * @access  Public
+ */
+router.get('/workflow',
+  IssueController.getWorkflow
+);
+
+/**
+ * @route   GET /api/issues/categories
+ * @desc    Get the categories with their subcategories, icons, colors and custom fields (is_active marks the ones new issues can use)
+ * @access  Public
+ */
+router.get('/categories',
+  IssueController.getCategories
+);
+
+/**
+ * @route   GET /api/issues/clusters
+ * @desc    Get issue counts grouped into grid clusters for a map viewport
+ * @access  Public (supports both anonymous and authenticated users)
+ * @query   {bbox, zoom, status?, category?}
+ */
+router.get('/clusters',
+  IssueValidation.sanitizeInput,
+  IssueValidation.getIssueClusters(),
+  optionalAuth,
+  IssueController.getIssueClusters
+);
+
 /**
  * @route   GET /api/issues/:id
  * @desc    Get issue details by ID with location-based access control
+ *          Merged duplicates redirect (302) to their canonical issue
  * @access  Public (supports both anonymous and authenticated users)
  * @params  {id} - Issue UUID
  * @query   {userLat, userLng} - User location for access control and distance calculation
@@ -64,7 +110,7 @@ router.get('/:id',
 
 /**
  * @route   GET /api/issues/:id/history
- * @desc    Get status change history for an issue
+ * @desc    Get status change history for an issue, including merged duplicates
  * @access  Public (supports both anonymous and authenticated users)
  * @params  {id} - Issue UUID
  * @query   {userLat, userLng} - User location for access control
@@ -80,21 +126,56 @@ router.get('/:id/history',
 
 /**
  * @route   PATCH /api/issues/:id/status
- * @desc    Update issue status (authorities and admins only)
- * @access  Private - Requires authority or admin role
+ * @desc    Update issue status along a workflow transition (authorities and admins only)
+ * @access  Private - Requires authority or admin role, further limited per transition
  * @params  {id} - Issue UUID
- * @body    {status, comment}
+ * @body    {status, comment?, reason?} - Required fields depend on the transition
+ * @files   photos[] - Up to 3 "after" image files, e.g. proof of a repair (JPEG, PNG, WebP, max 5MB each)
  * @query   {userLat, userLng} - User location for access control
  */
 router.patch('/:id/status',
-  IssueValidation.sanitizeInput,
-  IssueValidation.updateIssueStatus(),
   IssueValidation.userLocation(),
   LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  authenticateToken,
   requireRole(['authority', 'admin']), // Only authorities and admins can update status
+  uploadIssuePhotos, // Accept files only once the caller may update the status
+  handleUploadErrors,
+  processUploadedFiles,
+  IssueValidation.sanitizeInput,
+  IssueValidation.updateIssueStatus(),
   IssueController.updateIssueStatus
 );
 
+/**
+ * @route   POST /api/issues/:id/confirm
+ * @desc    Confirm the fix of a resolved issue within the review window
+ * @access  Public - Only the original reporter (verified user or anonymous session)
+ * @params  {id} - Issue UUID
+ */
+router.post('/:id/confirm',
+  IssueValidation.confirmResolution(),
+  optionalAuth, // Reporters can be anonymous sessions
+  IssueController.confirmResolution
+);
+
+/**
+ * @route   POST /api/issues/:id/reopen
+ * @desc    Reopen a resolved issue that is not fixed, within the review window
+ * @access  Public - Only the original reporter (verified user or anonymous session)
+ * @params  {id} - Issue UUID
+ * @body    {comment} - What is still wrong
+ * @files   photos[] - Up to 3 image files showing the problem (JPEG, PNG, WebP, max 5MB each)
+ */
+router.post('/:id/reopen',
+  optionalAuth, // Reporters can be anonymous sessions
+  uploadIssuePhotos,
+  handleUploadErrors,
+  processUploadedFiles,
+  IssueValidation.sanitizeInput,
+  IssueValidation.reopenIssue(),
+  IssueController.reopenIssue
+);
+
 /**
  * @route   POST /api/issues/:id/flag
  * @desc    Flag an issue for inappropriate content
@@ -112,6 +193,122 @@ router.post('/:id/flag',
   IssueController.flagIssue
 );
 
+/**
+ * @route   POST /api/issues/:id/support
+ * @desc    Add a "me too" vote to an issue (one per user or anonymous session)
+ * @access  Public (supports both anonymous and authenticated users)
+ * @params  {id} - Issue UUID
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.post('/:id/support',
+  IssueValidation.supportIssue(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  optionalAuth, // Allows both anonymous and authenticated users
+  IssueController.supportIssue
+);
+
+/**
+ * @route   DELETE /api/issues/:id/support
+ * @desc    Withdraw a "me too" vote from an issue
+ * @access  Public (supports both anonymous and authenticated users)
+ * @params  {id} - Issue UUID
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.delete('/:id/support',
+  IssueValidation.supportIssue(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  optionalAuth, // Allows both anonymous and authenticated users
+  IssueController.removeSupport
+);
+
+/**
+ * @route   GET /api/issues/:id/comments
+ * @desc    Get the comment thread of an issue (oldest first, paginated)
+ * @access  Public (supports both anonymous and authenticated users)
+ * @params  {id} - Issue UUID
+ * @query   {userLat, userLng, limit?, offset?} - User location for access control, pagination
+ */
+router.get('/:id/comments',
+  IssueValidation.sanitizeInput,
+  CommentValidation.getComments(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  optionalAuth, // Allows both anonymous and authenticated users
+  IssueController.getComments
+);
+
+/**
+ * @route   POST /api/issues/:id/comments
+ * @desc    Add a comment to an issue
+ * @access  Public (supports both anonymous and authenticated users)
+ * @params  {id} - Issue UUID
+ * @body    {body} - Comment text (1-1000 characters)
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.post('/:id/comments',
+  IssueValidation.sanitizeInput,
+  CommentValidation.createComment(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  optionalAuth, // Allows both anonymous and authenticated users
+  IssueController.createComment
+);
+
+/**
+ * @route   POST /api/issues/:id/comments/:commentId/flag
+ * @desc    Flag a comment; comments are hidden once they reach the flag threshold
+ * @access  Public (supports both anonymous and authenticated users)
+ * @params  {id} - Issue UUID, {commentId} - Comment UUID
+ * @body    {reason, flag_type?}
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.post('/:id/comments/:commentId/flag',
+  FlagValidation.sanitizeInput,
+  CommentValidation.flagComment(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  optionalAuth, // Allows both anonymous and authenticated users
+  IssueController.flagComment
+);
+
+/**
+ * @route   POST /api/issues/:id/merge
+ * @desc    Merge duplicate issues into this issue (authorities and admins only)
+ * @access  Private - Requires authority or admin role
+ * @params  {id} - Canonical issue UUID
+ * @body    {duplicate_ids, comment?}
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.post('/:id/merge',
+  IssueValidation.sanitizeInput,
+  IssueValidation.mergeIssues(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  authenticateToken,
+  requireRole(['authority', 'admin']), // Only authorities and admins can merge issues
+  IssueController.mergeIssues
+);
+
+/**
+ * @route   PATCH /api/issues/:id/assignment
+ * @desc    Assign an issue to a department and/or authority user (authorities and admins only)
+ * @access  Private - Requires authority or admin role
+ * @params  {id} - Issue UUID
+ * @body    {department_id?, assignee_id?, comment?} - null clears a field, omitted fields are kept
+ * @query   {userLat, userLng} - User location for access control
+ */
+router.patch('/:id/assignment',
+  IssueValidation.sanitizeInput,
+  IssueValidation.assignIssue(),
+  IssueValidation.userLocation(),
+  LocationMiddleware.enforceRadiusAccess(5), // 5km max access radius
+  authenticateToken,
+  requireRole(['authority', 'admin']), // Only authorities and admins can assign issues
+  IssueController.assignIssue
+);
+
 /**
  * Error handling middleware for issue routes
  */
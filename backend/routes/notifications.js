@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const NotificationController = require('../controllers/notificationController');
+const NotificationValidation = require('../middleware/notificationValidation');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Notification Routes
+ * Notifications and subscriptions belong to the authenticated user or to the anonymous session token
+ */
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the notification inbox, newest first, with the unread count
+ * @access  Public (requires a user or anonymous session token)
+ * @query   {unread?, limit?, offset?}
+ */
+router.get('/',
+  NotificationValidation.getNotifications(),
+  optionalAuth,
+  NotificationController.getNotifications
+);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Public (requires a user or anonymous session token)
+ */
+router.post('/read-all',
+  optionalAuth,
+  NotificationController.markAllAsRead
+);
+
+/**
+ * @route   GET /api/notifications/vapid-public-key
+ * @desc    Get the public VAPID key for browser push subscriptions
+ * @access  Public
+ */
+router.get('/vapid-public-key',
+  NotificationController.getVapidPublicKey
+);
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Store a browser push subscription
+ * @access  Public (requires a user or anonymous session token)
+ * @body    {endpoint, expirationTime?, keys: {p256dh, auth}}
+ */
+router.post('/subscriptions',
+  NotificationValidation.createSubscription(),
+  optionalAuth,
+  NotificationController.createSubscription
+);
+
+/**
+ * @route   DELETE /api/notifications/subscriptions
+ * @desc    Remove a browser push subscription
+ * @access  Public (requires a user or anonymous session token)
+ * @body    {endpoint}
+ */
+router.delete('/subscriptions',
+  NotificationValidation.deleteSubscription(),
+  optionalAuth,
+  NotificationController.deleteSubscription
+);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Public (requires a user or anonymous session token)
+ * @params  {id} - Notification UUID
+ */
+router.patch('/:id/read',
+  NotificationValidation.markAsRead(),
+  optionalAuth,
+  NotificationController.markAsRead
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const bcrypt = require('bcryptjs');
-const { User, Issue, StatusHistory, Flag, sequelize } = require('../models');
+const { User, Issue, StatusHistory, Flag, Department, SlaTarget, Category, sequelize } = require('../models');
 
 const seedData = async () => {
   try {
@@ -10,10 +10,52 @@ const seedData = async () => {
       await Flag.destroy({ where: {}, force: true });
       await StatusHistory.destroy({ where: {}, force: true });
       await Issue.destroy({ where: {}, force: true });
+      await SlaTarget.destroy({ where: {}, force: true });
       await User.destroy({ where: {}, force: true });
+      await Department.destroy({ where: {}, force: true });
       console.log('Existing data cleared.');
     }
     
+    // Create departments issues can be assigned to
+    const departments = await Department.bulkCreate([
+      {
+        name: 'Public Works',
+        description: 'Roads, sidewalks and obstructions'
+      },
+      {
+        name: 'Utilities',
+        description: 'Street lighting and water'
+      }
+    ], { returning: true });
+    
+    console.log(`Created ${departments.length} departments.`);
+    
+    // Create the default categories (migration 018 does this on PostgreSQL)
+    if (await Category.count() === 0) {
+      const categories = await Category.bulkCreate([
+        { key: 'roads', label: 'Roads', icon: '🚧', color: '#dc2626', sort_order: 0 },
+        {
+          key: 'lighting',
+          label: 'Lighting',
+          icon: '💡',
+          color: '#f59e0b',
+          sort_order: 1,
+          custom_fields: [{ key: 'pole_number', label: 'Pole number', type: 'text', required: false }]
+        },
+        { key: 'water', label: 'Water Supply', icon: '💧', color: '#2563eb', sort_order: 2 },
+        { key: 'cleanliness', label: 'Cleanliness', icon: '🗑️', color: '#16a34a', sort_order: 3 },
+        { key: 'safety', label: 'Public Safety', icon: '🚨', color: '#7c3aed', sort_order: 4 },
+        { key: 'obstructions', label: 'Obstructions', icon: '⛔', color: '#db2777', sort_order: 5 }
+      ], { returning: true });
+      
+      await Category.bulkCreate([
+        { key: 'pothole', label: 'Pothole', parent_id: categories[0].id, sort_order: 0 },
+        { key: 'faded_markings', label: 'Faded markings', parent_id: categories[0].id, sort_order: 1 }
+      ]);
+      
+      console.log(`Created ${categories.length} categories.`);
+    }
+    
     // Create test users
     const hashedPassword = await bcrypt.hash('password123', 10);
     
@@ -28,7 +70,8 @@ const seedData = async () => {
         email: 'authority@city.gov',
         password_hash: hashedPassword,
         is_verified: true,
-        role: 'authority'
+        role: 'authority',
+        department_id: departments[0].id
       },
       {
         email: 'citizen1@example.com',
@@ -54,6 +97,33 @@ const seedData = async () => {
     
     console.log(`Created ${users.length} test users.`);
     
+    // The authority user heads Public Works and receives its SLA escalations
+    await departments[0].update({ head_id: users[1].id });
+    
+    // Create SLA targets for the most urgent categories
+    const slaTargets = await SlaTarget.bulkCreate([
+      {
+        category: 'water',
+        response_hours: 24,
+        resolution_hours: 72,
+        updated_by: users[0].id
+      },
+      {
+        category: 'safety',
+        response_hours: 12,
+        resolution_hours: 48,
+        updated_by: users[0].id
+      },
+      {
+        category: 'roads',
+        response_hours: 48,
+        resolution_hours: 168,
+        updated_by: users[0].id
+      }
+    ], { returning: true });
+    
+    console.log(`Created ${slaTargets.length} SLA targets.`);
+    
     // Create test issues with various locations (using coordinates around a city center)
     const baseLatitude = 40.7128; // New York City coordinates as example
     const baseLongitude = -74.0060;
@@ -63,6 +133,7 @@ const seedData = async () => {
         title: 'Pothole on Main Street',
         description: 'Large pothole causing damage to vehicles. Located near the intersection with Oak Avenue.',
         category: 'roads',
+        subcategory: 'pothole',
         status: 'reported',
         latitude: baseLatitude + 0.001,
         longitude: baseLongitude + 0.001,
@@ -75,6 +146,7 @@ const seedData = async () => {
         title: 'Broken Street Light',
         description: 'Street light has been out for over a week, making the area unsafe at night.',
         category: 'lighting',
+        custom_fields: { pole_number: 'P-2041' },
         status: 'in_progress',
         latitude: baseLatitude + 0.002,
         longitude: baseLongitude - 0.001,
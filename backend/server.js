@@ -1,71 +1,19 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const http = require('http');
 require('dotenv').config();
 
 // Import database models
 const { initializeDatabase } = require('./models');
+const app = require('./app');
+const SocketService = require('./services/socketService');
+const PushService = require('./services/pushService');
+const SlaService = require('./services/slaService');
+const EmailService = require('./services/email');
 
-const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 
-// Security middleware
-app.use(helmet());
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
-
-// Import routes
-const apiRoutes = require('./routes');
-
-// API routes
-app.use('/api', apiRoutes);
-
-// Root API endpoint
-app.get('/api', (req, res) => {
-  res.json({ message: 'CivicTrack API is running' });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: {
-      code: 'INTERNAL_SERVER_ERROR',
-      message: 'Something went wrong!',
-      timestamp: new Date().toISOString()
-    }
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: {
-      code: 'NOT_FOUND',
-      message: 'Route not found',
-      timestamp: new Date().toISOString()
-    }
-  });
-});
+// Real-time notifications share the HTTP server with the API
+SocketService.initialize(server);
 
 // Initialize database and start server
 const startServer = async () => {
@@ -78,10 +26,19 @@ const startServer = async () => {
       process.exit(1);
     }
     
-    app.listen(PORT, () => {
+    // Outside development and test, emails need an explicit EMAIL_TRANSPORT
+    EmailService.checkConfiguration();
+    
+    server.listen(PORT, () => {
       console.log(`CivicTrack backend server running on port ${PORT}`);
       console.log('Database initialized and models synchronized.');
     });
+    
+    // Remove expired browser push subscriptions periodically
+    PushService.startCleanupSchedule();
+    
+    // Mark and escalate issues that breach their SLA
+    SlaService.startEscalationSchedule();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -90,5 +47,3 @@ const startServer = async () => {
 
 // Start the server
 startServer();
-
-module.exports = app;
\ No newline at end of file
@@ -154,6 +154,144 @@ class AdminLogService {
     );
   }
   
+  /**
+   * Log merge of duplicate issues into a canonical issue
+   * @param {string} adminId - Admin or authority ID
+   * @param {string} canonicalId - Issue the duplicates were merged into
+   * @param {Object} mergeDetails - Merged issue IDs and what was carried over
+   * @param {string} ipAddress - Admin IP address
+   * @param {string} userAgent - Admin user agent
+   * @returns {Object} Log result
+   */
+  static async logIssueMerge(adminId, canonicalId, mergeDetails, ipAddress = null, userAgent = null) {
+    const details = {
+      ...mergeDetails,
+      timestamp: new Date().toISOString()
+    };
+    
+    return this.logAction(
+      adminId,
+      'issue_merge',
+      'issue',
+      canonicalId,
+      details,
+      ipAddress,
+      userAgent
+    );
+  }
+  
+  /**
+   * Log creation, update or deletion of a routing rule
+   * @param {string} adminId - Admin ID
+   * @param {string} ruleId - Routing rule ID
+   * @param {string} operation - create, update or delete
+   * @param {Object} ruleDetails - Rule values after the change (or before deletion)
+   * @param {string} ipAddress - Admin IP address
+   * @param {string} userAgent - Admin user agent
+   * @returns {Object} Log result
+   */
+  static async logRoutingRuleChange(adminId, ruleId, operation, ruleDetails, ipAddress = null, userAgent = null) {
+    const details = {
+      operation,
+      rule: ruleDetails,
+      timestamp: new Date().toISOString()
+    };
+    
+    return this.logAction(
+      adminId,
+      'routing_rule_change',
+      'system',
+      ruleId,
+      details,
+      ipAddress,
+      userAgent
+    );
+  }
+  
+  /**
+   * Log a change to the SLA target of a category
+   * @param {string} adminId - Admin ID
+   * @param {string} targetId - SLA target ID
+   * @param {string} operation - set or delete
+   * @param {Object} targetDetails - Target values after the change (or before deletion)
+   * @param {string} ipAddress - Admin IP address
+   * @param {string} userAgent - Admin user agent
+   * @returns {Object} Log result
+   */
+  static async logSlaTargetChange(adminId, targetId, operation, targetDetails, ipAddress = null, userAgent = null) {
+    const details = {
+      operation,
+      target: targetDetails,
+      timestamp: new Date().toISOString()
+    };
+    
+    return this.logAction(
+      adminId,
+      'sla_target_change',
+      'system',
+      targetId,
+      details,
+      ipAddress,
+      userAgent
+    );
+  }
+  
+  /**
+   * Log upload, update or deletion of a jurisdiction boundary
+   * @param {string} adminId - Admin ID
+   * @param {string} boundaryId - Boundary ID
+   * @param {string} operation - create, update or delete
+   * @param {Object} boundaryDetails - Boundary values after the change (or before deletion)
+   * @param {string} ipAddress - Admin IP address
+   * @param {string} userAgent - Admin user agent
+   * @returns {Object} Log result
+   */
+  static async logBoundaryChange(adminId, boundaryId, operation, boundaryDetails, ipAddress = null, userAgent = null) {
+    const details = {
+      operation,
+      boundary: boundaryDetails,
+      timestamp: new Date().toISOString()
+    };
+    
+    return this.logAction(
+      adminId,
+      'boundary_change',
+      'system',
+      boundaryId,
+      details,
+      ipAddress,
+      userAgent
+    );
+  }
+  
+  /**
+   * Log creation, update or deletion of an issue category
+   * @param {string} adminId - Admin ID
+   * @param {string} categoryId - Category ID
+   * @param {string} operation - create, update or delete
+   * @param {Object} categoryDetails - Category values after the change (or before deletion)
+   * @param {string} ipAddress - Admin IP address
+   * @param {string} userAgent - Admin user agent
+   * @returns {Object} Log result
+   */
+  static async logCategoryChange(adminId, categoryId, operation, categoryDetails, ipAddress = null, userAgent = null) {
+    const details = {
+      operation,
+      category: categoryDetails,
+      timestamp: new Date().toISOString()
+    };
+    
+    return this.logAction(
+      adminId,
+      'category_change',
+      'system',
+      categoryId,
+      details,
+      ipAddress,
+      userAgent
+    );
+  }
+  
   /**
    * Log bulk action
    * @param {string} adminId - Admin ID
@@ -0,0 +1,220 @@
+const { User, Issue, Flag, IssueReporter } = require('../models');
+const { isAnonymousSessionToken } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+
+/**
+ * Anonymous Claim Service - Moves reports made under an anonymous session to the account
+ * the reporter registers or logs in with, so they are not orphaned
+ *
+ * Only issues and flags move; votes, comments and notifications stay with the session.
+ */
+class AnonymousClaimService {
+
+  /**
+   * List the issues anonymous sessions reported, so the reporter can choose which stay anonymous
+   * @param {string[]} sessionTokens - Anonymous session tokens
+   * @returns {Promise<Object>} Result { success, issues?, error?, invalidToken? }
+   */
+  static async listSessionIssues(sessionTokens) {
+    if (!sessionTokens.every(isAnonymousSessionToken)) {
+      return {
+        success: false,
+        invalidToken: true,
+        error: 'Anonymous session token is invalid'
+      };
+    }
+
+    const issues = await Issue.findAll({
+      where: { reporter_session: { [Op.in]: sessionTokens }, reporter_id: null },
+      attributes: ['id', 'title', 'category', 'status', 'created_at'],
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      success: true,
+      issues
+    };
+  }
+
+  /**
+   * Re-own the issues and flags of an anonymous session and retire its anonymous user
+   * Runs in one transaction: either all of the session's reports move or none do.
+   * @param {Object} user - Registered user taking over the reports
+   * @param {string} sessionToken - Anonymous session token
+   * @param {Object} [options] - { keepAnonymous, anonymousIssueIds }
+   *   keepAnonymous false shows the issues under the user's name, except those listed in anonymousIssueIds.
+   *   Unverified users cannot report under their name, so their issues are only shown once they verify.
+   * @returns {Promise<Object>} Result { success, issues?, flags?, error?, invalidToken? }
+   */
+  static async claimSession(user, sessionToken, { keepAnonymous = true, anonymousIssueIds = [] } = {}) {
+    if (!isAnonymousSessionToken(sessionToken)) {
+      return {
+        success: false,
+        invalidToken: true,
+        error: 'Anonymous session token is invalid'
+      };
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sessionIssues = { reporter_session: sessionToken, reporter_id: null };
+      const owner = { reporter_id: user.id, reporter_session: null };
+      let issues = 0;
+
+      // The issues the user picked stay anonymous first; once re-owned, the next update skips them
+      if (anonymousIssueIds.length > 0) {
+        const [kept] = await Issue.update({ ...owner, is_anonymous: true }, {
+          where: { ...sessionIssues, id: { [Op.in]: anonymousIssueIds } },
+          transaction
+        });
+        issues += kept;
+      }
+
+      const [claimed] = await Issue.update({
+        ...owner,
+        is_anonymous: keepAnonymous || !user.is_verified,
+        reveal_reporter_on_verification: !keepAnonymous && !user.is_verified
+      }, {
+        where: sessionIssues,
+        transaction
+      });
+      issues += claimed;
+
+      const mergedReports = await this.claimMergedReports(user.id, sessionToken, transaction);
+      const flags = await this.claimFlags(user.id, sessionToken, transaction);
+
+      await User.destroy({
+        where: { session_token: sessionToken, email: null },
+        transaction
+      });
+
+      await transaction.commit();
+
+      return {
+        success: true,
+        issues: issues + mergedReports,
+        flags
+      };
+
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Error claiming anonymous reports:', error);
+      return {
+        success: false,
+        error: 'Failed to claim anonymous reports'
+      };
+    }
+  }
+
+  /**
+   * Show the claimed issues a user chose to show under their name, now that their email is verified
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of revealed issues
+   */
+  static async revealClaimedIssues(userId) {
+    const [revealed] = await Issue.update({
+      is_anonymous: false,
+      reveal_reporter_on_verification: false
+    }, {
+      where: { reporter_id: userId, reveal_reporter_on_verification: true }
+    });
+
+    return revealed;
+  }
+
+  /**
+   * Move the session's reports that were merged into other issues
+   * Links to issues the user already reported are dropped so status updates arrive once.
+   * @param {string} userId - User ID
+   * @param {string} sessionToken - Anonymous session token
+   * @param {Object} transaction - Claim transaction
+   * @returns {Promise<number>} Number of moved links
+   */
+  static async claimMergedReports(userId, sessionToken, transaction) {
+    const links = await IssueReporter.findAll({
+      where: { session_token: sessionToken },
+      transaction
+    });
+
+    if (links.length === 0) {
+      return 0;
+    }
+
+    const issueIds = links.map(link => link.issue_id);
+    const ownIssues = await Issue.findAll({
+      where: { id: { [Op.in]: issueIds }, reporter_id: userId },
+      attributes: ['id'],
+      transaction
+    });
+    const ownLinks = await IssueReporter.findAll({
+      where: { issue_id: { [Op.in]: issueIds }, user_id: userId },
+      attributes: ['issue_id'],
+      transaction
+    });
+
+    const reported = new Set([
+      ...ownIssues.map(issue => issue.id),
+      ...ownLinks.map(link => link.issue_id)
+    ]);
+
+    let moved = 0;
+
+    for (const link of links) {
+      if (reported.has(link.issue_id)) {
+        await link.destroy({ transaction });
+        continue;
+      }
+
+      await link.update({ user_id: userId, session_token: null }, { transaction });
+      reported.add(link.issue_id);
+      moved++;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Move the session's flags to the user
+   * A flag on an issue the user already flagged from the account is dropped, as it would count the user twice.
+   * @param {string} userId - User ID
+   * @param {string} sessionToken - Anonymous session token
+   * @param {Object} transaction - Claim transaction
+   * @returns {Promise<number>} Number of moved flags
+   */
+  static async claimFlags(userId, sessionToken, transaction) {
+    const accountFlags = await Flag.findAll({
+      where: { flagged_by: userId },
+      attributes: ['issue_id'],
+      transaction
+    });
+
+    if (accountFlags.length > 0) {
+      const duplicates = await Flag.findAll({
+        where: {
+          flagger_session: sessionToken,
+          issue_id: { [Op.in]: accountFlags.map(flag => flag.issue_id) }
+        },
+        transaction
+      });
+
+      for (const flag of duplicates) {
+        await Issue.decrement('flag_count', { where: { id: flag.issue_id }, transaction });
+        await flag.destroy({ transaction });
+      }
+    }
+
+    const [moved] = await Flag.update({
+      flagged_by: userId,
+      flagger_session: null
+    }, {
+      where: { flagger_session: sessionToken },
+      transaction
+    });
+
+    return moved;
+  }
+}
+
+module.exports = AnonymousClaimService;
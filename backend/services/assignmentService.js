@@ -0,0 +1,317 @@
+const { Issue, User, Department, StatusHistory } = require('../models');
+const GeolocationService = require('./geolocationService');
+const GeospatialUtils = require('../utils/geospatial');
+const WorkflowService = require('./workflowService');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+
+/**
+ * Assignment Service - Handles issue ownership by departments and authority users
+ */
+class AssignmentService {
+
+  // Roles that can own an issue
+  static ASSIGNABLE_ROLES = ['authority', 'admin'];
+
+  // Statuses listed in the work queue unless a status filter is given
+  static OPEN_STATUSES = WorkflowService.getOpenStatuses();
+
+  /**
+   * Assign an issue to a department and/or an authority user
+   * Omitted fields keep their current value, null clears them.
+   * @param {string} issueId - Issue ID
+   * @param {Object} assignment - { departmentId?, assigneeId? }
+   * @param {string} assignedBy - ID of the authority or admin making the change
+   * @param {string|null} comment - Optional note for the issue history
+   * @returns {Promise<Object>} Result { success, issue?, error?, notFound?, unchanged? }
+   */
+  static async assignIssue(issueId, assignment, assignedBy, comment = null) {
+    try {
+      const issue = await Issue.findOne({
+        where: {
+          id: issueId,
+          is_hidden: false
+        }
+      });
+
+      if (!issue) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      if (issue.merged_into_id) {
+        return {
+          success: false,
+          error: 'Merged issues cannot be assigned, assign the canonical issue instead'
+        };
+      }
+
+      let departmentId = assignment.departmentId !== undefined
+        ? assignment.departmentId
+        : issue.assigned_department_id;
+      const assigneeId = assignment.assigneeId !== undefined
+        ? assignment.assigneeId
+        : issue.assignee_id;
+
+      let assignee = null;
+
+      if (assigneeId) {
+        assignee = await User.findOne({
+          where: {
+            id: assigneeId,
+            role: {
+              [Op.in]: this.ASSIGNABLE_ROLES
+            },
+            is_banned: false
+          },
+          attributes: ['id', 'email', 'role', 'department_id']
+        });
+
+        if (!assignee) {
+          return {
+            success: false,
+            error: 'Assignee must be an active authority or admin user'
+          };
+        }
+
+        // Assigning a person without naming a department hands the issue to their department
+        if (assignment.departmentId === undefined && assignment.assigneeId !== undefined && assignee.department_id) {
+          departmentId = assignee.department_id;
+        }
+
+        if (departmentId && assignee.department_id && assignee.department_id !== departmentId) {
+          return {
+            success: false,
+            error: 'Assignee does not belong to the assigned department'
+          };
+        }
+      }
+
+      let department = null;
+
+      if (departmentId) {
+        department = await Department.findOne({
+          where: {
+            id: departmentId,
+            is_active: true
+          },
+          attributes: ['id', 'name']
+        });
+
+        if (!department) {
+          return {
+            success: false,
+            error: 'Department not found or is inactive'
+          };
+        }
+      }
+
+      if ((departmentId || null) === issue.assigned_department_id &&
+          (assigneeId || null) === issue.assignee_id) {
+        return {
+          success: false,
+          unchanged: true,
+          error: 'Issue already has this assignment'
+        };
+      }
+
+      const transaction = await sequelize.transaction();
+
+      try {
+        await issue.update({
+          assigned_department_id: departmentId || null,
+          assignee_id: assigneeId || null,
+          assigned_at: departmentId || assigneeId ? new Date() : null
+        }, { transaction });
+
+        // Assignment changes show up in the issue timeline without changing its status
+        await StatusHistory.create({
+          issue_id: issue.id,
+          previous_status: issue.status,
+          new_status: issue.status,
+          comment: this.buildTrailComment(department, assignee, comment),
+          updated_by: assignedBy
+        }, { transaction });
+
+        await transaction.commit();
+
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      return {
+        success: true,
+        issue: {
+          id: issue.id,
+          status: issue.status,
+          assigned_at: issue.assigned_at,
+          ...this.formatAssignment(department, assignee)
+        }
+      };
+
+    } catch (error) {
+      console.error('Error assigning issue:', error);
+      return {
+        success: false,
+        error: 'Failed to assign issue'
+      };
+    }
+  }
+
+  /**
+   * Get the open issues assigned to a user or to their department
+   * @param {Object} user - Authority or admin user { id, department_id }
+   * @param {Object} options - { sort, userLat, userLng, status, category, limit, offset }
+   * @param {string} options.sort - age (oldest first, default) or distance (closest to userLat/userLng first)
+   * @returns {Promise<Object>} Result { success, issues?, metadata?, error? }
+   */
+  static async getQueue(user, options = {}) {
+    try {
+      const sort = options.sort || 'age';
+      const limit = Math.min(options.limit || 50, 100);
+      const offset = Math.max(options.offset || 0, 0);
+      const status = options.status && options.status.length > 0 ? options.status : this.OPEN_STATUSES;
+
+      const ownership = [{ assignee_id: user.id }];
+      if (user.department_id) {
+        ownership.push({ assigned_department_id: user.department_id });
+      }
+
+      const where = {
+        [Op.and]: [
+          ...GeolocationService.getFilterConditions({ status, category: options.category }),
+          { [Op.or]: ownership }
+        ]
+      };
+
+      const queryOptions = {
+        where,
+        include: [
+          {
+            model: Department,
+            as: 'assignedDepartment',
+            attributes: ['id', 'name'],
+            required: false
+          },
+          {
+            model: User,
+            as: 'assignee',
+            attributes: ['id', 'email', 'role'],
+            required: false
+          }
+        ],
+        order: [['created_at', 'ASC']],
+        limit,
+        offset
+      };
+
+      if (sort === 'distance') {
+        queryOptions.attributes = {
+          include: [GeospatialUtils.getDistanceKmAttribute(options.userLat, options.userLng)]
+        };
+        queryOptions.order = [[sequelize.literal('distance_km'), 'ASC'], ['created_at', 'ASC']];
+      }
+
+      const { count, rows } = await Issue.findAndCountAll({ ...queryOptions, distinct: true });
+
+      return {
+        success: true,
+        issues: rows.map(issue => this.formatQueueIssue(issue, user)),
+        metadata: {
+          total: count,
+          count: rows.length,
+          limit,
+          offset,
+          sort,
+          filters: {
+            status,
+            category: options.category || []
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Error fetching assignment queue:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch assignment queue'
+      };
+    }
+  }
+
+  /**
+   * Format a queue entry for API responses
+   * @param {Object} issue - Issue with assignedDepartment and assignee included
+   * @param {Object} user - User the queue belongs to
+   * @returns {Object} Formatted issue
+   */
+  static formatQueueIssue(issue, user) {
+    const distanceKm = issue.get('distance_km');
+
+    return {
+      id: issue.id,
+      title: issue.title,
+      category: issue.category,
+      status: issue.status,
+      latitude: issue.latitude,
+      longitude: issue.longitude,
+      address: issue.address,
+      support_count: issue.support_count,
+      created_at: issue.created_at,
+      assigned_at: issue.assigned_at,
+      age_days: Math.floor((Date.now() - new Date(issue.created_at).getTime()) / (24 * 60 * 60 * 1000)),
+      distance_km: distanceKm !== undefined && distanceKm !== null ? parseFloat(distanceKm).toFixed(2) : null,
+      assigned_to_me: issue.assignee_id === user.id,
+      ...this.formatAssignment(issue.assignedDepartment, issue.assignee)
+    };
+  }
+
+  /**
+   * Format department and assignee for API responses
+   * @param {Object|null} department - Department { id, name }
+   * @param {Object|null} assignee - User { id, email, role }
+   * @returns {Object} { department, assignee }
+   */
+  static formatAssignment(department, assignee) {
+    return {
+      department: department ? {
+        id: department.id,
+        name: department.name
+      } : null,
+      assignee: assignee ? {
+        id: assignee.id,
+        email: assignee.email,
+        role: assignee.role
+      } : null
+    };
+  }
+
+  /**
+   * Build the history comment describing a new assignment
+   * @param {Object|null} department - Assigned department
+   * @param {Object|null} assignee - Assigned user
+   * @param {string|null} comment - Optional note from the person assigning
+   * @returns {string} History comment
+   */
+  static buildTrailComment(department, assignee, comment) {
+    let text;
+
+    if (department && assignee) {
+      text = `Assigned to ${assignee.email} (${department.name})`;
+    } else if (department) {
+      text = `Assigned to ${department.name}`;
+    } else if (assignee) {
+      text = `Assigned to ${assignee.email}`;
+    } else {
+      text = 'Assignment removed';
+    }
+
+    return (comment ? `${text}: ${comment}` : text).substring(0, 1000);
+  }
+}
+
+module.exports = AssignmentService;
@@ -1,6 +1,9 @@
 const bcrypt = require('bcryptjs');
 const { User } = require('../models');
-const { generateToken, generateSessionToken } = require('../middleware/auth');
+const { generateSessionToken } = require('../middleware/auth');
+const EmailVerificationService = require('./emailVerificationService');
+const SessionService = require('./sessionService');
+const AnonymousClaimService = require('./anonymousClaimService');
 
 /**
  * Hash password using bcrypt
@@ -59,11 +62,52 @@ const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Take over the reports of the anonymous sessions used before registering or logging in
+ * A browser may have gone through several sessions as they expired, so each is claimed in turn.
+ * A failed claim does not fail the login; the reports then stay with the session.
+ * @param {Object} user - User record
+ * @param {Object} claim - { anonymousSessionTokens, keepReportsAnonymous, anonymousIssueIds }
+ * @returns {Promise<Object|null>} { issues, flags } counts of claimed reports, or null when no session was claimed
+ */
+const claimAnonymousReports = async (user, {
+  anonymousSessionTokens = [],
+  keepReportsAnonymous = true,
+  anonymousIssueIds = []
+} = {}) => {
+  let claimedReports = null;
+  
+  for (const sessionToken of new Set(anonymousSessionTokens)) {
+    const result = await AnonymousClaimService.claimSession(user, sessionToken, {
+      keepAnonymous: keepReportsAnonymous,
+      anonymousIssueIds
+    });
+    
+    if (result.success) {
+      claimedReports = {
+        issues: (claimedReports ? claimedReports.issues : 0) + result.issues,
+        flags: (claimedReports ? claimedReports.flags : 0) + result.flags
+      };
+    }
+  }
+  
+  return claimedReports;
+};
+
 /**
  * Register a new user
+ * @param {Object} userData - { email, password, role, anonymousSessionTokens?, keepReportsAnonymous?, anonymousIssueIds? }
+ * @param {Object} [meta] - { ipAddress, userAgent } of the request, stored with the session
  */
-const registerUser = async (userData) => {
-  const { email, password, role = 'citizen' } = userData;
+const registerUser = async (userData, meta = {}) => {
+  const {
+    email,
+    password,
+    role = 'citizen',
+    anonymousSessionTokens,
+    keepReportsAnonymous,
+    anonymousIssueIds
+  } = userData;
   
   // Validate input
   if (!email || !password) {
@@ -93,11 +137,24 @@ const registerUser = async (userData) => {
     email,
     password_hash: passwordHash,
     role,
-    is_verified: false // Email verification would be implemented later
+    is_verified: false
   });
   
-  // Generate token
-  const token = generateToken(user);
+  // Email the verification link in the background; the account works without it, but some actions need a verified email.
+  // Failures are logged, and the user can ask for a new link.
+  EmailVerificationService.sendVerificationEmail(user)
+    .catch((error) => {
+      console.error('Error sending verification email:', error);
+    });
+  
+  // Start a session with an access token and a refresh token
+  const { token, refreshToken } = await SessionService.createSession(user, meta);
+  
+  const claimedReports = await claimAnonymousReports(user, {
+    anonymousSessionTokens,
+    keepReportsAnonymous,
+    anonymousIssueIds
+  });
   
   return {
     user: {
@@ -107,14 +164,20 @@ const registerUser = async (userData) => {
       isVerified: user.is_verified,
       createdAt: user.createdAt
     },
-    token
+    token,
+    refreshToken,
+    claimedReports
   };
 };
 
 /**
  * Login user
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @param {Object} [meta] - { ipAddress, userAgent } of the request, stored with the session
+ * @param {Object} [claim] - { anonymousSessionTokens, keepReportsAnonymous, anonymousIssueIds } to take over anonymous reports
  */
-const loginUser = async (email, password) => {
+const loginUser = async (email, password, meta = {}, claim = {}) => {
   if (!email || !password) {
     throw new Error('Email and password are required');
   }
@@ -139,8 +202,10 @@ const loginUser = async (email, password) => {
   // Update last active
   await user.update({ last_active_at: new Date() });
   
-  // Generate token
-  const token = generateToken(user);
+  // Start a session with an access token and a refresh token
+  const { token, refreshToken } = await SessionService.createSession(user, meta);
+  
+  const claimedReports = await claimAnonymousReports(user, claim);
   
   return {
     user: {
@@ -150,7 +215,9 @@ const loginUser = async (email, password) => {
       isVerified: user.is_verified,
       lastActiveAt: user.last_active_at
     },
-    token
+    token,
+    refreshToken,
+    claimedReports
   };
 };
 
@@ -231,7 +298,9 @@ const updateUserProfile = async (userId, updateData) => {
           throw new Error('Email already in use');
         }
         // Reset verification status if email changes
-        filteredData.is_verified = false;
+        if (updateData[field] !== user.email) {
+          filteredData.is_verified = false;
+        }
       }
       
       filteredData[field] = updateData[field];
@@ -240,6 +309,14 @@ const updateUserProfile = async (userId, updateData) => {
   
   await user.update(filteredData);
   
+  // The new address has to be verified again; the link is emailed in the background like on registration
+  if (filteredData.is_verified === false) {
+    EmailVerificationService.sendVerificationEmail(user)
+      .catch((error) => {
+        console.error('Error sending verification email:', error);
+      });
+  }
+  
   return {
     id: user.id,
     email: user.email,
@@ -0,0 +1,256 @@
+const { Op } = require('sequelize');
+const { Boundary } = require('../models');
+const { sequelize } = require('../config/database');
+const GeospatialUtils = require('../utils/geospatial');
+
+// Wards are more specific than the jurisdiction they subdivide
+const KIND_ORDER = ['ward', 'jurisdiction'];
+
+/**
+ * Boundary Service - Jurisdiction and ward boundaries that define where issues can be reported
+ *
+ * While no active boundary exists every valid coordinate is accepted. Once an admin uploads one,
+ * reports must lie inside an active boundary and the issue keeps the most specific match
+ * (a ward before a jurisdiction).
+ */
+class BoundaryService {
+
+  /**
+   * List boundaries
+   * @param {Object} filters - { kind?, active? }
+   * @returns {Promise<Object>} Result { success, boundaries?, error? }
+   */
+  static async getBoundaries(filters = {}) {
+    try {
+      const where = {};
+      if (filters.kind) {
+        where.kind = filters.kind;
+      }
+      if (filters.active !== undefined) {
+        where.is_active = filters.active;
+      }
+
+      const boundaries = await Boundary.findAll({
+        where,
+        order: [['kind', 'ASC'], ['name', 'ASC']]
+      });
+
+      return {
+        success: true,
+        boundaries: boundaries.map(boundary => this.formatBoundary(boundary))
+      };
+
+    } catch (error) {
+      console.error('Error fetching boundaries:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch boundaries'
+      };
+    }
+  }
+
+  /**
+   * Create a boundary
+   * @param {Object} data - { name, geometry, kind?, is_active? }
+   * @param {string} adminId - Admin uploading the boundary
+   * @returns {Promise<Object>} Result { success, boundary?, error? }
+   */
+  static async createBoundary(data, adminId) {
+    try {
+      const boundary = await Boundary.create({
+        name: data.name.trim(),
+        kind: data.kind || 'jurisdiction',
+        geometry: GeospatialUtils.parseZone(data.geometry),
+        is_active: data.is_active !== undefined ? data.is_active : true,
+        created_by: adminId
+      });
+
+      return {
+        success: true,
+        boundary: this.formatBoundary(boundary)
+      };
+
+    } catch (error) {
+      console.error('Error creating boundary:', error);
+      return {
+        success: false,
+        error: 'Failed to create boundary'
+      };
+    }
+  }
+
+  /**
+   * Update a boundary
+   * Issues already reported keep the boundary they were matched to.
+   * @param {string} boundaryId - Boundary ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Result { success, boundary?, error?, notFound? }
+   */
+  static async updateBoundary(boundaryId, data) {
+    try {
+      const boundary = await Boundary.findByPk(boundaryId);
+
+      if (!boundary) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Boundary not found'
+        };
+      }
+
+      const updates = {};
+      ['kind', 'is_active'].forEach(field => {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      });
+      if (data.name !== undefined) {
+        updates.name = data.name.trim();
+      }
+      if (data.geometry !== undefined) {
+        updates.geometry = GeospatialUtils.parseZone(data.geometry);
+      }
+
+      await boundary.update(updates);
+
+      return {
+        success: true,
+        boundary: this.formatBoundary(boundary)
+      };
+
+    } catch (error) {
+      console.error('Error updating boundary:', error);
+      return {
+        success: false,
+        error: 'Failed to update boundary'
+      };
+    }
+  }
+
+  /**
+   * Delete a boundary
+   * Issues reported in it are kept without a boundary.
+   * @param {string} boundaryId - Boundary ID
+   * @returns {Promise<Object>} Result { success, boundary?, error?, notFound? }
+   */
+  static async deleteBoundary(boundaryId) {
+    try {
+      const boundary = await Boundary.findByPk(boundaryId);
+
+      if (!boundary) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Boundary not found'
+        };
+      }
+
+      const deleted = this.formatBoundary(boundary);
+      await boundary.destroy();
+
+      return {
+        success: true,
+        boundary: deleted
+      };
+
+    } catch (error) {
+      console.error('Error deleting boundary:', error);
+      return {
+        success: false,
+        error: 'Failed to delete boundary'
+      };
+    }
+  }
+
+  /**
+   * Find the most specific active boundary containing a point
+   * @param {number} latitude - Point latitude
+   * @param {number} longitude - Point longitude
+   * @returns {Promise<Object|null>} Ward, else jurisdiction, containing the point, or null
+   */
+  static async findContainingBoundary(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    const boundaries = sequelize.getDialect() === 'postgres'
+      ? await this.getContainingBoundariesPostgis(lat, lng)
+      : await this.getContainingBoundariesFallback(lat, lng);
+
+    const [boundary] = boundaries.sort((a, b) => (
+      KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+      new Date(a.created_at) - new Date(b.created_at)
+    ));
+
+    return boundary || null;
+  }
+
+  /**
+   * Active boundaries containing a point, tested in the database (PostGIS)
+   * @param {number} lat - Point latitude
+   * @param {number} lng - Point longitude
+   * @returns {Promise<Object[]>} Containing boundaries
+   */
+  static async getContainingBoundariesPostgis(lat, lng) {
+    const area = sequelize.fn('ST_SetSRID',
+      sequelize.fn('ST_GeomFromGeoJSON', sequelize.cast(sequelize.col('geometry'), 'text')),
+      4326
+    );
+    const point = sequelize.fn('ST_SetSRID', sequelize.fn('ST_MakePoint', lng, lat), 4326);
+
+    return Boundary.findAll({
+      where: {
+        is_active: true,
+        [Op.and]: sequelize.where(sequelize.fn('ST_Contains', area, point), true)
+      }
+    });
+  }
+
+  /**
+   * Same boundaries as getContainingBoundariesPostgis, tested in JavaScript (SQLite development database)
+   * @param {number} lat - Point latitude
+   * @param {number} lng - Point longitude
+   * @returns {Promise<Object[]>} Containing boundaries
+   */
+  static async getContainingBoundariesFallback(lat, lng) {
+    const boundaries = await Boundary.findAll({
+      where: { is_active: true }
+    });
+
+    return boundaries.filter(boundary => GeospatialUtils.isPointInZone(lat, lng, boundary.geometry));
+  }
+
+  /**
+   * Names of the areas issues can be reported in, for error messages
+   * @returns {Promise<string[]>} Active jurisdictions, or active wards when there is no jurisdiction
+   */
+  static async getServiceAreaNames() {
+    const boundaries = await Boundary.findAll({
+      where: { is_active: true },
+      attributes: ['name', 'kind'],
+      order: [['name', 'ASC']]
+    });
+
+    const jurisdictions = boundaries.filter(boundary => boundary.kind === 'jurisdiction');
+
+    return (jurisdictions.length > 0 ? jurisdictions : boundaries).map(boundary => boundary.name);
+  }
+
+  /**
+   * Format a boundary for API responses
+   * @param {Object} boundary - Boundary record
+   * @returns {Object} Formatted boundary
+   */
+  static formatBoundary(boundary) {
+    return {
+      id: boundary.id,
+      name: boundary.name,
+      kind: boundary.kind,
+      geometry: boundary.geometry,
+      is_active: boundary.is_active,
+      created_at: boundary.created_at,
+      updated_at: boundary.updated_at
+    };
+  }
+}
+
+module.exports = BoundaryService;
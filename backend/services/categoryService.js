@@ -0,0 +1,462 @@
+const { Category, Issue, RoutingRule, SlaTarget } = require('../models');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'select'];
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Category Service - Admin-managed issue categories, subcategories and custom fields
+ *
+ * Issues store the key of a top-level category, optionally the key of one of its subcategories,
+ * and the answers to the custom fields of both. Inactive categories cannot be chosen for new
+ * issues but keep labelling existing ones.
+ */
+class CategoryService {
+
+  /**
+   * List top-level categories with their subcategories, in display order
+   * @param {Object} options - { includeInactive? }
+   * @returns {Promise<Object>} Result { success, categories?, error? }
+   */
+  static async getCategories(options = {}) {
+    try {
+      const where = { parent_id: null };
+      const subcategoryWhere = {};
+      if (!options.includeInactive) {
+        where.is_active = true;
+        subcategoryWhere.is_active = true;
+      }
+
+      const categories = await Category.findAll({
+        where,
+        include: [
+          {
+            model: Category,
+            as: 'subcategories',
+            where: subcategoryWhere,
+            required: false
+          }
+        ],
+        order: [
+          ['sort_order', 'ASC'],
+          ['label', 'ASC'],
+          [{ model: Category, as: 'subcategories' }, 'sort_order', 'ASC'],
+          [{ model: Category, as: 'subcategories' }, 'label', 'ASC']
+        ]
+      });
+
+      return {
+        success: true,
+        categories: categories.map(category => this.formatCategory(category))
+      };
+
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch categories'
+      };
+    }
+  }
+
+  /**
+   * Keys of the top-level categories, for validating filters and admin settings
+   * @param {Object} options - { includeInactive? } (inactive categories still label existing issues)
+   * @returns {Promise<string[]>} Category keys
+   */
+  static async getCategoryKeys(options = {}) {
+    const where = { parent_id: null };
+    if (!options.includeInactive) {
+      where.is_active = true;
+    }
+
+    const categories = await Category.findAll({
+      where,
+      attributes: ['key'],
+      order: [['sort_order', 'ASC'], ['key', 'ASC']]
+    });
+
+    return categories.map(category => category.key);
+  }
+
+  /**
+   * Check the category, subcategory and custom field answers of a new issue
+   * @param {string} categoryKey - Top-level category key
+   * @param {string|null} subcategoryKey - Subcategory key
+   * @param {Object} answers - Custom field answers keyed by field key
+   * @returns {Promise<Object>} Result { success, subcategory?, customFields?, error?, details? }
+   */
+  static async checkIssueCategory(categoryKey, subcategoryKey, answers = {}) {
+    const category = await Category.findOne({
+      where: {
+        key: categoryKey,
+        parent_id: null,
+        is_active: true
+      },
+      include: [
+        {
+          model: Category,
+          as: 'subcategories',
+          where: { is_active: true },
+          required: false
+        }
+      ]
+    });
+
+    if (!category) {
+      return {
+        success: false,
+        error: `Category "${categoryKey}" does not exist or is no longer in use`
+      };
+    }
+
+    let subcategory = null;
+    if (subcategoryKey) {
+      subcategory = (category.subcategories || []).find(child => child.key === subcategoryKey);
+
+      if (!subcategory) {
+        return {
+          success: false,
+          error: `"${subcategoryKey}" is not a subcategory of ${category.label}`
+        };
+      }
+    }
+
+    const fields = [...(category.custom_fields || []), ...(subcategory ? subcategory.custom_fields || [] : [])];
+    const { values, errors } = this.validateCustomFields(fields, answers || {});
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: 'Invalid custom field values',
+        details: errors
+      };
+    }
+
+    return {
+      success: true,
+      subcategory: subcategory ? subcategory.key : null,
+      customFields: values
+    };
+  }
+
+  /**
+   * Validate answers against a custom field schema
+   * Answers to unknown fields are dropped, numbers and booleans sent as form strings are converted.
+   * @param {Object[]} fields - Field schema
+   * @param {Object} answers - Answers keyed by field key
+   * @returns {Object} { values, errors: [{ field, message }] }
+   */
+  static validateCustomFields(fields, answers) {
+    const values = {};
+    const errors = [];
+
+    fields.forEach(field => {
+      const answer = answers[field.key];
+      const isEmpty = answer === undefined || answer === null || String(answer).trim() === '';
+
+      if (isEmpty) {
+        if (field.required) {
+          errors.push({ field: field.key, message: `${field.label} is required` });
+        }
+        return;
+      }
+
+      if (field.type === 'number') {
+        const number = Number(answer);
+        if (!Number.isFinite(number)) {
+          errors.push({ field: field.key, message: `${field.label} must be a number` });
+          return;
+        }
+        values[field.key] = number;
+      } else if (field.type === 'boolean') {
+        if (![true, false, 'true', 'false'].includes(answer)) {
+          errors.push({ field: field.key, message: `${field.label} must be true or false` });
+          return;
+        }
+        values[field.key] = answer === true || answer === 'true';
+      } else if (field.type === 'select') {
+        if (!field.options.includes(answer)) {
+          errors.push({ field: field.key, message: `${field.label} must be one of: ${field.options.join(', ')}` });
+          return;
+        }
+        values[field.key] = answer;
+      } else {
+        const text = String(answer).trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+          errors.push({ field: field.key, message: `${field.label} must not exceed ${MAX_TEXT_LENGTH} characters` });
+          return;
+        }
+        values[field.key] = text;
+      }
+    });
+
+    return { values, errors };
+  }
+
+  /**
+   * Check a custom field schema submitted by an admin
+   * @param {*} fields - Submitted schema
+   * @returns {string|null} Problem description, or null when valid
+   */
+  static checkFieldSchema(fields) {
+    if (!Array.isArray(fields)) {
+      return 'Custom fields must be an array';
+    }
+
+    const keys = new Set();
+
+    for (const field of fields) {
+      if (!field || typeof field.key !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(field.key)) {
+        return 'Each custom field needs a key of lowercase letters, digits and underscores';
+      }
+      if (keys.has(field.key)) {
+        return `Custom field "${field.key}" is defined twice`;
+      }
+      keys.add(field.key);
+
+      if (typeof field.label !== 'string' || field.label.trim().length < 2 || field.label.length > 100) {
+        return `Custom field "${field.key}" needs a label of 2 to 100 characters`;
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        return `Custom field "${field.key}" must have a type of: ${FIELD_TYPES.join(', ')}`;
+      }
+      if (field.required !== undefined && typeof field.required !== 'boolean') {
+        return `Custom field "${field.key}" must have a boolean required flag`;
+      }
+      if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0 ||
+          !field.options.every(option => typeof option === 'string' && option.length > 0))) {
+        return `Select field "${field.key}" needs a list of options`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a category or subcategory
+   * @param {Object} data - { key, label, description?, icon?, color?, parent_key?, custom_fields?, sort_order?, is_active? }
+   * @returns {Promise<Object>} Result { success, category?, error?, conflict? }
+   */
+  static async createCategory(data) {
+    try {
+      const existing = await Category.findOne({ where: { key: data.key } });
+
+      if (existing) {
+        return {
+          success: false,
+          conflict: true,
+          error: `A category with key "${data.key}" already exists`
+        };
+      }
+
+      let parent = null;
+      if (data.parent_key) {
+        parent = await Category.findOne({ where: { key: data.parent_key, parent_id: null } });
+
+        if (!parent) {
+          return {
+            success: false,
+            error: 'Parent category not found, subcategories can only be added to top-level categories'
+          };
+        }
+      }
+
+      const category = await Category.create({
+        key: data.key,
+        label: data.label.trim(),
+        description: data.description ? data.description.trim() : null,
+        icon: data.icon || null,
+        color: data.color || null,
+        parent_id: parent ? parent.id : null,
+        custom_fields: this.normalizeFields(data.custom_fields),
+        sort_order: data.sort_order || 0,
+        is_active: data.is_active !== undefined ? data.is_active : true
+      });
+
+      return {
+        success: true,
+        category: this.formatCategory(category, parent)
+      };
+
+    } catch (error) {
+      console.error('Error creating category:', error);
+      return {
+        success: false,
+        error: 'Failed to create category'
+      };
+    }
+  }
+
+  /**
+   * Update a category
+   * The key cannot change because issues, routing rules and SLA targets refer to it.
+   * Answers stored on existing issues are kept when the field schema changes.
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Result { success, category?, error?, notFound? }
+   */
+  static async updateCategory(categoryId, data) {
+    try {
+      const category = await Category.findByPk(categoryId, {
+        include: [{ model: Category, as: 'parent' }]
+      });
+
+      if (!category) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Category not found'
+        };
+      }
+
+      const updates = {};
+      ['icon', 'color', 'sort_order', 'is_active'].forEach(field => {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      });
+      if (data.label !== undefined) {
+        updates.label = data.label.trim();
+      }
+      if (data.description !== undefined) {
+        updates.description = data.description ? data.description.trim() : null;
+      }
+      if (data.custom_fields !== undefined) {
+        updates.custom_fields = this.normalizeFields(data.custom_fields);
+      }
+
+      await category.update(updates);
+
+      return {
+        success: true,
+        category: this.formatCategory(category, category.parent)
+      };
+
+    } catch (error) {
+      console.error('Error updating category:', error);
+      return {
+        success: false,
+        error: 'Failed to update category'
+      };
+    }
+  }
+
+  /**
+   * Delete a category that nothing refers to
+   * Categories used by issues, routing rules or SLA targets have to be deactivated instead.
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Result { success, category?, error?, notFound?, conflict? }
+   */
+  static async deleteCategory(categoryId) {
+    try {
+      const category = await Category.findByPk(categoryId, {
+        include: [
+          { model: Category, as: 'parent' },
+          { model: Category, as: 'subcategories' }
+        ]
+      });
+
+      if (!category) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Category not found'
+        };
+      }
+
+      const inUse = category.parent_id
+        ? await Issue.count({ where: { category: category.parent.key, subcategory: category.key } })
+        : await this.countReferences(category);
+
+      if (inUse > 0 || (category.subcategories || []).length > 0) {
+        return {
+          success: false,
+          conflict: true,
+          error: inUse > 0
+            ? 'Category is in use by issues, routing rules or SLA targets, deactivate it instead'
+            : 'Delete the subcategories of this category first'
+        };
+      }
+
+      const deleted = this.formatCategory(category, category.parent);
+      await category.destroy();
+
+      return {
+        success: true,
+        category: deleted
+      };
+
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      return {
+        success: false,
+        error: 'Failed to delete category'
+      };
+    }
+  }
+
+  /**
+   * Count the records referring to a top-level category
+   * @param {Object} category - Category record
+   * @returns {Promise<number>} Issues, routing rules and SLA targets using the key
+   */
+  static async countReferences(category) {
+    const where = { category: category.key };
+    const counts = await Promise.all([
+      Issue.count({ where }),
+      RoutingRule.count({ where }),
+      SlaTarget.count({ where })
+    ]);
+
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Keep only the known properties of a submitted field schema
+   * @param {Object[]} fields - Field schema checked by checkFieldSchema
+   * @returns {Object[]} Stored schema
+   */
+  static normalizeFields(fields = []) {
+    return (fields || []).map(field => {
+      const normalized = {
+        key: field.key,
+        label: field.label.trim(),
+        type: field.type,
+        required: Boolean(field.required)
+      };
+      if (field.type === 'select') {
+        normalized.options = field.options;
+      }
+      return normalized;
+    });
+  }
+
+  /**
+   * Format a category for API responses
+   * @param {Object} category - Category record
+   * @param {Object|null} parent - Parent category of a subcategory
+   * @returns {Object} Formatted category
+   */
+  static formatCategory(category, parent = null) {
+    const formatted = {
+      id: category.id,
+      key: category.key,
+      label: category.label,
+      description: category.description || null,
+      icon: category.icon || null,
+      color: category.color || null,
+      parent_key: parent ? parent.key : null,
+      custom_fields: category.custom_fields || [],
+      sort_order: category.sort_order,
+      is_active: category.is_active
+    };
+
+    if (!category.parent_id) {
+      formatted.subcategories = (category.subcategories || []).map(child => this.formatCategory(child, category));
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,271 @@
+const { IssueComment, CommentFlag, Issue, User } = require('../models');
+const { Op } = require('sequelize');
+const FlaggingService = require('./flaggingService');
+
+/**
+ * Comment Service - Handles public comment threads on issues
+ */
+class CommentService {
+
+  // Roles shown with an official badge next to their comments
+  static OFFICIAL_ROLES = ['authority', 'admin'];
+
+  /**
+   * Get the visible comments of an issue, oldest first
+   * @param {string} issueId - Issue ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} Result { success, comments?, metadata?, error?, notFound? }
+   */
+  static async getComments(issueId, options = {}) {
+    try {
+      const limit = Math.min(options.limit || 20, 100);
+      const offset = Math.max(options.offset || 0, 0);
+
+      const issue = await this.findVisibleIssue(issueId);
+
+      if (!issue) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      const { count, rows } = await IssueComment.findAndCountAll({
+        where: {
+          issue_id: issueId,
+          is_hidden: false
+        },
+        include: [
+          {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'role'],
+            required: false
+          }
+        ],
+        order: [['created_at', 'ASC']],
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        comments: rows.map(comment => this.formatComment(comment)),
+        metadata: {
+          total: count,
+          count: rows.length,
+          limit,
+          offset
+        }
+      };
+
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch comments'
+      };
+    }
+  }
+
+  /**
+   * Add a comment to an issue
+   * @param {string} issueId - Issue ID
+   * @param {Object} author - { userId, sessionToken, role }
+   * @param {string} body - Comment text
+   * @returns {Promise<Object>} Result { success, comment?, error?, notFound? }
+   */
+  static async createComment(issueId, author, body) {
+    try {
+      const issue = await this.findVisibleIssue(issueId);
+
+      if (!issue) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      // Merged duplicates are discussed on their canonical issue
+      if (issue.merged_into_id) {
+        return {
+          success: false,
+          error: 'Issue was merged into another issue'
+        };
+      }
+
+      const comment = await IssueComment.create({
+        issue_id: issueId,
+        author_id: author.userId || null,
+        author_session: author.userId ? null : author.sessionToken,
+        body: body.trim()
+      });
+
+      return {
+        success: true,
+        comment: this.formatComment(comment, author.userId ? { id: author.userId, role: author.role } : null)
+      };
+
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      return {
+        success: false,
+        error: 'Failed to create comment'
+      };
+    }
+  }
+
+  /**
+   * Flag a comment, hiding it once the shared flag threshold is reached
+   * @param {string} issueId - Issue the comment belongs to
+   * @param {string} commentId - Comment ID to flag
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {string} reason - Reason for flagging
+   * @param {string} flagType - Type of flag (spam, inappropriate, irrelevant, other)
+   * @returns {Promise<Object>} Flag result { success, flag?, comment?, error?, notFound?, conflict? }
+   */
+  static async flagComment(issueId, commentId, userId, sessionToken, reason, flagType = 'spam') {
+    try {
+      const comment = await IssueComment.findOne({
+        where: {
+          id: commentId,
+          issue_id: issueId,
+          is_hidden: false
+        }
+      });
+
+      if (!comment) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Comment not found or is already hidden'
+        };
+      }
+
+      // Check if user/session has already flagged this comment
+      const existingFlag = await CommentFlag.findOne({
+        where: {
+          comment_id: commentId,
+          [Op.or]: [
+            userId ? { flagged_by: userId } : null,
+            sessionToken ? { flagger_session: sessionToken } : null
+          ].filter(Boolean)
+        }
+      });
+
+      if (existingFlag) {
+        return {
+          success: false,
+          conflict: true,
+          error: 'You have already flagged this comment'
+        };
+      }
+
+      // Prevent users from flagging their own comments
+      if ((userId && comment.author_id === userId) ||
+          (!userId && sessionToken && comment.author_session === sessionToken)) {
+        return {
+          success: false,
+          error: 'You cannot flag your own comment'
+        };
+      }
+
+      const transaction = await require('../config/database').sequelize.transaction();
+
+      try {
+        const flag = await CommentFlag.create({
+          comment_id: commentId,
+          flagged_by: userId || null,
+          flagger_session: userId ? null : sessionToken,
+          reason: reason.trim(),
+          flag_type: flagType
+        }, { transaction });
+
+        await comment.increment('flag_count', { transaction });
+        await comment.reload({ transaction });
+
+        let autoHidden = false;
+
+        if (FlaggingService.shouldAutoHide(comment.flag_count)) {
+          await comment.update({
+            is_hidden: true
+          }, { transaction });
+          autoHidden = true;
+        }
+
+        await transaction.commit();
+
+        return {
+          success: true,
+          flag: {
+            id: flag.id,
+            reason: flag.reason,
+            flag_type: flag.flag_type,
+            created_at: flag.created_at
+          },
+          comment: {
+            id: comment.id,
+            flag_count: comment.flag_count,
+            is_hidden: comment.is_hidden,
+            auto_hidden: autoHidden
+          }
+        };
+
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+    } catch (error) {
+      console.error('Error flagging comment:', error);
+      return {
+        success: false,
+        error: 'Failed to flag comment'
+      };
+    }
+  }
+
+  /**
+   * Find an issue whose comments can be read
+   * @param {string} issueId - Issue ID
+   * @returns {Promise<Object|null>} Issue or null if missing or hidden
+   */
+  static async findVisibleIssue(issueId) {
+    return Issue.findOne({
+      where: {
+        id: issueId,
+        is_hidden: false
+      },
+      attributes: ['id', 'merged_into_id']
+    });
+  }
+
+  /**
+   * Format a comment for API responses
+   * @param {Object} comment - Comment record
+   * @param {Object|null} author - Author { id, role }, defaults to the included author
+   * @returns {Object} Formatted comment
+   */
+  static formatComment(comment, author = comment.author) {
+    const role = author ? author.role : null;
+    const isOfficial = this.OFFICIAL_ROLES.includes(role);
+
+    return {
+      id: comment.id,
+      issue_id: comment.issue_id,
+      body: comment.body,
+      created_at: comment.created_at,
+      is_anonymous: !comment.author_id,
+      author: author ? {
+        id: author.id,
+        role
+      } : null,
+      is_official: isOfficial
+    };
+  }
+}
+
+module.exports = CommentService;
@@ -0,0 +1,191 @@
+const { Op } = require('sequelize');
+const { Issue } = require('../models');
+const GeospatialUtils = require('../utils/geospatial');
+const WorkflowService = require('./workflowService');
+
+// Words that say nothing about what an issue is about
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'there', 'here', 'near', 'from',
+  'are', 'was', 'has', 'have', 'been', 'not', 'but', 'its', 'our', 'very',
+  'into', 'onto', 'over', 'just', 'some', 'any', 'all', 'one', 'street', 'road'
+]);
+
+/**
+ * Duplicate Detection Service - Finds open issues that likely describe the same problem
+ *
+ * A candidate has the same category, is still open, was reported recently and lies close by.
+ * Candidates are ranked by a score combining proximity and text similarity.
+ *
+ * Configuration (environment):
+ * - DUPLICATE_RADIUS_METERS: search radius around the new report (default: 100)
+ * - DUPLICATE_WINDOW_DAYS: how far back reports are considered (default: 30)
+ * - DUPLICATE_MIN_SCORE: minimum score (0-1) of a likely duplicate (default: 0.4)
+ */
+class DuplicateDetectionService {
+
+  // Most candidates fetched from the database per check
+  static MAX_CANDIDATES = 50;
+
+  /**
+   * Current detection settings
+   * @returns {Object} { radiusMeters, windowDays, minScore }
+   */
+  static getSettings() {
+    return {
+      radiusMeters: parseFloat(process.env.DUPLICATE_RADIUS_METERS || '100'),
+      windowDays: parseFloat(process.env.DUPLICATE_WINDOW_DAYS || '30'),
+      minScore: parseFloat(process.env.DUPLICATE_MIN_SCORE || '0.4')
+    };
+  }
+
+  /**
+   * Split text into normalized, meaningful words
+   * @param {string} text - Text to tokenize
+   * @returns {Set<string>} Unique words
+   */
+  static tokenize(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      // Treat simple plurals as the same word ("potholes" vs "pothole")
+      .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+    return new Set(words);
+  }
+
+  /**
+   * Dice coefficient of the word sets of two texts
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} Similarity between 0 (nothing shared) and 1 (same words)
+   */
+  static textSimilarity(a, b) {
+    const wordsA = this.tokenize(a);
+    const wordsB = this.tokenize(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+      if (wordsB.has(word)) {
+        shared++;
+      }
+    }
+
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+
+  /**
+   * Score how likely a candidate describes the same problem as a report
+   * @param {Object} report - { title, description }
+   * @param {Object} candidate - Existing issue { title, description }
+   * @param {number} distanceMeters - Distance between both locations
+   * @param {number} radiusMeters - Search radius
+   * @returns {Object} { similarity, score } both between 0 and 1
+   */
+  static scoreCandidate(report, candidate, distanceMeters, radiusMeters) {
+    const proximity = Math.max(0, 1 - distanceMeters / radiusMeters);
+
+    // Titles carry most of the meaning, descriptions only count when both are given
+    const similarity = report.description && candidate.description
+      ? 0.6 * this.textSimilarity(report.title, candidate.title) +
+        0.4 * this.textSimilarity(report.description, candidate.description)
+      : this.textSimilarity(report.title, candidate.title);
+
+    return {
+      similarity: parseFloat(similarity.toFixed(2)),
+      score: parseFloat((0.5 * proximity + 0.5 * similarity).toFixed(2))
+    };
+  }
+
+  /**
+   * Find open issues that likely duplicate a report
+   * @param {Object} report - { latitude, longitude, category, title?, description? }
+   * @param {Object} options - Options
+   * @param {string} options.excludeId - Issue to leave out (the report itself once created)
+   * @param {number} options.limit - Maximum number of duplicates returned (default: 5)
+   * @returns {Promise<Object>} Result { success, duplicates?, error? }
+   */
+  static async findPossibleDuplicates(report, options = {}) {
+    try {
+      const { radiusMeters, windowDays, minScore } = this.getSettings();
+      const latitude = parseFloat(report.latitude);
+      const longitude = parseFloat(report.longitude);
+      const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+      const conditions = [
+        GeospatialUtils.getWithinBoundingBoxCondition(
+          GeospatialUtils.getBoundingBox(latitude, longitude, radiusMeters / 1000)
+        ),
+        { category: report.category },
+        { is_hidden: false },
+        { merged_into_id: null },
+        { status: WorkflowService.getOpenStatuses() },
+        { created_at: { [Op.gte]: since } }
+      ];
+
+      if (options.excludeId) {
+        conditions.push({ id: { [Op.ne]: options.excludeId } });
+      }
+
+      const candidates = await Issue.findAll({
+        where: { [Op.and]: conditions },
+        attributes: [
+          'id', 'title', 'description', 'category', 'status',
+          'latitude', 'longitude', 'address', 'created_at'
+        ],
+        order: [['created_at', 'DESC']],
+        limit: this.MAX_CANDIDATES
+      });
+
+      const duplicates = candidates
+        .map(candidate => {
+          const issue = candidate.toJSON();
+          const distanceMeters = GeospatialUtils.haversineDistance(
+            latitude, longitude, parseFloat(issue.latitude), parseFloat(issue.longitude)
+          ) * 1000;
+
+          return {
+            issue,
+            distanceMeters,
+            ...this.scoreCandidate(report, issue, distanceMeters, radiusMeters)
+          };
+        })
+        // The bounding box is a square, the search area a circle
+        .filter(match => match.distanceMeters <= radiusMeters && match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, options.limit || 5)
+        .map(({ issue, distanceMeters, similarity, score }) => ({
+          id: issue.id,
+          title: issue.title,
+          description: issue.description,
+          category: issue.category,
+          status: issue.status,
+          latitude: issue.latitude,
+          longitude: issue.longitude,
+          address: issue.address,
+          created_at: issue.created_at,
+          distance_meters: Math.round(distanceMeters),
+          similarity,
+          score
+        }));
+
+      return {
+        success: true,
+        duplicates
+      };
+
+    } catch (error) {
+      console.error('Error checking for duplicate issues:', error);
+      return {
+        success: false,
+        error: 'Failed to check for duplicate issues'
+      };
+    }
+  }
+}
+
+module.exports = DuplicateDetectionService;
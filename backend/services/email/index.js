@@ -0,0 +1,195 @@
+const os = require('os');
+const path = require('path');
+const SmtpTransport = require('./transports/smtpTransport');
+const FileTransport = require('./transports/fileTransport');
+const { renderTemplate } = require('./templates');
+
+// Environments where emails may go to the file transport unless EMAIL_TRANSPORT says otherwise
+const LOCAL_ENVIRONMENTS = ['development', 'test', 'sqlite'];
+
+/**
+ * Email Service - Renders templates and delivers them through the configured transport
+ *
+ * Configuration (environment):
+ * - EMAIL_TRANSPORT: "smtp" or "file" (default: "file" in development and test, required elsewhere)
+ * - EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE, EMAIL_USER, EMAIL_PASSWORD: SMTP settings
+ * - EMAIL_OUTPUT_DIR: directory for the file transport (default: civictrack-emails in the OS temp directory)
+ * - EMAIL_FROM: sender address
+ * - EMAIL_MAX_RETRIES, EMAIL_RETRY_DELAY_MS: retry policy for failed deliveries
+ */
+class EmailService {
+
+  // Transport instance, created lazily from the environment
+  static transport = null;
+
+  /**
+   * Create a transport from its name
+   * @param {string} name - Transport name (smtp, file)
+   * @returns {EmailTransport} Transport instance
+   */
+  static createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        return new SmtpTransport({
+          host: process.env.EMAIL_HOST || 'localhost',
+          port: parseInt(process.env.EMAIL_PORT || '587'),
+          secure: process.env.EMAIL_SECURE === 'true',
+          user: process.env.EMAIL_USER,
+          password: process.env.EMAIL_PASSWORD
+        });
+
+      case 'file':
+        return new FileTransport({
+          // Outside the repository, so written emails cannot end up in a commit
+          directory: process.env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'civictrack-emails')
+        });
+
+      default:
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+  }
+
+  /**
+   * Name of the configured transport
+   * Only local environments fall back to the file transport; elsewhere it would silently swallow real emails.
+   * @returns {string|null} Transport name, or null when EMAIL_TRANSPORT is required but not set
+   */
+  static getTransportName() {
+    if (process.env.EMAIL_TRANSPORT) {
+      return process.env.EMAIL_TRANSPORT;
+    }
+    return LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV) ? 'file' : null;
+  }
+
+  /**
+   * Warn at startup when no email can be delivered because EMAIL_TRANSPORT is missing
+   * @returns {boolean} Whether a transport is configured
+   */
+  static checkConfiguration() {
+    if (this.getTransportName()) {
+      return true;
+    }
+
+    console.warn([
+      '*'.repeat(72),
+      `WARNING: EMAIL_TRANSPORT is not set and NODE_ENV is "${process.env.NODE_ENV || ''}".`,
+      'No emails (verification, password reset, notifications) will be sent.',
+      'Set EMAIL_TRANSPORT to "smtp", or to "file" to write them to EMAIL_OUTPUT_DIR.',
+      '*'.repeat(72)
+    ].join('\n'));
+    return false;
+  }
+
+  /**
+   * Get the active transport
+   * @returns {EmailTransport} Transport instance
+   * @throws {Error} When EMAIL_TRANSPORT is required but not set
+   */
+  static getTransport() {
+    if (!this.transport) {
+      const name = this.getTransportName();
+      if (!name) {
+        throw new Error('EMAIL_TRANSPORT is not set');
+      }
+      this.transport = this.createTransport(name);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the active transport (tests, custom providers)
+   * @param {EmailTransport|null} transport - Transport instance, or null to reset
+   */
+  static setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Deliver a message, retrying temporary failures with exponential backoff
+   * @param {Object} message - { to, subject, text, html }
+   * @param {Object} options - Retry options
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryDelayMs - Delay before the first retry (doubles each retry)
+   * @returns {Promise<Object>} Delivery result { success, attempts, result?, error? }
+   */
+  static async send(message, options = {}) {
+    const maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : parseInt(process.env.EMAIL_MAX_RETRIES || '3');
+    const retryDelayMs = options.retryDelayMs !== undefined
+      ? options.retryDelayMs
+      : parseInt(process.env.EMAIL_RETRY_DELAY_MS || '1000');
+
+    let transport;
+    try {
+      transport = this.getTransport();
+    } catch (error) {
+      console.error(`Email to ${message.to} not sent:`, error.message);
+      return {
+        success: false,
+        attempts: 0,
+        error: error.message
+      };
+    }
+
+    const fullMessage = {
+      from: process.env.EMAIL_FROM || 'CivicTrack <no-reply@civictrack.local>',
+      ...message
+    };
+
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts <= maxRetries) {
+      attempts++;
+
+      try {
+        const result = await transport.send(fullMessage);
+        return {
+          success: true,
+          attempts,
+          result
+        };
+      } catch (error) {
+        lastError = error;
+        console.error(`Email delivery attempt ${attempts} to ${fullMessage.to} failed:`, error.message);
+
+        if (!transport.isRetryable(error) || attempts > maxRetries) {
+          break;
+        }
+
+        await this.delay(retryDelayMs * Math.pow(2, attempts - 1));
+      }
+    }
+
+    return {
+      success: false,
+      attempts,
+      error: lastError ? lastError.message : 'Email delivery failed'
+    };
+  }
+
+  /**
+   * Render a template and deliver it
+   * @param {string} templateName - Template name (statusChange, flagOutcome, userBanned, emailVerification, passwordReset)
+   * @param {string} to - Recipient email address
+   * @param {Object} data - Template data
+   * @param {Object} options - Retry options passed to send()
+   * @returns {Promise<Object>} Delivery result
+   */
+  static async sendTemplate(templateName, to, data, options = {}) {
+    const { subject, text, html } = renderTemplate(templateName, data);
+    return this.send({ to, subject, text, html }, options);
+  }
+
+  /**
+   * Wait between retries
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  static delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,29 @@
+const { APP_NAME, escapeHtml, appUrl, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Verification link sent after registration and after an email address change
+ * @param {Object} data - { token, expiresInHours }
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+module.exports = (data) => {
+  const verifyUrl = appUrl(`/verify-email/${data.token}`);
+
+  const subject = `${APP_NAME}: Verify your email address`;
+
+  const text = [
+    `Confirm that this address belongs to your ${APP_NAME} account by opening the link below:`,
+    '',
+    verifyUrl,
+    '',
+    `The link works once and expires in ${data.expiresInHours} hours.`,
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n');
+
+  const html = renderLayout('Verify your email address', `
+          <p style="margin:0 0 12px;">Confirm that this address belongs to your ${APP_NAME} account.</p>
+          <p style="margin:0 0 12px;">The link works once and expires in ${escapeHtml(data.expiresInHours)} hours.</p>
+          <p style="margin:0;font-size:14px;color:#6b7280;">If you did not create an account, you can ignore this email.</p>
+          ${renderButton(verifyUrl, 'Verify email address')}`);
+
+  return { subject, text, html };
+};
@@ -0,0 +1,50 @@
+const { APP_NAME, escapeHtml, appUrl, renderLayout, renderButton } = require('./layout');
+
+const OUTCOMES = {
+  approve: {
+    summary: 'was reviewed and has been restored',
+    detail: 'A moderator found that your report follows the community guidelines. It is visible to your neighbours again.'
+  },
+  reject: {
+    summary: 'was reviewed and will stay hidden',
+    detail: 'A moderator agreed with the community flags. Your report remains hidden from other users.'
+  },
+  delete: {
+    summary: 'was reviewed and has been removed',
+    detail: 'A moderator removed your report for violating the community guidelines.'
+  }
+};
+
+/**
+ * Flag review outcome email sent to the reporter of a flagged issue
+ * @param {Object} data - { issueId, issueTitle, action, comment, timestamp }
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+module.exports = (data) => {
+  const outcome = OUTCOMES[data.action] || OUTCOMES.reject;
+  const issueUrl = appUrl(`/issues/${data.issueId}`);
+
+  const subject = `${APP_NAME}: Your report ${outcome.summary}`;
+
+  const textLines = [
+    `Your report "${data.issueTitle}" ${outcome.summary}.`,
+    '',
+    outcome.detail
+  ];
+
+  if (data.comment) {
+    textLines.push('', `Moderator comment: ${data.comment}`);
+  }
+
+  if (data.action === 'approve') {
+    textLines.push('', `View your report: ${issueUrl}`);
+  }
+
+  const html = renderLayout('Moderation review completed', `
+          <p style="margin:0 0 12px;">Your report <strong>${escapeHtml(data.issueTitle)}</strong> ${escapeHtml(outcome.summary)}.</p>
+          <p style="margin:0 0 12px;">${escapeHtml(outcome.detail)}</p>
+          ${data.comment ? `<blockquote style="margin:0 0 12px;padding:8px 12px;border-left:4px solid #e5e7eb;color:#374151;">${escapeHtml(data.comment)}</blockquote>` : ''}
+          ${data.action === 'approve' ? renderButton(issueUrl, 'View report') : ''}`);
+
+  return { subject, text: textLines.join('\n'), html };
+};
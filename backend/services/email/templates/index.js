@@ -0,0 +1,38 @@
+const statusChange = require('./statusChange');
+const flagOutcome = require('./flagOutcome');
+const userBanned = require('./userBanned');
+const emailVerification = require('./emailVerification');
+const passwordReset = require('./passwordReset');
+
+/**
+ * Email templates by name
+ * Each template turns notification data into { subject, text, html }.
+ */
+const templates = {
+  statusChange,
+  flagOutcome,
+  userBanned,
+  emailVerification,
+  passwordReset
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate
+};
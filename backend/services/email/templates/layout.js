@@ -0,0 +1,95 @@
+/**
+ * Shared helpers for email templates
+ */
+
+const WorkflowService = require('../../workflowService');
+
+const APP_NAME = 'CivicTrack';
+
+/**
+ * Escape a value for safe use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Human readable status label from the workflow (in_progress -> In Progress)
+ * @param {string|null} status - Status key
+ * @returns {string} Status label
+ */
+const formatStatus = (status) => {
+  if (!status) {
+    return 'N/A';
+  }
+
+  const definition = WorkflowService.getStatus(status);
+  if (definition) {
+    return definition.label;
+  }
+
+  return status
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+/**
+ * Absolute link into the frontend
+ * @param {string} pathname - Frontend path, e.g. /issues/:id
+ * @returns {string} Absolute URL
+ */
+const appUrl = (pathname) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}${pathname}`;
+};
+
+/**
+ * Wrap template content in the common HTML layout
+ * @param {string} heading - Heading shown at the top of the email
+ * @param {string} bodyHtml - Already escaped HTML content
+ * @returns {string} Complete HTML document
+ */
+const renderLayout = (heading, bodyHtml) => `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;">
+      <tr>
+        <td style="padding:24px;">
+          <p style="margin:0 0 8px;font-size:14px;font-weight:bold;color:#2563eb;">${APP_NAME}</p>
+          <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(heading)}</h1>
+          ${bodyHtml}
+        </td>
+      </tr>
+    </table>
+    <p style="max-width:600px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center;">
+      You are receiving this email because you use ${APP_NAME}.
+    </p>
+  </body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {string} href - Link target
+ * @param {string} label - Button label
+ * @returns {string} Button HTML
+ */
+const renderButton = (href, label) => `<p style="margin:24px 0 0;">
+            <a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a>
+          </p>`;
+
+module.exports = {
+  APP_NAME,
+  escapeHtml,
+  formatStatus,
+  appUrl,
+  renderLayout,
+  renderButton
+};
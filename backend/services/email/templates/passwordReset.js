@@ -0,0 +1,29 @@
+const { APP_NAME, escapeHtml, appUrl, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Password reset link sent from the forgot password form
+ * @param {Object} data - { token, expiresInMinutes }
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+module.exports = (data) => {
+  const resetUrl = appUrl(`/reset-password/${data.token}`);
+
+  const subject = `${APP_NAME}: Reset your password`;
+
+  const text = [
+    `Someone asked to reset the password of your ${APP_NAME} account. Choose a new password by opening the link below:`,
+    '',
+    resetUrl,
+    '',
+    `The link works once and expires in ${data.expiresInMinutes} minutes. Resetting your password signs you out on all devices.`,
+    'If you did not ask for a new password, you can ignore this email; your password stays the same.'
+  ].join('\n');
+
+  const html = renderLayout('Reset your password', `
+          <p style="margin:0 0 12px;">Someone asked to reset the password of your ${APP_NAME} account.</p>
+          <p style="margin:0 0 12px;">The link works once and expires in ${escapeHtml(data.expiresInMinutes)} minutes. Resetting your password signs you out on all devices.</p>
+          <p style="margin:0;font-size:14px;color:#6b7280;">If you did not ask for a new password, you can ignore this email; your password stays the same.</p>
+          ${renderButton(resetUrl, 'Choose a new password')}`);
+
+  return { subject, text, html };
+};
@@ -0,0 +1,38 @@
+const { APP_NAME, escapeHtml, formatStatus, appUrl, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Status change email sent to the reporter of an issue
+ * @param {Object} data - Notification data from NotificationService.notifyStatusChange
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+module.exports = (data) => {
+  const issueUrl = appUrl(`/issues/${data.issueId}`);
+  const previousStatus = formatStatus(data.previousStatus);
+  const newStatus = formatStatus(data.newStatus);
+  const updatedBy = data.updatedBy ? formatStatus(data.updatedBy.role) : 'System';
+
+  const subject = `${APP_NAME}: Issue Status Updated - ${data.issueTitle}`;
+
+  const text = [
+    'Your reported issue has been updated:',
+    '',
+    `Issue: ${data.issueTitle}`,
+    `Status changed from: ${previousStatus} to ${newStatus}`,
+    '',
+    `Update comment: ${data.comment || 'No comment provided'}`,
+    '',
+    `Updated by: ${updatedBy}`,
+    `Time: ${data.timestamp}`,
+    '',
+    `View the full issue details and history: ${issueUrl}`
+  ].join('\n');
+
+  const html = renderLayout('Your reported issue has been updated', `
+          <p style="margin:0 0 12px;"><strong>${escapeHtml(data.issueTitle)}</strong></p>
+          <p style="margin:0 0 12px;">Status changed from <strong>${escapeHtml(previousStatus)}</strong> to <strong>${escapeHtml(newStatus)}</strong>.</p>
+          <blockquote style="margin:0 0 12px;padding:8px 12px;border-left:4px solid #e5e7eb;color:#374151;">${escapeHtml(data.comment || 'No comment provided')}</blockquote>
+          <p style="margin:0;font-size:14px;color:#6b7280;">Updated by ${escapeHtml(updatedBy)} on ${escapeHtml(data.timestamp)}</p>
+          ${renderButton(issueUrl, 'View issue')}`);
+
+  return { subject, text, html };
+};
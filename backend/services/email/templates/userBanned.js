@@ -0,0 +1,30 @@
+const { APP_NAME, escapeHtml, renderLayout } = require('./layout');
+
+/**
+ * Ban notice sent to a user whose account was banned by an admin
+ * @param {Object} data - { reason, timestamp }
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+module.exports = (data) => {
+  const reason = data.reason || 'Violation of the community guidelines';
+
+  const subject = `${APP_NAME}: Your account has been suspended`;
+
+  const text = [
+    `Your ${APP_NAME} account has been suspended by an administrator.`,
+    '',
+    `Reason: ${reason}`,
+    `Time: ${data.timestamp}`,
+    '',
+    'While suspended you cannot sign in, and the issues you reported are hidden from other users.',
+    'If you believe this is a mistake, reply to this email to contact the moderation team.'
+  ].join('\n');
+
+  const html = renderLayout('Your account has been suspended', `
+          <p style="margin:0 0 12px;">Your ${APP_NAME} account has been suspended by an administrator.</p>
+          <p style="margin:0 0 12px;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+          <p style="margin:0 0 12px;">While suspended you cannot sign in, and the issues you reported are hidden from other users.</p>
+          <p style="margin:0;font-size:14px;color:#6b7280;">If you believe this is a mistake, reply to this email to contact the moderation team.</p>`);
+
+  return { subject, text, html };
+};
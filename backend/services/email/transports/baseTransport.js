@@ -0,0 +1,36 @@
+/**
+ * Email Transport interface
+ * Every transport receives a fully rendered message and delivers it somewhere.
+ *
+ * Message shape: { from, to, subject, text, html, headers? }
+ * Result shape:  { messageId, transport, ...transport specific details }
+ */
+class EmailTransport {
+
+  /**
+   * @param {string} name - Transport name reported in delivery results
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - Rendered email message
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    throw new Error(`Transport "${this.name}" does not implement send()`);
+  }
+
+  /**
+   * Whether a failed delivery is worth retrying
+   * @param {Error} error - Delivery error
+   * @returns {boolean} True if the error is temporary
+   */
+  isRetryable(error) {
+    return true;
+  }
+}
+
+module.exports = EmailTransport;
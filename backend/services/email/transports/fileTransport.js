@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const EmailTransport = require('./baseTransport');
+
+/**
+ * File transport - writes every message as an .eml file
+ * Intended for development and tests; the files open in any mail client.
+ */
+class FileTransport extends EmailTransport {
+
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.directory - Directory the .eml files are written to
+   */
+  constructor(options = {}) {
+    super('file');
+    this.directory = options.directory;
+  }
+
+  /**
+   * Write a message to the output directory
+   * @param {Object} message - Rendered email message
+   * @returns {Promise<Object>} Delivery result with the written file path
+   */
+  async send(message) {
+    const mail = new MailComposer(message).compile();
+    const raw = await mail.build();
+    const messageId = mail.messageId();
+
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const randomString = Math.random().toString(36).substring(2, 10);
+    const filePath = path.join(this.directory, `${timestamp}_${randomString}.eml`);
+
+    await fs.writeFile(filePath, raw);
+
+    return {
+      messageId,
+      transport: this.name,
+      path: filePath
+    };
+  }
+}
+
+module.exports = FileTransport;
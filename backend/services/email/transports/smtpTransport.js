@@ -0,0 +1,58 @@
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./baseTransport');
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+class SmtpTransport extends EmailTransport {
+
+  /**
+   * @param {Object} options - SMTP connection options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Use TLS from the start (port 465)
+   * @param {string} [options.user] - SMTP username
+   * @param {string} [options.password] - SMTP password
+   */
+  constructor(options = {}) {
+    super('smtp');
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? {
+        user: options.user,
+        pass: options.password
+      } : undefined
+    });
+  }
+
+  /**
+   * Deliver a message through the SMTP server
+   * @param {Object} message - Rendered email message
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    return {
+      messageId: info.messageId,
+      transport: this.name,
+      accepted: info.accepted,
+      rejected: info.rejected
+    };
+  }
+
+  /**
+   * Permanent SMTP failures (5xx replies) are not retried
+   * @param {Error} error - Delivery error
+   * @returns {boolean} True if the error is temporary
+   */
+  isRetryable(error) {
+    const responseCode = error && error.responseCode;
+    return !(responseCode >= 500 && responseCode < 600);
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { User, UserToken } = require('../models');
+const EmailService = require('./email');
+const AnonymousClaimService = require('./anonymousClaimService');
+
+const PURPOSE = 'email_verification';
+
+/**
+ * Email Verification Service - Emails single-use links that set User.is_verified
+ *
+ * Configuration (environment):
+ * - EMAIL_VERIFICATION_TTL_HOURS: how long a link stays valid (default: 24)
+ * - EMAIL_VERIFICATION_RESEND_SECONDS: minimum time between two emails to one user (default: 60)
+ */
+class EmailVerificationService {
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Token from the email link
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Link lifetime in hours
+   * @returns {number} Hours
+   */
+  static getTokenTtlHours() {
+    return parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+  }
+
+  /**
+   * Create a verification token for a user and email the link
+   * Earlier unused links of the user stop working, so only the newest email counts.
+   * @param {Object} user - User record with an email address
+   * @returns {Promise<Object>} Result { success, error? }
+   */
+  static async sendVerificationEmail(user) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const ttlHours = this.getTokenTtlHours();
+
+      await UserToken.destroy({
+        where: { user_id: user.id, purpose: PURPOSE, used_at: null }
+      });
+
+      await UserToken.create({
+        user_id: user.id,
+        purpose: PURPOSE,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+
+      const result = await EmailService.sendTemplate('emailVerification', user.email, {
+        token,
+        expiresInHours: ttlHours
+      });
+
+      if (!result.success) {
+        console.error(`Verification email to ${user.email} failed:`, result.error);
+        return {
+          success: false,
+          error: 'Failed to send the verification email'
+        };
+      }
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      return {
+        success: false,
+        error: 'Failed to send the verification email'
+      };
+    }
+  }
+
+  /**
+   * Redeem a verification token and mark the user's email as verified
+   * @param {string} token - Token from the email link
+   * @returns {Promise<Object>} Result { success, user?, error?, expired? }
+   */
+  static async verifyEmail(token) {
+    try {
+      const record = await UserToken.findOne({
+        where: { token_hash: this.hashToken(token), purpose: PURPOSE },
+        include: [{ model: User, as: 'user' }]
+      });
+
+      if (!record || record.used_at || !record.user) {
+        return {
+          success: false,
+          error: 'This verification link is invalid or has already been used'
+        };
+      }
+
+      if (new Date(record.expires_at) <= new Date()) {
+        return {
+          success: false,
+          expired: true,
+          error: 'This verification link has expired, request a new one'
+        };
+      }
+
+      // Claim the token atomically so two requests cannot both redeem it
+      const [claimed] = await UserToken.update(
+        { used_at: new Date() },
+        { where: { id: record.id, used_at: null } }
+      );
+
+      if (claimed === 0) {
+        return {
+          success: false,
+          error: 'This verification link is invalid or has already been used'
+        };
+      }
+
+      await record.user.update({ is_verified: true });
+
+      // Guest reports claimed before verifying may now show under the user's name
+      await AnonymousClaimService.revealClaimedIssues(record.user.id);
+
+      return {
+        success: true,
+        user: {
+          id: record.user.id,
+          email: record.user.email,
+          role: record.user.role,
+          isVerified: true
+        }
+      };
+
+    } catch (error) {
+      console.error('Error verifying email:', error);
+      return {
+        success: false,
+        error: 'Failed to verify email address'
+      };
+    }
+  }
+
+  /**
+   * Send a new verification email on request of the user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Result { success, error?, notFound?, alreadyVerified?, retryAfter? }
+   */
+  static async resendVerification(userId) {
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.email) {
+      return {
+        success: false,
+        notFound: true,
+        error: 'User not found'
+      };
+    }
+
+    if (user.is_verified) {
+      return {
+        success: false,
+        alreadyVerified: true,
+        error: 'Email address is already verified'
+      };
+    }
+
+    const cooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60');
+    const latest = await UserToken.findOne({
+      where: { user_id: user.id, purpose: PURPOSE },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (latest) {
+      const elapsedSeconds = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+
+      if (elapsedSeconds < cooldownSeconds) {
+        const retryAfter = Math.ceil(cooldownSeconds - elapsedSeconds);
+        return {
+          success: false,
+          retryAfter,
+          error: `Please wait ${retryAfter} seconds before requesting another email`
+        };
+      }
+    }
+
+    return this.sendVerificationEmail(user);
+  }
+}
+
+module.exports = EmailVerificationService;
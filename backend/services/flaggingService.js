@@ -9,6 +9,16 @@ class FlaggingService {
   // Flag threshold for auto-hiding content
   static FLAG_THRESHOLD = 3;
   
+  /**
+   * Check whether flagged content has reached the auto-hide threshold
+   * Shared by issues and comments.
+   * @param {number} flagCount - Current number of flags
+   * @returns {boolean} True if the content should be hidden
+   */
+  static shouldAutoHide(flagCount) {
+    return flagCount >= this.FLAG_THRESHOLD;
+  }
+  
   /**
    * Flag an issue for inappropriate content
    * @param {string} issueId - Issue ID to flag
@@ -87,7 +97,7 @@ class FlaggingService {
         const updatedIssue = await Issue.findByPk(issueId, { transaction });
         let autoHidden = false;
         
-        if (updatedIssue.flag_count >= this.FLAG_THRESHOLD) {
+        if (this.shouldAutoHide(updatedIssue.flag_count)) {
           await updatedIssue.update({
             is_hidden: true
           }, { transaction });
@@ -1,5 +1,7 @@
 const GeospatialUtils = require('../utils/geospatial');
+const BoundaryService = require('./boundaryService');
 const Issue = require('../models/Issue');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
 /**
@@ -15,6 +17,7 @@ class GeolocationService {
    * @param {number} filters.radius - Search radius in km (default: 3, max: 5)
    * @param {string[]} filters.status - Array of status filters
    * @param {string[]} filters.category - Array of category filters
+   * @param {string} filters.sort - Sort order: distance (default), newest or support
    * @param {number} filters.limit - Maximum number of results (default: 50)
    * @param {number} filters.offset - Pagination offset (default: 0)
    * @returns {Promise<object>} Issues with distance information and metadata
@@ -35,34 +38,19 @@ class GeolocationService {
       const queryOptions = GeospatialUtils.getIssuesWithinRadiusQuery(userLat, userLng, radius);
       
       // Add additional filters
-      const whereConditions = [
-        queryOptions.where,
-        { is_hidden: false } // Never show hidden issues
-      ];
-      
-      // Status filtering
-      if (filters.status && filters.status.length > 0) {
-        whereConditions.push({
-          status: {
-            [Op.in]: filters.status
-          }
-        });
-      }
-      
-      // Category filtering
-      if (filters.category && filters.category.length > 0) {
-        whereConditions.push({
-          category: {
-            [Op.in]: filters.category
-          }
-        });
-      }
-      
-      // Combine all where conditions
       queryOptions.where = {
-        [Op.and]: whereConditions
+        [Op.and]: [
+          queryOptions.where,
+          ...this.getFilterConditions(filters)
+        ]
       };
       
+      // Closest issues first unless another order is requested
+      const sort = filters.sort || 'distance';
+      if (sort !== 'distance') {
+        queryOptions.order = this.getSortOrder(sort);
+      }
+      
       // Add pagination
       queryOptions.limit = limit;
       queryOptions.offset = offset;
@@ -97,6 +85,7 @@ class GeolocationService {
           count: formattedIssues.length,
           limit,
           offset,
+          sort,
           radius,
           userLocation: {
             latitude: userLat,
@@ -115,6 +104,252 @@ class GeolocationService {
     }
   }
   
+  /**
+   * Get issues inside a map viewport
+   * @param {object} bbox - Bounding box {north, south, east, west}
+   * @param {object} filters - Filtering options
+   * @param {string[]} filters.status - Array of status filters
+   * @param {string[]} filters.category - Array of category filters
+   * @param {string} filters.sort - Sort order: newest (default) or support
+   * @param {number} filters.limit - Maximum number of results (default: 50)
+   * @param {number} filters.offset - Pagination offset (default: 0)
+   * @returns {Promise<object>} Issues and metadata
+   */
+  static async getIssuesWithinBoundingBox(bbox, filters = {}) {
+    try {
+      const limit = Math.min(filters.limit || 50, 100);
+      const offset = Math.max(filters.offset || 0, 0);
+      // A viewport has no center to measure distance from
+      const sort = filters.sort === 'support' ? 'support' : 'newest';
+      
+      const where = {
+        [Op.and]: [
+          GeospatialUtils.getWithinBoundingBoxCondition(bbox),
+          ...this.getFilterConditions(filters)
+        ]
+      };
+      
+      const { count: totalCount, rows: issues } = await Issue.findAndCountAll({
+        where,
+        order: this.getSortOrder(sort),
+        limit,
+        offset
+      });
+      
+      const formattedIssues = issues.map(issue => issue.toJSON());
+      
+      return {
+        issues: formattedIssues,
+        metadata: {
+          total: totalCount,
+          count: formattedIssues.length,
+          limit,
+          offset,
+          sort,
+          bbox,
+          filters: {
+            status: filters.status || [],
+            category: filters.category || []
+          }
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error getting issues within bounding box:', error);
+      throw new Error(`Failed to retrieve issues in area: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Group the issues inside a map viewport into grid clusters
+   * @param {object} bbox - Bounding box {north, south, east, west}
+   * @param {number} zoom - Map zoom level, decides the grid cell size
+   * @param {object} filters - Filtering options
+   * @param {string[]} filters.status - Array of status filters
+   * @param {string[]} filters.category - Array of category filters
+   * @returns {Promise<object>} Clusters (largest first) and metadata
+   */
+  static async getIssueClusters(bbox, zoom, filters = {}) {
+    try {
+      const cellSize = GeospatialUtils.getClusterCellSize(zoom);
+      
+      const where = {
+        [Op.and]: [
+          GeospatialUtils.getWithinBoundingBoxCondition(bbox),
+          ...this.getFilterConditions(filters)
+        ]
+      };
+      
+      const rows = sequelize.getDialect() === 'postgres'
+        ? await this.getClusterRowsPostgis(where, cellSize)
+        : await this.getClusterRowsFallback(where, cellSize);
+      
+      const clusters = this.buildClusters(rows, cellSize);
+      
+      return {
+        clusters,
+        metadata: {
+          total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+          count: clusters.length,
+          zoom,
+          cellSize,
+          bbox,
+          filters: {
+            status: filters.status || [],
+            category: filters.category || []
+          }
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error clustering issues:', error);
+      throw new Error(`Failed to cluster issues: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Count issues per grid cell, status and category in the database (PostGIS)
+   * @param {object} where - Sequelize where condition
+   * @param {number} cellSize - Cell size in degrees
+   * @returns {Promise<object[]>} Rows {cell_lat, cell_lng, status, category, count, latitude_sum, longitude_sum}
+   */
+  static async getClusterRowsPostgis(where, cellSize) {
+    const cell = sequelize.fn('ST_SnapToGrid', sequelize.col('location'), cellSize);
+    
+    return Issue.findAll({
+      attributes: [
+        [sequelize.fn('ST_Y', cell), 'cell_lat'],
+        [sequelize.fn('ST_X', cell), 'cell_lng'],
+        'status',
+        'category',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('latitude')), 'latitude_sum'],
+        [sequelize.fn('SUM', sequelize.col('longitude')), 'longitude_sum']
+      ],
+      where,
+      group: [cell, 'status', 'category'],
+      raw: true
+    });
+  }
+  
+  /**
+   * Same rows as getClusterRowsPostgis, snapped in JavaScript (SQLite development database)
+   * @param {object} where - Sequelize where condition
+   * @param {number} cellSize - Cell size in degrees
+   * @returns {Promise<object[]>} One row per issue
+   */
+  static async getClusterRowsFallback(where, cellSize) {
+    const issues = await Issue.findAll({
+      attributes: ['latitude', 'longitude', 'status', 'category'],
+      where,
+      raw: true
+    });
+    
+    return issues.map(issue => ({
+      cell_lat: GeospatialUtils.getGridCellIndex(issue.latitude, cellSize) * cellSize,
+      cell_lng: GeospatialUtils.getGridCellIndex(issue.longitude, cellSize) * cellSize,
+      status: issue.status,
+      category: issue.category,
+      count: 1,
+      latitude_sum: issue.latitude,
+      longitude_sum: issue.longitude
+    }));
+  }
+  
+  /**
+   * Merge per-cell rows into clusters with status and category breakdowns
+   * @param {object[]} rows - Rows from getClusterRowsPostgis or getClusterRowsFallback
+   * @param {number} cellSize - Cell size in degrees
+   * @returns {object[]} Clusters sorted by issue count
+   */
+  static buildClusters(rows, cellSize) {
+    const clusters = new Map();
+    
+    for (const row of rows) {
+      const latIndex = GeospatialUtils.getGridCellIndex(row.cell_lat, cellSize);
+      const lngIndex = GeospatialUtils.getGridCellIndex(row.cell_lng, cellSize);
+      const id = `${latIndex}:${lngIndex}`;
+      const count = parseInt(row.count);
+      
+      if (!clusters.has(id)) {
+        clusters.set(id, {
+          id,
+          count: 0,
+          latitudeSum: 0,
+          longitudeSum: 0,
+          status: {},
+          category: {},
+          bounds: {
+            north: Math.min((latIndex + 0.5) * cellSize, 90),
+            south: Math.max((latIndex - 0.5) * cellSize, -90),
+            east: Math.min((lngIndex + 0.5) * cellSize, 180),
+            west: Math.max((lngIndex - 0.5) * cellSize, -180)
+          }
+        });
+      }
+      
+      const cluster = clusters.get(id);
+      cluster.count += count;
+      cluster.latitudeSum += parseFloat(row.latitude_sum);
+      cluster.longitudeSum += parseFloat(row.longitude_sum);
+      cluster.status[row.status] = (cluster.status[row.status] || 0) + count;
+      cluster.category[row.category] = (cluster.category[row.category] || 0) + count;
+    }
+    
+    // Place each cluster at the average position of its issues
+    return Array.from(clusters.values())
+      .map(({ latitudeSum, longitudeSum, ...cluster }) => ({
+        ...cluster,
+        latitude: parseFloat((latitudeSum / cluster.count).toFixed(8)),
+        longitude: parseFloat((longitudeSum / cluster.count).toFixed(8))
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+  
+  /**
+   * Order clause for issue listings
+   * @param {string} sort - newest or support (most "me too" votes first)
+   * @returns {Array} Sequelize order
+   */
+  static getSortOrder(sort) {
+    if (sort === 'support') {
+      return [['support_count', 'DESC'], ['created_at', 'DESC']];
+    }
+    return [['created_at', 'DESC']];
+  }
+  
+  /**
+   * Build the visibility, status and category conditions shared by issue listings
+   * @param {object} filters - Filtering options with optional status and category arrays
+   * @returns {object[]} Sequelize where conditions
+   */
+  static getFilterConditions(filters = {}) {
+    const conditions = [
+      { is_hidden: false }, // Never show hidden issues
+      { merged_into_id: null } // Merged duplicates are shown through their canonical issue
+    ];
+    
+    // Status filtering
+    if (filters.status && filters.status.length > 0) {
+      conditions.push({
+        status: {
+          [Op.in]: filters.status
+        }
+      });
+    }
+    
+    // Category filtering
+    if (filters.category && filters.category.length > 0) {
+      conditions.push({
+        category: {
+          [Op.in]: filters.category
+        }
+      });
+    }
+    
+    return conditions;
+  }
+  
   /**
    * Check if user has access to a specific issue based on location
    * @param {string} issueId - Issue ID to check access for
@@ -258,10 +493,10 @@ class GeolocationService {
   
   /**
    * Validate if a location is within an allowed reporting area
-   * This can be extended to include city boundaries, restricted zones, etc.
+   * Once admins have uploaded boundaries, the location has to lie inside an active one.
    * @param {number} latitude - Location latitude
    * @param {number} longitude - Location longitude
-   * @returns {Promise<object>} Validation result
+   * @returns {Promise<object>} Validation result with the matching boundary (null without boundaries)
    */
   static async validateReportingLocation(latitude, longitude) {
     try {
@@ -273,18 +508,32 @@ class GeolocationService {
         };
       }
       
-      // TODO: Add more sophisticated validation like:
-      // - City boundary checks
-      // - Restricted area checks
-      // - Water body checks
-      // For now, just validate coordinates
+      const boundary = await BoundaryService.findContainingBoundary(latitude, longitude);
+      
+      if (!boundary) {
+        const serviceAreas = await BoundaryService.getServiceAreaNames();
+        
+        // Without any boundary the whole map is open for reporting
+        if (serviceAreas.length > 0) {
+          return {
+            isValid: false,
+            code: 'OUTSIDE_SERVICE_AREA',
+            error: `This location is outside the area we serve. Issues can be reported within: ${serviceAreas.join(', ')}`
+          };
+        }
+      }
       
       return {
         isValid: true,
         location: {
           latitude: parseFloat(latitude.toFixed(8)),
           longitude: parseFloat(longitude.toFixed(8))
-        }
+        },
+        boundary: boundary ? {
+          id: boundary.id,
+          name: boundary.name,
+          kind: boundary.kind
+        } : null
       };
       
     } catch (error) {
@@ -0,0 +1,375 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Issue, StatusHistory, Flag, IssueReporter, IssueSupport, IssueComment } = require('../models');
+
+/**
+ * Issue Merge Service - Folds duplicate issues into a canonical issue
+ *
+ * Merged duplicates stay in the database with merged_into_id set. They drop out of
+ * listings and their detail URL redirects to the canonical issue.
+ */
+class IssueMergeService {
+
+  // Same cap as the photos validation of the Issue model
+  static MAX_PHOTOS = 3;
+
+  /**
+   * Merge duplicates into a canonical issue
+   * Photos move while the canonical gallery has room, reporters, flags, votes and comments are carried over,
+   * and both status trails get an entry describing the merge.
+   * @param {string} canonicalId - Issue the duplicates are merged into
+   * @param {string[]} duplicateIds - Issues to merge
+   * @param {string} mergedBy - ID of the authority or admin performing the merge
+   * @param {string|null} comment - Optional explanation added to the status trails
+   * @returns {Object} Merge result { success, summary?, issue?, duplicates?, error?, notFound? }
+   */
+  static async mergeIssues(canonicalId, duplicateIds, mergedBy, comment = null) {
+    try {
+      const ids = [...new Set(duplicateIds)];
+
+      if (ids.includes(canonicalId)) {
+        return {
+          success: false,
+          error: 'An issue cannot be merged into itself'
+        };
+      }
+
+      const canonical = await Issue.findOne({
+        where: {
+          id: canonicalId,
+          is_hidden: false
+        }
+      });
+
+      if (!canonical) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      if (canonical.merged_into_id) {
+        return {
+          success: false,
+          error: 'Issue has itself been merged into another issue'
+        };
+      }
+
+      const duplicates = await Issue.findAll({
+        where: {
+          id: { [Op.in]: ids }
+        },
+        order: [['created_at', 'ASC']]
+      });
+
+      if (duplicates.length !== ids.length) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'One or more duplicate issues were not found'
+        };
+      }
+
+      const alreadyMerged = duplicates.filter(duplicate => duplicate.merged_into_id);
+      if (alreadyMerged.length > 0) {
+        return {
+          success: false,
+          error: `Issues already merged: ${alreadyMerged.map(duplicate => duplicate.id).join(', ')}`
+        };
+      }
+
+      const summary = {
+        duplicate_ids: ids,
+        photos_moved: 0,
+        photos_left: 0,
+        reporters_linked: 0,
+        flags_moved: 0,
+        supports_moved: 0,
+        comments_moved: 0
+      };
+
+      const transaction = await sequelize.transaction();
+
+      try {
+        let photos = [...(canonical.photos || [])];
+
+        for (const duplicate of duplicates) {
+          // Move photos while the canonical gallery has room, the rest stays on the duplicate
+          const duplicatePhotos = duplicate.photos || [];
+          const room = Math.max(this.MAX_PHOTOS - photos.length, 0);
+          const movedPhotos = duplicatePhotos.slice(0, room);
+
+          photos = photos.concat(movedPhotos);
+          summary.photos_moved += movedPhotos.length;
+          summary.photos_left += duplicatePhotos.length - movedPhotos.length;
+
+          summary.reporters_linked += await this.linkReporters(canonical, duplicate, transaction);
+          summary.flags_moved += await this.moveFlags(canonical, duplicate, mergedBy, transaction);
+          summary.supports_moved += await this.moveSupports(canonical, duplicate, transaction);
+
+          // The discussion continues on the canonical issue
+          const [commentsMoved] = await IssueComment.update(
+            { issue_id: canonical.id },
+            { where: { issue_id: duplicate.id }, transaction }
+          );
+          summary.comments_moved += commentsMoved;
+
+          // Issues merged into the duplicate earlier now point to the canonical issue
+          await Issue.update(
+            { merged_into_id: canonical.id },
+            { where: { merged_into_id: duplicate.id }, transaction }
+          );
+
+          await duplicate.update({
+            photos: duplicatePhotos.slice(movedPhotos.length),
+            merged_into_id: canonical.id,
+            merged_at: new Date()
+          }, { transaction });
+
+          // Keep both trails: the duplicate says where it went, the canonical what it absorbed
+          await StatusHistory.create({
+            issue_id: duplicate.id,
+            previous_status: duplicate.status,
+            new_status: duplicate.status,
+            comment: this.buildTrailComment(`Merged into issue "${canonical.title}"`, comment),
+            updated_by: mergedBy
+          }, { transaction });
+
+          await StatusHistory.create({
+            issue_id: canonical.id,
+            previous_status: canonical.status,
+            new_status: canonical.status,
+            comment: this.buildTrailComment(`Merged duplicate issue "${duplicate.title}" into this issue`, comment),
+            updated_by: mergedBy
+          }, { transaction });
+        }
+
+        await canonical.update({
+          photos,
+          flag_count: canonical.flag_count + summary.flags_moved,
+          support_count: canonical.support_count + summary.supports_moved
+        }, { transaction });
+
+        await transaction.commit();
+
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      return {
+        success: true,
+        summary,
+        issue: canonical,
+        duplicates
+      };
+
+    } catch (error) {
+      console.error('Error merging issues:', error);
+      return {
+        success: false,
+        error: 'Failed to merge issues'
+      };
+    }
+  }
+
+  /**
+   * Link the reporters of a duplicate to the canonical issue
+   * Covers the duplicate's own reporter and reporters linked by earlier merges.
+   * @param {Object} canonical - Canonical issue
+   * @param {Object} duplicate - Duplicate issue
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of new links
+   */
+  static async linkReporters(canonical, duplicate, transaction) {
+    const previousLinks = await IssueReporter.findAll({
+      where: { issue_id: duplicate.id },
+      transaction
+    });
+
+    const candidates = [
+      {
+        user_id: duplicate.reporter_id,
+        session_token: duplicate.reporter_id ? null : duplicate.reporter_session,
+        source_issue_id: duplicate.id
+      },
+      ...previousLinks.map(link => ({
+        user_id: link.user_id,
+        session_token: link.session_token,
+        source_issue_id: link.source_issue_id || duplicate.id
+      }))
+    ];
+
+    const existingLinks = await IssueReporter.findAll({
+      where: { issue_id: canonical.id },
+      attributes: ['user_id', 'session_token'],
+      transaction
+    });
+
+    // Reporters the canonical issue already notifies
+    const known = new Set([
+      this.getReporterKey(canonical.reporter_id, canonical.reporter_session),
+      ...existingLinks.map(link => this.getReporterKey(link.user_id, link.session_token))
+    ]);
+
+    let linked = 0;
+
+    for (const candidate of candidates) {
+      const key = this.getReporterKey(candidate.user_id, candidate.session_token);
+
+      if (!key || known.has(key)) {
+        continue;
+      }
+
+      await IssueReporter.create({
+        issue_id: canonical.id,
+        ...candidate
+      }, { transaction });
+
+      known.add(key);
+      linked++;
+    }
+
+    await IssueReporter.destroy({
+      where: { issue_id: duplicate.id },
+      transaction
+    });
+
+    return linked;
+  }
+
+  /**
+   * Move the flags of a duplicate to the canonical issue
+   * Pending "duplicate" flags are resolved by the merge itself and stay on the duplicate,
+   * as do flags of users or sessions that already flagged the canonical issue.
+   * @param {Object} canonical - Canonical issue
+   * @param {Object} duplicate - Duplicate issue
+   * @param {string} mergedBy - ID of the user performing the merge
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of moved flags
+   */
+  static async moveFlags(canonical, duplicate, mergedBy, transaction) {
+    const flags = await Flag.findAll({
+      where: { issue_id: duplicate.id },
+      transaction
+    });
+
+    const canonicalFlags = await Flag.findAll({
+      where: { issue_id: canonical.id },
+      attributes: ['flagged_by', 'flagger_session'],
+      transaction
+    });
+
+    const flaggers = new Set(
+      canonicalFlags.map(flag => this.getReporterKey(flag.flagged_by, flag.flagger_session))
+    );
+
+    let moved = 0;
+
+    for (const flag of flags) {
+      if (flag.flag_type === 'duplicate' && !flag.reviewed_at) {
+        await flag.update({
+          reviewed_at: new Date(),
+          reviewed_by: mergedBy,
+          review_action: 'approved',
+          review_comment: 'Resolved by merging the issue'
+        }, { transaction });
+        continue;
+      }
+
+      const key = this.getReporterKey(flag.flagged_by, flag.flagger_session);
+
+      // One flag per user or session and issue
+      if (flaggers.has(key)) {
+        continue;
+      }
+
+      await flag.update({ issue_id: canonical.id }, { transaction });
+      flaggers.add(key);
+      moved++;
+    }
+
+    if (moved > 0) {
+      await duplicate.update({
+        flag_count: Math.max(duplicate.flag_count - moved, 0)
+      }, { transaction });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Move the "me too" votes of a duplicate to the canonical issue
+   * Votes of the canonical reporter and of users or sessions that already support
+   * the canonical issue stay on the duplicate.
+   * @param {Object} canonical - Canonical issue
+   * @param {Object} duplicate - Duplicate issue
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of moved votes
+   */
+  static async moveSupports(canonical, duplicate, transaction) {
+    const supports = await IssueSupport.findAll({
+      where: { issue_id: duplicate.id },
+      transaction
+    });
+
+    const canonicalSupports = await IssueSupport.findAll({
+      where: { issue_id: canonical.id },
+      attributes: ['supported_by', 'supporter_session'],
+      transaction
+    });
+
+    const supporters = new Set([
+      this.getReporterKey(canonical.reporter_id, canonical.reporter_session),
+      ...canonicalSupports.map(support => this.getReporterKey(support.supported_by, support.supporter_session))
+    ]);
+
+    let moved = 0;
+
+    for (const support of supports) {
+      const key = this.getReporterKey(support.supported_by, support.supporter_session);
+
+      if (supporters.has(key)) {
+        continue;
+      }
+
+      await support.update({ issue_id: canonical.id }, { transaction });
+      supporters.add(key);
+      moved++;
+    }
+
+    if (moved > 0) {
+      await duplicate.update({
+        support_count: Math.max(duplicate.support_count - moved, 0)
+      }, { transaction });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Identify a user or anonymous session
+   * @param {string|null} userId - User ID
+   * @param {string|null} sessionToken - Session token, used when there is no user ID
+   * @returns {string|null} Key or null if neither is set
+   */
+  static getReporterKey(userId, sessionToken) {
+    if (userId) {
+      return `user:${userId}`;
+    }
+    return sessionToken ? `session:${sessionToken}` : null;
+  }
+
+  /**
+   * Append the optional merge comment to a status trail entry
+   * @param {string} text - Entry text
+   * @param {string|null} comment - Comment of the person merging
+   * @returns {string} Status history comment (max 1000 characters)
+   */
+  static buildTrailComment(text, comment) {
+    return (comment ? `${text}: ${comment}` : text).substring(0, 1000);
+  }
+}
+
+module.exports = IssueMergeService;
@@ -1,4 +1,7 @@
-const { User, Issue } = require('../models');
+const { User, Issue, Notification, IssueReporter, Department } = require('../models');
+const SocketService = require('./socketService');
+const EmailService = require('./email');
+const PushService = require('./pushService');
 
 /**
  * Notification Service - Handles all notification-related operations
@@ -25,6 +28,20 @@ class NotificationService {
             as: 'reporter',
             attributes: ['id', 'email'],
             required: false
+          },
+          {
+            model: IssueReporter,
+            as: 'linkedReporters',
+            attributes: ['user_id', 'session_token'],
+            required: false,
+            include: [
+              {
+                model: User,
+                as: 'user',
+                attributes: ['id', 'email'],
+                required: false
+              }
+            ]
           }
         ]
       });
@@ -54,17 +71,48 @@ class NotificationService {
         timestamp: new Date().toISOString()
       };
       
-      // Send notification to reporter if not anonymous
-      if (!issue.is_anonymous && issue.reporter) {
-        await this.sendEmailNotification(issue.reporter.email, notificationData);
-        console.log(`Status change notification sent to reporter: ${issue.reporter.email}`);
-      }
-      
-      // TODO: Implement WebSocket real-time notifications
-      // await this.sendWebSocketNotification(issue.reporter_id, notificationData);
+      // The reporter plus the reporters of duplicates merged into this issue
+      const recipients = [
+        {
+          userId: issue.reporter_id,
+          sessionToken: issue.reporter_session,
+          email: !issue.is_anonymous && issue.reporter ? issue.reporter.email : null
+        },
+        ...(issue.linkedReporters || []).map(link => ({
+          userId: link.user_id,
+          sessionToken: link.session_token,
+          email: link.user ? link.user.email : null
+        }))
+      ];
       
-      // TODO: Implement push notifications for PWA
-      // await this.sendPushNotification(issue.reporter_id, notificationData);
+      for (const recipient of recipients) {
+        // Send notification to reporter if not anonymous
+        if (recipient.email) {
+          await this.sendEmailNotification(recipient.email, notificationData);
+          console.log(`Status change notification sent to reporter: ${recipient.email}`);
+        }
+        
+        // Keep the update in the reporter's inbox (verified user or anonymous session)
+        await this.createNotification({
+          userId: recipient.userId,
+          sessionToken: recipient.sessionToken,
+          issueId: issue.id,
+          type: 'status_change',
+          title: 'Issue status updated',
+          message: `"${issue.title}" changed from ${previousStatus.replace(/_/g, ' ')} to ${newStatus.replace(/_/g, ' ')}`,
+          data: {
+            previousStatus,
+            newStatus,
+            comment
+          }
+        });
+        
+        // Push real-time update to the reporter (verified user or anonymous session)
+        await this.sendWebSocketNotification(recipient.userId, notificationData, recipient.sessionToken);
+        
+        // Push to the reporter's subscribed browsers, even when the app is closed
+        await this.sendPushNotification(recipient.userId, notificationData, recipient.sessionToken);
+      }
       
       console.log(`Status change notification processed for issue ${issueId}: ${previousStatus} -> ${newStatus}`);
       
@@ -78,35 +126,17 @@ class NotificationService {
    * Send email notification for status change
    * @param {string} email - Recipient email address
    * @param {Object} notificationData - Notification details
+   * @returns {Promise<Object|undefined>} Delivery result
    */
   static async sendEmailNotification(email, notificationData) {
     try {
-      // TODO: Implement actual email sending using a service like SendGrid, AWS SES, etc.
-      // For now, we'll just log the notification
-      
-      const emailContent = {
-        to: email,
-        subject: `CivicTrack: Issue Status Updated - ${notificationData.issueTitle}`,
-        body: `
-          Your reported issue has been updated:
-          
-          Issue: ${notificationData.issueTitle}
-          Status changed from: ${notificationData.previousStatus || 'N/A'} to ${notificationData.newStatus}
-          
-          Update comment: ${notificationData.comment}
-          
-          Updated by: ${notificationData.updatedBy?.role || 'System'} (${notificationData.updatedBy?.email || 'N/A'})
-          
-          Time: ${notificationData.timestamp}
-          
-          You can view the full issue details and history in the CivicTrack app.
-        `
-      };
+      const result = await EmailService.sendTemplate('statusChange', email, notificationData);
       
-      console.log('Email notification prepared:', emailContent);
+      if (!result.success) {
+        console.error(`Status change email to ${email} failed after ${result.attempts} attempts:`, result.error);
+      }
       
-      // TODO: Replace with actual email service implementation
-      // await emailService.send(emailContent);
+      return result;
       
     } catch (error) {
       console.error('Error sending email notification:', error);
@@ -115,15 +145,23 @@ class NotificationService {
   
   /**
    * Send WebSocket real-time notification
-   * @param {string} userId - User ID to send notification to
+   * @param {string|null} userId - User ID to send notification to
    * @param {Object} notificationData - Notification details
+   * @param {string|null} sessionToken - Anonymous session token, used when there is no user ID
    */
-  static async sendWebSocketNotification(userId, notificationData) {
+  static async sendWebSocketNotification(userId, notificationData, sessionToken = null) {
     try {
-      // TODO: Implement WebSocket notification using Socket.io
-      // This will be implemented in the real-time notifications task
+      let delivered = false;
+      
+      if (userId) {
+        delivered = SocketService.emitToUser(userId, 'issue:status_changed', notificationData);
+      } else if (sessionToken) {
+        delivered = SocketService.emitToSession(sessionToken, 'issue:status_changed', notificationData);
+      }
       
-      console.log(`WebSocket notification prepared for user ${userId}:`, notificationData);
+      if (delivered) {
+        console.log(`WebSocket notification sent for issue ${notificationData.issueId}`);
+      }
       
     } catch (error) {
       console.error('Error sending WebSocket notification:', error);
@@ -132,15 +170,26 @@ class NotificationService {
   
   /**
    * Send push notification for PWA
-   * @param {string} userId - User ID to send notification to
+   * @param {string|null} userId - User ID to send notification to
    * @param {Object} notificationData - Notification details
+   * @param {string|null} sessionToken - Anonymous session token, used when there is no user ID
    */
-  static async sendPushNotification(userId, notificationData) {
+  static async sendPushNotification(userId, notificationData, sessionToken = null) {
     try {
-      // TODO: Implement push notifications for PWA
-      // This will be implemented in the PWA features task
+      const newStatus = notificationData.newStatus.replace(/_/g, ' ');
       
-      console.log(`Push notification prepared for user ${userId}:`, notificationData);
+      const summary = await PushService.sendToRecipient(userId, sessionToken, {
+        title: 'Issue status updated',
+        body: `"${notificationData.issueTitle}" is now ${newStatus}`,
+        url: `/issues/${notificationData.issueId}`,
+        tag: `issue-${notificationData.issueId}`,
+        issueId: notificationData.issueId,
+        status: notificationData.newStatus
+      });
+      
+      if (summary.sent > 0) {
+        console.log(`Push notification sent to ${summary.sent} browsers for issue ${notificationData.issueId}`);
+      }
       
     } catch (error) {
       console.error('Error sending push notification:', error);
@@ -155,15 +204,442 @@ class NotificationService {
    */
   static async notifyFlaggedContent(issueId, flaggedBy, reason) {
     try {
-      // TODO: Implement admin notification for flagged content
-      // This will be implemented in the content flagging task
+      const issue = await Issue.findByPk(issueId, {
+        attributes: ['id', 'title', 'flag_count', 'is_hidden']
+      });
+      
+      if (!issue) {
+        console.error('Issue not found for flagged content notification:', issueId);
+        return;
+      }
+      
+      const admins = await User.findAll({
+        where: {
+          role: 'admin',
+          is_banned: false
+        },
+        attributes: ['id']
+      });
+      
+      for (const admin of admins) {
+        await this.createNotification({
+          userId: admin.id,
+          issueId: issue.id,
+          type: 'flagged_content',
+          title: issue.is_hidden ? 'Issue hidden after flagging' : 'Issue flagged',
+          message: `"${issue.title}" was flagged: ${reason}`,
+          data: {
+            reason,
+            flaggedBy: flaggedBy || null,
+            flagCount: issue.flag_count,
+            isHidden: issue.is_hidden
+          }
+        });
+      }
       
-      console.log(`Flagged content notification prepared for issue ${issueId}`);
+      console.log(`Flagged content notification sent to ${admins.length} admins for issue ${issueId}`);
       
     } catch (error) {
       console.error('Error sending flagged content notification:', error);
     }
   }
+  
+  /**
+   * Notify the reporter about the outcome of a flag review
+   * @param {string} issueId - The ID of the reviewed issue
+   * @param {string} action - Review action (approve, reject, delete)
+   * @param {string|null} comment - Moderator comment
+   */
+  static async notifyFlagReviewOutcome(issueId, action, comment) {
+    try {
+      const issue = await Issue.findByPk(issueId, {
+        attributes: ['id', 'title', 'reporter_id', 'is_anonymous'],
+        include: [
+          {
+            model: User,
+            as: 'reporter',
+            attributes: ['id', 'email'],
+            required: false
+          }
+        ]
+      });
+      
+      if (!issue) {
+        console.error('Issue not found for flag review notification:', issueId);
+        return;
+      }
+      
+      // Anonymous reporters have no email address to notify
+      if (issue.is_anonymous || !issue.reporter || !issue.reporter.email) {
+        return;
+      }
+      
+      const result = await EmailService.sendTemplate('flagOutcome', issue.reporter.email, {
+        issueId: issue.id,
+        issueTitle: issue.title,
+        action,
+        comment: comment || null,
+        timestamp: new Date().toISOString()
+      });
+      
+      if (!result.success) {
+        console.error(`Flag review email to ${issue.reporter.email} failed:`, result.error);
+      }
+      
+    } catch (error) {
+      console.error('Error sending flag review notification:', error);
+    }
+  }
+  
+  /**
+   * Tell the reporters of merged duplicates where their report now lives
+   * @param {Object} canonical - Canonical issue { id, title }
+   * @param {Object[]} duplicates - Merged issues { id, title, reporter_id, reporter_session }
+   */
+  static async notifyIssueMerged(canonical, duplicates) {
+    try {
+      for (const duplicate of duplicates) {
+        await this.createNotification({
+          userId: duplicate.reporter_id,
+          sessionToken: duplicate.reporter_session,
+          issueId: canonical.id,
+          type: 'issue_merged',
+          title: 'Report merged',
+          message: `"${duplicate.title}" was merged into "${canonical.title}". You will keep receiving its updates.`,
+          data: {
+            duplicateId: duplicate.id,
+            canonicalId: canonical.id
+          }
+        });
+      }
+      
+    } catch (error) {
+      console.error('Error sending issue merge notification:', error);
+    }
+  }
+  
+  /**
+   * Escalate an SLA breach to the head of the assigned department and all admins
+   * @param {Object} issue - Breaching issue { id, title, category, assigned_department_id }
+   * @param {string} breach - Which target was missed (response or resolution)
+   * @param {number} targetHours - Target the issue missed, in hours
+   */
+  static async notifySlaBreach(issue, breach, targetHours) {
+    try {
+      const recipients = await User.findAll({
+        where: {
+          role: 'admin',
+          is_banned: false
+        },
+        attributes: ['id']
+      });
+      
+      if (issue.assigned_department_id) {
+        const department = await Department.findByPk(issue.assigned_department_id, {
+          attributes: ['id', 'head_id']
+        });
+        
+        if (department?.head_id && !recipients.some(user => user.id === department.head_id)) {
+          recipients.push({ id: department.head_id });
+        }
+      }
+      
+      const missed = breach === 'response' ? 'acknowledged' : 'resolved';
+      
+      for (const recipient of recipients) {
+        await this.createNotification({
+          userId: recipient.id,
+          issueId: issue.id,
+          type: 'sla_overdue',
+          title: 'Issue overdue',
+          message: `"${issue.title}" was not ${missed} within ${targetHours}h`,
+          data: {
+            breach,
+            targetHours,
+            category: issue.category,
+            departmentId: issue.assigned_department_id || null
+          }
+        });
+      }
+      
+      console.log(`SLA ${breach} breach of issue ${issue.id} escalated to ${recipients.length} users`);
+      
+    } catch (error) {
+      console.error('Error sending SLA breach notification:', error);
+    }
+  }
+  
+  /**
+   * Tell the people working on an issue that its reporter reopened it
+   * @param {Object} issue - Reopened issue { id, title, assignee_id, assigned_department_id }
+   * @param {string} comment - What the reporter says is still wrong
+   */
+  static async notifyIssueReopened(issue, comment) {
+    try {
+      const recipientIds = new Set();
+      
+      if (issue.assignee_id) {
+        recipientIds.add(issue.assignee_id);
+      }
+      
+      if (issue.assigned_department_id) {
+        const department = await Department.findByPk(issue.assigned_department_id, {
+          attributes: ['id', 'head_id']
+        });
+        
+        if (department?.head_id) {
+          recipientIds.add(department.head_id);
+        }
+      }
+      
+      for (const userId of recipientIds) {
+        await this.createNotification({
+          userId,
+          issueId: issue.id,
+          type: 'issue_reopened',
+          title: 'Issue reopened by reporter',
+          message: `The reporter of "${issue.title}" says it is not fixed: ${comment}`,
+          data: {
+            comment,
+            departmentId: issue.assigned_department_id || null
+          }
+        });
+      }
+      
+      console.log(`Reopening of issue ${issue.id} sent to ${recipientIds.size} users`);
+      
+    } catch (error) {
+      console.error('Error sending issue reopened notification:', error);
+    }
+  }
+  
+  /**
+   * Send a ban notice to a user
+   * @param {string} userId - The ID of the banned user
+   * @param {string|null} reason - Ban reason given by the admin
+   */
+  static async notifyUserBanned(userId, reason) {
+    try {
+      const user = await User.findByPk(userId, {
+        attributes: ['id', 'email']
+      });
+      
+      if (!user || !user.email) {
+        return;
+      }
+      
+      const result = await EmailService.sendTemplate('userBanned', user.email, {
+        reason: reason || null,
+        timestamp: new Date().toISOString()
+      });
+      
+      if (!result.success) {
+        console.error(`Ban notice to ${user.email} failed:`, result.error);
+      }
+      
+    } catch (error) {
+      console.error('Error sending ban notification:', error);
+    }
+  }
+  
+  /**
+   * Store an inbox entry and announce it to the recipient's open sockets
+   * @param {Object} notification - Notification details
+   * @param {string|null} notification.userId - Recipient user ID
+   * @param {string|null} notification.sessionToken - Recipient anonymous session, used when there is no user ID
+   * @param {string|null} notification.issueId - Related issue ID
+   * @param {string} notification.type - Notification type (status_change, flagged_content, issue_merged)
+   * @param {string} notification.title - Short title
+   * @param {string} notification.message - Notification text
+   * @param {Object} notification.data - Type-specific details
+   * @returns {Promise<Object|null>} Created notification or null if there is no recipient
+   */
+  static async createNotification({ userId = null, sessionToken = null, issueId = null, type, title, message, data = {} }) {
+    if (!userId && !sessionToken) {
+      return null;
+    }
+    
+    try {
+      const notification = await Notification.create({
+        user_id: userId,
+        session_token: userId ? null : sessionToken,
+        issue_id: issueId,
+        type,
+        title,
+        message,
+        data
+      });
+      
+      const payload = this.formatNotification(notification);
+      
+      if (userId) {
+        SocketService.emitToUser(userId, 'notification:created', payload);
+      } else {
+        SocketService.emitToSession(sessionToken, 'notification:created', payload);
+      }
+      
+      return notification;
+      
+    } catch (error) {
+      // Other channels still deliver the notification
+      console.error('Error creating notification:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the inbox of a user or anonymous session, newest first
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} Inbox result
+   */
+  static async getNotifications(userId, sessionToken, options = {}) {
+    try {
+      const { unreadOnly = false, limit = 20, offset = 0 } = options;
+      const recipientWhere = this.getRecipientWhere(userId, sessionToken);
+      
+      const where = { ...recipientWhere };
+      if (unreadOnly) {
+        where.read_at = null;
+      }
+      
+      const { count, rows } = await Notification.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      });
+      
+      const unreadCount = await Notification.count({
+        where: {
+          ...recipientWhere,
+          read_at: null
+        }
+      });
+      
+      return {
+        success: true,
+        notifications: rows.map(notification => this.formatNotification(notification)),
+        unreadCount,
+        metadata: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + rows.length < count
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch notifications'
+      };
+    }
+  }
+  
+  /**
+   * Mark a single notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Promise<Object>} Update result
+   */
+  static async markAsRead(notificationId, userId, sessionToken) {
+    try {
+      const notification = await Notification.findOne({
+        where: {
+          id: notificationId,
+          ...this.getRecipientWhere(userId, sessionToken)
+        }
+      });
+      
+      if (!notification) {
+        return {
+          success: false,
+          error: 'Notification not found'
+        };
+      }
+      
+      if (!notification.read_at) {
+        await notification.update({ read_at: new Date() });
+      }
+      
+      return {
+        success: true,
+        notification: this.formatNotification(notification)
+      };
+      
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      return {
+        success: false,
+        error: 'Failed to update notification'
+      };
+    }
+  }
+  
+  /**
+   * Mark every unread notification of a user or anonymous session as read
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Promise<Object>} Update result with the number of updated notifications
+   */
+  static async markAllAsRead(userId, sessionToken) {
+    try {
+      const [updated] = await Notification.update(
+        { read_at: new Date() },
+        {
+          where: {
+            ...this.getRecipientWhere(userId, sessionToken),
+            read_at: null
+          }
+        }
+      );
+      
+      return {
+        success: true,
+        updated
+      };
+      
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      return {
+        success: false,
+        error: 'Failed to update notifications'
+      };
+    }
+  }
+  
+  /**
+   * Where clause selecting the notifications of a user or anonymous session
+   * @param {string|null} userId - User ID
+   * @param {string|null} sessionToken - Session token, used when there is no user ID
+   * @returns {Object} Sequelize where clause
+   */
+  static getRecipientWhere(userId, sessionToken) {
+    return userId ? { user_id: userId } : { session_token: sessionToken };
+  }
+  
+  /**
+   * Format a notification for API responses and socket events
+   * @param {Object} notification - Notification record
+   * @returns {Object} Notification payload
+   */
+  static formatNotification(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      issue_id: notification.issue_id,
+      data: notification.data || {},
+      is_read: Boolean(notification.read_at),
+      read_at: notification.read_at,
+      created_at: notification.createdAt
+    };
+  }
 }
 
 module.exports = NotificationService;
\ No newline at end of file
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserToken } = require('../models');
+const EmailService = require('./email');
+const { hashPassword, validatePassword } = require('./authService');
+const SessionService = require('./sessionService');
+
+const PURPOSE = 'password_reset';
+
+/**
+ * Password Reset Service - Emails single-use links to choose a new password
+ *
+ * Configuration (environment):
+ * - PASSWORD_RESET_TTL_MINUTES: how long a link stays valid (default: 60)
+ * - PASSWORD_RESET_RESEND_SECONDS: minimum time between two emails to one user (default: 60)
+ */
+class PasswordResetService {
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Token from the email link
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Link lifetime in minutes
+   * @returns {number} Minutes
+   */
+  static getTokenTtlMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+  }
+
+  /**
+   * Email a reset link to the account with this address, if there is one
+   * The result is the same whether or not the account exists, so callers cannot find out which addresses are registered.
+   * @param {string} email - Email address entered in the forgot password form
+   * @returns {Promise<Object>} Result { success, error? }
+   */
+  static async requestReset(email) {
+    try {
+      const user = await User.findOne({ where: { email } });
+
+      if (!user || !user.password_hash || user.is_banned) {
+        return { success: true };
+      }
+
+      const cooldownSeconds = parseInt(process.env.PASSWORD_RESET_RESEND_SECONDS || '60');
+      const recent = await UserToken.findOne({
+        where: {
+          user_id: user.id,
+          purpose: PURPOSE,
+          created_at: { [Op.gt]: new Date(Date.now() - cooldownSeconds * 1000) }
+        }
+      });
+
+      // The last link is only moments old; answer as usual without flooding the inbox
+      if (recent) {
+        return { success: true };
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const ttlMinutes = this.getTokenTtlMinutes();
+
+      await UserToken.destroy({
+        where: { user_id: user.id, purpose: PURPOSE, used_at: null }
+      });
+
+      await UserToken.create({
+        user_id: user.id,
+        purpose: PURPOSE,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      });
+
+      // Deliver in the background: waiting for the mail server would make registered addresses answer slower
+      EmailService.sendTemplate('passwordReset', user.email, {
+        token,
+        expiresInMinutes: ttlMinutes
+      })
+        .then((result) => {
+          if (!result.success) {
+            console.error(`Password reset email to ${user.email} failed:`, result.error);
+          }
+        })
+        .catch((error) => {
+          console.error('Error sending password reset email:', error);
+        });
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      return {
+        success: false,
+        error: 'Failed to process the password reset request'
+      };
+    }
+  }
+
+  /**
+   * Redeem a reset token, set the new password and end all existing sessions of the user
+   * @param {string} token - Token from the email link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result { success, error?, expired?, invalidPassword? }
+   */
+  static async resetPassword(token, newPassword) {
+    // Check the password first so a weak one does not use up the link
+    const passwordErrors = validatePassword(newPassword);
+    if (passwordErrors.length > 0) {
+      return {
+        success: false,
+        invalidPassword: true,
+        error: passwordErrors.join(', ')
+      };
+    }
+
+    try {
+      const record = await UserToken.findOne({
+        where: { token_hash: this.hashToken(token), purpose: PURPOSE },
+        include: [{ model: User, as: 'user' }]
+      });
+
+      if (!record || record.used_at || !record.user) {
+        return {
+          success: false,
+          error: 'This password reset link is invalid or has already been used'
+        };
+      }
+
+      if (new Date(record.expires_at) <= new Date()) {
+        return {
+          success: false,
+          expired: true,
+          error: 'This password reset link has expired, request a new one'
+        };
+      }
+
+      // Claim the token atomically so two requests cannot both redeem it
+      const [claimed] = await UserToken.update(
+        { used_at: new Date() },
+        { where: { id: record.id, used_at: null } }
+      );
+
+      if (claimed === 0) {
+        return {
+          success: false,
+          error: 'This password reset link is invalid or has already been used'
+        };
+      }
+
+      // Tokens issued before password_changed_at are rejected by the auth middleware
+      await record.user.update({
+        password_hash: await hashPassword(newPassword),
+        password_changed_at: new Date()
+      });
+
+      await UserToken.destroy({
+        where: { user_id: record.user.id, purpose: PURPOSE, used_at: null }
+      });
+
+      await SessionService.revokeAllSessions(record.user.id, 'password_reset');
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      return {
+        success: false,
+        error: 'Failed to reset password'
+      };
+    }
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,249 @@
+const webPush = require('web-push');
+const { Op } = require('sequelize');
+const { PushSubscription } = require('../models');
+
+/**
+ * Push Service - Delivers Web Push notifications to subscribed browsers
+ *
+ * Configuration (environment):
+ * - VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY: key pair (generate with `npx web-push generate-vapid-keys`)
+ * - VAPID_SUBJECT: contact URL or mailto: address sent to push services
+ * - PUSH_CLEANUP_INTERVAL_HOURS: how often expired subscriptions are removed (default: 24)
+ */
+class PushService {
+
+  // True once the VAPID details were passed to web-push
+  static configured = false;
+
+  // Interval handle of the cleanup schedule
+  static cleanupTimer = null;
+
+  // Push service responses meaning the subscription no longer exists
+  static GONE_STATUS_CODES = [404, 410];
+
+  /**
+   * Check whether VAPID keys are configured
+   * @returns {boolean} True if push notifications can be sent
+   */
+  static isEnabled() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  }
+
+  /**
+   * Public VAPID key browsers need to subscribe
+   * @returns {string|null} Public key or null if push is disabled
+   */
+  static getPublicKey() {
+    return this.isEnabled() ? process.env.VAPID_PUBLIC_KEY : null;
+  }
+
+  /**
+   * Pass the VAPID details to web-push on first use
+   */
+  static configure() {
+    if (this.configured) {
+      return;
+    }
+
+    webPush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:no-reply@civictrack.local',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    this.configured = true;
+  }
+
+  /**
+   * Store a browser subscription for a user or anonymous session
+   * Subscribing the same browser again refreshes its keys and expiration.
+   * @param {Object} subscription - Browser PushSubscription JSON { endpoint, expirationTime, keys }
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {string|null} userAgent - User agent of the subscribing browser
+   * @returns {Object} Subscription result
+   */
+  static async saveSubscription(subscription, userId, sessionToken, userAgent = null) {
+    try {
+      const where = userId
+        ? { endpoint: subscription.endpoint, user_id: userId }
+        : { endpoint: subscription.endpoint, session_token: sessionToken };
+
+      const values = {
+        p256dh_key: subscription.keys.p256dh,
+        auth_key: subscription.keys.auth,
+        expires_at: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+        user_agent: userAgent ? userAgent.substring(0, 255) : null
+      };
+
+      let record = await PushSubscription.findOne({ where });
+      const created = !record;
+
+      if (record) {
+        await record.update(values);
+      } else {
+        record = await PushSubscription.create({ ...where, ...values });
+      }
+
+      return {
+        success: true,
+        created,
+        subscription: {
+          id: record.id,
+          endpoint: record.endpoint,
+          expires_at: record.expires_at,
+          created_at: record.createdAt
+        }
+      };
+
+    } catch (error) {
+      console.error('Error saving push subscription:', error);
+      return {
+        success: false,
+        error: 'Failed to save push subscription'
+      };
+    }
+  }
+
+  /**
+   * Remove a browser subscription of a user or anonymous session
+   * @param {string} endpoint - Subscription endpoint
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Object} Removal result
+   */
+  static async removeSubscription(endpoint, userId, sessionToken) {
+    try {
+      const removed = await PushSubscription.destroy({
+        where: userId
+          ? { endpoint, user_id: userId }
+          : { endpoint, session_token: sessionToken }
+      });
+
+      return {
+        success: true,
+        removed
+      };
+
+    } catch (error) {
+      console.error('Error removing push subscription:', error);
+      return {
+        success: false,
+        error: 'Failed to remove push subscription'
+      };
+    }
+  }
+
+  /**
+   * Send a notification to every browser of a user or anonymous session
+   * Subscriptions rejected by the push service as gone are removed.
+   * @param {string|null} userId - User ID
+   * @param {string|null} sessionToken - Session token, used when there is no user ID
+   * @param {Object} payload - Notification payload { title, body, url, tag }
+   * @returns {Promise<Object>} Delivery summary { sent, failed, removed }
+   */
+  static async sendToRecipient(userId, sessionToken, payload) {
+    const summary = { sent: 0, failed: 0, removed: 0 };
+
+    if (!this.isEnabled() || (!userId && !sessionToken)) {
+      return summary;
+    }
+
+    this.configure();
+
+    const subscriptions = await PushSubscription.findAll({
+      where: {
+        ...(userId ? { user_id: userId } : { session_token: sessionToken }),
+        [Op.or]: [
+          { expires_at: null },
+          { expires_at: { [Op.gt]: new Date() } }
+        ]
+      }
+    });
+
+    const body = JSON.stringify(payload);
+
+    for (const subscription of subscriptions) {
+      try {
+        await webPush.sendNotification({
+          endpoint: subscription.endpoint,
+          keys: {
+            p256dh: subscription.p256dh_key,
+            auth: subscription.auth_key
+          }
+        }, body);
+
+        await subscription.update({ last_sent_at: new Date() });
+        summary.sent++;
+      } catch (error) {
+        if (this.GONE_STATUS_CODES.includes(error.statusCode)) {
+          // The browser unsubscribed or the subscription expired
+          summary.removed += await PushSubscription.destroy({
+            where: { endpoint: subscription.endpoint }
+          });
+        } else {
+          console.error(`Push delivery to ${subscription.endpoint} failed:`, error.message);
+          summary.failed++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Remove subscriptions whose browser-announced expiration has passed
+   * @returns {Promise<number>} Number of removed subscriptions
+   */
+  static async cleanupExpiredSubscriptions() {
+    try {
+      const removed = await PushSubscription.destroy({
+        where: {
+          expires_at: { [Op.lte]: new Date() }
+        }
+      });
+
+      if (removed > 0) {
+        console.log(`Removed ${removed} expired push subscriptions`);
+      }
+
+      return removed;
+
+    } catch (error) {
+      console.error('Error cleaning up push subscriptions:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Periodically remove expired subscriptions
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  static startCleanupSchedule() {
+    if (this.cleanupTimer) {
+      return this.cleanupTimer;
+    }
+
+    const hours = parseFloat(process.env.PUSH_CLEANUP_INTERVAL_HOURS || '24');
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupExpiredSubscriptions();
+    }, hours * 60 * 60 * 1000);
+
+    // Don't keep the process alive just for the cleanup
+    this.cleanupTimer.unref();
+
+    return this.cleanupTimer;
+  }
+
+  /**
+   * Stop the cleanup schedule
+   */
+  static stopCleanupSchedule() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = PushService;
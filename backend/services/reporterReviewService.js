@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+const { Issue, StatusHistory, Department } = require('../models');
+const { sequelize } = require('../config/database');
+const WorkflowService = require('./workflowService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reporter Review Service - Lets reporters confirm or reopen a resolved issue
+ *
+ * After an issue is resolved, its reporter (the verified user in reporter_id or the anonymous
+ * session in reporter_session) has a window to confirm the fix or reopen the issue. Both are
+ * recorded as status changes attributed to the reporter. The statuses involved come from the
+ * workflow's reporter_review section.
+ *
+ * Configuration (environment):
+ * - REPORTER_REVIEW_DAYS: days after resolution the reporter can review the fix (default: 14)
+ */
+class ReporterReviewService {
+
+  /**
+   * Days a reporter has to review a fix
+   * @returns {number} Window length in days
+   */
+  static getWindowDays() {
+    return parseFloat(process.env.REPORTER_REVIEW_DAYS || '14');
+  }
+
+  /**
+   * Check whether the requester reported the issue
+   * @param {Object} issue - Issue with reporter_id and reporter_session
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {boolean} True for the original reporter
+   */
+  static isReporter(issue, userId, sessionToken) {
+    if (userId) {
+      return issue.reporter_id === userId;
+    }
+    return Boolean(sessionToken) && issue.reporter_session === sessionToken;
+  }
+
+  /**
+   * Review window of the reporter for an issue
+   * @param {Object} issue - Issue with status, reporter_id and reporter_session
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { can_review, deadline }
+   */
+  static async getReviewState(issue, userId, sessionToken, now = new Date()) {
+    const review = WorkflowService.getReporterReview();
+
+    if (!review || issue.status !== review.status || !this.isReporter(issue, userId, sessionToken)) {
+      return { can_review: false, deadline: null };
+    }
+
+    const deadline = await this.getDeadline(issue.id);
+
+    return {
+      can_review: Boolean(deadline) && deadline > now,
+      deadline
+    };
+  }
+
+  /**
+   * End of the review window, counted from the latest resolution
+   * @param {string} issueId - Issue ID
+   * @returns {Promise<Date|null>} Deadline or null when the resolution is not in the history
+   */
+  static async getDeadline(issueId) {
+    const resolution = await StatusHistory.findOne({
+      where: {
+        issue_id: issueId,
+        new_status: WorkflowService.getReporterReview().status
+      },
+      attributes: ['updated_at'],
+      order: [['updated_at', 'DESC']]
+    });
+
+    if (!resolution) {
+      return null;
+    }
+
+    return new Date(new Date(resolution.updated_at).getTime() + this.getWindowDays() * DAY_MS);
+  }
+
+  /**
+   * Confirm that a resolved issue is fixed
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Result { success, issue?, error?, notFound?, forbidden? }
+   */
+  static async confirmResolution(issueId, userId, sessionToken, now = new Date()) {
+    return this.review(issueId, userId, sessionToken, 'confirm', {}, now);
+  }
+
+  /**
+   * Reopen a resolved issue that is not actually fixed
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {Object} details - { comment, photos? } explaining what is still wrong
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Result { success, issue?, error?, notFound?, forbidden? }
+   */
+  static async reopenIssue(issueId, userId, sessionToken, details, now = new Date()) {
+    return this.review(issueId, userId, sessionToken, 'reopen', details, now);
+  }
+
+  /**
+   * Record the reporter's review as a status change
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @param {string} outcome - confirm or reopen
+   * @param {Object} details - { comment?, photos? }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Result { success, issue?, error?, notFound?, forbidden? }
+   */
+  static async review(issueId, userId, sessionToken, outcome, details, now) {
+    const review = WorkflowService.getReporterReview();
+
+    if (!review) {
+      return {
+        success: false,
+        error: 'Reporters cannot review fixes in this workflow'
+      };
+    }
+
+    const issue = await Issue.findOne({
+      where: {
+        id: issueId,
+        is_hidden: false,
+        merged_into_id: null
+      }
+    });
+
+    if (!issue) {
+      return {
+        success: false,
+        notFound: true,
+        error: 'Issue not found or is hidden'
+      };
+    }
+
+    if (!this.isReporter(issue, userId, sessionToken)) {
+      return {
+        success: false,
+        forbidden: true,
+        error: 'Only the reporter can review the fix of this issue'
+      };
+    }
+
+    const state = await this.getReviewState(issue, userId, sessionToken, now);
+
+    if (!state.can_review) {
+      return {
+        success: false,
+        error: issue.status === review.status
+          ? `The review window closed ${this.getWindowDays()} days after the issue was resolved`
+          : 'Only resolved issues can be confirmed or reopened'
+      };
+    }
+
+    const status = review[outcome];
+    const transaction = await sequelize.transaction();
+
+    try {
+      await StatusHistory.create({
+        issue_id: issue.id,
+        previous_status: issue.status,
+        new_status: status,
+        comment: details.comment ? details.comment.trim() : null,
+        photos: details.photos || [],
+        updated_by: userId || null,
+        is_reporter_action: true,
+        updated_at: now
+      }, { transaction });
+
+      await issue.update({
+        status,
+        // Same rule as authority updates: reopened issues are overdue again if they breached an SLA
+        is_overdue: WorkflowService.isOpen(status) && Boolean(issue.response_breached_at || issue.resolution_breached_at),
+        updated_at: now
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return {
+      success: true,
+      issue
+    };
+  }
+
+  /**
+   * Reopen rates per department: how often reporters reopen resolved issues
+   * @param {Object} filters - { startDate?, endDate?, category? } on the issue
+   * @returns {Promise<Object>} { window_days, by_department: [{ department, resolved, confirmed, reopened, reopen_rate }] }
+   */
+  static async getReopenRates(filters = {}) {
+    const review = WorkflowService.getReporterReview();
+    const rates = {
+      window_days: this.getWindowDays(),
+      by_department: []
+    };
+
+    if (!review) {
+      return rates;
+    }
+
+    const issueWhere = {
+      is_hidden: false,
+      merged_into_id: null
+    };
+
+    if (filters.category) {
+      issueWhere.category = filters.category;
+    }
+    if (filters.startDate || filters.endDate) {
+      issueWhere.created_at = {};
+      if (filters.startDate) {
+        issueWhere.created_at[Op.gte] = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        issueWhere.created_at[Op.lte] = new Date(filters.endDate);
+      }
+    }
+
+    const changes = await StatusHistory.findAll({
+      where: {
+        new_status: [review.status, review.confirm, review.reopen]
+      },
+      attributes: ['id', 'new_status', 'is_reporter_action'],
+      include: [
+        {
+          model: Issue,
+          as: 'issue',
+          where: issueWhere,
+          attributes: ['id', 'assigned_department_id'],
+          include: [
+            {
+              model: Department,
+              as: 'assignedDepartment',
+              attributes: ['id', 'name'],
+              required: false
+            }
+          ]
+        }
+      ]
+    });
+
+    const departments = new Map();
+
+    changes.forEach(change => {
+      const department = change.issue.assignedDepartment;
+      const key = department ? department.id : null;
+
+      if (!departments.has(key)) {
+        departments.set(key, {
+          department: department ? { id: department.id, name: department.name } : null,
+          resolved: 0,
+          confirmed: 0,
+          reopened: 0
+        });
+      }
+
+      const stats = departments.get(key);
+
+      if (change.new_status === review.status) {
+        stats.resolved++;
+      } else if (change.is_reporter_action) {
+        stats[change.new_status === review.reopen ? 'reopened' : 'confirmed']++;
+      }
+    });
+
+    rates.by_department = [...departments.values()]
+      .filter(stats => stats.resolved > 0)
+      .map(stats => ({
+        ...stats,
+        reopen_rate: Math.round((stats.reopened / stats.resolved) * 1000) / 10
+      }));
+
+    return rates;
+  }
+}
+
+module.exports = ReporterReviewService;
@@ -0,0 +1,318 @@
+const { RoutingRule, Department, StatusHistory } = require('../models');
+const GeospatialUtils = require('../utils/geospatial');
+
+/**
+ * Routing Service - Routes new issues to a department using admin-defined rules
+ */
+class RoutingService {
+
+  /**
+   * List routing rules with their department
+   * @param {Object} filters - { category?, active? }
+   * @returns {Promise<Object>} Result { success, rules?, error? }
+   */
+  static async getRules(filters = {}) {
+    try {
+      const where = {};
+      if (filters.category) {
+        where.category = filters.category;
+      }
+      if (filters.active !== undefined) {
+        where.is_active = filters.active;
+      }
+
+      const rules = await RoutingRule.findAll({
+        where,
+        include: [
+          {
+            model: Department,
+            as: 'department',
+            attributes: ['id', 'name', 'is_active']
+          }
+        ],
+        order: [['category', 'ASC'], ['priority', 'DESC'], ['created_at', 'ASC']]
+      });
+
+      return {
+        success: true,
+        rules: rules.map(rule => this.formatRule(rule))
+      };
+
+    } catch (error) {
+      console.error('Error fetching routing rules:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch routing rules'
+      };
+    }
+  }
+
+  /**
+   * Create a routing rule
+   * @param {Object} data - { name, category, zone?, department_id, priority?, is_active? }
+   * @param {string} adminId - Admin creating the rule
+   * @returns {Promise<Object>} Result { success, rule?, error? }
+   */
+  static async createRule(data, adminId) {
+    try {
+      const department = await this.findDepartment(data.department_id);
+
+      if (!department) {
+        return {
+          success: false,
+          error: 'Department not found or is inactive'
+        };
+      }
+
+      const rule = await RoutingRule.create({
+        name: data.name.trim(),
+        category: data.category,
+        zone: data.zone ? GeospatialUtils.parseZone(data.zone) : null,
+        department_id: department.id,
+        priority: data.priority || 0,
+        is_active: data.is_active !== undefined ? data.is_active : true,
+        created_by: adminId
+      });
+
+      return {
+        success: true,
+        rule: this.formatRule(rule, department)
+      };
+
+    } catch (error) {
+      console.error('Error creating routing rule:', error);
+      return {
+        success: false,
+        error: 'Failed to create routing rule'
+      };
+    }
+  }
+
+  /**
+   * Update a routing rule
+   * @param {string} ruleId - Routing rule ID
+   * @param {Object} data - Fields to change (zone: null removes the zone)
+   * @returns {Promise<Object>} Result { success, rule?, error?, notFound? }
+   */
+  static async updateRule(ruleId, data) {
+    try {
+      const rule = await RoutingRule.findByPk(ruleId);
+
+      if (!rule) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Routing rule not found'
+        };
+      }
+
+      const departmentId = data.department_id || rule.department_id;
+      const department = await this.findDepartment(departmentId);
+
+      if (!department) {
+        return {
+          success: false,
+          error: 'Department not found or is inactive'
+        };
+      }
+
+      const updates = { department_id: departmentId };
+      ['category', 'priority', 'is_active'].forEach(field => {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      });
+      if (data.name !== undefined) {
+        updates.name = data.name.trim();
+      }
+      if (data.zone !== undefined) {
+        updates.zone = data.zone ? GeospatialUtils.parseZone(data.zone) : null;
+      }
+
+      await rule.update(updates);
+
+      return {
+        success: true,
+        rule: this.formatRule(rule, department)
+      };
+
+    } catch (error) {
+      console.error('Error updating routing rule:', error);
+      return {
+        success: false,
+        error: 'Failed to update routing rule'
+      };
+    }
+  }
+
+  /**
+   * Delete a routing rule
+   * Issues keep the assignment the rule gave them.
+   * @param {string} ruleId - Routing rule ID
+   * @returns {Promise<Object>} Result { success, rule?, error?, notFound? }
+   */
+  static async deleteRule(ruleId) {
+    try {
+      const rule = await RoutingRule.findByPk(ruleId);
+
+      if (!rule) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Routing rule not found'
+        };
+      }
+
+      const deleted = this.formatRule(rule);
+      await rule.destroy();
+
+      return {
+        success: true,
+        rule: deleted
+      };
+
+    } catch (error) {
+      console.error('Error deleting routing rule:', error);
+      return {
+        success: false,
+        error: 'Failed to delete routing rule'
+      };
+    }
+  }
+
+  /**
+   * Find the rule that routes an issue of this category at this point
+   * Rules with a zone containing the point beat rules without a zone, then higher priority wins.
+   * @param {string} category - Issue category
+   * @param {number} latitude - Issue latitude
+   * @param {number} longitude - Issue longitude
+   * @returns {Promise<Object|null>} Matching rule with its department, or null
+   */
+  static async findMatchingRule(category, latitude, longitude) {
+    const rules = await RoutingRule.findAll({
+      where: {
+        category,
+        is_active: true
+      },
+      include: [
+        {
+          model: Department,
+          as: 'department',
+          where: { is_active: true },
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    const zoneRule = rules.find(rule => rule.zone && GeospatialUtils.isPointInZone(lat, lng, rule.zone));
+
+    return zoneRule || rules.find(rule => !rule.zone) || null;
+  }
+
+  /**
+   * Assign a newly created issue to the department of the matching rule
+   * @param {Object} issue - Issue record
+   * @returns {Promise<Object>} Result { success, routing?, error? } (routing is null when no rule matched)
+   */
+  static async routeIssue(issue) {
+    try {
+      const rule = await this.findMatchingRule(issue.category, issue.latitude, issue.longitude);
+
+      if (!rule) {
+        return {
+          success: true,
+          routing: null
+        };
+      }
+
+      const transaction = await require('../config/database').sequelize.transaction();
+
+      try {
+        await issue.update({
+          assigned_department_id: rule.department.id,
+          assigned_at: new Date()
+        }, { transaction });
+
+        // Automatic entry, not made by any user
+        await StatusHistory.create({
+          issue_id: issue.id,
+          previous_status: issue.status,
+          new_status: issue.status,
+          comment: `Routed to ${rule.department.name} by rule "${rule.name}"`,
+          updated_by: null
+        }, { transaction });
+
+        await transaction.commit();
+
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      return {
+        success: true,
+        routing: {
+          rule: {
+            id: rule.id,
+            name: rule.name
+          },
+          department: {
+            id: rule.department.id,
+            name: rule.department.name
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Error routing issue:', error);
+      return {
+        success: false,
+        error: 'Failed to route issue'
+      };
+    }
+  }
+
+  /**
+   * Find an active department
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<Object|null>} Department or null
+   */
+  static async findDepartment(departmentId) {
+    return Department.findOne({
+      where: {
+        id: departmentId,
+        is_active: true
+      },
+      attributes: ['id', 'name']
+    });
+  }
+
+  /**
+   * Format a routing rule for API responses
+   * @param {Object} rule - Routing rule record
+   * @param {Object} department - Department, defaults to the included department
+   * @returns {Object} Formatted rule
+   */
+  static formatRule(rule, department = rule.department) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      category: rule.category,
+      zone: rule.zone || null,
+      priority: rule.priority,
+      is_active: rule.is_active,
+      department: department ? {
+        id: department.id,
+        name: department.name
+      } : null,
+      created_at: rule.created_at,
+      updated_at: rule.updated_at
+    };
+  }
+}
+
+module.exports = RoutingService;
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserSession, RefreshToken } = require('../models');
+const { generateToken, isIssuedBeforeRevocation } = require('../middleware/auth');
+
+// Checked in order: Edge and Opera identify as Chrome, Chrome as Safari, iOS as macOS and Android as Linux
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Android', /Android/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Session Service - Logins of registered users with short-lived access tokens and rotating refresh tokens
+ *
+ * Every refresh exchanges the refresh token for a new pair. Presenting a refresh token that was
+ * already exchanged means it was copied, so the whole session is revoked.
+ *
+ * Configuration (environment):
+ * - JWT_EXPIRES_IN: access token lifetime (default: 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: how long a session lasts without being refreshed (default: 30)
+ */
+class SessionService {
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} token - Refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Refresh token lifetime in days
+   * @returns {number} Days
+   */
+  static getRefreshTokenTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+  }
+
+  /**
+   * Store a new refresh token for a session and move the session expiry along
+   * @param {Object} session - UserSession record
+   * @returns {Promise<string>} Refresh token to hand to the client
+   */
+  static async issueRefreshToken(session) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      session_id: session.id,
+      token_hash: this.hashToken(refreshToken),
+      expires_at: expiresAt
+    });
+
+    await session.update({ expires_at: expiresAt, last_used_at: new Date() });
+
+    return refreshToken;
+  }
+
+  /**
+   * Short description of the browser and operating system of a user agent
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} Description, e.g. "Firefox on Windows"
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const system = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && system) {
+      return `${browser[0]} on ${system[0]}`;
+    }
+
+    return browser?.[0] || system?.[0] || 'Unknown device';
+  }
+
+  /**
+   * Format a session for the sessions list
+   * @param {Object} session - UserSession record
+   * @param {string} currentSessionId - Session of the request
+   * @returns {Object} Formatted session
+   */
+  static formatSession(session, currentSessionId) {
+    return {
+      id: session.id,
+      device: this.describeDevice(session.user_agent),
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.createdAt,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId
+    };
+  }
+
+  /**
+   * Start a session for a user who just logged in or registered
+   * @param {Object} user - User record
+   * @param {Object} [meta] - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} { token, refreshToken, sessionId }
+   */
+  static async createSession(user, { ipAddress = null, userAgent = null } = {}) {
+    const session = await UserSession.create({
+      user_id: user.id,
+      ip_address: ipAddress,
+      user_agent: userAgent ? userAgent.substring(0, 500) : null,
+      expires_at: new Date()
+    });
+
+    const refreshToken = await this.issueRefreshToken(session);
+
+    return {
+      token: generateToken(user, session.id),
+      refreshToken,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} [meta] - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} Result { success, token?, refreshToken?, error?, reused?, banned? }
+   */
+  static async refreshSession(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const record = await RefreshToken.findOne({
+        where: { token_hash: this.hashToken(refreshToken) },
+        include: [{
+          model: UserSession,
+          as: 'session',
+          include: [{ model: User, as: 'user' }]
+        }]
+      });
+
+      if (!record || !record.session || !record.session.user || record.session.revoked_at) {
+        return {
+          success: false,
+          error: 'Session has ended, please log in again'
+        };
+      }
+
+      const { session } = record;
+      const { user } = session;
+
+      if (record.used_at) {
+        return this.handleReuse(session);
+      }
+
+      if (new Date(record.expires_at) <= new Date()) {
+        return {
+          success: false,
+          error: 'Session has expired, please log in again'
+        };
+      }
+
+      if (user.is_banned) {
+        return {
+          success: false,
+          banned: true,
+          error: 'User account has been banned'
+        };
+      }
+
+      // Sessions started before a password reset or ban do not come back after an unban
+      if (isIssuedBeforeRevocation(user, session.createdAt)) {
+        return {
+          success: false,
+          error: 'Session has ended, please log in again'
+        };
+      }
+
+      // Claim the token atomically; losing the race means it was presented twice
+      const [claimed] = await RefreshToken.update(
+        { used_at: new Date() },
+        { where: { id: record.id, used_at: null } }
+      );
+
+      if (claimed === 0) {
+        return this.handleReuse(session);
+      }
+
+      const newRefreshToken = await this.issueRefreshToken(session);
+
+      if (ipAddress || userAgent) {
+        await session.update({
+          ip_address: ipAddress || session.ip_address,
+          user_agent: userAgent ? userAgent.substring(0, 500) : session.user_agent
+        });
+      }
+
+      return {
+        success: true,
+        token: generateToken(user, session.id),
+        refreshToken: newRefreshToken
+      };
+
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      return {
+        success: false,
+        error: 'Failed to refresh session'
+      };
+    }
+  }
+
+  /**
+   * End a session whose already exchanged refresh token was presented again
+   * @param {Object} session - UserSession record
+   * @returns {Promise<Object>} Failed refresh result
+   */
+  static async handleReuse(session) {
+    console.warn(`Refresh token reuse detected, revoking session ${session.id} of user ${session.user_id}`);
+    await this.revokeSession(session.id, 'refresh_token_reuse');
+
+    return {
+      success: false,
+      reused: true,
+      error: 'Refresh token was already used; the session has been ended, please log in again'
+    };
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the request, marked as current
+   * @returns {Promise<Array>} Formatted sessions
+   */
+  static async listSessions(userId, currentSessionId = null) {
+    const sessions = await UserSession.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one of the user's own sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Result { success, error?, notFound? }
+   */
+  static async revokeUserSession(userId, sessionId) {
+    const session = await UserSession.findOne({
+      where: { id: sessionId, user_id: userId, revoked_at: null }
+    });
+
+    if (!session) {
+      return {
+        success: false,
+        notFound: true,
+        error: 'Session not found'
+      };
+    }
+
+    await this.revokeSession(session.id, 'user');
+
+    return { success: true };
+  }
+
+  /**
+   * Revoke one session, ending its access and refresh tokens
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Why the session ended (logout, user, refresh_token_reuse, password_reset, ban)
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  static async revokeSession(sessionId, reason) {
+    const [revoked] = await UserSession.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { id: sessionId, revoked_at: null } }
+    );
+
+    return revoked > 0;
+  }
+
+  /**
+   * Revoke all active sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions ended
+   * @param {Object} [options] - { exceptSessionId, transaction }
+   *   exceptSessionId keeps one session, e.g. the one logging out everywhere else
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeAllSessions(userId, reason, { exceptSessionId = null, transaction } = {}) {
+    const where = { user_id: userId, revoked_at: null };
+
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [revoked] = await UserSession.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where, transaction }
+    );
+
+    return revoked;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,430 @@
+const { Op } = require('sequelize');
+const { SlaTarget, Issue, StatusHistory, Department } = require('../models');
+const NotificationService = require('./notificationService');
+const WorkflowService = require('./workflowService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA Service - Response and resolution targets per category, overdue escalation and compliance
+ * An issue is responded to when its status first leaves the initial workflow status and resolved
+ * when it reaches a status that is not open (resolved, rejected, ...).
+ */
+class SlaService {
+
+  /**
+   * List all SLA targets
+   * @returns {Promise<Object>} Result { success, targets?, error? }
+   */
+  static async getTargets() {
+    try {
+      const targets = await SlaTarget.findAll({
+        order: [['category', 'ASC']]
+      });
+
+      return {
+        success: true,
+        targets: targets.map(target => this.formatTarget(target))
+      };
+
+    } catch (error) {
+      console.error('Error fetching SLA targets:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch SLA targets'
+      };
+    }
+  }
+
+  /**
+   * Create or replace the SLA target of a category
+   * @param {string} category - Issue category
+   * @param {Object} data - { response_hours, resolution_hours }
+   * @param {string} adminId - Admin setting the target
+   * @returns {Promise<Object>} Result { success, target?, created?, error? }
+   */
+  static async upsertTarget(category, data, adminId) {
+    try {
+      if (data.resolution_hours < data.response_hours) {
+        return {
+          success: false,
+          error: 'Resolution target cannot be shorter than the response target'
+        };
+      }
+
+      const values = {
+        response_hours: data.response_hours,
+        resolution_hours: data.resolution_hours,
+        updated_by: adminId
+      };
+
+      let target = await SlaTarget.findOne({ where: { category } });
+      const created = !target;
+
+      if (target) {
+        await target.update(values);
+      } else {
+        target = await SlaTarget.create({ category, ...values });
+      }
+
+      return {
+        success: true,
+        created,
+        target: this.formatTarget(target)
+      };
+
+    } catch (error) {
+      console.error('Error saving SLA target:', error);
+      return {
+        success: false,
+        error: 'Failed to save SLA target'
+      };
+    }
+  }
+
+  /**
+   * Remove the SLA target of a category
+   * Issues already marked overdue stay marked.
+   * @param {string} category - Issue category
+   * @returns {Promise<Object>} Result { success, target?, error?, notFound? }
+   */
+  static async deleteTarget(category) {
+    try {
+      const target = await SlaTarget.findOne({ where: { category } });
+
+      if (!target) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'No SLA target for this category'
+        };
+      }
+
+      const deleted = this.formatTarget(target);
+      await target.destroy();
+
+      return {
+        success: true,
+        target: deleted
+      };
+
+    } catch (error) {
+      console.error('Error deleting SLA target:', error);
+      return {
+        success: false,
+        error: 'Failed to delete SLA target'
+      };
+    }
+  }
+
+  /**
+   * Mark issues that missed a target as overdue and escalate each breach once
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Result { success, escalated?, error? }
+   */
+  static async runEscalation(now = new Date()) {
+    try {
+      const targets = await SlaTarget.findAll();
+      const escalated = { response: 0, resolution: 0 };
+
+      for (const target of targets) {
+        const breaches = [
+          {
+            breach: 'response',
+            hours: target.response_hours,
+            field: 'response_breached_at',
+            status: WorkflowService.getInitialStatus()
+          },
+          {
+            breach: 'resolution',
+            hours: target.resolution_hours,
+            field: 'resolution_breached_at',
+            status: WorkflowService.getOpenStatuses()
+          }
+        ];
+
+        for (const { breach, hours, field, status } of breaches) {
+          const issues = await Issue.findAll({
+            where: {
+              category: target.category,
+              status,
+              is_hidden: false,
+              merged_into_id: null,
+              [field]: null,
+              created_at: { [Op.lte]: new Date(now.getTime() - hours * HOUR_MS) }
+            },
+            attributes: ['id', 'title', 'category', 'assigned_department_id', 'created_at']
+          });
+
+          for (const issue of issues) {
+            await issue.update({
+              is_overdue: true,
+              [field]: now
+            });
+
+            await NotificationService.notifySlaBreach(issue, breach, hours);
+            escalated[breach]++;
+          }
+        }
+      }
+
+      if (escalated.response || escalated.resolution) {
+        console.log(`SLA escalation: ${escalated.response} response and ${escalated.resolution} resolution breaches`);
+      }
+
+      return {
+        success: true,
+        escalated
+      };
+
+    } catch (error) {
+      console.error('Error running SLA escalation:', error);
+      return {
+        success: false,
+        error: 'Failed to run SLA escalation'
+      };
+    }
+  }
+
+  /**
+   * Compute SLA compliance per category and per department
+   * Only issues whose category has a target are counted. An issue counts as pending
+   * while it is within its target and has not reached the milestone yet.
+   * @param {Object} filters - { startDate?, endDate?, category? } applied to issue creation
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Compliance { targets, overdue, by_category, by_department }
+   */
+  static async getCompliance(filters = {}, now = new Date()) {
+    const targets = await SlaTarget.findAll({
+      order: [['category', 'ASC']]
+    });
+    const targetsByCategory = new Map(targets.map(target => [target.category, target]));
+
+    const categories = filters.category
+      ? [filters.category].filter(category => targetsByCategory.has(category))
+      : [...targetsByCategory.keys()];
+
+    const compliance = {
+      targets: targets.map(target => this.formatTarget(target)),
+      overdue: 0,
+      by_category: [],
+      by_department: []
+    };
+
+    if (categories.length === 0) {
+      return compliance;
+    }
+
+    const where = {
+      category: categories,
+      is_hidden: false,
+      merged_into_id: null
+    };
+
+    if (filters.startDate || filters.endDate) {
+      where.created_at = {};
+      if (filters.startDate) {
+        where.created_at[Op.gte] = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        where.created_at[Op.lte] = new Date(filters.endDate);
+      }
+    }
+
+    const issues = await Issue.findAll({
+      where,
+      attributes: ['id', 'category', 'status', 'is_overdue', 'assigned_department_id', 'created_at'],
+      include: [
+        {
+          model: Department,
+          as: 'assignedDepartment',
+          attributes: ['id', 'name'],
+          required: false
+        }
+      ]
+    });
+
+    const milestones = await this.getMilestones(issues.map(issue => issue.id));
+    const categoryStats = new Map();
+    const departmentStats = new Map();
+
+    const statsFor = (map, key, base) => {
+      if (!map.has(key)) {
+        map.set(key, { ...base, response: this.emptyStats(), resolution: this.emptyStats() });
+      }
+      return map.get(key);
+    };
+
+    issues.forEach(issue => {
+      const target = targetsByCategory.get(issue.category);
+      const reached = milestones.get(issue.id) || {};
+      const created = new Date(issue.created_at).getTime();
+
+      const outcomes = {
+        response: this.getOutcome(created, target.response_hours, reached.respondedAt, now),
+        resolution: this.getOutcome(
+          created,
+          target.resolution_hours,
+          WorkflowService.isOpen(issue.status) ? null : reached.resolvedAt,
+          now
+        )
+      };
+
+      const department = issue.assignedDepartment;
+      const buckets = [
+        statsFor(categoryStats, issue.category, { category: issue.category }),
+        statsFor(departmentStats, department ? department.id : null, {
+          department: department ? { id: department.id, name: department.name } : null
+        })
+      ];
+
+      buckets.forEach(bucket => {
+        bucket.response[outcomes.response]++;
+        bucket.resolution[outcomes.resolution]++;
+      });
+    });
+
+    const withRates = (bucket) => ({
+      ...bucket,
+      response: this.withComplianceRate(bucket.response),
+      resolution: this.withComplianceRate(bucket.resolution)
+    });
+
+    compliance.overdue = issues.filter(issue => issue.is_overdue).length;
+    compliance.by_category = [...categoryStats.values()].map(withRates);
+    compliance.by_department = [...departmentStats.values()].map(withRates);
+
+    return compliance;
+  }
+
+  /**
+   * Find when each issue was first responded to and last closed
+   * @param {string[]} issueIds - Issue IDs
+   * @returns {Promise<Map>} Issue ID -> { respondedAt?, resolvedAt? }
+   */
+  static async getMilestones(issueIds) {
+    const milestones = new Map();
+
+    if (issueIds.length === 0) {
+      return milestones;
+    }
+
+    const history = await StatusHistory.findAll({
+      where: {
+        issue_id: issueIds,
+        previous_status: { [Op.ne]: null }
+      },
+      attributes: ['issue_id', 'previous_status', 'new_status', 'updated_at'],
+      order: [['updated_at', 'ASC']]
+    });
+
+    history.forEach(entry => {
+      // Trail entries such as assignments keep the status unchanged
+      if (entry.previous_status === entry.new_status) {
+        return;
+      }
+
+      const reached = milestones.get(entry.issue_id) || {};
+      const at = new Date(entry.updated_at).getTime();
+
+      if (!reached.respondedAt && entry.previous_status === WorkflowService.getInitialStatus()) {
+        reached.respondedAt = at;
+      }
+      if (!WorkflowService.isOpen(entry.new_status)) {
+        reached.resolvedAt = at;
+      }
+
+      milestones.set(entry.issue_id, reached);
+    });
+
+    return milestones;
+  }
+
+  /**
+   * Classify one milestone of an issue against its target
+   * @param {number} created - Issue creation time in ms
+   * @param {number} hours - Target in hours
+   * @param {number|null} reachedAt - Time the milestone was reached in ms
+   * @param {Date} now - Reference time
+   * @returns {string} met, breached or pending
+   */
+  static getOutcome(created, hours, reachedAt, now) {
+    const due = created + hours * HOUR_MS;
+
+    if (reachedAt) {
+      return reachedAt <= due ? 'met' : 'breached';
+    }
+
+    return now.getTime() > due ? 'breached' : 'pending';
+  }
+
+  /**
+   * Empty met/breached/pending counters
+   * @returns {Object} Counters
+   */
+  static emptyStats() {
+    return { met: 0, breached: 0, pending: 0 };
+  }
+
+  /**
+   * Add the share of decided issues that met the target
+   * @param {Object} stats - { met, breached, pending }
+   * @returns {Object} Stats with compliance_rate (null when nothing is decided yet)
+   */
+  static withComplianceRate(stats) {
+    const decided = stats.met + stats.breached;
+
+    return {
+      ...stats,
+      compliance_rate: decided > 0 ? Math.round((stats.met / decided) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * Periodically escalate SLA breaches
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  static startEscalationSchedule() {
+    if (this.escalationTimer) {
+      return this.escalationTimer;
+    }
+
+    const minutes = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES || '15');
+
+    this.escalationTimer = setInterval(() => {
+      this.runEscalation();
+    }, minutes * 60 * 1000);
+
+    // Don't keep the process alive just for the escalation
+    this.escalationTimer.unref();
+
+    return this.escalationTimer;
+  }
+
+  /**
+   * Stop the escalation schedule
+   */
+  static stopEscalationSchedule() {
+    if (this.escalationTimer) {
+      clearInterval(this.escalationTimer);
+      this.escalationTimer = null;
+    }
+  }
+
+  /**
+   * Format an SLA target for API responses
+   * @param {Object} target - SLA target record
+   * @returns {Object} Formatted target
+   */
+  static formatTarget(target) {
+    return {
+      id: target.id,
+      category: target.category,
+      response_hours: target.response_hours,
+      resolution_hours: target.resolution_hours,
+      updated_at: target.updated_at
+    };
+  }
+}
+
+module.exports = SlaService;
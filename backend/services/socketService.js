@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { Server } = require('socket.io');
+const { resolveTokenUser } = require('../middleware/auth');
+const GeospatialUtils = require('../utils/geospatial');
+
+/**
+ * Socket Service - Real-time delivery of issue updates over Socket.io
+ *
+ * Rooms:
+ * - user:<id>       registered users, for personal notifications
+ * - session:<hash>  anonymous reporters, keyed by a hash of their session token
+ * - geo:<row>:<col> map viewers, one room per grid cell of GEO_CELL_SIZE degrees
+ */
+class SocketService {
+
+  // Socket.io server instance (null until initialize is called)
+  static io = null;
+
+  // Grid cell size in degrees (~5.5km of latitude), roughly the neighborhood radius
+  static GEO_CELL_SIZE = 0.05;
+
+  /**
+   * Attach a Socket.io server to the HTTP server
+   * @param {http.Server} httpServer - Node HTTP server the Express app is mounted on
+   * @returns {Server} Socket.io server
+   */
+  static initialize(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: process.env.FRONTEND_URL || 'http://localhost:5173',
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authenticateSocket(socket, next));
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    return this.io;
+  }
+
+  /**
+   * Socket.io middleware validating the handshake token
+   * Accepts the same JWT and anonymous session tokens as the HTTP API.
+   * Connections without a token are allowed as read-only map viewers.
+   * @param {Socket} socket - Connecting socket
+   * @param {function} next - Socket.io next callback
+   */
+  static async authenticateSocket(socket, next) {
+    const token = this.extractToken(socket.handshake);
+
+    if (!token) {
+      socket.data.user = { id: null, role: 'citizen', isAnonymous: true };
+      return next();
+    }
+
+    try {
+      socket.data.user = await resolveTokenUser(token);
+      next();
+    } catch (error) {
+      const authError = new Error(error.status ? error.message : 'Invalid access token');
+      authError.data = { code: error.status ? error.code : 'INVALID_TOKEN' };
+      next(authError);
+    }
+  }
+
+  /**
+   * Read the token from the handshake auth payload or Authorization header
+   * @param {Object} handshake - Socket.io handshake
+   * @returns {string|null} Token or null if none was sent
+   */
+  static extractToken(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+      return handshake.auth.token;
+    }
+
+    const authHeader = handshake.headers && handshake.headers.authorization;
+    return authHeader ? authHeader.split(' ')[1] || null : null;
+  }
+
+  /**
+   * Join personal rooms and register map viewer events
+   * @param {Socket} socket - Authenticated socket
+   */
+  static handleConnection(socket) {
+    const user = socket.data.user;
+
+    if (user.id) {
+      socket.join(this.getUserRoom(user.id));
+    } else if (user.sessionToken) {
+      socket.join(this.getSessionRoom(user.sessionToken));
+    }
+
+    socket.data.geoRooms = [];
+
+    socket.on('map:join', (payload, ack) => {
+      const result = this.joinGeoRooms(socket, payload || {});
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    });
+
+    socket.on('map:leave', (ack) => {
+      this.leaveGeoRooms(socket);
+      if (typeof ack === 'function') {
+        ack({ success: true });
+      }
+    });
+  }
+
+  /**
+   * Subscribe a socket to the grid cells around a viewer location
+   * Any previous map subscription of the socket is replaced.
+   * @param {Socket} socket - Viewer socket
+   * @param {Object} payload - { latitude, longitude }
+   * @returns {Object} Join result
+   */
+  static joinGeoRooms(socket, payload) {
+    const latitude = parseFloat(payload.latitude);
+    const longitude = parseFloat(payload.longitude);
+
+    if (!GeospatialUtils.validateCoordinates(latitude, longitude)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_COORDINATES',
+          message: 'Invalid latitude or longitude coordinates'
+        }
+      };
+    }
+
+    this.leaveGeoRooms(socket);
+
+    const rooms = this.getGeoRoomsAround(latitude, longitude);
+    rooms.forEach(room => socket.join(room));
+    socket.data.geoRooms = rooms;
+
+    return { success: true, rooms };
+  }
+
+  /**
+   * Remove a socket from all its map rooms
+   * @param {Socket} socket - Viewer socket
+   */
+  static leaveGeoRooms(socket) {
+    (socket.data.geoRooms || []).forEach(room => socket.leave(room));
+    socket.data.geoRooms = [];
+  }
+
+  /**
+   * Room for a registered user
+   * @param {string} userId - User ID
+   * @returns {string} Room name
+   */
+  static getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Room for an anonymous session (the raw token is never used as a room name)
+   * @param {string} sessionToken - Anonymous session token
+   * @returns {string} Room name
+   */
+  static getSessionRoom(sessionToken) {
+    const hash = crypto.createHash('sha256').update(sessionToken).digest('hex');
+    return `session:${hash}`;
+  }
+
+  /**
+   * Grid cell containing a coordinate
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {{row: number, col: number}} Cell indices
+   */
+  static getGeoCell(latitude, longitude) {
+    return {
+      row: Math.floor(latitude / this.GEO_CELL_SIZE),
+      col: Math.floor(longitude / this.GEO_CELL_SIZE)
+    };
+  }
+
+  /**
+   * Room for a grid cell
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {string} Room name
+   */
+  static getGeoRoom(row, col) {
+    return `geo:${row}:${col}`;
+  }
+
+  /**
+   * Rooms for the cell containing a location and its eight neighbours
+   * Viewers subscribe to the 3x3 block so issues just across a cell edge still reach them.
+   * @param {number} latitude - Viewer latitude
+   * @param {number} longitude - Viewer longitude
+   * @returns {string[]} Room names
+   */
+  static getGeoRoomsAround(latitude, longitude) {
+    const { row, col } = this.getGeoCell(latitude, longitude);
+    const rooms = [];
+
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        rooms.push(this.getGeoRoom(row + dRow, col + dCol));
+      }
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Emit an event to a registered user
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {boolean} True if the event was emitted
+   */
+  static emitToUser(userId, event, payload) {
+    if (!this.io || !userId) {
+      return false;
+    }
+
+    this.io.to(this.getUserRoom(userId)).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Emit an event to an anonymous session
+   * @param {string} sessionToken - Anonymous session token
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {boolean} True if the event was emitted
+   */
+  static emitToSession(sessionToken, event, payload) {
+    if (!this.io || !sessionToken) {
+      return false;
+    }
+
+    this.io.to(this.getSessionRoom(sessionToken)).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Broadcast a new or changed issue to map viewers near it
+   * Hidden issues are never broadcast.
+   * @param {string} event - Event name (issue:created, issue:updated)
+   * @param {Object} issue - Issue record or plain object
+   * @returns {boolean} True if the event was emitted
+   */
+  static broadcastIssueEvent(event, issue) {
+    if (!this.io || !issue || issue.is_hidden) {
+      return false;
+    }
+
+    const latitude = parseFloat(issue.latitude);
+    const longitude = parseFloat(issue.longitude);
+
+    if (!GeospatialUtils.validateCoordinates(latitude, longitude)) {
+      return false;
+    }
+
+    const { row, col } = this.getGeoCell(latitude, longitude);
+
+    this.io.to(this.getGeoRoom(row, col)).emit(event, {
+      issue: {
+        id: issue.id,
+        title: issue.title,
+        category: issue.category,
+        status: issue.status,
+        latitude,
+        longitude,
+        is_anonymous: issue.is_anonymous,
+        flag_count: issue.flag_count,
+        support_count: issue.support_count,
+        merged_into_id: issue.merged_into_id || null,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+}
+
+module.exports = SocketService;
@@ -0,0 +1,223 @@
+const { IssueSupport, Issue } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Support Service - Handles "me too" votes of citizens affected by an issue
+ */
+class SupportService {
+
+  /**
+   * Add a "me too" vote to an issue
+   * @param {string} issueId - Issue ID to support
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Object} Support result { success, issue?, error?, notFound?, conflict? }
+   */
+  static async supportIssue(issueId, userId, sessionToken) {
+    try {
+      const issue = await this.findSupportableIssue(issueId);
+
+      if (!issue) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      // Check if user/session has already supported this issue
+      const existingSupport = await IssueSupport.findOne({
+        where: {
+          issue_id: issueId,
+          ...this.getSupporterWhere(userId, sessionToken)
+        }
+      });
+
+      if (existingSupport) {
+        return {
+          success: false,
+          conflict: true,
+          error: 'You have already supported this issue'
+        };
+      }
+
+      // The reporter is already counted as affected
+      if ((userId && issue.reporter_id === userId) ||
+          (!userId && sessionToken && issue.reporter_session === sessionToken)) {
+        return {
+          success: false,
+          error: 'You cannot support your own issue'
+        };
+      }
+
+      const transaction = await require('../config/database').sequelize.transaction();
+
+      try {
+        await IssueSupport.create({
+          issue_id: issueId,
+          supported_by: userId || null,
+          supporter_session: userId ? null : sessionToken
+        }, { transaction });
+
+        await issue.increment('support_count', { transaction });
+
+        await transaction.commit();
+
+      } catch (error) {
+        await transaction.rollback();
+
+        // A concurrent request from the same supporter won the race
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          return {
+            success: false,
+            conflict: true,
+            error: 'You have already supported this issue'
+          };
+        }
+        throw error;
+      }
+
+      await issue.reload({ attributes: ['id', 'support_count'] });
+
+      return {
+        success: true,
+        issue: {
+          id: issue.id,
+          support_count: issue.support_count,
+          supported: true
+        }
+      };
+
+    } catch (error) {
+      console.error('Error supporting issue:', error);
+      return {
+        success: false,
+        error: 'Failed to support issue'
+      };
+    }
+  }
+
+  /**
+   * Withdraw a "me too" vote from an issue
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Object} Result { success, issue?, error?, notFound? }
+   */
+  static async removeSupport(issueId, userId, sessionToken) {
+    try {
+      const issue = await this.findSupportableIssue(issueId);
+
+      if (!issue) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Issue not found or is hidden'
+        };
+      }
+
+      const support = await IssueSupport.findOne({
+        where: {
+          issue_id: issueId,
+          ...this.getSupporterWhere(userId, sessionToken)
+        }
+      });
+
+      if (!support) {
+        return {
+          success: false,
+          notFound: true,
+          error: 'You have not supported this issue'
+        };
+      }
+
+      const transaction = await require('../config/database').sequelize.transaction();
+
+      try {
+        await support.destroy({ transaction });
+
+        if (issue.support_count > 0) {
+          await issue.decrement('support_count', { transaction });
+        }
+
+        await transaction.commit();
+
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      await issue.reload({ attributes: ['id', 'support_count'] });
+
+      return {
+        success: true,
+        issue: {
+          id: issue.id,
+          support_count: issue.support_count,
+          supported: false
+        }
+      };
+
+    } catch (error) {
+      console.error('Error removing issue support:', error);
+      return {
+        success: false,
+        error: 'Failed to remove support'
+      };
+    }
+  }
+
+  /**
+   * Check whether a user or session supports an issue
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Promise<boolean>} True if a vote exists
+   */
+  static async hasSupported(issueId, userId, sessionToken) {
+    if (!userId && !sessionToken) {
+      return false;
+    }
+
+    const count = await IssueSupport.count({
+      where: {
+        issue_id: issueId,
+        ...this.getSupporterWhere(userId, sessionToken)
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Find an issue that can receive votes (visible and not merged into another issue)
+   * @param {string} issueId - Issue ID
+   * @returns {Promise<Object|null>} Issue or null
+   */
+  static async findSupportableIssue(issueId) {
+    return Issue.findOne({
+      where: {
+        id: issueId,
+        is_hidden: false,
+        merged_into_id: null
+      }
+    });
+  }
+
+  /**
+   * Build the where clause matching a supporter's vote
+   * @param {string|null} userId - User ID (null for anonymous)
+   * @param {string|null} sessionToken - Session token for anonymous users
+   * @returns {Object} Sequelize where clause
+   */
+  static getSupporterWhere(userId, sessionToken) {
+    return {
+      [Op.or]: [
+        userId ? { supported_by: userId } : null,
+        sessionToken ? { supporter_session: sessionToken } : null
+      ].filter(Boolean)
+    };
+  }
+}
+
+module.exports = SupportService;
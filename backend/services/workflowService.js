@@ -0,0 +1,215 @@
+const definition = require('../config/workflow.json');
+
+// What a transition can require, checked against the status update request
+const REQUIREMENTS = ['comment', 'reason', 'photo'];
+
+/**
+ * Whether a status update provides a required field
+ * @param {string} requirement - Requirement from the workflow definition
+ * @param {Object} fields - { comment?, reason?, photos? } sent with the change
+ * @returns {boolean} True when the field is present
+ */
+const isProvided = (requirement, fields) => {
+  if (requirement === 'photo') {
+    return Array.isArray(fields.photos) && fields.photos.length > 0;
+  }
+
+  return Boolean(fields[requirement]) && String(fields[requirement]).trim().length > 0;
+};
+
+/**
+ * Workflow Service - Issue statuses and the transitions between them
+ * The workflow is defined once in config/workflow.json; models, validators and the
+ * frontend (through GET /api/issues/workflow) all read it from here.
+ */
+class WorkflowService {
+
+  /**
+   * Check that a workflow definition is consistent
+   * @param {Object} workflow - Workflow definition
+   * @throws {Error} When a transition or the initial status references an unknown status
+   */
+  static validateDefinition(workflow) {
+    const keys = workflow.statuses.map(status => status.key);
+
+    if (!keys.includes(workflow.initial)) {
+      throw new Error(`Workflow initial status "${workflow.initial}" is not defined`);
+    }
+
+    workflow.transitions.forEach(transition => {
+      [...transition.from, transition.to].forEach(status => {
+        if (!keys.includes(status)) {
+          throw new Error(`Workflow transition references unknown status "${status}"`);
+        }
+      });
+
+      (transition.requires || []).forEach(requirement => {
+        if (!REQUIREMENTS.includes(requirement)) {
+          throw new Error(`Workflow transition to "${transition.to}" requires unknown field "${requirement}"`);
+        }
+      });
+
+      if ((transition.requires || []).includes('reason') && !transition.reasons?.length) {
+        throw new Error(`Workflow transition to "${transition.to}" requires a reason but lists none`);
+      }
+    });
+
+    if (workflow.reporter_review) {
+      ['status', 'confirm', 'reopen'].forEach(field => {
+        if (!keys.includes(workflow.reporter_review[field])) {
+          throw new Error(`Workflow reporter review ${field} status "${workflow.reporter_review[field]}" is not defined`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Full workflow definition for API responses
+   * @returns {Object} { initial, statuses, transitions }
+   */
+  static getDefinition() {
+    return definition;
+  }
+
+  /**
+   * Status every new issue starts in
+   * @returns {string} Status key
+   */
+  static getInitialStatus() {
+    return definition.initial;
+  }
+
+  /**
+   * All status keys in workflow order
+   * @returns {string[]} Status keys
+   */
+  static getStatusKeys() {
+    return definition.statuses.map(status => status.key);
+  }
+
+  /**
+   * Statuses of issues that still need work
+   * @returns {string[]} Status keys
+   */
+  static getOpenStatuses() {
+    return definition.statuses.filter(status => status.open).map(status => status.key);
+  }
+
+  /**
+   * Statuses involved when a reporter reviews a fix
+   * @returns {Object|null} { status, confirm, reopen } or null when reporters cannot review
+   */
+  static getReporterReview() {
+    return definition.reporter_review || null;
+  }
+
+  /**
+   * Find a status definition
+   * @param {string} key - Status key
+   * @returns {Object|null} Status definition or null
+   */
+  static getStatus(key) {
+    return definition.statuses.find(status => status.key === key) || null;
+  }
+
+  /**
+   * Whether an issue in this status still needs work
+   * @param {string} key - Status key
+   * @returns {boolean} True for open statuses
+   */
+  static isOpen(key) {
+    return Boolean(this.getStatus(key)?.open);
+  }
+
+  /**
+   * Find the transition between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - New status
+   * @returns {Object|null} Transition or null when the change is not allowed at all
+   */
+  static findTransition(from, to) {
+    return definition.transitions.find(transition => (
+      transition.to === to && transition.from.includes(from)
+    )) || null;
+  }
+
+  /**
+   * Transitions a user with this role can make from a status
+   * @param {string} from - Current status
+   * @param {string} role - User role
+   * @returns {Object[]} Transitions
+   */
+  static getAvailableTransitions(from, role) {
+    return definition.transitions.filter(transition => (
+      transition.from.includes(from) && transition.roles.includes(role)
+    ));
+  }
+
+  /**
+   * Check a status change against the workflow
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {string} role - Role of the user making the change
+   * @param {Object} fields - { comment?, reason?, photos? } sent with the change
+   * @returns {Object} Result { allowed, transition?, code?, error?, forbidden?, missing? }
+   */
+  static checkTransition(from, to, role, fields = {}) {
+    if (from === to) {
+      return {
+        allowed: false,
+        code: 'STATUS_UNCHANGED',
+        error: `Issue is already in ${to} status`
+      };
+    }
+
+    const transition = this.findTransition(from, to);
+
+    if (!transition) {
+      return {
+        allowed: false,
+        code: 'INVALID_STATUS_TRANSITION',
+        error: `Cannot change status from ${from} to ${to}`
+      };
+    }
+
+    if (!transition.roles.includes(role)) {
+      return {
+        allowed: false,
+        forbidden: true,
+        code: 'TRANSITION_NOT_PERMITTED',
+        error: `Your role cannot change status from ${from} to ${to}`
+      };
+    }
+
+    const missing = (transition.requires || []).find(field => !isProvided(field, fields));
+
+    if (missing) {
+      return {
+        allowed: false,
+        missing,
+        code: `${missing.toUpperCase()}_REQUIRED`,
+        error: `A ${missing} is required when changing status to ${to}`
+      };
+    }
+
+    if (fields.reason && !transition.reasons?.some(reason => reason.key === fields.reason)) {
+      return {
+        allowed: false,
+        code: 'INVALID_REASON',
+        error: transition.reasons?.length
+          ? `Reason must be one of: ${transition.reasons.map(reason => reason.key).join(', ')}`
+          : `No reason can be given when changing status to ${to}`
+      };
+    }
+
+    return {
+      allowed: true,
+      transition
+    };
+  }
+}
+
+// Fail at startup rather than on the first status update
+WorkflowService.validateDefinition(definition);
+
+module.exports = WorkflowService;
@@ -1,5 +1,5 @@
 const request = require('supertest');
-const app = require('../server');
+const app = require('../app');
 const { User, Issue, Flag, AdminLog } = require('../models');
 const { generateToken } = require('../middleware/auth');
 
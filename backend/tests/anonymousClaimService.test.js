@@ -0,0 +1,225 @@
+const jwt = require('jsonwebtoken');
+const AnonymousClaimService = require('../services/anonymousClaimService');
+const { generateSessionToken } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { User, Issue, Flag, IssueReporter } = require('../models');
+const { Op } = require('sequelize');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  User: {
+    destroy: jest.fn()
+  },
+  UserSession: {},
+  Issue: {
+    findAll: jest.fn(),
+    update: jest.fn(),
+    decrement: jest.fn()
+  },
+  Flag: {
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  IssueReporter: {
+    findAll: jest.fn()
+  }
+}));
+
+const createUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'resident@example.com',
+  is_verified: true,
+  ...overrides
+});
+
+const createRecord = (values) => ({
+  ...values,
+  update: jest.fn(),
+  destroy: jest.fn()
+});
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+describe('AnonymousClaimService', () => {
+  let transaction;
+  let sessionToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    sequelize.transaction.mockResolvedValue(transaction);
+    sessionToken = generateSessionToken();
+
+    Issue.update.mockResolvedValue([2]);
+    Issue.findAll.mockResolvedValue([]);
+    IssueReporter.findAll.mockResolvedValue([]);
+    Flag.findAll.mockResolvedValue([]);
+    Flag.update.mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should re-own the session issues and flags and retire the anonymous user', async () => {
+    const result = await AnonymousClaimService.claimSession(createUser(), sessionToken);
+
+    expect(result).toEqual({ success: true, issues: 2, flags: 1 });
+    expect(Issue.update).toHaveBeenCalledWith(
+      { reporter_id: 'user-1', reporter_session: null, is_anonymous: true, reveal_reporter_on_verification: false },
+      { where: { reporter_session: sessionToken, reporter_id: null }, transaction }
+    );
+    expect(Flag.update).toHaveBeenCalledWith(
+      { flagged_by: 'user-1', flagger_session: null },
+      { where: { flagger_session: sessionToken }, transaction }
+    );
+    expect(User.destroy).toHaveBeenCalledWith({
+      where: { session_token: sessionToken, email: null },
+      transaction
+    });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('should show the issues under the name of a verified user who asks for it', async () => {
+    await AnonymousClaimService.claimSession(createUser(), sessionToken, { keepAnonymous: false });
+
+    expect(Issue.update).toHaveBeenCalledTimes(1);
+    expect(Issue.update.mock.calls[0][0]).toEqual(expect.objectContaining({
+      is_anonymous: false,
+      reveal_reporter_on_verification: false
+    }));
+  });
+
+  test('should keep the issues of an unverified user anonymous until they verify', async () => {
+    await AnonymousClaimService.claimSession(createUser({ is_verified: false }), sessionToken, {
+      keepAnonymous: false,
+      anonymousIssueIds: ['issue-1']
+    });
+
+    // The picked issue stays anonymous for good, the others are revealed after verification
+    expect(Issue.update.mock.calls[0][0].is_anonymous).toBe(true);
+    expect(Issue.update.mock.calls[0][0].reveal_reporter_on_verification).toBeUndefined();
+    expect(Issue.update.mock.calls[1][0]).toEqual(expect.objectContaining({
+      is_anonymous: true,
+      reveal_reporter_on_verification: true
+    }));
+  });
+
+  test('should reveal the issues an unverified user chose to show once verified', async () => {
+    Issue.update.mockResolvedValue([2]);
+
+    const revealed = await AnonymousClaimService.revealClaimedIssues('user-1');
+
+    expect(revealed).toBe(2);
+    expect(Issue.update).toHaveBeenCalledWith(
+      { is_anonymous: false, reveal_reporter_on_verification: false },
+      { where: { reporter_id: 'user-1', reveal_reporter_on_verification: true } }
+    );
+  });
+
+  test('should keep the picked issues anonymous and show the others under the name', async () => {
+    Issue.update
+      .mockResolvedValueOnce([1])
+      .mockResolvedValueOnce([2]);
+
+    const result = await AnonymousClaimService.claimSession(createUser(), sessionToken, {
+      keepAnonymous: false,
+      anonymousIssueIds: ['issue-1']
+    });
+
+    expect(Issue.update).toHaveBeenNthCalledWith(1,
+      { reporter_id: 'user-1', reporter_session: null, is_anonymous: true },
+      { where: { reporter_session: sessionToken, reporter_id: null, id: { [Op.in]: ['issue-1'] } }, transaction }
+    );
+    expect(Issue.update).toHaveBeenNthCalledWith(2,
+      { reporter_id: 'user-1', reporter_session: null, is_anonymous: false, reveal_reporter_on_verification: false },
+      { where: { reporter_session: sessionToken, reporter_id: null }, transaction }
+    );
+    expect(result.issues).toBe(3);
+  });
+
+  test('should move merged reports unless the user already reports the issue', async () => {
+    const ownLink = createRecord({ issue_id: 'issue-1', session_token: sessionToken });
+    const newLink = createRecord({ issue_id: 'issue-2', session_token: sessionToken });
+    IssueReporter.findAll
+      .mockResolvedValueOnce([ownLink, newLink])
+      .mockResolvedValueOnce([]);
+    Issue.findAll.mockResolvedValue([{ id: 'issue-1' }]);
+
+    const result = await AnonymousClaimService.claimSession(createUser(), sessionToken);
+
+    expect(ownLink.destroy).toHaveBeenCalledWith({ transaction });
+    expect(newLink.update).toHaveBeenCalledWith({ user_id: 'user-1', session_token: null }, { transaction });
+    expect(result.issues).toBe(3);
+  });
+
+  test('should drop a session flag on an issue the user already flagged', async () => {
+    const duplicate = createRecord({ issue_id: 'issue-3', flagger_session: sessionToken });
+    Flag.findAll
+      .mockResolvedValueOnce([{ issue_id: 'issue-3' }])
+      .mockResolvedValueOnce([duplicate]);
+
+    await AnonymousClaimService.claimSession(createUser(), sessionToken);
+
+    expect(Issue.decrement).toHaveBeenCalledWith('flag_count', { where: { id: 'issue-3' }, transaction });
+    expect(duplicate.destroy).toHaveBeenCalledWith({ transaction });
+  });
+
+  test('should accept an expired session token', async () => {
+    const expiredToken = jwt.sign(
+      { type: 'anonymous', timestamp: Date.now(), exp: Math.floor(Date.now() / 1000) - 60 },
+      JWT_SECRET
+    );
+
+    const result = await AnonymousClaimService.claimSession(createUser(), expiredToken);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should reject tokens that are not anonymous session tokens', async () => {
+    const accessToken = jwt.sign({ id: 'user-2' }, JWT_SECRET);
+
+    const result = await AnonymousClaimService.claimSession(createUser(), accessToken);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, invalidToken: true }));
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  test('should list the issues of every session', async () => {
+    const issues = [{ id: 'issue-1', title: 'Broken streetlight' }];
+    const earlierToken = jwt.sign({ id: 'anon-0', type: 'anonymous' }, JWT_SECRET, { expiresIn: -60 });
+    Issue.findAll.mockResolvedValue(issues);
+
+    const result = await AnonymousClaimService.listSessionIssues([sessionToken, earlierToken]);
+
+    expect(result).toEqual({ success: true, issues });
+    expect(Issue.findAll.mock.calls[0][0].where).toEqual({
+      reporter_session: { [Op.in]: [sessionToken, earlierToken] },
+      reporter_id: null
+    });
+  });
+
+  test('should not list issues for other tokens', async () => {
+    const result = await AnonymousClaimService.listSessionIssues([sessionToken, jwt.sign({ id: 'user-2' }, JWT_SECRET)]);
+
+    expect(result.invalidToken).toBe(true);
+    expect(Issue.findAll).not.toHaveBeenCalled();
+  });
+
+  test('should roll back when a step fails', async () => {
+    Flag.update.mockRejectedValue(new Error('deadlock'));
+
+    const result = await AnonymousClaimService.claimSession(createUser(), sessionToken);
+
+    expect(result.success).toBe(false);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+    expect(User.destroy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,239 @@
+const AssignmentService = require('../services/assignmentService');
+const { sequelize } = require('../config/database');
+const { Issue, User, Department, StatusHistory } = require('../models');
+const { Op } = require('sequelize');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn(),
+    literal: jest.fn((sql) => ({ sql }))
+  }
+}));
+
+jest.mock('../models', () => ({
+  Issue: {
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn()
+  },
+  User: {
+    findOne: jest.fn()
+  },
+  Department: {
+    findOne: jest.fn()
+  },
+  StatusHistory: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../services/geolocationService', () => ({
+  getFilterConditions: jest.fn((filters) => [
+    { is_hidden: false },
+    { merged_into_id: null },
+    { status: filters.status }
+  ])
+}));
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'issue-1',
+    title: 'Pothole on Main Street',
+    category: 'roads',
+    status: 'reported',
+    merged_into_id: null,
+    assigned_department_id: null,
+    assignee_id: null,
+    assigned_at: null,
+    created_at: new Date('2026-01-01T10:00:00Z'),
+    ...overrides
+  };
+  issue.update = jest.fn(async (values) => Object.assign(issue, values));
+  issue.get = jest.fn((key) => issue[key]);
+  return issue;
+};
+
+const roads = { id: 'department-1', name: 'Public Works' };
+const authority = { id: 'authority-1', email: 'authority@city.gov', role: 'authority', department_id: 'department-1' };
+
+describe('AssignmentService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('assignIssue', () => {
+    test('should assign a department and record it in the history', async () => {
+      const issue = createIssue();
+      Issue.findOne.mockResolvedValue(issue);
+      Department.findOne.mockResolvedValue(roads);
+
+      const result = await AssignmentService.assignIssue('issue-1', { departmentId: 'department-1' }, 'admin-1', 'Pothole crew');
+
+      expect(result.success).toBe(true);
+      expect(issue.update).toHaveBeenCalledWith(expect.objectContaining({
+        assigned_department_id: 'department-1',
+        assignee_id: null,
+        assigned_at: expect.any(Date)
+      }), { transaction });
+      expect(StatusHistory.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        previous_status: 'reported',
+        new_status: 'reported',
+        comment: 'Assigned to Public Works: Pothole crew',
+        updated_by: 'admin-1'
+      }, { transaction });
+      expect(result.issue.department).toEqual(roads);
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should hand the issue to the department of the assignee', async () => {
+      const issue = createIssue();
+      Issue.findOne.mockResolvedValue(issue);
+      User.findOne.mockResolvedValue(authority);
+      Department.findOne.mockResolvedValue(roads);
+
+      const result = await AssignmentService.assignIssue('issue-1', { assigneeId: 'authority-1' }, 'admin-1');
+
+      expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          id: 'authority-1',
+          role: { [Op.in]: ['authority', 'admin'] },
+          is_banned: false
+        }
+      }));
+      expect(issue.assigned_department_id).toBe('department-1');
+      expect(issue.assignee_id).toBe('authority-1');
+      expect(StatusHistory.create.mock.calls[0][0].comment).toBe('Assigned to authority@city.gov (Public Works)');
+      expect(result.issue.assignee).toEqual({ id: 'authority-1', email: 'authority@city.gov', role: 'authority' });
+    });
+
+    test('should reject an assignee from another department', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      User.findOne.mockResolvedValue(authority);
+
+      const result = await AssignmentService.assignIssue(
+        'issue-1',
+        { departmentId: 'department-2', assigneeId: 'authority-1' },
+        'admin-1'
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('does not belong');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject citizens as assignees', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      User.findOne.mockResolvedValue(null);
+
+      const result = await AssignmentService.assignIssue('issue-1', { assigneeId: 'citizen-1' }, 'admin-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('authority or admin');
+    });
+
+    test('should clear the assignment', async () => {
+      const issue = createIssue({ assigned_department_id: 'department-1', assignee_id: 'authority-1' });
+      Issue.findOne.mockResolvedValue(issue);
+
+      const result = await AssignmentService.assignIssue('issue-1', { departmentId: null, assigneeId: null }, 'admin-1');
+
+      expect(result.success).toBe(true);
+      expect(issue.update).toHaveBeenCalledWith({
+        assigned_department_id: null,
+        assignee_id: null,
+        assigned_at: null
+      }, { transaction });
+      expect(StatusHistory.create.mock.calls[0][0].comment).toBe('Assignment removed');
+    });
+
+    test('should report an unchanged assignment', async () => {
+      Issue.findOne.mockResolvedValue(createIssue({ assigned_department_id: 'department-1' }));
+      Department.findOne.mockResolvedValue(roads);
+
+      const result = await AssignmentService.assignIssue('issue-1', { departmentId: 'department-1' }, 'admin-1');
+
+      expect(result.unchanged).toBe(true);
+      expect(StatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse merged duplicates', async () => {
+      Issue.findOne.mockResolvedValue(createIssue({ merged_into_id: 'canonical-1' }));
+
+      const result = await AssignmentService.assignIssue('issue-1', { departmentId: 'department-1' }, 'admin-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('canonical issue');
+    });
+
+    test('should report missing issues as not found', async () => {
+      Issue.findOne.mockResolvedValue(null);
+
+      const result = await AssignmentService.assignIssue('issue-1', { departmentId: 'department-1' }, 'admin-1');
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+
+  describe('getQueue', () => {
+    test('should list open issues of the user and their department, oldest first', async () => {
+      Issue.findAndCountAll.mockResolvedValue({
+        count: 1,
+        rows: [createIssue({ assignee_id: 'authority-1', assignedDepartment: roads, assignee: authority })]
+      });
+
+      const result = await AssignmentService.getQueue(authority);
+
+      const query = Issue.findAndCountAll.mock.calls[0][0];
+      expect(query.where[Op.and]).toContainEqual({ status: ['reported', 'acknowledged', 'in_progress', 'reopened'] });
+      expect(query.where[Op.and]).toContainEqual({
+        [Op.or]: [{ assignee_id: 'authority-1' }, { assigned_department_id: 'department-1' }]
+      });
+      expect(query.order).toEqual([['created_at', 'ASC']]);
+      expect(result.issues[0]).toEqual(expect.objectContaining({
+        id: 'issue-1',
+        assigned_to_me: true,
+        distance_km: null,
+        department: roads
+      }));
+      expect(result.metadata).toEqual(expect.objectContaining({ total: 1, sort: 'age' }));
+    });
+
+    test('should only match the assignee for users without a department', async () => {
+      Issue.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await AssignmentService.getQueue({ id: 'admin-1', department_id: null });
+
+      expect(Issue.findAndCountAll.mock.calls[0][0].where[Op.and]).toContainEqual({
+        [Op.or]: [{ assignee_id: 'admin-1' }]
+      });
+    });
+
+    test('should sort by distance from the given location', async () => {
+      Issue.findAndCountAll.mockResolvedValue({
+        count: 1,
+        rows: [createIssue({ assigned_department_id: 'department-1', distance_km: '1.234' })]
+      });
+
+      const result = await AssignmentService.getQueue(authority, { sort: 'distance', userLat: 40.7, userLng: -74 });
+
+      const query = Issue.findAndCountAll.mock.calls[0][0];
+      expect(query.attributes.include[0][1]).toBe('distance_km');
+      expect(query.order[0]).toEqual([{ sql: 'distance_km' }, 'ASC']);
+      expect(result.issues[0].distance_km).toBe('1.23');
+      expect(result.issues[0].assigned_to_me).toBe(false);
+    });
+  });
+});
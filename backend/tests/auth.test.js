@@ -1,7 +1,8 @@
 const request = require('supertest');
-const app = require('../server');
-const { User } = require('../models');
+const app = require('../app');
+const { User, Issue } = require('../models');
 const authService = require('../services/authService');
+const EmailVerificationService = require('../services/emailVerificationService');
 
 describe('Authentication System', () => {
   let testUser;
@@ -64,6 +65,28 @@ describe('Authentication System', () => {
       authToken = response.body.token;
     });
 
+    test('should not wait for the verification email', async () => {
+      // A mail server that never answers
+      const sendVerificationEmail = jest.spyOn(EmailVerificationService, 'sendVerificationEmail')
+        .mockReturnValue(new Promise(() => {}));
+
+      try {
+        const response = await request(app)
+          .post('/api/auth/register')
+          .send({
+            email: 'slow-mail@example.com',
+            password: 'TestPass123!',
+            role: 'citizen'
+          })
+          .expect(201);
+
+        expect(response.body.user.email).toBe('slow-mail@example.com');
+        expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+      } finally {
+        sendVerificationEmail.mockRestore();
+      }
+    });
+
     test('should not register user with existing email', async () => {
       const userData = {
         email: 'test@example.com',
@@ -170,6 +193,63 @@ describe('Authentication System', () => {
       expect(response.body.user.role).toBe('citizen');
       expect(response.body.sessionToken).toBeDefined();
     });
+
+    test('should keep only the picked reports anonymous when registering', async () => {
+      // The browser started a second session after the first one expired
+      const startSession = async () => {
+        const response = await request(app)
+          .post('/api/auth/anonymous')
+          .expect(200);
+        return response.body.sessionToken;
+      };
+      const earlierToken = await startSession();
+      const sessionToken = await startSession();
+      const report = (title, reporterSession) => Issue.create({
+        title,
+        description: 'Reported before signing up',
+        category: 'roads',
+        latitude: 40.7128,
+        longitude: -74.0060,
+        location: { type: 'Point', coordinates: [-74.0060, 40.7128] },
+        reporter_session: reporterSession,
+        is_anonymous: true
+      });
+      const privateIssue = await report('Pothole outside my house', earlierToken);
+      const publicIssue = await report('Pothole on Main Street', sessionToken);
+
+      const reports = await request(app)
+        .post('/api/auth/anonymous/reports')
+        .send({ anonymousSessionTokens: [sessionToken, earlierToken] })
+        .expect(200);
+
+      expect(reports.body.issues.map(issue => issue.id).sort()).toEqual([privateIssue.id, publicIssue.id].sort());
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'guest@example.com',
+          password: 'TestPass123!',
+          anonymousSessionTokens: [sessionToken, earlierToken],
+          keepReportsAnonymous: false,
+          anonymousIssueIds: [privateIssue.id]
+        })
+        .expect(201);
+
+      expect(response.body.claimedReports).toEqual({ issues: 2, flags: 0 });
+
+      await privateIssue.reload();
+      await publicIssue.reload();
+
+      // New accounts are unverified: both issues stay anonymous, the other one until the email is verified
+      expect(privateIssue.reporter_id).toBe(response.body.user.id);
+      expect(privateIssue.is_anonymous).toBe(true);
+      expect(privateIssue.reveal_reporter_on_verification).toBe(false);
+      expect(publicIssue.reporter_id).toBe(response.body.user.id);
+      expect(publicIssue.is_anonymous).toBe(true);
+      expect(publicIssue.reveal_reporter_on_verification).toBe(true);
+
+      await Issue.destroy({ where: { reporter_id: response.body.user.id }, force: true });
+    });
   });
 
   describe('Protected Routes', () => {
@@ -201,19 +281,27 @@ describe('Authentication System', () => {
   });
 
   describe('Profile Management', () => {
-    test('should update user profile', async () => {
+    test('should update user profile without waiting for the verification email', async () => {
       const updateData = {
         email: 'updated@example.com'
       };
-
-      const response = await request(app)
-        .put('/api/auth/profile')
-        .set('Authorization', `Bearer ${authToken}`)
-        .send(updateData)
-        .expect(200);
-
-      expect(response.body.message).toBe('Profile updated successfully');
-      expect(response.body.user.email).toBe(updateData.email);
+      // A mail server that never answers
+      const sendVerificationEmail = jest.spyOn(EmailVerificationService, 'sendVerificationEmail')
+        .mockReturnValue(new Promise(() => {}));
+
+      try {
+        const response = await request(app)
+          .put('/api/auth/profile')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(updateData)
+          .expect(200);
+
+        expect(response.body.message).toBe('Profile updated successfully');
+        expect(response.body.user.email).toBe(updateData.email);
+        expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+      } finally {
+        sendVerificationEmail.mockRestore();
+      }
     });
 
     test('should change password', async () => {
@@ -315,6 +403,13 @@ describe('Authentication System', () => {
         .expect(200);
 
       expect(response.body.message).toContain('unbanned successfully');
+
+      // Tokens issued before the ban stay revoked, so log in again for the remaining tests
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'updated@example.com', password: 'NewTestPass123!' })
+        .expect(200);
+      authToken = login.body.token;
     });
 
     test('should allow admin to update user roles', async () => {
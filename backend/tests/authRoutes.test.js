@@ -61,6 +61,46 @@ describe('Authentication Routes', () => {
       expect(response.body.error.details).toBeDefined();
     });
 
+    test('should validate the issues kept anonymous on registration and login', async () => {
+      const claim = {
+        password: 'TestPass123!',
+        anonymousIssueIds: ['not-an-issue-id']
+      };
+
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({ ...claim, email: 'resident@example.com' })
+        .expect(400);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ ...claim, email: 'resident@example.com' })
+        .expect(400);
+
+      [register, login].forEach(response => {
+        expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        expect(response.body.error.details[0].path).toBe('anonymousIssueIds[0]');
+      });
+    });
+
+    test('should validate the session tokens sent to claim anonymous reports', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'resident@example.com', password: 'TestPass123!', anonymousSessionTokens: ['not-a-token'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].path).toBe('anonymousSessionTokens[0]');
+    });
+
+    test('should require a session token to list anonymous reports', async () => {
+      const response = await request(app)
+        .post('/api/auth/anonymous/reports')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
     test('should validate password change input', async () => {
       const invalidData = {
         currentPassword: '',
@@ -123,6 +163,7 @@ describe('Authentication Routes', () => {
       expect(routes).toContain('POST /register');
       expect(routes).toContain('POST /login');
       expect(routes).toContain('POST /anonymous');
+      expect(routes).toContain('POST /anonymous/reports');
       expect(routes).toContain('GET /profile');
       expect(routes).toContain('PUT /profile');
       expect(routes).toContain('POST /change-password');
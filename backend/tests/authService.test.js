@@ -213,4 +213,140 @@ describe('Authentication Middleware', () => {
     expect(citizenRes.status).toHaveBeenCalledWith(403);
     expect(citizenNext).not.toHaveBeenCalled();
   });
+
+  test('should reject tokens issued before the last password reset', async () => {
+    const { User } = require('../models');
+    const token = jwt.sign({ id: 'user-123', iat: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+    const findByPk = jest.spyOn(User, 'findByPk').mockResolvedValue({
+      id: 'user-123',
+      is_banned: false,
+      password_changed_at: new Date(),
+      update: jest.fn()
+    });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        error: expect.objectContaining({
+          code: 'SESSION_REVOKED'
+        })
+      })
+    );
+    expect(next).not.toHaveBeenCalled();
+    findByPk.mockRestore();
+  });
+
+  test('should compare token issue times with the password reset in milliseconds', async () => {
+    const { User } = require('../models');
+    const changedAt = new Date(Math.floor(Date.now() / 1000) * 1000 - 60000 + 500);
+    const iat = Math.floor(changedAt.getTime() / 1000);
+    const before = jwt.sign({ id: 'user-123', iat, iatMs: changedAt.getTime() - 100 }, JWT_SECRET);
+    const after = jwt.sign({ id: 'user-123', iat, iatMs: changedAt.getTime() + 100 }, JWT_SECRET);
+    // Without iatMs the token counts as issued at the start of its second
+    const secondsOnly = jwt.sign({ id: 'user-123', iat }, JWT_SECRET);
+    const findByPk = jest.spyOn(User, 'findByPk').mockResolvedValue({
+      id: 'user-123',
+      is_banned: false,
+      password_changed_at: changedAt,
+      update: jest.fn()
+    });
+
+    const authenticate = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+      return { res, next };
+    };
+
+    const rejected = [await authenticate(before), await authenticate(secondsOnly)];
+    const accepted = await authenticate(after);
+
+    rejected.forEach(({ res, next }) => {
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+    expect(accepted.next).toHaveBeenCalled();
+    findByPk.mockRestore();
+  });
+
+  test('should reject tokens issued before a ban, also after the unban', async () => {
+    const { User } = require('../models');
+    const token = jwt.sign({ id: 'user-123', iat: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+    const findByPk = jest.spyOn(User, 'findByPk').mockResolvedValue({
+      id: 'user-123',
+      is_banned: false,
+      banned_at: new Date(),
+      update: jest.fn()
+    });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+    findByPk.mockRestore();
+  });
+
+  test('should reject tokens of a revoked session', async () => {
+    const { User, UserSession } = require('../models');
+    const token = jwt.sign({ id: 'user-123', sid: 'session-1' }, JWT_SECRET);
+    const findUser = jest.spyOn(User, 'findByPk').mockResolvedValue({
+      id: 'user-123',
+      is_banned: false,
+      update: jest.fn()
+    });
+    const findSession = jest.spyOn(UserSession, 'findByPk').mockResolvedValue({
+      id: 'session-1',
+      user_id: 'user-123',
+      revoked_at: new Date()
+    });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        error: expect.objectContaining({
+          code: 'SESSION_REVOKED'
+        })
+      })
+    );
+    expect(next).not.toHaveBeenCalled();
+
+    // The same token works while the session is active
+    findSession.mockResolvedValue({ id: 'session-1', user_id: 'user-123', revoked_at: null });
+    await authenticateToken(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.sessionId).toBe('session-1');
+    findUser.mockRestore();
+    findSession.mockRestore();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,148 @@
+const BoundaryService = require('../services/boundaryService');
+const { sequelize } = require('../config/database');
+const { Boundary } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    getDialect: jest.fn(),
+    fn: jest.fn((name, ...args) => ({ fn: name, args })),
+    col: jest.fn((name) => ({ col: name })),
+    cast: jest.fn((value, type) => ({ cast: value, type })),
+    where: jest.fn((attribute, value) => ({ attribute, value }))
+  }
+}));
+
+jest.mock('../models', () => ({
+  Boundary: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+// Downtown with a park cut out of it
+const city = {
+  type: 'Polygon',
+  coordinates: [[[-74.05, 40.68], [-73.95, 40.68], [-73.95, 40.78], [-74.05, 40.78], [-74.05, 40.68]]]
+};
+const ward = {
+  type: 'Polygon',
+  coordinates: [
+    [[-74.02, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.02, 40.72], [-74.02, 40.70]],
+    [[-74.012, 40.708], [-74.008, 40.708], [-74.008, 40.712], [-74.012, 40.712], [-74.012, 40.708]]
+  ]
+};
+
+const createBoundary = (overrides = {}) => ({
+  id: 'boundary-1',
+  name: 'Springfield',
+  kind: 'jurisdiction',
+  geometry: city,
+  is_active: true,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('BoundaryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+    sequelize.getDialect.mockReturnValue('sqlite');
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('findContainingBoundary', () => {
+    test('should prefer the ward over the jurisdiction around it', async () => {
+      const downtown = createBoundary({ id: 'boundary-2', name: 'Ward 1', kind: 'ward', geometry: ward });
+      Boundary.findAll.mockResolvedValue([createBoundary(), downtown]);
+
+      const boundary = await BoundaryService.findContainingBoundary(40.701, -74.015);
+
+      expect(Boundary.findAll).toHaveBeenCalledWith({ where: { is_active: true } });
+      expect(boundary).toBe(downtown);
+    });
+
+    test('should not match a ward inside one of its holes', async () => {
+      const jurisdiction = createBoundary();
+      Boundary.findAll.mockResolvedValue([jurisdiction, createBoundary({ id: 'boundary-2', kind: 'ward', geometry: ward })]);
+
+      const boundary = await BoundaryService.findContainingBoundary(40.71, -74.01);
+
+      expect(boundary).toBe(jurisdiction);
+    });
+
+    test('should return null outside every boundary', async () => {
+      Boundary.findAll.mockResolvedValue([createBoundary()]);
+
+      const boundary = await BoundaryService.findContainingBoundary(51.5, -0.12);
+
+      expect(boundary).toBeNull();
+    });
+
+    test('should let PostGIS test containment on Postgres', async () => {
+      const jurisdiction = createBoundary();
+      sequelize.getDialect.mockReturnValue('postgres');
+      Boundary.findAll.mockResolvedValue([jurisdiction]);
+
+      const boundary = await BoundaryService.findContainingBoundary('40.71', '-74.01');
+
+      const { where } = Boundary.findAll.mock.calls[0][0];
+      expect(where.is_active).toBe(true);
+      expect(Object.getOwnPropertySymbols(where)).toHaveLength(1);
+      expect(sequelize.fn).toHaveBeenCalledWith('ST_MakePoint', -74.01, 40.71);
+      expect(sequelize.fn).toHaveBeenCalledWith('ST_Contains', expect.anything(), expect.anything());
+      expect(boundary).toBe(jurisdiction);
+    });
+  });
+
+  describe('getServiceAreaNames', () => {
+    test('should name the jurisdictions rather than their wards', async () => {
+      Boundary.findAll.mockResolvedValue([
+        createBoundary({ name: 'Shelbyville' }),
+        createBoundary({ name: 'Ward 1', kind: 'ward' }),
+        createBoundary({ name: 'Springfield' })
+      ]);
+
+      expect(await BoundaryService.getServiceAreaNames()).toEqual(['Shelbyville', 'Springfield']);
+    });
+
+    test('should name the wards when no jurisdiction exists', async () => {
+      Boundary.findAll.mockResolvedValue([createBoundary({ name: 'Ward 1', kind: 'ward' })]);
+
+      expect(await BoundaryService.getServiceAreaNames()).toEqual(['Ward 1']);
+    });
+  });
+
+  describe('createBoundary', () => {
+    test('should store the geometry of an uploaded GeoJSON feature', async () => {
+      Boundary.create.mockImplementation(async (values) => ({ id: 'boundary-1', ...values }));
+
+      const result = await BoundaryService.createBoundary({
+        name: ' Springfield ',
+        geometry: { type: 'Feature', properties: { name: 'Springfield' }, geometry: city }
+      }, 'admin-1');
+
+      expect(Boundary.create).toHaveBeenCalledWith({
+        name: 'Springfield',
+        kind: 'jurisdiction',
+        geometry: city,
+        is_active: true,
+        created_by: 'admin-1'
+      });
+      expect(result.boundary.geometry).toEqual(city);
+    });
+  });
+
+  describe('deleteBoundary', () => {
+    test('should report a missing boundary as not found', async () => {
+      Boundary.findByPk.mockResolvedValue(null);
+
+      const result = await BoundaryService.deleteBoundary('boundary-1');
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+});
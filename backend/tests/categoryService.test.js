@@ -0,0 +1,199 @@
+const CategoryService = require('../services/categoryService');
+const { Category, Issue, RoutingRule, SlaTarget } = require('../models');
+
+jest.mock('../models', () => ({
+  Category: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  Issue: {
+    count: jest.fn()
+  },
+  RoutingRule: {
+    count: jest.fn()
+  },
+  SlaTarget: {
+    count: jest.fn()
+  }
+}));
+
+const createCategory = (overrides = {}) => ({
+  id: 'category-1',
+  key: 'lighting',
+  label: 'Lighting',
+  description: null,
+  icon: '💡',
+  color: '#f59e0b',
+  parent_id: null,
+  custom_fields: [
+    { key: 'pole_number', label: 'Pole number', type: 'text', required: true }
+  ],
+  sort_order: 1,
+  is_active: true,
+  subcategories: [],
+  ...overrides
+});
+
+describe('CategoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('checkIssueCategory', () => {
+    test('should accept answers to the category and subcategory fields', async () => {
+      Category.findOne.mockResolvedValue(createCategory({
+        subcategories: [
+          createCategory({
+            id: 'category-2',
+            key: 'flickering',
+            label: 'Flickering',
+            parent_id: 'category-1',
+            custom_fields: [
+              { key: 'lamps_out', label: 'Lamps out', type: 'number', required: false }
+            ]
+          })
+        ]
+      }));
+
+      const result = await CategoryService.checkIssueCategory('lighting', 'flickering', {
+        pole_number: ' P-104 ',
+        lamps_out: '3',
+        unrelated: 'dropped'
+      });
+
+      expect(Category.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'lighting', parent_id: null, is_active: true }
+      }));
+      expect(result).toEqual({
+        success: true,
+        subcategory: 'flickering',
+        customFields: { pole_number: 'P-104', lamps_out: 3 }
+      });
+    });
+
+    test('should reject an inactive or unknown category', async () => {
+      Category.findOne.mockResolvedValue(null);
+
+      const result = await CategoryService.checkIssueCategory('parking', null, {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('parking');
+    });
+
+    test('should reject a subcategory of another category', async () => {
+      Category.findOne.mockResolvedValue(createCategory());
+
+      const result = await CategoryService.checkIssueCategory('lighting', 'pothole', { pole_number: 'P-1' });
+
+      expect(result).toEqual({
+        success: false,
+        error: '"pothole" is not a subcategory of Lighting'
+      });
+    });
+
+    test('should report missing and malformed answers per field', async () => {
+      Category.findOne.mockResolvedValue(createCategory({
+        custom_fields: [
+          { key: 'pole_number', label: 'Pole number', type: 'text', required: true },
+          { key: 'height', label: 'Height', type: 'number', required: false },
+          { key: 'kind', label: 'Kind', type: 'select', required: false, options: ['led', 'sodium'] }
+        ]
+      }));
+
+      const result = await CategoryService.checkIssueCategory('lighting', null, { height: 'tall', kind: 'neon' });
+
+      expect(result.success).toBe(false);
+      expect(result.details).toEqual([
+        { field: 'pole_number', message: 'Pole number is required' },
+        { field: 'height', message: 'Height must be a number' },
+        { field: 'kind', message: 'Kind must be one of: led, sodium' }
+      ]);
+    });
+  });
+
+  describe('checkFieldSchema', () => {
+    test('should accept a valid schema', () => {
+      expect(CategoryService.checkFieldSchema([
+        { key: 'pole_number', label: 'Pole number', type: 'text', required: false },
+        { key: 'kind', label: 'Kind', type: 'select', options: ['led', 'sodium'] }
+      ])).toBeNull();
+    });
+
+    test('should reject duplicate keys, unknown types and selects without options', () => {
+      const field = { key: 'pole_number', label: 'Pole number', type: 'text' };
+
+      expect(CategoryService.checkFieldSchema({})).toBe('Custom fields must be an array');
+      expect(CategoryService.checkFieldSchema([field, field])).toBe('Custom field "pole_number" is defined twice');
+      expect(CategoryService.checkFieldSchema([{ ...field, type: 'date' }])).toContain('must have a type of');
+      expect(CategoryService.checkFieldSchema([{ ...field, type: 'select' }])).toBe('Select field "pole_number" needs a list of options');
+    });
+  });
+
+  describe('createCategory', () => {
+    test('should refuse a key that already exists', async () => {
+      Category.findOne.mockResolvedValue(createCategory());
+
+      const result = await CategoryService.createCategory({ key: 'lighting', label: 'Street lights' });
+
+      expect(result.success).toBe(false);
+      expect(result.conflict).toBe(true);
+      expect(Category.create).not.toHaveBeenCalled();
+    });
+
+    test('should create a subcategory under its parent', async () => {
+      const parent = createCategory({ id: 'category-1', key: 'roads', label: 'Roads', custom_fields: [] });
+      Category.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(parent);
+      Category.create.mockImplementation(async (values) => ({ id: 'category-2', ...values }));
+
+      const result = await CategoryService.createCategory({ key: 'pothole', label: ' Pothole ', parent_key: 'roads' });
+
+      expect(Category.create).toHaveBeenCalledWith(expect.objectContaining({
+        key: 'pothole',
+        label: 'Pothole',
+        parent_id: 'category-1',
+        custom_fields: [],
+        is_active: true
+      }));
+      expect(result.category).toEqual(expect.objectContaining({ key: 'pothole', parent_key: 'roads' }));
+      expect(result.category.subcategories).toBeUndefined();
+    });
+  });
+
+  describe('deleteCategory', () => {
+    test('should refuse to delete a category issues or routing rules use', async () => {
+      const category = createCategory({ parent: null, destroy: jest.fn() });
+      Category.findByPk.mockResolvedValue(category);
+      Issue.count.mockResolvedValue(2);
+      RoutingRule.count.mockResolvedValue(1);
+      SlaTarget.count.mockResolvedValue(0);
+
+      const result = await CategoryService.deleteCategory('category-1');
+
+      expect(result.success).toBe(false);
+      expect(result.conflict).toBe(true);
+      expect(category.destroy).not.toHaveBeenCalled();
+    });
+
+    test('should delete an unused subcategory', async () => {
+      const parent = createCategory({ key: 'roads', label: 'Roads' });
+      const subcategory = createCategory({ id: 'category-2', key: 'pothole', label: 'Pothole', parent_id: 'category-1', parent, destroy: jest.fn() });
+      Category.findByPk.mockResolvedValue(subcategory);
+      Issue.count.mockResolvedValue(0);
+
+      const result = await CategoryService.deleteCategory('category-2');
+
+      expect(Issue.count).toHaveBeenCalledWith({ where: { category: 'roads', subcategory: 'pothole' } });
+      expect(subcategory.destroy).toHaveBeenCalled();
+      expect(result.category).toEqual(expect.objectContaining({ key: 'pothole', parent_key: 'roads' }));
+    });
+  });
+});
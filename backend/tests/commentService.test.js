@@ -0,0 +1,188 @@
+const CommentService = require('../services/commentService');
+const FlaggingService = require('../services/flaggingService');
+const { sequelize } = require('../config/database');
+const { IssueComment, CommentFlag, Issue } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  Issue: {
+    findOne: jest.fn()
+  },
+  User: {},
+  Flag: {},
+  IssueComment: {
+    findAndCountAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  CommentFlag: {
+    findOne: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+const createComment = (overrides = {}) => {
+  const comment = {
+    id: 'comment-1',
+    issue_id: 'issue-1',
+    author_id: 'author-1',
+    author_session: null,
+    body: 'It is getting worse',
+    flag_count: 0,
+    is_hidden: false,
+    created_at: new Date('2026-01-01T10:00:00Z'),
+    ...overrides
+  };
+  comment.increment = jest.fn(async () => { comment.flag_count += 1; });
+  comment.reload = jest.fn(async () => comment);
+  comment.update = jest.fn(async (values) => Object.assign(comment, values));
+  return comment;
+};
+
+describe('CommentService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getComments', () => {
+    test('should return visible comments oldest first with an official badge', async () => {
+      Issue.findOne.mockResolvedValue({ id: 'issue-1', merged_into_id: null });
+      IssueComment.findAndCountAll.mockResolvedValue({
+        count: 2,
+        rows: [
+          createComment({ author: { id: 'author-1', role: 'citizen' } }),
+          createComment({ id: 'comment-2', author_id: 'authority-1', author: { id: 'authority-1', role: 'authority' } })
+        ]
+      });
+
+      const result = await CommentService.getComments('issue-1', { limit: 2, offset: 0 });
+
+      expect(IssueComment.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { issue_id: 'issue-1', is_hidden: false },
+        order: [['created_at', 'ASC']],
+        limit: 2,
+        offset: 0
+      }));
+      expect(result.comments.map(comment => comment.is_official)).toEqual([false, true]);
+      expect(result.metadata).toEqual({ total: 2, count: 2, limit: 2, offset: 0 });
+    });
+
+    test('should report hidden issues as not found', async () => {
+      Issue.findOne.mockResolvedValue(null);
+
+      const result = await CommentService.getComments('issue-1');
+
+      expect(result.notFound).toBe(true);
+      expect(IssueComment.findAndCountAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createComment', () => {
+    test('should store anonymous comments with the session token', async () => {
+      Issue.findOne.mockResolvedValue({ id: 'issue-1', merged_into_id: null });
+      IssueComment.create.mockImplementation(async (values) => ({ id: 'comment-1', ...values }));
+
+      const result = await CommentService.createComment(
+        'issue-1',
+        { userId: null, sessionToken: 'session-1', role: 'citizen' },
+        '  Also blocks the bike lane  '
+      );
+
+      expect(IssueComment.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        author_id: null,
+        author_session: 'session-1',
+        body: 'Also blocks the bike lane'
+      });
+      expect(result.comment).toEqual(expect.objectContaining({
+        is_anonymous: true,
+        author: null,
+        is_official: false
+      }));
+    });
+
+    test('should refuse comments on merged duplicates', async () => {
+      Issue.findOne.mockResolvedValue({ id: 'issue-1', merged_into_id: 'canonical-1' });
+
+      const result = await CommentService.createComment('issue-1', { userId: 'user-1', role: 'citizen' }, 'Hello');
+
+      expect(result.success).toBe(false);
+      expect(IssueComment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flagComment', () => {
+    test('should reject a second flag from the same user', async () => {
+      IssueComment.findOne.mockResolvedValue(createComment());
+      CommentFlag.findOne.mockResolvedValue({ id: 'flag-1' });
+
+      const result = await CommentService.flagComment('issue-1', 'comment-1', 'user-1', null, 'Spam content');
+
+      expect(result.conflict).toBe(true);
+      expect(CommentFlag.create).not.toHaveBeenCalled();
+    });
+
+    test('should not let authors flag their own comment', async () => {
+      IssueComment.findOne.mockResolvedValue(createComment());
+      CommentFlag.findOne.mockResolvedValue(null);
+
+      const result = await CommentService.flagComment('issue-1', 'comment-1', 'author-1', null, 'Spam content');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('own comment');
+    });
+
+    test('should hide the comment once the issue flag threshold is reached', async () => {
+      const comment = createComment({ flag_count: FlaggingService.FLAG_THRESHOLD - 1 });
+      IssueComment.findOne.mockResolvedValue(comment);
+      CommentFlag.findOne.mockResolvedValue(null);
+      CommentFlag.create.mockImplementation(async (values) => ({ id: 'flag-1', ...values }));
+
+      const result = await CommentService.flagComment('issue-1', 'comment-1', null, 'session-1', ' Abusive ', 'inappropriate');
+
+      expect(CommentFlag.create).toHaveBeenCalledWith({
+        comment_id: 'comment-1',
+        flagged_by: null,
+        flagger_session: 'session-1',
+        reason: 'Abusive',
+        flag_type: 'inappropriate'
+      }, { transaction });
+      expect(result.comment).toEqual({
+        id: 'comment-1',
+        flag_count: FlaggingService.FLAG_THRESHOLD,
+        is_hidden: true,
+        auto_hidden: true
+      });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should keep the comment visible below the threshold', async () => {
+      IssueComment.findOne.mockResolvedValue(createComment());
+      CommentFlag.findOne.mockResolvedValue(null);
+      CommentFlag.create.mockImplementation(async (values) => ({ id: 'flag-1', ...values }));
+
+      const result = await CommentService.flagComment('issue-1', 'comment-1', 'user-2', null, 'Off topic');
+
+      expect(result.comment.auto_hidden).toBe(false);
+      expect(result.comment.is_hidden).toBe(false);
+    });
+  });
+});
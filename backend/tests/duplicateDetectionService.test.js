@@ -0,0 +1,141 @@
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const { Issue } = require('../models');
+
+jest.mock('../models', () => ({
+  Issue: {
+    findAll: jest.fn()
+  }
+}));
+
+const createCandidate = (overrides = {}) => ({
+  toJSON: () => ({
+    id: 'issue-1',
+    title: 'Large pothole on Main Street',
+    description: 'Deep pothole in the right lane that damages car tyres',
+    category: 'roads',
+    status: 'reported',
+    latitude: '40.71280000',
+    longitude: '-74.00600000',
+    address: 'Main Street',
+    created_at: new Date('2026-01-01T10:00:00Z'),
+    ...overrides
+  })
+});
+
+const report = {
+  latitude: 40.7128,
+  longitude: -74.0060,
+  category: 'roads',
+  title: 'Pothole on Main Street',
+  description: 'Big pothole in the right lane damaging tyres'
+};
+
+describe('DuplicateDetectionService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.DUPLICATE_RADIUS_METERS;
+    delete process.env.DUPLICATE_WINDOW_DAYS;
+    delete process.env.DUPLICATE_MIN_SCORE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('textSimilarity', () => {
+    test('should be 1 for texts with the same words', () => {
+      expect(DuplicateDetectionService.textSimilarity('Broken street light', 'broken light')).toBe(1);
+    });
+
+    test('should ignore stop words, case and simple plurals', () => {
+      expect(DuplicateDetectionService.textSimilarity('Potholes near the park', 'POTHOLE park')).toBe(1);
+    });
+
+    test('should be 0 for unrelated or empty texts', () => {
+      expect(DuplicateDetectionService.textSimilarity('Broken street light', 'Overflowing garbage bin')).toBe(0);
+      expect(DuplicateDetectionService.textSimilarity('', 'Broken light')).toBe(0);
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    test('should rank close and similar reports highest', () => {
+      const close = DuplicateDetectionService.scoreCandidate(report, report, 0, 100);
+      const far = DuplicateDetectionService.scoreCandidate(report, report, 90, 100);
+
+      expect(close.score).toBe(1);
+      expect(far.score).toBeLessThan(close.score);
+    });
+
+    test('should only compare titles when a description is missing', () => {
+      const result = DuplicateDetectionService.scoreCandidate(
+        { title: 'Broken street light' },
+        { title: 'Broken light', description: 'The light has been out for a week' },
+        100,
+        100
+      );
+
+      expect(result.similarity).toBe(1);
+      expect(result.score).toBe(0.5);
+    });
+  });
+
+  describe('findPossibleDuplicates', () => {
+    test('should query open issues of the same category and exclude the report itself', async () => {
+      Issue.findAll.mockResolvedValue([]);
+
+      const result = await DuplicateDetectionService.findPossibleDuplicates(report, { excludeId: 'new-issue' });
+
+      expect(result).toEqual({ success: true, duplicates: [] });
+      const { where } = Issue.findAll.mock.calls[0][0];
+      const conditions = Object.getOwnPropertySymbols(where).flatMap(symbol => where[symbol]);
+      expect(conditions).toEqual(expect.arrayContaining([
+        { category: 'roads' },
+        { is_hidden: false }
+      ]));
+      expect(conditions.some(condition => condition.id)).toBe(true);
+    });
+
+    test('should return scored duplicates within the radius', async () => {
+      Issue.findAll.mockResolvedValue([
+        createCandidate(),
+        // Inside the bounding box corner but outside the search circle
+        createCandidate({ id: 'issue-2', latitude: '40.71360000', longitude: '-74.00505000' })
+      ]);
+
+      const result = await DuplicateDetectionService.findPossibleDuplicates(report);
+
+      expect(result.success).toBe(true);
+      expect(result.duplicates).toHaveLength(1);
+      expect(result.duplicates[0]).toMatchObject({
+        id: 'issue-1',
+        distance_meters: 0
+      });
+      expect(result.duplicates[0].score).toBeGreaterThanOrEqual(0.4);
+    });
+
+    test('should drop candidates below the minimum score', async () => {
+      process.env.DUPLICATE_MIN_SCORE = '0.9';
+      Issue.findAll.mockResolvedValue([
+        createCandidate({ title: 'Water leaking', description: 'Water leaking from a hydrant', latitude: '40.71300000' })
+      ]);
+
+      const result = await DuplicateDetectionService.findPossibleDuplicates(report);
+
+      expect(result.duplicates).toEqual([]);
+    });
+
+    test('should report failures without throwing', async () => {
+      Issue.findAll.mockRejectedValue(new Error('connection lost'));
+
+      const result = await DuplicateDetectionService.findPossibleDuplicates(report);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Failed to check for duplicate issues'
+      });
+    });
+  });
+});
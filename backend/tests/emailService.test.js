@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailService = require('../services/email');
+const EmailTransport = require('../services/email/transports/baseTransport');
+const SmtpTransport = require('../services/email/transports/smtpTransport');
+const FileTransport = require('../services/email/transports/fileTransport');
+const { renderTemplate } = require('../services/email/templates');
+
+const createFakeTransport = (failures = 0, error = new Error('Connection timeout')) => {
+  const transport = new EmailTransport('fake');
+  let calls = 0;
+
+  transport.send = jest.fn(async (message) => {
+    calls++;
+    if (calls <= failures) {
+      throw error;
+    }
+    return { messageId: `<${calls}@test>`, transport: 'fake', to: message.to };
+  });
+
+  return transport;
+};
+
+describe('EmailService', () => {
+  const message = {
+    to: 'reporter@example.com',
+    subject: 'Test',
+    text: 'Hello'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    EmailService.setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('send', () => {
+    it('should deliver through the active transport', async () => {
+      const transport = createFakeTransport();
+      EmailService.setTransport(transport);
+
+      const result = await EmailService.send(message, { maxRetries: 3, retryDelayMs: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.attempts).toBe(1);
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'reporter@example.com',
+        from: expect.any(String)
+      }));
+    });
+
+    it('should retry temporary failures with exponential backoff', async () => {
+      const transport = createFakeTransport(2);
+      EmailService.setTransport(transport);
+      const delay = jest.spyOn(EmailService, 'delay').mockResolvedValue();
+
+      const result = await EmailService.send(message, { maxRetries: 3, retryDelayMs: 100 });
+
+      expect(result.success).toBe(true);
+      expect(result.attempts).toBe(3);
+      expect(delay.mock.calls).toEqual([[100], [200]]);
+    });
+
+    it('should give up after the maximum number of retries', async () => {
+      const transport = createFakeTransport(10);
+      EmailService.setTransport(transport);
+
+      const result = await EmailService.send(message, { maxRetries: 2, retryDelayMs: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toBe(3);
+      expect(result.error).toBe('Connection timeout');
+      expect(transport.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry permanent SMTP rejections', async () => {
+      const rejection = new Error('Mailbox unavailable');
+      rejection.responseCode = 550;
+      const transport = new SmtpTransport({ host: 'localhost', port: 2525 });
+      transport.send = jest.fn().mockRejectedValue(rejection);
+      EmailService.setTransport(transport);
+
+      const result = await EmailService.send(message, { maxRetries: 3, retryDelayMs: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toBe(1);
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should reject unknown transports', () => {
+      expect(() => EmailService.createTransport('carrier-pigeon')).toThrow('Unknown email transport');
+    });
+
+    it('should write files to the OS temp directory by default', () => {
+      const outputDir = process.env.EMAIL_OUTPUT_DIR;
+      delete process.env.EMAIL_OUTPUT_DIR;
+
+      try {
+        expect(EmailService.createTransport('file').directory).toBe(path.join(os.tmpdir(), 'civictrack-emails'));
+      } finally {
+        if (outputDir !== undefined) {
+          process.env.EMAIL_OUTPUT_DIR = outputDir;
+        }
+      }
+    });
+  });
+
+  describe('getTransportName', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('should fall back to the file transport in development and test', () => {
+      delete process.env.EMAIL_TRANSPORT;
+
+      ['development', 'test'].forEach((nodeEnv) => {
+        process.env.NODE_ENV = nodeEnv;
+        expect(EmailService.getTransportName()).toBe('file');
+      });
+    });
+
+    it('should require EMAIL_TRANSPORT in production', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      delete process.env.EMAIL_TRANSPORT;
+      process.env.NODE_ENV = 'production';
+
+      expect(EmailService.getTransportName()).toBeNull();
+      expect(EmailService.checkConfiguration()).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('EMAIL_TRANSPORT is not set'));
+
+      const result = await EmailService.send(message);
+      expect(result).toEqual({ success: false, attempts: 0, error: 'EMAIL_TRANSPORT is not set' });
+    });
+
+    it('should use the configured transport', () => {
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      process.env.NODE_ENV = 'production';
+
+      expect(EmailService.getTransportName()).toBe('smtp');
+      expect(EmailService.checkConfiguration()).toBe(true);
+    });
+  });
+
+  describe('file transport', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'civictrack-email-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should write rendered messages as .eml files', async () => {
+      EmailService.setTransport(new FileTransport({ directory }));
+
+      const result = await EmailService.sendTemplate('userBanned', 'banned@example.com', {
+        reason: 'Spam',
+        timestamp: '2024-01-01T12:00:00.000Z'
+      }, { maxRetries: 0 });
+
+      expect(result.success).toBe(true);
+      const raw = fs.readFileSync(result.result.path, 'utf8');
+      expect(raw).toContain('To: banned@example.com');
+      expect(raw).toContain('Spam');
+    });
+  });
+});
+
+describe('Email templates', () => {
+  it('should render the status change email', () => {
+    const email = renderTemplate('statusChange', {
+      issueId: 'issue-123',
+      issueTitle: 'Broken streetlight',
+      previousStatus: 'reported',
+      newStatus: 'in_progress',
+      comment: 'Crew dispatched',
+      updatedBy: { role: 'authority' },
+      timestamp: '2024-01-01T12:00:00.000Z'
+    });
+
+    expect(email.subject).toContain('Broken streetlight');
+    expect(email.text).toContain('Status changed from: Reported to In Progress');
+    expect(email.html).toContain('/issues/issue-123');
+  });
+
+  it('should escape user content in the HTML body', () => {
+    const email = renderTemplate('statusChange', {
+      issueId: 'issue-123',
+      issueTitle: '<script>alert(1)</script>',
+      previousStatus: 'reported',
+      newStatus: 'resolved',
+      timestamp: '2024-01-01T12:00:00.000Z'
+    });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+  });
+
+  it('should render the verification email with a link to the frontend', () => {
+    const email = renderTemplate('emailVerification', {
+      token: 'abc123',
+      expiresInHours: 24
+    });
+
+    expect(email.text).toContain('/verify-email/abc123');
+    expect(email.html).toContain('/verify-email/abc123');
+    expect(email.text).toContain('expires in 24 hours');
+  });
+
+  it('should render the password reset email with a link to the frontend', () => {
+    const email = renderTemplate('passwordReset', {
+      token: 'abc123',
+      expiresInMinutes: 60
+    });
+
+    expect(email.text).toContain('/reset-password/abc123');
+    expect(email.html).toContain('/reset-password/abc123');
+    expect(email.text).toContain('expires in 60 minutes');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderTemplate('missing', {})).toThrow();
+  });
+});
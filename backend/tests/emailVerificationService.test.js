@@ -0,0 +1,176 @@
+const EmailVerificationService = require('../services/emailVerificationService');
+const EmailService = require('../services/email');
+const AnonymousClaimService = require('../services/anonymousClaimService');
+const { User, UserToken } = require('../models');
+
+jest.mock('../models', () => ({
+  User: {
+    findByPk: jest.fn()
+  },
+  UserToken: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn()
+  }
+}));
+
+jest.mock('../services/email', () => ({
+  sendTemplate: jest.fn()
+}));
+
+jest.mock('../services/anonymousClaimService', () => ({
+  revealClaimedIssues: jest.fn()
+}));
+
+const createUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'resident@example.com',
+  role: 'citizen',
+  is_verified: false,
+  update: jest.fn(),
+  ...overrides
+});
+
+const createToken = (overrides = {}) => ({
+  id: 'token-1',
+  user_id: 'user-1',
+  purpose: 'email_verification',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  used_at: null,
+  createdAt: new Date(Date.now() - 10 * 60 * 1000),
+  user: createUser(),
+  ...overrides
+});
+
+describe('EmailVerificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+    EmailService.sendTemplate.mockResolvedValue({ success: true, attempts: 1 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('sendVerificationEmail', () => {
+    test('should store only the hash of the emailed token and replace older links', async () => {
+      const result = await EmailVerificationService.sendVerificationEmail(createUser());
+
+      expect(result).toEqual({ success: true });
+      expect(UserToken.destroy).toHaveBeenCalledWith({
+        where: { user_id: 'user-1', purpose: 'email_verification', used_at: null }
+      });
+
+      const { token } = EmailService.sendTemplate.mock.calls[0][2];
+      expect(EmailService.sendTemplate).toHaveBeenCalledWith('emailVerification', 'resident@example.com', {
+        token,
+        expiresInHours: 24
+      });
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(UserToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        purpose: 'email_verification',
+        token_hash: EmailVerificationService.hashToken(token),
+        expires_at: expect.any(Date)
+      }));
+      expect(UserToken.create.mock.calls[0][0].token_hash).not.toBe(token);
+    });
+
+    test('should report a failed delivery', async () => {
+      EmailService.sendTemplate.mockResolvedValue({ success: false, attempts: 4, error: 'SMTP down' });
+
+      const result = await EmailVerificationService.sendVerificationEmail(createUser());
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('verifyEmail', () => {
+    test('should mark the user verified and use up the token', async () => {
+      const record = createToken();
+      UserToken.findOne.mockResolvedValue(record);
+      UserToken.update.mockResolvedValue([1]);
+
+      const result = await EmailVerificationService.verifyEmail('a'.repeat(64));
+
+      expect(UserToken.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { token_hash: EmailVerificationService.hashToken('a'.repeat(64)), purpose: 'email_verification' }
+      }));
+      expect(UserToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { id: 'token-1', used_at: null } }
+      );
+      expect(record.user.update).toHaveBeenCalledWith({ is_verified: true });
+      expect(AnonymousClaimService.revealClaimedIssues).toHaveBeenCalledWith('user-1');
+      expect(result).toEqual({
+        success: true,
+        user: { id: 'user-1', email: 'resident@example.com', role: 'citizen', isVerified: true }
+      });
+    });
+
+    test('should reject a token that was already used', async () => {
+      UserToken.findOne.mockResolvedValue(createToken({ used_at: new Date() }));
+
+      const result = await EmailVerificationService.verifyEmail('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+      expect(UserToken.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject an expired token', async () => {
+      const record = createToken({ expires_at: new Date(Date.now() - 1000) });
+      UserToken.findOne.mockResolvedValue(record);
+
+      const result = await EmailVerificationService.verifyEmail('a'.repeat(64));
+
+      expect(result).toEqual(expect.objectContaining({ success: false, expired: true }));
+      expect(record.user.update).not.toHaveBeenCalled();
+    });
+
+    test('should not verify twice when a concurrent request claimed the token first', async () => {
+      const record = createToken();
+      UserToken.findOne.mockResolvedValue(record);
+      UserToken.update.mockResolvedValue([0]);
+
+      const result = await EmailVerificationService.verifyEmail('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+      expect(record.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resendVerification', () => {
+    test('should refuse users who are already verified', async () => {
+      User.findByPk.mockResolvedValue(createUser({ is_verified: true }));
+
+      const result = await EmailVerificationService.resendVerification('user-1');
+
+      expect(result.alreadyVerified).toBe(true);
+      expect(EmailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    test('should make users wait between emails', async () => {
+      User.findByPk.mockResolvedValue(createUser());
+      UserToken.findOne.mockResolvedValue(createToken({ createdAt: new Date(Date.now() - 15 * 1000) }));
+
+      const result = await EmailVerificationService.resendVerification('user-1');
+
+      expect(result.success).toBe(false);
+      expect(result.retryAfter).toBeGreaterThan(40);
+      expect(result.retryAfter).toBeLessThanOrEqual(45);
+      expect(EmailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    test('should send a new link once the wait is over', async () => {
+      User.findByPk.mockResolvedValue(createUser());
+      UserToken.findOne.mockResolvedValue(createToken());
+
+      const result = await EmailVerificationService.resendVerification('user-1');
+
+      expect(result).toEqual({ success: true });
+      expect(EmailService.sendTemplate).toHaveBeenCalledTimes(1);
+    });
+  });
+});
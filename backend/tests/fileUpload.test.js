@@ -1,8 +1,8 @@
 const request = require('supertest');
 const path = require('path');
 const fs = require('fs');
-const app = require('../server');
-const { initializeDatabase } = require('../models');
+const app = require('../app');
+const { initializeDatabase, User } = require('../models');
 const fileService = require('../services/fileService');
 
 describe('File Upload System', () => {
@@ -24,6 +24,9 @@ describe('File Upload System', () => {
     
     testUser = userResponse.body.user;
     authToken = userResponse.body.token;
+    
+    // Issues reported under a name need a verified email
+    await User.update({ is_verified: true }, { where: { id: testUser.id } });
   });
 
   describe('Issue Photo Upload', () => {
@@ -1,5 +1,7 @@
 const { describe, it, expect, beforeEach } = require('@jest/globals');
 const GeospatialUtils = require('../utils/geospatial');
+const GeolocationService = require('../services/geolocationService');
+const BoundaryService = require('../services/boundaryService');
 const LocationMiddleware = require('../middleware/location');
 
 describe('Geolocation Services', () => {
@@ -54,6 +56,76 @@ describe('Geolocation Services', () => {
       });
     });
 
+    describe('parseBoundingBox', () => {
+      it('should parse a minLng,minLat,maxLng,maxLat string', () => {
+        expect(GeospatialUtils.parseBoundingBox('-74.02,40.70,-73.99,40.72')).toEqual({
+          north: 40.72,
+          south: 40.70,
+          east: -73.99,
+          west: -74.02
+        });
+      });
+
+      it('should reject malformed or out of range boxes', () => {
+        expect(GeospatialUtils.parseBoundingBox('-74.02,40.70,-73.99')).toBeNull();
+        expect(GeospatialUtils.parseBoundingBox('-74.02,,-73.99,40.72')).toBeNull();
+        expect(GeospatialUtils.parseBoundingBox('a,b,c,d')).toBeNull();
+        expect(GeospatialUtils.parseBoundingBox('-74.02,40.70,-73.99,91')).toBeNull();
+      });
+
+      it('should reject boxes with min values above max values', () => {
+        expect(GeospatialUtils.parseBoundingBox('-73.99,40.70,-74.02,40.72')).toBeNull();
+        expect(GeospatialUtils.parseBoundingBox('-74.02,40.72,-73.99,40.70')).toBeNull();
+      });
+    });
+
+    describe('parseZone', () => {
+      const square = {
+        type: 'Polygon',
+        coordinates: [[[-74.02, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.02, 40.72], [-74.02, 40.70]]]
+      };
+
+      it('should accept polygons and unwrap features', () => {
+        expect(GeospatialUtils.parseZone(square)).toEqual(square);
+        expect(GeospatialUtils.parseZone({ type: 'Feature', properties: {}, geometry: square })).toEqual(square);
+      });
+
+      it('should reject other geometries and invalid rings', () => {
+        expect(GeospatialUtils.parseZone({ type: 'Point', coordinates: [-74, 40.7] })).toBeNull();
+        expect(GeospatialUtils.parseZone({ type: 'Polygon', coordinates: [[[-74.02, 40.70], [-73.99, 40.70]]] })).toBeNull();
+        expect(GeospatialUtils.parseZone({ type: 'Polygon', coordinates: [[[40.70, -200], [1, 1], [2, 2], [40.70, -200]]] })).toBeNull();
+        expect(GeospatialUtils.parseZone(null)).toBeNull();
+      });
+    });
+
+    describe('isPointInZone', () => {
+      const withHole = {
+        type: 'Polygon',
+        coordinates: [
+          [[-74.02, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.02, 40.72], [-74.02, 40.70]],
+          [[-74.01, 40.705], [-74.00, 40.705], [-74.00, 40.715], [-74.01, 40.715], [-74.01, 40.705]]
+        ]
+      };
+
+      it('should find points inside the outer ring but outside holes', () => {
+        expect(GeospatialUtils.isPointInZone(40.701, -74.015, withHole)).toBe(true);
+        expect(GeospatialUtils.isPointInZone(40.710, -74.005, withHole)).toBe(false);
+        expect(GeospatialUtils.isPointInZone(40.730, -74.005, withHole)).toBe(false);
+      });
+
+      it('should match any polygon of a multipolygon', () => {
+        const zone = {
+          type: 'MultiPolygon',
+          coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+            [[[10, 10], [11, 10], [11, 11], [10, 11], [10, 10]]]
+          ]
+        };
+        expect(GeospatialUtils.isPointInZone(10.5, 10.5, zone)).toBe(true);
+        expect(GeospatialUtils.isPointInZone(5, 5, zone)).toBe(false);
+      });
+    });
+
     describe('calculateBearing', () => {
       it('should calculate bearing between two points', () => {
         // Bearing from NYC to Boston (approximately northeast, ~45 degrees)
@@ -65,11 +137,94 @@ describe('Geolocation Services', () => {
         expect(bearing).toBeLessThan(60);
       });
     });
+
+    describe('getClusterCellSize', () => {
+      it('should halve the cell size with every zoom level', () => {
+        expect(GeospatialUtils.getClusterCellSize(0)).toBe(90);
+        expect(GeospatialUtils.getClusterCellSize(10)).toBeCloseTo(360 / 1024 / 4);
+        expect(GeospatialUtils.getClusterCellSize(11)).toBeCloseTo(GeospatialUtils.getClusterCellSize(10) / 2);
+      });
+    });
   });
 
-  // Note: GeolocationService tests require database connection
+  // Note: GeolocationService query tests require database connection
   // These would be tested in integration tests with proper database setup
 
+  describe('GeolocationService.buildClusters', () => {
+    const cellSize = 0.01;
+
+    it('should merge rows of the same cell with status and category breakdowns', () => {
+      const clusters = GeolocationService.buildClusters([
+        { cell_lat: 40.71, cell_lng: -74.01, status: 'reported', category: 'roads', count: '2', latitude_sum: '81.42', longitude_sum: '-148.02' },
+        { cell_lat: 40.71, cell_lng: -74.01, status: 'resolved', category: 'lighting', count: '1', latitude_sum: '40.712', longitude_sum: '-74.008' },
+        { cell_lat: 40.75, cell_lng: -73.98, status: 'reported', category: 'water', count: '1', latitude_sum: '40.751', longitude_sum: '-73.981' }
+      ], cellSize);
+
+      expect(clusters).toHaveLength(2);
+      expect(clusters[0]).toMatchObject({
+        count: 3,
+        status: { reported: 2, resolved: 1 },
+        category: { roads: 2, lighting: 1 }
+      });
+      expect(clusters[0].latitude).toBeCloseTo(40.71066667);
+      expect(clusters[0].longitude).toBeCloseTo(-74.00933333);
+      expect(clusters[0].bounds.south).toBeCloseTo(40.705);
+      expect(clusters[0].bounds.north).toBeCloseTo(40.715);
+      expect(clusters[1].count).toBe(1);
+    });
+
+    it('should treat nearly equal snapped coordinates as the same cell', () => {
+      const clusters = GeolocationService.buildClusters([
+        { cell_lat: 40.71, cell_lng: -74.01, status: 'reported', category: 'roads', count: 1, latitude_sum: 40.71, longitude_sum: -74.01 },
+        { cell_lat: 40.710000000001, cell_lng: -74.00999999999, status: 'reported', category: 'roads', count: 1, latitude_sum: 40.71, longitude_sum: -74.01 }
+      ], cellSize);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].count).toBe(2);
+    });
+  });
+
+  describe('GeolocationService.validateReportingLocation', () => {
+    const ward = { id: 'boundary-1', name: 'Ward 1', kind: 'ward', geometry: {} };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep the boundary containing the location', async () => {
+      jest.spyOn(BoundaryService, 'findContainingBoundary').mockResolvedValue(ward);
+
+      const result = await GeolocationService.validateReportingLocation(40.7128, -74.0060);
+
+      expect(result).toEqual({
+        isValid: true,
+        location: { latitude: 40.7128, longitude: -74.006 },
+        boundary: { id: 'boundary-1', name: 'Ward 1', kind: 'ward' }
+      });
+    });
+
+    it('should reject locations outside every boundary and name the service area', async () => {
+      jest.spyOn(BoundaryService, 'findContainingBoundary').mockResolvedValue(null);
+      jest.spyOn(BoundaryService, 'getServiceAreaNames').mockResolvedValue(['Springfield']);
+
+      const result = await GeolocationService.validateReportingLocation(51.5, -0.12);
+
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe('OUTSIDE_SERVICE_AREA');
+      expect(result.error).toContain('Springfield');
+    });
+
+    it('should accept any location while no boundary exists', async () => {
+      jest.spyOn(BoundaryService, 'findContainingBoundary').mockResolvedValue(null);
+      jest.spyOn(BoundaryService, 'getServiceAreaNames').mockResolvedValue([]);
+
+      const result = await GeolocationService.validateReportingLocation(51.5, -0.12);
+
+      expect(result.isValid).toBe(true);
+      expect(result.boundary).toBeNull();
+    });
+  });
+
   describe('LocationMiddleware', () => {
     let mockReq, mockRes, mockNext;
 
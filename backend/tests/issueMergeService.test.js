@@ -0,0 +1,255 @@
+const IssueMergeService = require('../services/issueMergeService');
+const { sequelize } = require('../config/database');
+const { Issue, StatusHistory, Flag, IssueReporter, IssueSupport, IssueComment } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  Issue: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  StatusHistory: {
+    create: jest.fn()
+  },
+  Flag: {
+    findAll: jest.fn()
+  },
+  IssueReporter: {
+    findAll: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn()
+  },
+  IssueSupport: {
+    findAll: jest.fn()
+  },
+  IssueComment: {
+    update: jest.fn()
+  }
+}));
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'canonical-1',
+    title: 'Pothole on Main Street',
+    status: 'in_progress',
+    photos: [],
+    flag_count: 0,
+    support_count: 0,
+    reporter_id: 'user-1',
+    reporter_session: null,
+    merged_into_id: null,
+    ...overrides
+  };
+  issue.update = jest.fn(async (values) => Object.assign(issue, values));
+  return issue;
+};
+
+const createFlag = (overrides = {}) => {
+  const flag = {
+    flag_type: 'spam',
+    flagged_by: null,
+    flagger_session: null,
+    reviewed_at: null,
+    ...overrides
+  };
+  flag.update = jest.fn(async (values) => Object.assign(flag, values));
+  return flag;
+};
+
+const createSupport = (overrides = {}) => {
+  const support = {
+    supported_by: null,
+    supporter_session: null,
+    ...overrides
+  };
+  support.update = jest.fn(async (values) => Object.assign(support, values));
+  return support;
+};
+
+describe('IssueMergeService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    IssueReporter.findAll.mockResolvedValue([]);
+    Flag.findAll.mockResolvedValue([]);
+    IssueSupport.findAll.mockResolvedValue([]);
+    IssueComment.update.mockResolvedValue([0]);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should refuse to merge an issue into itself', async () => {
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['canonical-1'], 'authority-1');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('itself');
+    expect(Issue.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should report a missing canonical issue as not found', async () => {
+    Issue.findOne.mockResolvedValue(null);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1');
+
+    expect(result.success).toBe(false);
+    expect(result.notFound).toBe(true);
+  });
+
+  test('should refuse duplicates that were already merged', async () => {
+    Issue.findOne.mockResolvedValue(createIssue());
+    Issue.findAll.mockResolvedValue([createIssue({ id: 'duplicate-1', merged_into_id: 'other-1' })]);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('already merged');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  test('should move photos up to the cap and keep the rest on the duplicate', async () => {
+    const canonical = createIssue({ photos: ['/uploads/a.jpg', '/uploads/b.jpg'] });
+    const duplicate = createIssue({
+      id: 'duplicate-1',
+      title: 'Big pothole',
+      photos: ['/uploads/c.jpg', '/uploads/d.jpg'],
+      reporter_id: 'user-2'
+    });
+    Issue.findOne.mockResolvedValue(canonical);
+    Issue.findAll.mockResolvedValue([duplicate]);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1', 'Same pothole');
+
+    expect(result.success).toBe(true);
+    expect(canonical.photos).toEqual(['/uploads/a.jpg', '/uploads/b.jpg', '/uploads/c.jpg']);
+    expect(duplicate.photos).toEqual(['/uploads/d.jpg']);
+    expect(duplicate.merged_into_id).toBe('canonical-1');
+    expect(result.summary).toEqual(expect.objectContaining({
+      photos_moved: 1,
+      photos_left: 1,
+      reporters_linked: 1
+    }));
+    expect(IssueComment.update).toHaveBeenCalledWith(
+      { issue_id: 'canonical-1' },
+      { where: { issue_id: 'duplicate-1' }, transaction }
+    );
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('should record the merge in the status history of both issues', async () => {
+    Issue.findOne.mockResolvedValue(createIssue());
+    Issue.findAll.mockResolvedValue([createIssue({ id: 'duplicate-1', title: 'Big pothole', status: 'reported' })]);
+
+    await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1', 'Same pothole');
+
+    expect(StatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      issue_id: 'duplicate-1',
+      previous_status: 'reported',
+      new_status: 'reported',
+      comment: 'Merged into issue "Pothole on Main Street": Same pothole',
+      updated_by: 'authority-1'
+    }), { transaction });
+    expect(StatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      issue_id: 'canonical-1',
+      comment: 'Merged duplicate issue "Big pothole" into this issue: Same pothole'
+    }), { transaction });
+  });
+
+  test('should link reporters once and skip the canonical reporter', async () => {
+    Issue.findOne.mockResolvedValue(createIssue());
+    Issue.findAll.mockResolvedValue([
+      createIssue({ id: 'duplicate-1', reporter_id: 'user-1' }),
+      createIssue({ id: 'duplicate-2', reporter_id: null, reporter_session: 'session-1' })
+    ]);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1', 'duplicate-2'], 'authority-1');
+
+    expect(result.summary.reporters_linked).toBe(1);
+    expect(IssueReporter.create).toHaveBeenCalledTimes(1);
+    expect(IssueReporter.create).toHaveBeenCalledWith({
+      issue_id: 'canonical-1',
+      user_id: null,
+      session_token: 'session-1',
+      source_issue_id: 'duplicate-2'
+    }, { transaction });
+  });
+
+  test('should move flags, resolve duplicate flags and skip repeat flaggers', async () => {
+    const canonical = createIssue({ flag_count: 1 });
+    const spamFlag = createFlag({ flagged_by: 'user-3' });
+    const repeatFlag = createFlag({ flagged_by: 'user-4' });
+    const duplicateFlag = createFlag({ flag_type: 'duplicate', flagger_session: 'session-2' });
+
+    const duplicate = createIssue({ id: 'duplicate-1', flag_count: 3 });
+
+    Issue.findOne.mockResolvedValue(canonical);
+    Issue.findAll.mockResolvedValue([duplicate]);
+    Flag.findAll
+      .mockResolvedValueOnce([spamFlag, repeatFlag, duplicateFlag])
+      .mockResolvedValueOnce([{ flagged_by: 'user-4', flagger_session: null }]);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1');
+
+    expect(result.summary.flags_moved).toBe(1);
+    expect(spamFlag.issue_id).toBe('canonical-1');
+    expect(repeatFlag.update).not.toHaveBeenCalled();
+    expect(duplicateFlag).toEqual(expect.objectContaining({
+      review_action: 'approved',
+      reviewed_by: 'authority-1'
+    }));
+    expect(canonical.flag_count).toBe(2);
+    // The repeat and the resolved duplicate flag stay on the duplicate
+    expect(duplicate.flag_count).toBe(2);
+  });
+
+  test('should move votes of new supporters to the canonical issue', async () => {
+    const canonical = createIssue({ support_count: 1 });
+    const duplicate = createIssue({ id: 'duplicate-1', support_count: 3 });
+    const newVote = createSupport({ supported_by: 'user-5' });
+    const repeatVote = createSupport({ supported_by: 'user-6' });
+    const reporterVote = createSupport({ supported_by: 'user-1' });
+
+    Issue.findOne.mockResolvedValue(canonical);
+    Issue.findAll.mockResolvedValue([duplicate]);
+    IssueSupport.findAll
+      .mockResolvedValueOnce([newVote, repeatVote, reporterVote])
+      .mockResolvedValueOnce([{ supported_by: 'user-6', supporter_session: null }]);
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1');
+
+    expect(result.summary.supports_moved).toBe(1);
+    expect(newVote.issue_id).toBe('canonical-1');
+    expect(repeatVote.update).not.toHaveBeenCalled();
+    expect(reporterVote.update).not.toHaveBeenCalled();
+    expect(canonical.support_count).toBe(2);
+    expect(duplicate.support_count).toBe(2);
+  });
+
+  test('should roll back when a step fails', async () => {
+    Issue.findOne.mockResolvedValue(createIssue());
+    Issue.findAll.mockResolvedValue([createIssue({ id: 'duplicate-1' })]);
+    StatusHistory.create.mockRejectedValueOnce(new Error('Database error'));
+
+    const result = await IssueMergeService.mergeIssues('canonical-1', ['duplicate-1'], 'authority-1');
+
+    expect(result.success).toBe(false);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+});
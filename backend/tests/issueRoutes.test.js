@@ -1,5 +1,5 @@
 const request = require('supertest');
-const app = require('../server');
+const app = require('../app');
 const { sequelize, User, Issue, StatusHistory } = require('../models');
 const { generateToken, generateSessionToken } = require('../middleware/auth');
 
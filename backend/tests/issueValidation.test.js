@@ -1,3 +1,8 @@
+// Categories live in the database, serve the defaults the migration creates
+jest.mock('../services/categoryService', () => ({
+  getCategoryKeys: jest.fn().mockResolvedValue(['roads', 'lighting', 'water', 'cleanliness', 'safety', 'obstructions'])
+}));
+
 const IssueValidation = require('../middleware/issueValidation');
 const { validationResult } = require('express-validator');
 
@@ -228,6 +233,109 @@ describe('Issue Validation Middleware', () => {
       expect(result.isEmpty()).toBe(false);
       expect(result.array().some(error => error.path === 'limit')).toBe(true);
     });
+
+    test('should pass validation with a bounding box instead of lat/lng', async () => {
+      const req = createMockReq({}, {
+        bbox: '-122.45,37.76,-122.40,37.79',
+        status: 'reported'
+      });
+      const result = await runValidation(IssueValidation.getIssues(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should fail validation with an invalid bounding box', async () => {
+      const req = createMockReq({}, {
+        bbox: '-122.40,37.76,-122.45,37.79' // minLng above maxLng
+      });
+      const result = await runValidation(IssueValidation.getIssues(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'bbox')).toBe(true);
+    });
+
+    test('should require lat/lng without a bounding box', async () => {
+      const req = createMockReq({}, { radius: '3' });
+      const result = await runValidation(IssueValidation.getIssues(), req);
+      
+      expect(result.array().some(error => error.path === 'lat')).toBe(true);
+      expect(result.array().some(error => error.path === 'lng')).toBe(true);
+    });
+  });
+
+  describe('getIssues sort validation', () => {
+    test('should accept sorting by support', async () => {
+      const req = createMockReq({}, { lat: '37.7749', lng: '-122.4194', sort: 'support' });
+      const result = await runValidation(IssueValidation.getIssues(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should reject unknown sort orders', async () => {
+      const req = createMockReq({}, { lat: '37.7749', lng: '-122.4194', sort: 'popularity' });
+      const result = await runValidation(IssueValidation.getIssues(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'sort')).toBe(true);
+    });
+  });
+
+  describe('checkDuplicates validation', () => {
+    test('should pass validation with location, category and title', async () => {
+      const req = createMockReq({}, {
+        lat: '37.7749',
+        lng: '-122.4194',
+        category: 'roads',
+        title: 'Pothole on Main Street'
+      });
+      const result = await runValidation(IssueValidation.checkDuplicates(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should require a valid category', async () => {
+      const req = createMockReq({}, {
+        lat: '37.7749',
+        lng: '-122.4194',
+        category: 'parking'
+      });
+      const result = await runValidation(IssueValidation.checkDuplicates(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'category')).toBe(true);
+    });
+  });
+
+  describe('getIssueClusters validation', () => {
+    test('should pass validation with bbox and zoom', async () => {
+      const req = createMockReq({}, {
+        bbox: '-122.52,37.70,-122.35,37.83',
+        zoom: '12',
+        category: 'roads,lighting'
+      });
+      const result = await runValidation(IssueValidation.getIssueClusters(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should require bbox and zoom', async () => {
+      const req = createMockReq({}, {});
+      const result = await runValidation(IssueValidation.getIssueClusters(), req);
+      
+      expect(result.array().some(error => error.path === 'bbox')).toBe(true);
+      expect(result.array().some(error => error.path === 'zoom')).toBe(true);
+    });
+
+    test('should fail validation with out of range zoom', async () => {
+      const req = createMockReq({}, {
+        bbox: '-122.52,37.70,-122.35,37.83',
+        zoom: '23'
+      });
+      const result = await runValidation(IssueValidation.getIssueClusters(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'zoom')).toBe(true);
+    });
   });
 
   describe('getIssueById validation', () => {
@@ -282,8 +390,15 @@ describe('Issue Validation Middleware', () => {
       expect(result.array().some(error => error.path === 'comment')).toBe(true);
     });
 
+    test('should leave the comment requirement to the workflow', async () => {
+      const req = createMockReq({ status: 'acknowledged' }, {}, { id: '123e4567-e89b-12d3-a456-426614174000' });
+      const result = await runValidation(IssueValidation.updateIssueStatus(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
     test('should pass validation with all valid statuses', async () => {
-      const validStatuses = ['reported', 'in_progress', 'resolved'];
+      const validStatuses = ['reported', 'acknowledged', 'in_progress', 'reopened', 'resolved', 'rejected', 'duplicate', 'closed'];
       
       for (const status of validStatuses) {
         const req = createMockReq({
@@ -297,6 +412,91 @@ describe('Issue Validation Middleware', () => {
     });
   });
 
+  describe('mergeIssues validation', () => {
+    const params = { id: '123e4567-e89b-12d3-a456-426614174000' };
+
+    test('should pass validation with duplicate IDs and a comment', async () => {
+      const req = createMockReq({
+        duplicate_ids: ['9b2f4c1e-0d7a-4e55-8a3b-2f1c6d8e7a90'],
+        comment: 'Same pothole reported twice'
+      }, {}, params);
+      const result = await runValidation(IssueValidation.mergeIssues(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should require at least one duplicate ID', async () => {
+      const req = createMockReq({ duplicate_ids: [] }, {}, params);
+      const result = await runValidation(IssueValidation.mergeIssues(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'duplicate_ids')).toBe(true);
+    });
+
+    test('should reject duplicate IDs that are not UUIDs', async () => {
+      const req = createMockReq({ duplicate_ids: ['not-a-uuid'] }, {}, params);
+      const result = await runValidation(IssueValidation.mergeIssues(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'duplicate_ids[0]')).toBe(true);
+    });
+  });
+
+  describe('assignIssue validation', () => {
+    const params = { id: '123e4567-e89b-12d3-a456-426614174000' };
+
+    test('should pass validation with a department and a null assignee', async () => {
+      const req = createMockReq({
+        department_id: '9b2f4c1e-0d7a-4e55-8a3b-2f1c6d8e7a90',
+        assignee_id: null
+      }, {}, params);
+      const result = await runValidation(IssueValidation.assignIssue(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should require a department or an assignee', async () => {
+      const req = createMockReq({ comment: 'Please look at this' }, {}, params);
+      const result = await runValidation(IssueValidation.assignIssue(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('department_id or assignee_id is required');
+    });
+
+    test('should reject assignee IDs that are not UUIDs', async () => {
+      const req = createMockReq({ assignee_id: 'not-a-uuid' }, {}, params);
+      const result = await runValidation(IssueValidation.assignIssue(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().some(error => error.path === 'assignee_id')).toBe(true);
+    });
+  });
+
+  describe('getAssignmentQueue validation', () => {
+    test('should pass validation sorted by age without a location', async () => {
+      const req = createMockReq({}, { sort: 'age', status: 'reported' });
+      const result = await runValidation(IssueValidation.getAssignmentQueue(), req);
+      
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    test('should require a location to sort by distance', async () => {
+      const req = createMockReq({}, { sort: 'distance' });
+      const result = await runValidation(IssueValidation.getAssignmentQueue(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array().map(error => error.path)).toEqual(['userLat', 'userLng']);
+    });
+
+    test('should reject unknown sort orders', async () => {
+      const req = createMockReq({}, { sort: 'support' });
+      const result = await runValidation(IssueValidation.getAssignmentQueue(), req);
+      
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].path).toBe('sort');
+    });
+  });
+
   describe('sanitizeInput middleware', () => {
     test('should sanitize string fields', () => {
       const req = createMockReq({
@@ -1,16 +1,43 @@
 const NotificationService = require('../services/notificationService');
-const { User, Issue } = require('../models');
+const SocketService = require('../services/socketService');
+const EmailService = require('../services/email');
+const PushService = require('../services/pushService');
+const { User, Issue, Notification, Department } = require('../models');
 
 // Mock the models
 jest.mock('../models', () => ({
   User: {
-    findByPk: jest.fn()
+    findByPk: jest.fn(),
+    findAll: jest.fn()
   },
   Issue: {
     findByPk: jest.fn()
+  },
+  Notification: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn()
+  },
+  Department: {
+    findByPk: jest.fn()
   }
 }));
 
+jest.mock('../services/email', () => ({
+  sendTemplate: jest.fn()
+}));
+
+jest.mock('../services/pushService', () => ({
+  sendToRecipient: jest.fn(() => Promise.resolve({ sent: 1, failed: 0, removed: 0 }))
+}));
+
+jest.mock('../services/socketService', () => ({
+  emitToUser: jest.fn(() => true),
+  emitToSession: jest.fn(() => true)
+}));
+
 describe('NotificationService', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -50,6 +77,7 @@ describe('NotificationService', () => {
       // Mock database responses
       Issue.findByPk.mockResolvedValue(mockIssue);
       User.findByPk.mockResolvedValue(mockUpdater);
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
 
       await NotificationService.notifyStatusChange(
         'issue-123',
@@ -63,6 +91,14 @@ describe('NotificationService', () => {
       expect(Issue.findByPk).toHaveBeenCalledWith('issue-123', expect.any(Object));
       expect(User.findByPk).toHaveBeenCalledWith('authority-123', expect.any(Object));
 
+      // Verify the inbox entry was stored for the reporter
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-123',
+        issue_id: 'issue-123',
+        type: 'status_change',
+        data: expect.objectContaining({ previousStatus: 'reported', newStatus: 'in_progress' })
+      }));
+
       // Verify notification was logged
       expect(console.log).toHaveBeenCalledWith(
         expect.stringContaining('Status change notification sent to reporter: reporter@example.com')
@@ -72,6 +108,36 @@ describe('NotificationService', () => {
       );
     });
 
+    it('should also notify reporters of merged duplicates', async () => {
+      Issue.findByPk.mockResolvedValue({
+        ...mockIssue,
+        linkedReporters: [
+          { user_id: 'user-456', session_token: null, user: { id: 'user-456', email: 'second@example.com' } },
+          { user_id: null, session_token: 'session-789', user: null }
+        ]
+      });
+      User.findByPk.mockResolvedValue(mockUpdater);
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
+      await NotificationService.notifyStatusChange(
+        'issue-123',
+        'reported',
+        'in_progress',
+        'Started working on this issue',
+        'authority-123'
+      );
+
+      expect(Notification.create).toHaveBeenCalledTimes(3);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'user-456' }));
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: null,
+        session_token: 'session-789'
+      }));
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Status change notification sent to reporter: second@example.com')
+      );
+    });
+
     it('should skip notification for anonymous reports', async () => {
       const anonymousIssue = {
         ...mockIssue,
@@ -138,45 +204,49 @@ describe('NotificationService', () => {
   });
 
   describe('sendEmailNotification', () => {
-    it('should prepare email notification correctly', async () => {
-      const notificationData = {
-        issueTitle: 'Test Road Issue',
-        previousStatus: 'reported',
-        newStatus: 'in_progress',
-        comment: 'Started working on this issue',
-        updatedBy: {
-          role: 'authority',
-          email: 'authority@example.com'
-        },
-        timestamp: '2024-01-01T12:00:00.000Z'
-      };
+    const notificationData = {
+      issueId: 'issue-123',
+      issueTitle: 'Test Road Issue',
+      previousStatus: 'reported',
+      newStatus: 'in_progress',
+      comment: 'Started working on this issue',
+      updatedBy: {
+        role: 'authority',
+        email: 'authority@example.com'
+      },
+      timestamp: '2024-01-01T12:00:00.000Z'
+    };
 
-      await NotificationService.sendEmailNotification('reporter@example.com', notificationData);
+    it('should send the status change template to the reporter', async () => {
+      EmailService.sendTemplate.mockResolvedValue({ success: true, attempts: 1 });
 
-      expect(console.log).toHaveBeenCalledWith(
-        'Email notification prepared:',
-        expect.objectContaining({
-          to: 'reporter@example.com',
-          subject: expect.stringContaining('CivicTrack: Issue Status Updated - Test Road Issue'),
-          body: expect.stringContaining('Your reported issue has been updated')
-        })
+      const result = await NotificationService.sendEmailNotification('reporter@example.com', notificationData);
+
+      expect(EmailService.sendTemplate).toHaveBeenCalledWith(
+        'statusChange',
+        'reporter@example.com',
+        notificationData
       );
+      expect(result.success).toBe(true);
     });
 
-    it('should handle email service errors gracefully', async () => {
-      // Mock console.log to throw an error (simulating email service failure)
-      console.log.mockImplementation(() => {
-        throw new Error('Email service unavailable');
+    it('should log deliveries that failed after all retries', async () => {
+      EmailService.sendTemplate.mockResolvedValue({
+        success: false,
+        attempts: 4,
+        error: 'Connection refused'
       });
 
-      const notificationData = {
-        issueTitle: 'Test Issue',
-        previousStatus: 'reported',
-        newStatus: 'in_progress',
-        comment: 'Comment',
-        updatedBy: { role: 'authority', email: 'auth@example.com' },
-        timestamp: '2024-01-01T12:00:00.000Z'
-      };
+      await NotificationService.sendEmailNotification('reporter@example.com', notificationData);
+
+      expect(console.error).toHaveBeenCalledWith(
+        'Status change email to reporter@example.com failed after 4 attempts:',
+        'Connection refused'
+      );
+    });
+
+    it('should handle email service errors gracefully', async () => {
+      EmailService.sendTemplate.mockRejectedValue(new Error('Email service unavailable'));
 
       // Should not throw error
       await expect(
@@ -191,44 +261,334 @@ describe('NotificationService', () => {
   });
 
   describe('sendWebSocketNotification', () => {
-    it('should log WebSocket notification preparation', async () => {
-      const notificationData = {
-        issueTitle: 'Test Issue',
-        newStatus: 'in_progress'
-      };
+    const notificationData = {
+      issueId: 'issue-123',
+      issueTitle: 'Test Issue',
+      newStatus: 'in_progress'
+    };
 
+    it('should emit status change to the reporter user room', async () => {
       await NotificationService.sendWebSocketNotification('user-123', notificationData);
 
-      expect(console.log).toHaveBeenCalledWith(
-        'WebSocket notification prepared for user user-123:',
+      expect(SocketService.emitToUser).toHaveBeenCalledWith(
+        'user-123',
+        'issue:status_changed',
+        notificationData
+      );
+      expect(SocketService.emitToSession).not.toHaveBeenCalled();
+    });
+
+    it('should emit to the anonymous session when there is no user', async () => {
+      await NotificationService.sendWebSocketNotification(null, notificationData, 'session-token');
+
+      expect(SocketService.emitToSession).toHaveBeenCalledWith(
+        'session-token',
+        'issue:status_changed',
         notificationData
       );
+      expect(SocketService.emitToUser).not.toHaveBeenCalled();
     });
   });
 
   describe('sendPushNotification', () => {
-    it('should log push notification preparation', async () => {
-      const notificationData = {
-        issueTitle: 'Test Issue',
-        newStatus: 'in_progress'
-      };
+    const notificationData = {
+      issueId: 'issue-123',
+      issueTitle: 'Test Issue',
+      newStatus: 'in_progress'
+    };
 
+    it('should push a notification linking to the issue', async () => {
       await NotificationService.sendPushNotification('user-123', notificationData);
 
-      expect(console.log).toHaveBeenCalledWith(
-        'Push notification prepared for user user-123:',
-        notificationData
+      expect(PushService.sendToRecipient).toHaveBeenCalledWith('user-123', null, expect.objectContaining({
+        title: 'Issue status updated',
+        body: '"Test Issue" is now in progress',
+        url: '/issues/issue-123'
+      }));
+    });
+
+    it('should push to the anonymous session when there is no user', async () => {
+      await NotificationService.sendPushNotification(null, notificationData, 'session-token');
+
+      expect(PushService.sendToRecipient).toHaveBeenCalledWith(null, 'session-token', expect.any(Object));
+    });
+
+    it('should handle push service errors gracefully', async () => {
+      PushService.sendToRecipient.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(
+        NotificationService.sendPushNotification('user-123', notificationData)
+      ).resolves.toBeUndefined();
+
+      expect(console.error).toHaveBeenCalledWith(
+        'Error sending push notification:',
+        expect.any(Error)
       );
     });
   });
 
   describe('notifyFlaggedContent', () => {
-    it('should log flagged content notification preparation', async () => {
+    it('should add an inbox entry for every admin', async () => {
+      Issue.findByPk.mockResolvedValue({
+        id: 'issue-123',
+        title: 'Test Road Issue',
+        flag_count: 3,
+        is_hidden: true
+      });
+      User.findAll.mockResolvedValue([{ id: 'admin-1' }, { id: 'admin-2' }]);
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
       await NotificationService.notifyFlaggedContent('issue-123', 'user-456', 'Spam content');
 
-      expect(console.log).toHaveBeenCalledWith(
-        'Flagged content notification prepared for issue issue-123'
+      expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { role: 'admin', is_banned: false }
+      }));
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'admin-1',
+        issue_id: 'issue-123',
+        type: 'flagged_content',
+        title: 'Issue hidden after flagging'
+      }));
+      expect(SocketService.emitToUser).toHaveBeenCalledWith(
+        'admin-2',
+        'notification:created',
+        expect.objectContaining({ type: 'flagged_content', is_read: false })
+      );
+    });
+
+    it('should handle missing issue gracefully', async () => {
+      Issue.findByPk.mockResolvedValue(null);
+
+      await NotificationService.notifyFlaggedContent('nonexistent-issue', 'user-456', 'Spam content');
+
+      expect(User.findAll).not.toHaveBeenCalled();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifySlaBreach', () => {
+    const overdueIssue = {
+      id: 'issue-123',
+      title: 'Burst water main',
+      category: 'water',
+      assigned_department_id: 'department-1'
+    };
+
+    it('should escalate to the department head and the admins', async () => {
+      User.findAll.mockResolvedValue([{ id: 'admin-1' }]);
+      Department.findByPk.mockResolvedValue({ id: 'department-1', head_id: 'head-1' });
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
+      await NotificationService.notifySlaBreach(overdueIssue, 'response', 24);
+
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'head-1',
+        issue_id: 'issue-123',
+        type: 'sla_overdue',
+        message: '"Burst water main" was not acknowledged within 24h'
+      }));
+    });
+
+    it('should not notify a head who is also an admin twice', async () => {
+      User.findAll.mockResolvedValue([{ id: 'admin-1' }]);
+      Department.findByPk.mockResolvedValue({ id: 'department-1', head_id: 'admin-1' });
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
+      await NotificationService.notifySlaBreach(overdueIssue, 'resolution', 72);
+
+      expect(Notification.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('notifyIssueReopened', () => {
+    const reopenedIssue = {
+      id: 'issue-123',
+      title: 'Broken street light',
+      assignee_id: 'authority-1',
+      assigned_department_id: 'department-1'
+    };
+
+    it('should notify the assignee and the department head once each', async () => {
+      Department.findByPk.mockResolvedValue({ id: 'department-1', head_id: 'authority-1' });
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
+      await NotificationService.notifyIssueReopened(reopenedIssue, 'Still dark at night');
+
+      expect(Notification.create).toHaveBeenCalledTimes(1);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'authority-1',
+        type: 'issue_reopened',
+        message: 'The reporter of "Broken street light" says it is not fixed: Still dark at night'
+      }));
+    });
+
+    it('should notify nobody for an unassigned issue', async () => {
+      await NotificationService.notifyIssueReopened({ id: 'issue-123', title: 'Broken street light' }, 'Still dark');
+
+      expect(Department.findByPk).not.toHaveBeenCalled();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createNotification', () => {
+    it('should store inbox entries of anonymous sessions', async () => {
+      Notification.create.mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+
+      await NotificationService.createNotification({
+        sessionToken: 'session-token',
+        issueId: 'issue-123',
+        type: 'status_change',
+        title: 'Issue status updated',
+        message: 'Test'
+      });
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: null,
+        session_token: 'session-token'
+      }));
+      expect(SocketService.emitToSession).toHaveBeenCalledWith(
+        'session-token',
+        'notification:created',
+        expect.any(Object)
+      );
+    });
+
+    it('should skip notifications without a recipient', async () => {
+      const result = await NotificationService.createNotification({
+        type: 'status_change',
+        title: 'Issue status updated',
+        message: 'Test'
+      });
+
+      expect(result).toBeNull();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNotifications', () => {
+    it('should return the inbox with the unread count', async () => {
+      Notification.findAndCountAll.mockResolvedValue({
+        count: 2,
+        rows: [
+          { id: 'notification-2', type: 'status_change', read_at: null },
+          { id: 'notification-1', type: 'status_change', read_at: new Date() }
+        ]
+      });
+      Notification.count.mockResolvedValue(1);
+
+      const result = await NotificationService.getNotifications('user-123', null, { limit: 20, offset: 0 });
+
+      expect(Notification.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { user_id: 'user-123' },
+        order: [['created_at', 'DESC']]
+      }));
+      expect(result.success).toBe(true);
+      expect(result.unreadCount).toBe(1);
+      expect(result.notifications.map(n => n.is_read)).toEqual([false, true]);
+      expect(result.metadata.hasMore).toBe(false);
+    });
+
+    it('should filter unread notifications of an anonymous session', async () => {
+      Notification.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+      Notification.count.mockResolvedValue(0);
+
+      await NotificationService.getNotifications(null, 'session-token', { unreadOnly: true });
+
+      expect(Notification.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { session_token: 'session-token', read_at: null }
+      }));
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should mark a notification of the recipient as read', async () => {
+      const notification = { id: 'notification-1', read_at: null, update: jest.fn() };
+      Notification.findOne.mockResolvedValue(notification);
+
+      const result = await NotificationService.markAsRead('notification-1', 'user-123', null);
+
+      expect(Notification.findOne).toHaveBeenCalledWith({
+        where: { id: 'notification-1', user_id: 'user-123' }
+      });
+      expect(notification.update).toHaveBeenCalledWith({ read_at: expect.any(Date) });
+      expect(result.success).toBe(true);
+    });
+
+    it('should not find notifications of other recipients', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      const result = await NotificationService.markAsRead('notification-1', 'user-456', null);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Notification not found');
+    });
+  });
+
+  describe('markAllAsRead', () => {
+    it('should mark every unread notification as read', async () => {
+      Notification.update.mockResolvedValue([4]);
+
+      const result = await NotificationService.markAllAsRead('user-123', null);
+
+      expect(Notification.update).toHaveBeenCalledWith(
+        { read_at: expect.any(Date) },
+        { where: { user_id: 'user-123', read_at: null } }
+      );
+      expect(result.updated).toBe(4);
+    });
+  });
+
+  describe('notifyFlagReviewOutcome', () => {
+    it('should email the reporter of a reviewed issue', async () => {
+      Issue.findByPk.mockResolvedValue({
+        id: 'issue-123',
+        title: 'Test Road Issue',
+        is_anonymous: false,
+        reporter: { id: 'user-123', email: 'reporter@example.com' }
+      });
+      EmailService.sendTemplate.mockResolvedValue({ success: true, attempts: 1 });
+
+      await NotificationService.notifyFlagReviewOutcome('issue-123', 'approve', 'Looks fine');
+
+      expect(EmailService.sendTemplate).toHaveBeenCalledWith(
+        'flagOutcome',
+        'reporter@example.com',
+        expect.objectContaining({
+          issueId: 'issue-123',
+          action: 'approve',
+          comment: 'Looks fine'
+        })
+      );
+    });
+
+    it('should skip anonymous reports', async () => {
+      Issue.findByPk.mockResolvedValue({
+        id: 'issue-123',
+        title: 'Test Road Issue',
+        is_anonymous: true,
+        reporter: null
+      });
+
+      await NotificationService.notifyFlagReviewOutcome('issue-123', 'reject', null);
+
+      expect(EmailService.sendTemplate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyUserBanned', () => {
+    it('should send the ban notice to the user', async () => {
+      User.findByPk.mockResolvedValue({ id: 'user-123', email: 'banned@example.com' });
+      EmailService.sendTemplate.mockResolvedValue({ success: true, attempts: 1 });
+
+      await NotificationService.notifyUserBanned('user-123', 'Spam');
+
+      expect(EmailService.sendTemplate).toHaveBeenCalledWith(
+        'userBanned',
+        'banned@example.com',
+        expect.objectContaining({ reason: 'Spam' })
       );
     });
   });
-});
\ No newline at end of file
+});
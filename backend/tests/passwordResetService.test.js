@@ -0,0 +1,173 @@
+const PasswordResetService = require('../services/passwordResetService');
+const EmailService = require('../services/email');
+const SessionService = require('../services/sessionService');
+const { User, UserToken } = require('../models');
+
+jest.mock('../models', () => ({
+  User: {
+    findOne: jest.fn()
+  },
+  UserToken: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn()
+  }
+}));
+
+jest.mock('../services/email', () => ({
+  sendTemplate: jest.fn()
+}));
+
+jest.mock('../services/sessionService', () => ({
+  revokeAllSessions: jest.fn()
+}));
+
+const createUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'resident@example.com',
+  password_hash: 'hash',
+  is_banned: false,
+  update: jest.fn(),
+  ...overrides
+});
+
+const createToken = (overrides = {}) => ({
+  id: 'token-1',
+  user_id: 'user-1',
+  purpose: 'password_reset',
+  expires_at: new Date(Date.now() + 30 * 60 * 1000),
+  used_at: null,
+  user: createUser(),
+  ...overrides
+});
+
+describe('PasswordResetService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+    EmailService.sendTemplate.mockResolvedValue({ success: true, attempts: 1 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('requestReset', () => {
+    test('should email a link and store only the hash of the token', async () => {
+      User.findOne.mockResolvedValue(createUser());
+      UserToken.findOne.mockResolvedValue(null);
+
+      const result = await PasswordResetService.requestReset('resident@example.com');
+
+      expect(result).toEqual({ success: true });
+      expect(UserToken.destroy).toHaveBeenCalledWith({
+        where: { user_id: 'user-1', purpose: 'password_reset', used_at: null }
+      });
+
+      const { token } = EmailService.sendTemplate.mock.calls[0][2];
+      expect(EmailService.sendTemplate).toHaveBeenCalledWith('passwordReset', 'resident@example.com', {
+        token,
+        expiresInMinutes: 60
+      });
+      expect(UserToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        purpose: 'password_reset',
+        token_hash: PasswordResetService.hashToken(token),
+        expires_at: expect.any(Date)
+      }));
+      expect(UserToken.create.mock.calls[0][0].token_hash).not.toBe(token);
+    });
+
+    test('should answer the same for an unknown address without sending anything', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const result = await PasswordResetService.requestReset('nobody@example.com');
+
+      expect(result).toEqual({ success: true });
+      expect(UserToken.create).not.toHaveBeenCalled();
+      expect(EmailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    test('should answer the same when a link was sent moments ago', async () => {
+      User.findOne.mockResolvedValue(createUser());
+      UserToken.findOne.mockResolvedValue(createToken());
+
+      const result = await PasswordResetService.requestReset('resident@example.com');
+
+      expect(result).toEqual({ success: true });
+      expect(EmailService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    test('should not wait for a failing mail server', async () => {
+      User.findOne.mockResolvedValue(createUser());
+      UserToken.findOne.mockResolvedValue(null);
+      EmailService.sendTemplate.mockResolvedValue({ success: false, attempts: 4, error: 'SMTP down' });
+
+      const result = await PasswordResetService.requestReset('resident@example.com');
+
+      expect(result).toEqual({ success: true });
+    });
+  });
+
+  describe('resetPassword', () => {
+    test('should set the new password and end existing sessions', async () => {
+      const record = createToken();
+      UserToken.findOne.mockResolvedValue(record);
+      UserToken.update.mockResolvedValue([1]);
+
+      const result = await PasswordResetService.resetPassword('a'.repeat(64), 'NewSecret123!');
+
+      expect(result).toEqual({ success: true });
+      expect(UserToken.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { token_hash: PasswordResetService.hashToken('a'.repeat(64)), purpose: 'password_reset' }
+      }));
+      expect(UserToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { id: 'token-1', used_at: null } }
+      );
+
+      const changes = record.user.update.mock.calls[0][0];
+      expect(changes.password_changed_at).toBeInstanceOf(Date);
+      expect(changes.password_hash).toMatch(/^\$2[aby]\$/);
+      expect(SessionService.revokeAllSessions).toHaveBeenCalledWith('user-1', 'password_reset');
+    });
+
+    test('should reject a weak password without using up the link', async () => {
+      const result = await PasswordResetService.resetPassword('a'.repeat(64), 'weakpassword');
+
+      expect(result).toEqual(expect.objectContaining({ success: false, invalidPassword: true }));
+      expect(UserToken.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject a token that was already used', async () => {
+      UserToken.findOne.mockResolvedValue(createToken({ used_at: new Date() }));
+
+      const result = await PasswordResetService.resetPassword('a'.repeat(64), 'NewSecret123!');
+
+      expect(result.success).toBe(false);
+      expect(UserToken.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject an expired token', async () => {
+      const record = createToken({ expires_at: new Date(Date.now() - 1000) });
+      UserToken.findOne.mockResolvedValue(record);
+
+      const result = await PasswordResetService.resetPassword('a'.repeat(64), 'NewSecret123!');
+
+      expect(result).toEqual(expect.objectContaining({ success: false, expired: true }));
+      expect(record.user.update).not.toHaveBeenCalled();
+    });
+
+    test('should not reset twice when a concurrent request claimed the token first', async () => {
+      const record = createToken();
+      UserToken.findOne.mockResolvedValue(record);
+      UserToken.update.mockResolvedValue([0]);
+
+      const result = await PasswordResetService.resetPassword('a'.repeat(64), 'NewSecret123!');
+
+      expect(result.success).toBe(false);
+      expect(record.user.update).not.toHaveBeenCalled();
+    });
+  });
+});
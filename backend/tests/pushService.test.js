@@ -0,0 +1,168 @@
+const webPush = require('web-push');
+const PushService = require('../services/pushService');
+const { PushSubscription } = require('../models');
+
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn()
+}));
+
+jest.mock('../models', () => ({
+  PushSubscription: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn()
+  }
+}));
+
+const browserSubscription = {
+  endpoint: 'https://push.example.com/send/abc123',
+  expirationTime: null,
+  keys: {
+    p256dh: 'p256dh-key',
+    auth: 'auth-key'
+  }
+};
+
+const createStoredSubscription = (overrides = {}) => ({
+  id: 'subscription-123',
+  endpoint: browserSubscription.endpoint,
+  p256dh_key: 'p256dh-key',
+  auth_key: 'auth-key',
+  update: jest.fn(),
+  ...overrides
+});
+
+describe('PushService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    process.env = {
+      ...originalEnv,
+      VAPID_PUBLIC_KEY: 'public-key',
+      VAPID_PRIVATE_KEY: 'private-key'
+    };
+    PushService.configured = false;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('saveSubscription', () => {
+    it('should store a new subscription for a user', async () => {
+      PushSubscription.findOne.mockResolvedValue(null);
+      PushSubscription.create.mockResolvedValue(createStoredSubscription());
+
+      const result = await PushService.saveSubscription(browserSubscription, 'user-123', null, 'Firefox');
+
+      expect(result.success).toBe(true);
+      expect(result.created).toBe(true);
+      expect(PushSubscription.create).toHaveBeenCalledWith(expect.objectContaining({
+        endpoint: browserSubscription.endpoint,
+        user_id: 'user-123',
+        p256dh_key: 'p256dh-key',
+        auth_key: 'auth-key'
+      }));
+    });
+
+    it('should refresh an existing subscription of an anonymous session', async () => {
+      const existing = createStoredSubscription();
+      PushSubscription.findOne.mockResolvedValue(existing);
+
+      const result = await PushService.saveSubscription({
+        ...browserSubscription,
+        expirationTime: 1893456000000
+      }, null, 'session-token');
+
+      expect(result.created).toBe(false);
+      expect(PushSubscription.findOne).toHaveBeenCalledWith({
+        where: { endpoint: browserSubscription.endpoint, session_token: 'session-token' }
+      });
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({
+        expires_at: new Date(1893456000000)
+      }));
+      expect(PushSubscription.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendToRecipient', () => {
+    const payload = { title: 'Issue status updated', body: 'Test', url: '/issues/issue-123' };
+
+    it('should send the payload to every subscription of the recipient', async () => {
+      const subscription = createStoredSubscription();
+      PushSubscription.findAll.mockResolvedValue([subscription]);
+      webPush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+      const summary = await PushService.sendToRecipient('user-123', null, payload);
+
+      expect(webPush.setVapidDetails).toHaveBeenCalledWith(
+        expect.any(String),
+        'public-key',
+        'private-key'
+      );
+      expect(webPush.sendNotification).toHaveBeenCalledWith({
+        endpoint: browserSubscription.endpoint,
+        keys: { p256dh: 'p256dh-key', auth: 'auth-key' }
+      }, JSON.stringify(payload));
+      expect(subscription.update).toHaveBeenCalledWith({ last_sent_at: expect.any(Date) });
+      expect(summary.sent).toBe(1);
+    });
+
+    it('should remove subscriptions the push service reports as gone', async () => {
+      PushSubscription.findAll.mockResolvedValue([createStoredSubscription()]);
+      PushSubscription.destroy.mockResolvedValue(2);
+      const goneError = new Error('Received unexpected response code');
+      goneError.statusCode = 410;
+      webPush.sendNotification.mockRejectedValue(goneError);
+
+      const summary = await PushService.sendToRecipient(null, 'session-token', payload);
+
+      expect(PushSubscription.destroy).toHaveBeenCalledWith({
+        where: { endpoint: browserSubscription.endpoint }
+      });
+      expect(summary).toEqual({ sent: 0, failed: 0, removed: 2 });
+    });
+
+    it('should keep subscriptions after temporary failures', async () => {
+      PushSubscription.findAll.mockResolvedValue([createStoredSubscription()]);
+      const serverError = new Error('Service unavailable');
+      serverError.statusCode = 503;
+      webPush.sendNotification.mockRejectedValue(serverError);
+
+      const summary = await PushService.sendToRecipient('user-123', null, payload);
+
+      expect(PushSubscription.destroy).not.toHaveBeenCalled();
+      expect(summary.failed).toBe(1);
+    });
+
+    it('should do nothing when VAPID keys are not configured', async () => {
+      delete process.env.VAPID_PRIVATE_KEY;
+
+      const summary = await PushService.sendToRecipient('user-123', null, payload);
+
+      expect(PushSubscription.findAll).not.toHaveBeenCalled();
+      expect(summary.sent).toBe(0);
+    });
+  });
+
+  describe('cleanupExpiredSubscriptions', () => {
+    it('should remove subscriptions past their expiration', async () => {
+      PushSubscription.destroy.mockResolvedValue(3);
+
+      const removed = await PushService.cleanupExpiredSubscriptions();
+
+      expect(removed).toBe(3);
+      expect(PushSubscription.destroy).toHaveBeenCalledWith({
+        where: { expires_at: expect.any(Object) }
+      });
+    });
+  });
+});
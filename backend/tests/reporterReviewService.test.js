@@ -0,0 +1,208 @@
+const ReporterReviewService = require('../services/reporterReviewService');
+const { sequelize } = require('../config/database');
+const { Issue, StatusHistory } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  Issue: {
+    findOne: jest.fn()
+  },
+  StatusHistory: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  Department: {}
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-20T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'issue-1',
+    status: 'resolved',
+    reporter_id: 'reporter-1',
+    reporter_session: null,
+    response_breached_at: null,
+    resolution_breached_at: null,
+    ...overrides
+  };
+  issue.update = jest.fn(async (values) => Object.assign(issue, values));
+  return issue;
+};
+
+const change = (newStatus, department, isReporterAction = false) => ({
+  new_status: newStatus,
+  is_reporter_action: isReporterAction,
+  issue: {
+    assigned_department_id: department ? department.id : null,
+    assignedDepartment: department
+  }
+});
+
+describe('ReporterReviewService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REPORTER_REVIEW_DAYS;
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  describe('getReviewState', () => {
+    test('should open a window from the latest resolution', async () => {
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(3) });
+
+      const state = await ReporterReviewService.getReviewState(createIssue(), 'reporter-1', null, now);
+
+      expect(state.can_review).toBe(true);
+      expect(state.deadline).toEqual(new Date(daysAgo(3).getTime() + 14 * DAY_MS));
+    });
+
+    test('should close the window after the configured days', async () => {
+      process.env.REPORTER_REVIEW_DAYS = '2';
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(3) });
+
+      const state = await ReporterReviewService.getReviewState(createIssue(), 'reporter-1', null, now);
+
+      expect(state.can_review).toBe(false);
+    });
+
+    test('should recognise anonymous reporters by their session', async () => {
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(1) });
+      const issue = createIssue({ reporter_id: null, reporter_session: 'session-1' });
+
+      const reporter = await ReporterReviewService.getReviewState(issue, null, 'session-1', now);
+      const stranger = await ReporterReviewService.getReviewState(issue, null, 'session-2', now);
+
+      expect(reporter.can_review).toBe(true);
+      expect(stranger).toEqual({ can_review: false, deadline: null });
+    });
+
+    test('should not offer a review for issues that are not resolved', async () => {
+      const state = await ReporterReviewService.getReviewState(
+        createIssue({ status: 'in_progress' }), 'reporter-1', null, now
+      );
+
+      expect(state.can_review).toBe(false);
+      expect(StatusHistory.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reopenIssue', () => {
+    test('should reopen the issue with a history entry attributed to the reporter', async () => {
+      const issue = createIssue({ resolution_breached_at: daysAgo(5) });
+      const photos = [{ filename: 'still-broken.jpg' }];
+      Issue.findOne.mockResolvedValue(issue);
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(1) });
+
+      const result = await ReporterReviewService.reopenIssue(
+        'issue-1', 'reporter-1', null, { comment: ' Still leaking ', photos }, now
+      );
+
+      expect(result.success).toBe(true);
+      expect(StatusHistory.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        previous_status: 'resolved',
+        new_status: 'reopened',
+        comment: 'Still leaking',
+        photos,
+        updated_by: 'reporter-1',
+        is_reporter_action: true,
+        updated_at: now
+      }, { transaction });
+      expect(issue.update).toHaveBeenCalledWith({ status: 'reopened', is_overdue: true, updated_at: now }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should refuse anyone but the reporter', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+
+      const result = await ReporterReviewService.reopenIssue('issue-1', 'user-2', null, { comment: 'Not fixed' }, now);
+
+      expect(result.forbidden).toBe(true);
+      expect(StatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a review after the window closed', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(20) });
+
+      const result = await ReporterReviewService.reopenIssue('issue-1', 'reporter-1', null, { comment: 'Not fixed' }, now);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('review window closed');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmResolution', () => {
+    test('should close the issue for an anonymous reporter', async () => {
+      const issue = createIssue({ reporter_id: null, reporter_session: 'session-1' });
+      Issue.findOne.mockResolvedValue(issue);
+      StatusHistory.findOne.mockResolvedValue({ updated_at: daysAgo(1) });
+
+      const result = await ReporterReviewService.confirmResolution('issue-1', null, 'session-1', now);
+
+      expect(result.success).toBe(true);
+      expect(StatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        new_status: 'closed',
+        comment: null,
+        updated_by: null,
+        is_reporter_action: true
+      }), { transaction });
+      expect(issue.status).toBe('closed');
+      expect(issue.is_overdue).toBe(false);
+    });
+
+    test('should report a missing issue as not found', async () => {
+      Issue.findOne.mockResolvedValue(null);
+
+      const result = await ReporterReviewService.confirmResolution('issue-1', 'reporter-1', null, now);
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+
+  describe('getReopenRates', () => {
+    test('should count reporter reopens against resolutions per department', async () => {
+      const publicWorks = { id: 'department-1', name: 'Public Works' };
+      StatusHistory.findAll.mockResolvedValue([
+        change('resolved', publicWorks),
+        change('reopened', publicWorks, true),
+        change('resolved', publicWorks),
+        change('closed', publicWorks, true),
+        change('resolved', publicWorks),
+        // Reopened by an authority, not the reporter
+        change('reopened', publicWorks),
+        change('resolved', null)
+      ]);
+
+      const rates = await ReporterReviewService.getReopenRates({ category: 'water' });
+
+      expect(StatusHistory.findAll.mock.calls[0][0].include[0].where).toEqual(expect.objectContaining({
+        category: 'water',
+        is_hidden: false
+      }));
+      expect(rates).toEqual({
+        window_days: 14,
+        by_department: [
+          { department: publicWorks, resolved: 3, confirmed: 1, reopened: 1, reopen_rate: 33.3 },
+          { department: null, resolved: 1, confirmed: 0, reopened: 0, reopen_rate: 0 }
+        ]
+      });
+    });
+  });
+});
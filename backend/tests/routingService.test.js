@@ -0,0 +1,212 @@
+const RoutingService = require('../services/routingService');
+const { sequelize } = require('../config/database');
+const { RoutingRule, Department, StatusHistory } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  RoutingRule: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  Department: {
+    findOne: jest.fn()
+  },
+  StatusHistory: {
+    create: jest.fn()
+  }
+}));
+
+const electrical = { id: 'department-1', name: 'Electrical' };
+const downtownElectrical = { id: 'department-2', name: 'Downtown Electrical' };
+
+const downtown = {
+  type: 'Polygon',
+  coordinates: [[[-74.02, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.02, 40.72], [-74.02, 40.70]]]
+};
+
+const createRule = (overrides = {}) => ({
+  id: 'rule-1',
+  name: 'Streetlights',
+  category: 'lighting',
+  zone: null,
+  priority: 0,
+  is_active: true,
+  department: electrical,
+  ...overrides
+});
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'issue-1',
+    category: 'lighting',
+    status: 'reported',
+    latitude: '40.71000000',
+    longitude: '-74.00500000',
+    ...overrides
+  };
+  issue.update = jest.fn(async (values) => Object.assign(issue, values));
+  return issue;
+};
+
+describe('RoutingService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('findMatchingRule', () => {
+    test('should prefer a rule whose zone contains the point', async () => {
+      const zoneRule = createRule({ id: 'rule-2', name: 'Downtown lights', zone: downtown, department: downtownElectrical });
+      RoutingRule.findAll.mockResolvedValue([createRule({ priority: 10 }), zoneRule]);
+
+      const rule = await RoutingService.findMatchingRule('lighting', 40.71, -74.005);
+
+      expect(RoutingRule.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { category: 'lighting', is_active: true },
+        order: [['priority', 'DESC'], ['created_at', 'ASC']]
+      }));
+      expect(rule).toBe(zoneRule);
+    });
+
+    test('should fall back to a rule without a zone outside every zone', async () => {
+      const fallback = createRule();
+      RoutingRule.findAll.mockResolvedValue([createRule({ id: 'rule-2', zone: downtown }), fallback]);
+
+      const rule = await RoutingService.findMatchingRule('lighting', 40.80, -74.005);
+
+      expect(rule).toBe(fallback);
+    });
+
+    test('should return null when no rule matches', async () => {
+      RoutingRule.findAll.mockResolvedValue([createRule({ zone: downtown })]);
+
+      const rule = await RoutingService.findMatchingRule('lighting', 40.80, -74.005);
+
+      expect(rule).toBeNull();
+    });
+  });
+
+  describe('routeIssue', () => {
+    test('should assign the department and record the rule in the history', async () => {
+      const issue = createIssue();
+      RoutingRule.findAll.mockResolvedValue([createRule()]);
+
+      const result = await RoutingService.routeIssue(issue);
+
+      expect(issue.update).toHaveBeenCalledWith({
+        assigned_department_id: 'department-1',
+        assigned_at: expect.any(Date)
+      }, { transaction });
+      expect(StatusHistory.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        previous_status: 'reported',
+        new_status: 'reported',
+        comment: 'Routed to Electrical by rule "Streetlights"',
+        updated_by: null
+      }, { transaction });
+      expect(result.routing).toEqual({
+        rule: { id: 'rule-1', name: 'Streetlights' },
+        department: electrical
+      });
+    });
+
+    test('should leave unmatched issues unassigned', async () => {
+      const issue = createIssue();
+      RoutingRule.findAll.mockResolvedValue([]);
+
+      const result = await RoutingService.routeIssue(issue);
+
+      expect(result).toEqual({ success: true, routing: null });
+      expect(issue.update).not.toHaveBeenCalled();
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should roll back when the history entry fails', async () => {
+      RoutingRule.findAll.mockResolvedValue([createRule()]);
+      StatusHistory.create.mockRejectedValueOnce(new Error('db down'));
+
+      const result = await RoutingService.routeIssue(createIssue());
+
+      expect(result.success).toBe(false);
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('createRule', () => {
+    test('should store the zone geometry of a GeoJSON feature', async () => {
+      Department.findOne.mockResolvedValue(electrical);
+      RoutingRule.create.mockImplementation(async (values) => ({ id: 'rule-1', ...values }));
+
+      const result = await RoutingService.createRule({
+        name: ' Downtown lights ',
+        category: 'lighting',
+        department_id: 'department-1',
+        zone: { type: 'Feature', properties: {}, geometry: downtown }
+      }, 'admin-1');
+
+      expect(RoutingRule.create).toHaveBeenCalledWith({
+        name: 'Downtown lights',
+        category: 'lighting',
+        zone: downtown,
+        department_id: 'department-1',
+        priority: 0,
+        is_active: true,
+        created_by: 'admin-1'
+      });
+      expect(result.rule.department).toEqual(electrical);
+    });
+
+    test('should reject unknown or inactive departments', async () => {
+      Department.findOne.mockResolvedValue(null);
+
+      const result = await RoutingService.createRule({
+        name: 'Streetlights',
+        category: 'lighting',
+        department_id: 'department-9'
+      }, 'admin-1');
+
+      expect(result.success).toBe(false);
+      expect(RoutingRule.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRule', () => {
+    test('should remove the zone when it is set to null', async () => {
+      const rule = createRule({ zone: downtown, department_id: 'department-1' });
+      rule.update = jest.fn(async (values) => Object.assign(rule, values));
+      RoutingRule.findByPk.mockResolvedValue(rule);
+      Department.findOne.mockResolvedValue(electrical);
+
+      const result = await RoutingService.updateRule('rule-1', { zone: null, priority: 5 });
+
+      expect(rule.update).toHaveBeenCalledWith({ department_id: 'department-1', priority: 5, zone: null });
+      expect(result.rule.zone).toBeNull();
+    });
+
+    test('should report missing rules as not found', async () => {
+      RoutingRule.findByPk.mockResolvedValue(null);
+
+      const result = await RoutingService.updateRule('rule-1', { priority: 5 });
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const jwt = require('jsonwebtoken');
+const SessionService = require('../services/sessionService');
+const { Op } = require('sequelize');
+const { UserSession, RefreshToken } = require('../models');
+
+jest.mock('../models', () => ({
+  User: {},
+  UserSession: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn()
+  },
+  RefreshToken: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const createUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'resident@example.com',
+  role: 'citizen',
+  is_verified: true,
+  is_banned: false,
+  banned_at: null,
+  password_changed_at: null,
+  ...overrides
+});
+
+const createSession = (overrides = {}) => ({
+  id: 'session-1',
+  user_id: 'user-1',
+  revoked_at: null,
+  createdAt: new Date(Date.now() - 60 * 60 * 1000),
+  user: createUser(),
+  update: jest.fn(),
+  ...overrides
+});
+
+const createRefreshToken = (overrides = {}) => ({
+  id: 'refresh-1',
+  session_id: 'session-1',
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  used_at: null,
+  session: createSession(),
+  ...overrides
+});
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation();
+    UserSession.update.mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('createSession', () => {
+    test('should issue an access token naming the session and a hashed refresh token', async () => {
+      const session = createSession();
+      UserSession.create.mockResolvedValue(session);
+
+      const result = await SessionService.createSession(createUser(), {
+        ipAddress: '127.0.0.1',
+        userAgent: 'Firefox'
+      });
+
+      expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        ip_address: '127.0.0.1',
+        user_agent: 'Firefox'
+      }));
+      expect(jwt.decode(result.token).sid).toBe('session-1');
+      expect(result.refreshToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(RefreshToken.create).toHaveBeenCalledWith({
+        session_id: 'session-1',
+        token_hash: SessionService.hashToken(result.refreshToken),
+        expires_at: expect.any(Date)
+      });
+      expect(session.update).toHaveBeenCalledWith(expect.objectContaining({ expires_at: expect.any(Date) }));
+    });
+  });
+
+  describe('refreshSession', () => {
+    test('should rotate the refresh token', async () => {
+      const record = createRefreshToken();
+      RefreshToken.findOne.mockResolvedValue(record);
+      RefreshToken.update.mockResolvedValue([1]);
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(true);
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { id: 'refresh-1', used_at: null } }
+      );
+      expect(result.refreshToken).not.toBe('a'.repeat(64));
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        session_id: 'session-1',
+        token_hash: SessionService.hashToken(result.refreshToken)
+      }));
+      expect(jwt.decode(result.token)).toEqual(expect.objectContaining({ id: 'user-1', sid: 'session-1' }));
+    });
+
+    test('should revoke the session when a used refresh token comes back', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({ used_at: new Date() }));
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reused: true }));
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'refresh_token_reuse' },
+        { where: { id: 'session-1', revoked_at: null } }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    test('should treat losing a concurrent refresh as reuse', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken());
+      RefreshToken.update.mockResolvedValue([0]);
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.reused).toBe(true);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens of a revoked session', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({
+        session: createSession({ revoked_at: new Date() })
+      }));
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+      expect(result.reused).toBeUndefined();
+      expect(RefreshToken.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject an expired refresh token', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({ expires_at: new Date(Date.now() - 1000) }));
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+      expect(RefreshToken.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse banned users', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({
+        session: createSession({ user: createUser({ is_banned: true, banned_at: new Date() }) })
+      }));
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result).toEqual(expect.objectContaining({ success: false, banned: true }));
+    });
+
+    test('should not revive a session started before a ban that was lifted', async () => {
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({
+        session: createSession({ user: createUser({ banned_at: new Date(Date.now() - 10 * 60 * 1000) }) })
+      }));
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+      expect(RefreshToken.update).not.toHaveBeenCalled();
+    });
+
+    test('should keep a session started just after a password reset, in the same second', async () => {
+      const changedAt = new Date(Math.floor(Date.now() / 1000) * 1000 - 60000 + 500);
+      RefreshToken.findOne.mockResolvedValue(createRefreshToken({
+        session: createSession({
+          createdAt: new Date(changedAt.getTime() + 100),
+          user: createUser({ password_changed_at: changedAt })
+        })
+      }));
+      RefreshToken.update.mockResolvedValue([1]);
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(true);
+      expect(jwt.decode(result.token).iatMs).toBeGreaterThan(changedAt.getTime());
+    });
+
+    test('should reject unknown refresh tokens', async () => {
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const result = await SessionService.refreshSession('a'.repeat(64));
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('describeDevice', () => {
+    test('should name the browser and operating system', () => {
+      expect(SessionService.describeDevice(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0'
+      )).toBe('Edge on Windows');
+      expect(SessionService.describeDevice(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+      )).toBe('Safari on iOS');
+      expect(SessionService.describeDevice(
+        'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+      )).toBe('Chrome on Android');
+      expect(SessionService.describeDevice('curl/8.4.0')).toBe('Unknown device');
+      expect(SessionService.describeDevice(null)).toBe('Unknown device');
+    });
+  });
+
+  describe('listSessions', () => {
+    test('should list active sessions and mark the current one', async () => {
+      UserSession.findAll.mockResolvedValue([
+        createSession({ id: 'session-2', user_agent: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0', ip_address: '203.0.113.7' }),
+        createSession({ user_agent: null, ip_address: '198.51.100.2' })
+      ]);
+
+      const sessions = await SessionService.listSessions('user-1', 'session-1');
+
+      expect(UserSession.findAll).toHaveBeenCalledWith({
+        where: { user_id: 'user-1', revoked_at: null, expires_at: { [Op.gt]: expect.any(Date) } },
+        order: [['last_used_at', 'DESC']]
+      });
+      expect(sessions).toEqual([
+        expect.objectContaining({ id: 'session-2', device: 'Firefox on Linux', ip_address: '203.0.113.7', current: false }),
+        expect.objectContaining({ id: 'session-1', device: 'Unknown device', ip_address: '198.51.100.2', current: true })
+      ]);
+      expect(sessions[0]).not.toHaveProperty('user');
+    });
+  });
+
+  describe('revokeUserSession', () => {
+    test('should only revoke sessions of the user', async () => {
+      UserSession.findOne.mockResolvedValue(null);
+
+      const result = await SessionService.revokeUserSession('user-1', 'session-9');
+
+      expect(UserSession.findOne).toHaveBeenCalledWith({
+        where: { id: 'session-9', user_id: 'user-1', revoked_at: null }
+      });
+      expect(result).toEqual(expect.objectContaining({ success: false, notFound: true }));
+      expect(UserSession.update).not.toHaveBeenCalled();
+    });
+
+    test('should revoke the session', async () => {
+      UserSession.findOne.mockResolvedValue(createSession({ id: 'session-2' }));
+
+      const result = await SessionService.revokeUserSession('user-1', 'session-2');
+
+      expect(result).toEqual({ success: true });
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'user' },
+        { where: { id: 'session-2', revoked_at: null } }
+      );
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    test('should revoke every active session of the user', async () => {
+      UserSession.update.mockResolvedValue([3]);
+
+      const revoked = await SessionService.revokeAllSessions('user-1', 'password_reset');
+
+      expect(revoked).toBe(3);
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'password_reset' },
+        { where: { user_id: 'user-1', revoked_at: null } }
+      );
+    });
+
+    test('should revoke the sessions in the transaction of the caller', async () => {
+      const transaction = { id: 'ban-transaction' };
+      UserSession.update.mockResolvedValue([1]);
+
+      await SessionService.revokeAllSessions('user-1', 'ban', { transaction });
+
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'ban' },
+        { where: { user_id: 'user-1', revoked_at: null }, transaction }
+      );
+    });
+
+    test('should keep the current session when logging out everywhere else', async () => {
+      UserSession.update.mockResolvedValue([2]);
+
+      const revoked = await SessionService.revokeAllSessions('user-1', 'user', { exceptSessionId: 'session-1' });
+
+      expect(revoked).toBe(2);
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'user' },
+        { where: { user_id: 'user-1', revoked_at: null, id: { [Op.ne]: 'session-1' } } }
+      );
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const SlaService = require('../services/slaService');
+const NotificationService = require('../services/notificationService');
+const { SlaTarget, Issue, StatusHistory } = require('../models');
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => ({
+  SlaTarget: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  Issue: {
+    findAll: jest.fn()
+  },
+  StatusHistory: {
+    findAll: jest.fn()
+  },
+  Department: {}
+}));
+
+jest.mock('../services/notificationService', () => ({
+  notifySlaBreach: jest.fn()
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+const water = { id: 'target-1', category: 'water', response_hours: 24, resolution_hours: 72 };
+const publicWorks = { id: 'department-1', name: 'Public Works' };
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'issue-1',
+    title: 'Burst water main',
+    category: 'water',
+    status: 'reported',
+    is_overdue: false,
+    assigned_department_id: 'department-1',
+    assignedDepartment: publicWorks,
+    created_at: hoursAgo(30),
+    ...overrides
+  };
+  issue.update = jest.fn(async (values) => Object.assign(issue, values));
+  return issue;
+};
+
+const statusChange = (issueId, previousStatus, newStatus, hoursAfterCreation, createdHoursAgo) => ({
+  issue_id: issueId,
+  previous_status: previousStatus,
+  new_status: newStatus,
+  updated_at: hoursAgo(createdHoursAgo - hoursAfterCreation)
+});
+
+describe('SlaService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('upsertTarget', () => {
+    test('should create a target for a new category', async () => {
+      SlaTarget.findOne.mockResolvedValue(null);
+      SlaTarget.create.mockImplementation(async (values) => ({ id: 'target-1', ...values }));
+
+      const result = await SlaService.upsertTarget('water', { response_hours: 24, resolution_hours: 72 }, 'admin-1');
+
+      expect(result.success).toBe(true);
+      expect(result.created).toBe(true);
+      expect(SlaTarget.create).toHaveBeenCalledWith({
+        category: 'water',
+        response_hours: 24,
+        resolution_hours: 72,
+        updated_by: 'admin-1'
+      });
+    });
+
+    test('should update an existing target', async () => {
+      const target = { ...water, update: jest.fn() };
+      SlaTarget.findOne.mockResolvedValue(target);
+
+      const result = await SlaService.upsertTarget('water', { response_hours: 12, resolution_hours: 48 }, 'admin-1');
+
+      expect(result.created).toBe(false);
+      expect(target.update).toHaveBeenCalledWith({ response_hours: 12, resolution_hours: 48, updated_by: 'admin-1' });
+      expect(SlaTarget.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject a resolution target shorter than the response target', async () => {
+      const result = await SlaService.upsertTarget('water', { response_hours: 48, resolution_hours: 24 }, 'admin-1');
+
+      expect(result.success).toBe(false);
+      expect(SlaTarget.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteTarget', () => {
+    test('should report a category without a target as not found', async () => {
+      SlaTarget.findOne.mockResolvedValue(null);
+
+      const result = await SlaService.deleteTarget('water');
+
+      expect(result.notFound).toBe(true);
+    });
+  });
+
+  describe('runEscalation', () => {
+    test('should mark unacknowledged issues overdue and escalate them once', async () => {
+      const issue = createIssue();
+      SlaTarget.findAll.mockResolvedValue([water]);
+      Issue.findAll
+        .mockResolvedValueOnce([issue])
+        .mockResolvedValueOnce([]);
+
+      const result = await SlaService.runEscalation(now);
+
+      const responseQuery = Issue.findAll.mock.calls[0][0];
+      expect(responseQuery.where).toEqual(expect.objectContaining({
+        category: 'water',
+        status: 'reported',
+        response_breached_at: null,
+        created_at: { [Op.lte]: hoursAgo(24) }
+      }));
+      expect(issue.update).toHaveBeenCalledWith({ is_overdue: true, response_breached_at: now });
+      expect(NotificationService.notifySlaBreach).toHaveBeenCalledWith(issue, 'response', 24);
+      expect(result.escalated).toEqual({ response: 1, resolution: 0 });
+    });
+
+    test('should escalate unresolved issues past the resolution target', async () => {
+      const issue = createIssue({ status: 'in_progress', created_at: hoursAgo(80) });
+      SlaTarget.findAll.mockResolvedValue([water]);
+      Issue.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([issue]);
+
+      const result = await SlaService.runEscalation(now);
+
+      const resolutionQuery = Issue.findAll.mock.calls[1][0];
+      expect(resolutionQuery.where).toEqual(expect.objectContaining({
+        status: ['reported', 'acknowledged', 'in_progress', 'reopened'],
+        resolution_breached_at: null,
+        created_at: { [Op.lte]: hoursAgo(72) }
+      }));
+      expect(issue.update).toHaveBeenCalledWith({ is_overdue: true, resolution_breached_at: now });
+      expect(NotificationService.notifySlaBreach).toHaveBeenCalledWith(issue, 'resolution', 72);
+      expect(result.escalated).toEqual({ response: 0, resolution: 1 });
+    });
+
+    test('should do nothing without targets', async () => {
+      SlaTarget.findAll.mockResolvedValue([]);
+
+      const result = await SlaService.runEscalation(now);
+
+      expect(Issue.findAll).not.toHaveBeenCalled();
+      expect(result.escalated).toEqual({ response: 0, resolution: 0 });
+    });
+  });
+
+  describe('getCompliance', () => {
+    test('should count met, breached and pending milestones per category and department', async () => {
+      SlaTarget.findAll.mockResolvedValue([water]);
+      Issue.findAll.mockResolvedValue([
+        // Acknowledged after 2h, resolved after 50h
+        createIssue({ id: 'issue-1', status: 'resolved', created_at: hoursAgo(100) }),
+        // Acknowledged after 30h, still open past 72h
+        createIssue({ id: 'issue-2', status: 'in_progress', is_overdue: true, created_at: hoursAgo(90) }),
+        // Reported 5h ago, nothing due yet
+        createIssue({ id: 'issue-3', created_at: hoursAgo(5), assigned_department_id: null, assignedDepartment: null })
+      ]);
+      StatusHistory.findAll.mockResolvedValue([
+        statusChange('issue-1', 'reported', 'in_progress', 2, 100),
+        statusChange('issue-2', 'reported', 'reported', 1, 90),
+        statusChange('issue-2', 'reported', 'in_progress', 30, 90),
+        statusChange('issue-1', 'in_progress', 'resolved', 50, 100)
+      ]);
+
+      const compliance = await SlaService.getCompliance({}, now);
+
+      expect(compliance.overdue).toBe(1);
+      expect(compliance.by_category).toEqual([
+        {
+          category: 'water',
+          response: { met: 1, breached: 1, pending: 1, compliance_rate: 50 },
+          resolution: { met: 1, breached: 1, pending: 1, compliance_rate: 50 }
+        }
+      ]);
+      expect(compliance.by_department).toEqual([
+        {
+          department: publicWorks,
+          response: { met: 1, breached: 1, pending: 0, compliance_rate: 50 },
+          resolution: { met: 1, breached: 1, pending: 0, compliance_rate: 50 }
+        },
+        {
+          department: null,
+          response: { met: 0, breached: 0, pending: 1, compliance_rate: null },
+          resolution: { met: 0, breached: 0, pending: 1, compliance_rate: null }
+        }
+      ]);
+    });
+
+    test('should skip the issue query for a category without a target', async () => {
+      SlaTarget.findAll.mockResolvedValue([water]);
+
+      const compliance = await SlaService.getCompliance({ category: 'roads' }, now);
+
+      expect(Issue.findAll).not.toHaveBeenCalled();
+      expect(compliance.by_category).toEqual([]);
+      expect(compliance.targets).toHaveLength(1);
+    });
+  });
+});
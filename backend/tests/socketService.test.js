@@ -0,0 +1,174 @@
+const SocketService = require('../services/socketService');
+const { resolveTokenUser } = require('../middleware/auth');
+
+jest.mock('../middleware/auth', () => ({
+  resolveTokenUser: jest.fn()
+}));
+
+const createMockSocket = (handshake = {}) => ({
+  handshake: { auth: {}, headers: {}, ...handshake },
+  data: {},
+  join: jest.fn(),
+  leave: jest.fn(),
+  on: jest.fn()
+});
+
+describe('SocketService', () => {
+  let emit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emit = jest.fn();
+    SocketService.io = {
+      to: jest.fn(() => ({ emit }))
+    };
+  });
+
+  afterAll(() => {
+    SocketService.io = null;
+  });
+
+  describe('authenticateSocket', () => {
+    it('should attach the resolved user for a valid token', async () => {
+      const user = { id: 'user-123', role: 'citizen', isAnonymous: false };
+      resolveTokenUser.mockResolvedValue(user);
+      const socket = createMockSocket({ auth: { token: 'valid-token' } });
+      const next = jest.fn();
+
+      await SocketService.authenticateSocket(socket, next);
+
+      expect(resolveTokenUser).toHaveBeenCalledWith('valid-token');
+      expect(socket.data.user).toEqual(user);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should read the token from the Authorization header', async () => {
+      resolveTokenUser.mockResolvedValue({ id: 'user-123' });
+      const socket = createMockSocket({ headers: { authorization: 'Bearer header-token' } });
+
+      await SocketService.authenticateSocket(socket, jest.fn());
+
+      expect(resolveTokenUser).toHaveBeenCalledWith('header-token');
+    });
+
+    it('should reject sockets with an invalid token', async () => {
+      const authError = new Error('User account has been banned');
+      authError.status = 403;
+      authError.code = 'USER_BANNED';
+      resolveTokenUser.mockRejectedValue(authError);
+      const socket = createMockSocket({ auth: { token: 'banned-token' } });
+      const next = jest.fn();
+
+      await SocketService.authenticateSocket(socket, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error).toBeInstanceOf(Error);
+      expect(error.data.code).toBe('USER_BANNED');
+    });
+
+    it('should allow map viewers without a token', async () => {
+      const socket = createMockSocket();
+      const next = jest.fn();
+
+      await SocketService.authenticateSocket(socket, next);
+
+      expect(resolveTokenUser).not.toHaveBeenCalled();
+      expect(socket.data.user.isAnonymous).toBe(true);
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('handleConnection', () => {
+    it('should join the personal room of a registered user', () => {
+      const socket = createMockSocket();
+      socket.data.user = { id: 'user-123', isAnonymous: false };
+
+      SocketService.handleConnection(socket);
+
+      expect(socket.join).toHaveBeenCalledWith('user:user-123');
+    });
+
+    it('should join a hashed session room for anonymous reporters', () => {
+      const socket = createMockSocket();
+      socket.data.user = { id: null, isAnonymous: true, sessionToken: 'session-token' };
+
+      SocketService.handleConnection(socket);
+
+      const room = socket.join.mock.calls[0][0];
+      expect(room).toBe(SocketService.getSessionRoom('session-token'));
+      expect(room).not.toContain('session-token');
+    });
+  });
+
+  describe('geographic rooms', () => {
+    it('should join the 3x3 block of cells around the viewer', () => {
+      const socket = createMockSocket();
+
+      const result = SocketService.joinGeoRooms(socket, { latitude: 37.7749, longitude: -122.4194 });
+
+      expect(result.success).toBe(true);
+      expect(result.rooms).toHaveLength(9);
+      expect(socket.join).toHaveBeenCalledTimes(9);
+    });
+
+    it('should replace a previous map subscription', () => {
+      const socket = createMockSocket();
+      SocketService.joinGeoRooms(socket, { latitude: 37.7749, longitude: -122.4194 });
+
+      SocketService.joinGeoRooms(socket, { latitude: 40.7128, longitude: -74.0060 });
+
+      expect(socket.leave).toHaveBeenCalledTimes(9);
+      expect(socket.data.geoRooms).toEqual(SocketService.getGeoRoomsAround(40.7128, -74.0060));
+    });
+
+    it('should reject invalid coordinates', () => {
+      const socket = createMockSocket();
+
+      const result = SocketService.joinGeoRooms(socket, { latitude: 120, longitude: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INVALID_COORDINATES');
+      expect(socket.join).not.toHaveBeenCalled();
+    });
+
+    it('should broadcast issues to the room of their cell', () => {
+      const issue = {
+        id: 'issue-123',
+        title: 'Pothole',
+        category: 'roads',
+        status: 'reported',
+        latitude: '37.77490000',
+        longitude: '-122.41940000'
+      };
+
+      const sent = SocketService.broadcastIssueEvent('issue:created', issue);
+
+      const { row, col } = SocketService.getGeoCell(37.7749, -122.4194);
+      expect(sent).toBe(true);
+      expect(SocketService.io.to).toHaveBeenCalledWith(SocketService.getGeoRoom(row, col));
+      expect(emit).toHaveBeenCalledWith('issue:created', expect.objectContaining({
+        issue: expect.objectContaining({ id: 'issue-123', latitude: 37.7749 })
+      }));
+    });
+
+    it('should never broadcast hidden issues', () => {
+      const sent = SocketService.broadcastIssueEvent('issue:updated', {
+        id: 'issue-123',
+        latitude: 37.7749,
+        longitude: -122.4194,
+        is_hidden: true
+      });
+
+      expect(sent).toBe(false);
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emitToUser', () => {
+    it('should be a no-op when Socket.io is not initialized', () => {
+      SocketService.io = null;
+
+      expect(SocketService.emitToUser('user-123', 'issue:status_changed', {})).toBe(false);
+    });
+  });
+});
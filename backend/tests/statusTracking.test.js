@@ -1,7 +1,22 @@
 const request = require('supertest');
-const app = require('../server');
+const app = require('../app');
 const { sequelize, User, Issue, StatusHistory } = require('../models');
 const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const path = require('path');
+const { generateToken } = require('../middleware/auth');
+const WorkflowService = require('../services/workflowService');
+
+// Files the upload middleware stored under uploads/issues
+const listUploadedFiles = (dir = path.join(__dirname, '../uploads/issues')) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+    entry.isDirectory() ? listUploadedFiles(path.join(dir, entry.name)) : [path.join(dir, entry.name)]
+  ));
+};
 
 describe('Status Tracking System', () => {
   let testUser, testAuthority, testIssue, authToken, authorityToken;
@@ -192,6 +207,7 @@ describe('Status Tracking System', () => {
         .expect(400);
 
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0]).toMatchObject({ field: 'comment', code: 'COMMENT_REQUIRED' });
     });
 
     it('should require authority role for status updates', async () => {
@@ -316,6 +332,142 @@ describe('Status Tracking System', () => {
       expect(history[1].previous_status).toBe('in_progress');
       expect(history[1].new_status).toBe('resolved');
     });
+
+    it('should store after photos uploaded with a status update', async () => {
+      const response = await request(app)
+        .patch(`/api/issues/${testIssue.id}/status`)
+        .query({
+          userLat: 40.7128,
+          userLng: -74.0060
+        })
+        .set('Authorization', `Bearer ${generateToken(testAuthority)}`)
+        .field('status', 'resolved')
+        .field('comment', 'Pothole filled and resurfaced')
+        .attach('photos', Buffer.from('fake-image-data'), 'repaired.jpg')
+        .expect(200);
+
+      expect(response.body.issue.statusHistory[0].photos).toHaveLength(1);
+      expect(response.body.issue.statusHistory[0].photos[0]).toHaveProperty('originalName', 'repaired.jpg');
+
+      const history = await StatusHistory.findOne({
+        where: { issue_id: testIssue.id, new_status: 'resolved' }
+      });
+
+      expect(history.photos).toHaveLength(1);
+      expect(history.photos[0]).toMatchObject({ originalName: 'repaired.jpg', mimetype: 'image/jpeg' });
+      expect(fs.existsSync(path.join(__dirname, '../uploads', history.photos[0].path))).toBe(true);
+
+      // The reporter's photos stay untouched, the after photos are listed separately
+      const details = await request(app)
+        .get(`/api/issues/${testIssue.id}`)
+        .query({
+          userLat: 40.7128,
+          userLng: -74.0060
+        })
+        .expect(200);
+
+      expect(details.body.issue.photos).toEqual([]);
+      expect(details.body.issue.after_photos).toHaveLength(1);
+      expect(details.body.issue.after_photos[0]).toMatchObject({
+        originalName: 'repaired.jpg',
+        status: 'resolved'
+      });
+    });
+  });
+
+  describe('Uploads of rejected status updates', () => {
+    it('should require a photo where the workflow asks for one', async () => {
+      // The default workflow requires no photo; a deployment can add it to any transition
+      const findTransition = jest.spyOn(WorkflowService, 'findTransition').mockReturnValue({
+        from: ['reported'],
+        to: 'resolved',
+        roles: ['authority', 'admin'],
+        requires: ['comment', 'photo']
+      });
+
+      const response = await request(app)
+        .patch(`/api/issues/${testIssue.id}/status`)
+        .query({
+          userLat: 40.7128,
+          userLng: -74.0060
+        })
+        .set('Authorization', `Bearer ${generateToken(testAuthority)}`)
+        .send({
+          status: 'resolved',
+          comment: 'Pothole filled and resurfaced'
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0]).toMatchObject({ field: 'photo', code: 'PHOTO_REQUIRED' });
+      findTransition.mockRestore();
+    });
+
+    it('should not keep photos of an update that is rejected', async () => {
+      const filesBefore = listUploadedFiles();
+
+      const response = await request(app)
+        .patch(`/api/issues/${testIssue.id}/status`)
+        .query({
+          userLat: 40.7128,
+          userLng: -74.0060
+        })
+        .set('Authorization', `Bearer ${generateToken(testAuthority)}`)
+        .field('status', 'closed') // Not reachable from reported
+        .field('comment', 'Closing right away')
+        .attach('photos', Buffer.from('fake-image-data'), 'repaired.jpg')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(listUploadedFiles()).toEqual(filesBefore);
+    });
+
+    it('should not accept photos from callers without a login', async () => {
+      const filesBefore = listUploadedFiles();
+
+      await request(app)
+        .patch(`/api/issues/${testIssue.id}/status`)
+        .query({
+          userLat: 40.7128,
+          userLng: -74.0060
+        })
+        .field('status', 'resolved')
+        .field('comment', 'Pothole filled and resurfaced')
+        .attach('photos', Buffer.from('fake-image-data'), 'repaired.jpg')
+        .expect(401);
+
+      expect(listUploadedFiles()).toEqual(filesBefore);
+    });
+  });
+
+  describe('Uploads of rejected reopen requests', () => {
+    it('should not keep photos when the issue cannot be reopened', async () => {
+      const filesBefore = listUploadedFiles();
+
+      const response = await request(app)
+        .post(`/api/issues/${testIssue.id}/reopen`)
+        .set('Authorization', `Bearer ${generateToken(testUser)}`)
+        .field('comment', 'The pothole is still there')
+        .attach('photos', Buffer.from('fake-image-data'), 'still-broken.jpg')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('REVIEW_ERROR');
+      expect(listUploadedFiles()).toEqual(filesBefore);
+    });
+
+    it('should not keep photos sent by someone other than the reporter', async () => {
+      const filesBefore = listUploadedFiles();
+
+      const response = await request(app)
+        .post(`/api/issues/${testIssue.id}/reopen`)
+        .set('Authorization', `Bearer ${generateToken(testAuthority)}`)
+        .field('comment', 'The pothole is still there')
+        .attach('photos', Buffer.from('fake-image-data'), 'still-broken.jpg')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('NOT_ISSUE_REPORTER');
+      expect(listUploadedFiles()).toEqual(filesBefore);
+    });
   });
 
   describe('Status Change Notifications', () => {
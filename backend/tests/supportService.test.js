@@ -0,0 +1,168 @@
+const SupportService = require('../services/supportService');
+const { sequelize } = require('../config/database');
+const { IssueSupport, Issue } = require('../models');
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../models', () => ({
+  Issue: {
+    findOne: jest.fn()
+  },
+  IssueSupport: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn()
+  }
+}));
+
+const createIssue = (overrides = {}) => {
+  const issue = {
+    id: 'issue-1',
+    reporter_id: 'reporter-1',
+    reporter_session: null,
+    support_count: 2,
+    ...overrides
+  };
+  issue.increment = jest.fn(async () => { issue.support_count += 1; });
+  issue.decrement = jest.fn(async () => { issue.support_count -= 1; });
+  issue.reload = jest.fn(async () => issue);
+  return issue;
+};
+
+describe('SupportService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    transaction = {
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('supportIssue', () => {
+    test('should record a vote and increment the support count', async () => {
+      const issue = createIssue();
+      Issue.findOne.mockResolvedValue(issue);
+      IssueSupport.findOne.mockResolvedValue(null);
+
+      const result = await SupportService.supportIssue('issue-1', 'user-1', null);
+
+      expect(result).toEqual({
+        success: true,
+        issue: { id: 'issue-1', support_count: 3, supported: true }
+      });
+      expect(IssueSupport.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        supported_by: 'user-1',
+        supporter_session: null
+      }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should store the session token of anonymous supporters', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      IssueSupport.findOne.mockResolvedValue(null);
+
+      await SupportService.supportIssue('issue-1', null, 'session-1');
+
+      expect(IssueSupport.create).toHaveBeenCalledWith({
+        issue_id: 'issue-1',
+        supported_by: null,
+        supporter_session: 'session-1'
+      }, { transaction });
+    });
+
+    test('should reject a second vote from the same supporter', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      IssueSupport.findOne.mockResolvedValue({ id: 'support-1' });
+
+      const result = await SupportService.supportIssue('issue-1', 'user-1', null);
+
+      expect(result.success).toBe(false);
+      expect(result.conflict).toBe(true);
+      expect(IssueSupport.create).not.toHaveBeenCalled();
+    });
+
+    test('should treat a unique constraint race as an existing vote', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      IssueSupport.findOne.mockResolvedValue(null);
+      IssueSupport.create.mockRejectedValueOnce(Object.assign(new Error('duplicate'), {
+        name: 'SequelizeUniqueConstraintError'
+      }));
+
+      const result = await SupportService.supportIssue('issue-1', 'user-1', null);
+
+      expect(result.conflict).toBe(true);
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    test('should not let reporters support their own issue', async () => {
+      Issue.findOne.mockResolvedValue(createIssue({ reporter_id: null, reporter_session: 'session-1' }));
+      IssueSupport.findOne.mockResolvedValue(null);
+
+      const result = await SupportService.supportIssue('issue-1', null, 'session-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('own issue');
+    });
+
+    test('should report hidden or merged issues as not found', async () => {
+      Issue.findOne.mockResolvedValue(null);
+
+      const result = await SupportService.supportIssue('issue-1', 'user-1', null);
+
+      expect(result.notFound).toBe(true);
+      expect(Issue.findOne).toHaveBeenCalledWith({
+        where: { id: 'issue-1', is_hidden: false, merged_into_id: null }
+      });
+    });
+  });
+
+  describe('removeSupport', () => {
+    test('should delete the vote and decrement the support count', async () => {
+      const support = { destroy: jest.fn() };
+      Issue.findOne.mockResolvedValue(createIssue());
+      IssueSupport.findOne.mockResolvedValue(support);
+
+      const result = await SupportService.removeSupport('issue-1', 'user-1', null);
+
+      expect(support.destroy).toHaveBeenCalledWith({ transaction });
+      expect(result.issue).toEqual({ id: 'issue-1', support_count: 1, supported: false });
+    });
+
+    test('should report a missing vote as not found', async () => {
+      Issue.findOne.mockResolvedValue(createIssue());
+      IssueSupport.findOne.mockResolvedValue(null);
+
+      const result = await SupportService.removeSupport('issue-1', 'user-1', null);
+
+      expect(result.success).toBe(false);
+      expect(result.notFound).toBe(true);
+    });
+  });
+
+  describe('hasSupported', () => {
+    test('should be false without a user or session', async () => {
+      expect(await SupportService.hasSupported('issue-1', null, null)).toBe(false);
+      expect(IssueSupport.count).not.toHaveBeenCalled();
+    });
+
+    test('should be true when a vote exists', async () => {
+      IssueSupport.count.mockResolvedValue(1);
+
+      expect(await SupportService.hasSupported('issue-1', 'user-1', null)).toBe(true);
+    });
+  });
+});
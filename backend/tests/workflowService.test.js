@@ -0,0 +1,141 @@
+const WorkflowService = require('../services/workflowService');
+
+describe('WorkflowService', () => {
+  describe('definition', () => {
+    test('should start issues as reported', () => {
+      expect(WorkflowService.getInitialStatus()).toBe('reported');
+    });
+
+    test('should list open statuses only', () => {
+      expect(WorkflowService.getOpenStatuses()).toEqual(['reported', 'acknowledged', 'in_progress', 'reopened']);
+      expect(WorkflowService.isOpen('rejected')).toBe(false);
+      expect(WorkflowService.isOpen('unknown')).toBe(false);
+    });
+
+    test('should reject transitions to unknown statuses', () => {
+      expect(() => WorkflowService.validateDefinition({
+        initial: 'reported',
+        statuses: [{ key: 'reported' }],
+        transitions: [{ from: ['reported'], to: 'archived', roles: ['admin'], requires: [] }]
+      })).toThrow('unknown status "archived"');
+    });
+
+    test('should reject required reasons without a reason list', () => {
+      expect(() => WorkflowService.validateDefinition({
+        initial: 'reported',
+        statuses: [{ key: 'reported' }, { key: 'rejected' }],
+        transitions: [{ from: ['reported'], to: 'rejected', roles: ['admin'], requires: ['reason'] }]
+      })).toThrow('lists none');
+    });
+
+    test('should reject a reporter review with unknown statuses', () => {
+      expect(() => WorkflowService.validateDefinition({
+        initial: 'reported',
+        statuses: [{ key: 'reported' }, { key: 'resolved' }],
+        transitions: [],
+        reporter_review: { status: 'resolved', confirm: 'closed', reopen: 'reported' }
+      })).toThrow('confirm status "closed"');
+    });
+  });
+
+  describe('getAvailableTransitions', () => {
+    test('should only offer transitions permitted for the role', () => {
+      const authority = WorkflowService.getAvailableTransitions('closed', 'authority');
+      const admin = WorkflowService.getAvailableTransitions('closed', 'admin');
+
+      expect(authority).toEqual([]);
+      expect(admin.map(transition => transition.to)).toEqual(['reopened']);
+    });
+  });
+
+  describe('checkTransition', () => {
+    test('should allow a defined transition with its required fields', () => {
+      const result = WorkflowService.checkTransition('reported', 'in_progress', 'authority', { comment: 'Crew scheduled' });
+
+      expect(result.allowed).toBe(true);
+      expect(result.transition.to).toBe('in_progress');
+    });
+
+    test('should allow acknowledging without a comment', () => {
+      expect(WorkflowService.checkTransition('reported', 'acknowledged', 'authority').allowed).toBe(true);
+    });
+
+    test('should report an unchanged status', () => {
+      expect(WorkflowService.checkTransition('reported', 'reported', 'admin').code).toBe('STATUS_UNCHANGED');
+    });
+
+    test('should refuse transitions the workflow does not define', () => {
+      const result = WorkflowService.checkTransition('closed', 'in_progress', 'admin', { comment: 'Back to work' });
+
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    test('should refuse transitions the role is not permitted to make', () => {
+      const result = WorkflowService.checkTransition('closed', 'reopened', 'authority', { comment: 'Still broken' });
+
+      expect(result.forbidden).toBe(true);
+      expect(result.code).toBe('TRANSITION_NOT_PERMITTED');
+    });
+
+    test('should require a comment where the transition asks for one', () => {
+      const result = WorkflowService.checkTransition('in_progress', 'resolved', 'authority', { comment: '  ' });
+
+      expect(result.code).toBe('COMMENT_REQUIRED');
+      expect(result.missing).toBe('comment');
+    });
+
+    test('should require an uploaded photo where the transition asks for one', () => {
+      const findTransition = jest.spyOn(WorkflowService, 'findTransition').mockReturnValue({
+        from: ['in_progress'],
+        to: 'resolved',
+        roles: ['authority'],
+        requires: ['comment', 'photo']
+      });
+      const missing = WorkflowService.checkTransition('in_progress', 'resolved', 'authority', {
+        comment: 'Pothole filled',
+        photos: []
+      });
+      const valid = WorkflowService.checkTransition('in_progress', 'resolved', 'authority', {
+        comment: 'Pothole filled',
+        photos: [{ relativePath: 'issues/2024/01/01/after.jpg' }]
+      });
+
+      expect(missing.code).toBe('PHOTO_REQUIRED');
+      expect(missing.missing).toBe('photo');
+      expect(valid.allowed).toBe(true);
+      findTransition.mockRestore();
+    });
+
+    test('should resolve issues without a photo by default', () => {
+      const result = WorkflowService.checkTransition('in_progress', 'resolved', 'authority', { comment: 'Pothole filled' });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should require a known reason for rejections', () => {
+      const missing = WorkflowService.checkTransition('reported', 'rejected', 'authority', { comment: 'Not ours' });
+      const unknown = WorkflowService.checkTransition('reported', 'rejected', 'authority', {
+        comment: 'Not ours',
+        reason: 'bored'
+      });
+      const valid = WorkflowService.checkTransition('reported', 'rejected', 'authority', {
+        comment: 'Not ours',
+        reason: 'out_of_jurisdiction'
+      });
+
+      expect(missing.code).toBe('REASON_REQUIRED');
+      expect(unknown.code).toBe('INVALID_REASON');
+      expect(valid.allowed).toBe(true);
+    });
+
+    test('should refuse a reason on transitions without reasons', () => {
+      const result = WorkflowService.checkTransition('reported', 'in_progress', 'authority', {
+        comment: 'Crew scheduled',
+        reason: 'not_actionable'
+      });
+
+      expect(result.code).toBe('INVALID_REASON');
+    });
+  });
+});
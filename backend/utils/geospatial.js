@@ -30,6 +30,26 @@ class GeospatialUtils {
     return parseFloat(result[0].distance_km);
   }
   
+  /**
+   * Calculate distance between two points in kilometers without the database (haversine)
+   * @param {number} lat1 - Latitude of first point
+   * @param {number} lng1 - Longitude of first point
+   * @param {number} lat2 - Latitude of second point
+   * @param {number} lng2 - Longitude of second point
+   * @returns {number} Distance in kilometers
+   */
+  static haversineDistance(lat1, lng1, lat2, lng2) {
+    const earthRadiusKm = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    
+    return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+  
   /**
    * Check if a point is within a certain radius of another point
    * @param {number} centerLat - Center point latitude
@@ -133,15 +153,7 @@ class GeospatialUtils {
             ),
             'distance_meters'
           ],
-          [
-            sequelize.literal(`
-              ST_Distance(
-                location::geography,
-                ST_SetSRID(ST_MakePoint(${centerLng}, ${centerLat}), 4326)::geography
-              ) / 1000
-            `),
-            'distance_km'
-          ]
+          this.getDistanceKmAttribute(centerLat, centerLng)
         ]
       },
       where: this.getWithinRadiusCondition(centerLat, centerLng, radiusKm),
@@ -151,6 +163,24 @@ class GeospatialUtils {
     };
   }
   
+  /**
+   * Get the geodesic distance from a point to each issue as a distance_km attribute
+   * @param {number} centerLat - Center point latitude
+   * @param {number} centerLng - Center point longitude
+   * @returns {Array} Sequelize attribute [expression, alias]
+   */
+  static getDistanceKmAttribute(centerLat, centerLng) {
+    return [
+      sequelize.literal(`
+        ST_Distance(
+          location::geography,
+          ST_SetSRID(ST_MakePoint(${centerLng}, ${centerLat}), 4326)::geography
+        ) / 1000
+      `),
+      'distance_km'
+    ];
+  }
+  
   /**
    * Normalize coordinates to standard precision
    * @param {number} latitude - Latitude to normalize
@@ -232,7 +262,111 @@ class GeospatialUtils {
    * @returns {object} Sequelize where condition for bounding box
    */
   static getBoundingBoxCondition(centerLat, centerLng, radiusKm) {
-    const bbox = this.getBoundingBox(centerLat, centerLng, radiusKm);
+    return this.getWithinBoundingBoxCondition(
+      this.getBoundingBox(centerLat, centerLng, radiusKm)
+    );
+  }
+  
+  /**
+   * Parse a bbox query value ("minLng,minLat,maxLng,maxLat")
+   * @param {string|number[]} value - Comma separated string or array of four numbers
+   * @returns {object|null} Bounding box {north, south, east, west} or null if invalid
+   */
+  static parseBoundingBox(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    
+    if (parts.length !== 4 || parts.some(part => String(part).trim() === '')) {
+      return null;
+    }
+    
+    const [west, south, east, north] = parts.map(part => Number(part));
+    
+    if (!this.validateCoordinates(south, west) || !this.validateCoordinates(north, east)) {
+      return null;
+    }
+    
+    // Boxes crossing the antimeridian are not supported
+    if (west >= east || south >= north) {
+      return null;
+    }
+    
+    return { north, south, east, west };
+  }
+  
+  /**
+   * Extract the geometry of a GeoJSON zone (Polygon, MultiPolygon or a Feature wrapping one)
+   * @param {object} zone - GeoJSON object
+   * @returns {object|null} Polygon or MultiPolygon geometry, or null if invalid
+   */
+  static parseZone(zone) {
+    const geometry = zone && zone.type === 'Feature' ? zone.geometry : zone;
+    
+    if (!geometry || !Array.isArray(geometry.coordinates)) {
+      return null;
+    }
+    
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : null;
+    
+    if (!polygons || polygons.length === 0) {
+      return null;
+    }
+    
+    // Every ring needs at least four [lng, lat] positions
+    const isValidRing = (ring) => Array.isArray(ring) && ring.length >= 4 &&
+      ring.every(position => Array.isArray(position) &&
+        this.validateCoordinates(position[1], position[0]));
+    
+    const isValid = polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing));
+    
+    return isValid ? { type: geometry.type, coordinates: geometry.coordinates } : null;
+  }
+  
+  /**
+   * Check if a point lies inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+   * @param {number} lat - Point latitude
+   * @param {number} lng - Point longitude
+   * @param {object} zone - Polygon or MultiPolygon geometry
+   * @returns {boolean} True if the point is inside the zone
+   */
+  static isPointInZone(lat, lng, zone) {
+    const polygons = zone.type === 'Polygon' ? [zone.coordinates] : zone.coordinates;
+    
+    // Ray casting: a point is inside a ring if a ray from it crosses the ring an odd number of times
+    const isInRing = (ring) => {
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lngI, latI] = ring[i];
+        const [lngJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    };
+    
+    return polygons.some(([outer, ...holes]) => isInRing(outer) && !holes.some(isInRing));
+  }
+  
+  /**
+   * Get SQL condition for points inside a bounding box
+   * Uses the spatial index on PostGIS and plain coordinate columns elsewhere (SQLite).
+   * @param {object} bbox - Bounding box {north, south, east, west}
+   * @param {string} locationColumn - Name of the geometry column
+   * @returns {object} Sequelize where condition for the bounding box
+   */
+  static getWithinBoundingBoxCondition(bbox, locationColumn = 'location') {
+    if (sequelize.getDialect() === 'postgres') {
+      return sequelize.where(
+        sequelize.fn('ST_Intersects',
+          sequelize.col(locationColumn),
+          sequelize.fn('ST_MakeEnvelope', bbox.west, bbox.south, bbox.east, bbox.north, 4326)
+        ),
+        true
+      );
+    }
     
     return {
       latitude: {
@@ -244,6 +378,26 @@ class GeospatialUtils {
     };
   }
   
+  /**
+   * Get the grid cell size used to cluster points at a map zoom level
+   * Cells are a quarter of a 256px map tile wide, so clusters keep a similar size on screen.
+   * @param {number} zoom - Map zoom level (0-22)
+   * @returns {number} Cell size in degrees
+   */
+  static getClusterCellSize(zoom) {
+    return 360 / Math.pow(2, zoom) / 4;
+  }
+  
+  /**
+   * Get the index of the grid cell a coordinate snaps to (same rounding as ST_SnapToGrid)
+   * @param {number} value - Latitude or longitude
+   * @param {number} cellSize - Cell size in degrees
+   * @returns {number} Cell index
+   */
+  static getGridCellIndex(value, cellSize) {
+    return Math.round(parseFloat(value) / cellSize);
+  }
+  
   /**
    * Convert meters to kilometers with proper rounding
    * @param {number} meters - Distance in meters
@@ -0,0 +1,48 @@
+// CivicTrack service worker - shows Web Push notifications sent by the backend
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+
+  const title = data.title || 'CivicTrack';
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || '',
+      tag: data.tag,
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      // Reuse an open CivicTrack tab if there is one
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+
+      if (existing) {
+        return existing.navigate(url).then((client) => (client || existing).focus());
+      }
+
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -1,28 +1,27 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../contexts/CategoryContext';
 import { issueService } from '../services/issueService';
+import { pushService } from '../services/pushService';
 import PhotoUpload from './PhotoUpload';
 import LocationInput from './LocationInput';
 import LoadingSpinner from './LoadingSpinner';
-
-const CATEGORIES = [
-  { value: 'roads', label: 'Roads' },
-  { value: 'lighting', label: 'Lighting' },
-  { value: 'water', label: 'Water Supply' },
-  { value: 'cleanliness', label: 'Cleanliness' },
-  { value: 'safety', label: 'Public Safety' },
-  { value: 'obstructions', label: 'Obstructions' }
-];
+import PushNotificationPrompt from './PushNotificationPrompt';
+import DuplicateIssuesNotice from './issue/DuplicateIssuesNotice';
+import CustomFieldInputs from './issue/CustomFieldInputs';
 
 const IssueReportForm = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user } = useAuth();
+  const { activeCategories, getCustomFields } = useCategories();
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     category: '',
+    subcategory: '',
+    customFields: {},
     photos: [],
     location: { lat: '', lng: '', address: '' },
     isAnonymous: !isAuthenticated // Default to anonymous if not logged in
@@ -31,6 +30,16 @@ const IssueReportForm = () => {
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  const [showPushPrompt, setShowPushPrompt] = useState(false);
+  // Likely duplicates of the report; null until the duplicate check ran
+  const [duplicates, setDuplicates] = useState(null);
+
+  // Reporting under a name needs a verified email, the server rejects it otherwise
+  const canReportByName = isAuthenticated && user?.isVerified;
+  const reportsAnonymously = formData.isAnonymous || !canReportByName;
+
+  const subcategories = activeCategories.find(category => category.key === formData.category)?.subcategories || [];
+  const customFields = getCustomFields(formData.category, formData.subcategory);
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
@@ -38,6 +47,11 @@ const IssueReportForm = () => {
       [field]: value
     }));
     
+    // Check again for duplicates once the report changed
+    if (['title', 'description', 'category', 'location'].includes(field)) {
+      setDuplicates(null);
+    }
+    
     // Clear error when user starts typing
     if (errors[field]) {
       setErrors(prev => ({
@@ -47,6 +61,26 @@ const IssueReportForm = () => {
     }
   };
 
+  // Subcategories and custom fields belong to one category, start over when it changes
+  const handleCategoryChange = (category) => {
+    setFormData(prev => ({ ...prev, subcategory: '', customFields: {} }));
+    handleInputChange('category', category);
+  };
+
+  const handleCustomFieldChange = (key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value }
+    }));
+    
+    if (errors[`custom_${key}`]) {
+      setErrors(prev => ({
+        ...prev,
+        [`custom_${key}`]: ''
+      }));
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -73,6 +107,14 @@ const IssueReportForm = () => {
       newErrors.category = 'Please select a category';
     }
 
+    // Custom field validation (the server checks types as well)
+    customFields.forEach((field) => {
+      const value = formData.customFields[field.key];
+      if (field.required && field.type !== 'boolean' && (value === undefined || String(value).trim() === '')) {
+        newErrors[`custom_${field.key}`] = `${field.label} is required`;
+      }
+    });
+
     // Location validation
     if (!formData.location.lat || !formData.location.lng) {
       newErrors.location = 'Location is required';
@@ -96,6 +138,24 @@ const IssueReportForm = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  // Ask the server for open issues that probably describe the same problem
+  const findDuplicates = async () => {
+    try {
+      const response = await issueService.checkDuplicates({
+        lat: formData.location.lat,
+        lng: formData.location.lng,
+        category: formData.category,
+        title: formData.title,
+        description: formData.description
+      });
+      return response.duplicates || [];
+    } catch (error) {
+      // The check is only a hint, never block the report on it
+      console.error('Error checking for duplicate issues:', error);
+      return [];
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -103,16 +163,41 @@ const IssueReportForm = () => {
       return;
     }
 
+    if (duplicates === null) {
+      setIsSubmitting(true);
+      const found = await findDuplicates();
+      setDuplicates(found);
+      
+      if (found.length > 0) {
+        setIsSubmitting(false);
+        return;
+      }
+    }
+
+    await submitIssue();
+  };
+
+  const submitIssue = async () => {
     setIsSubmitting(true);
     
     try {
-      const response = await issueService.createIssue(formData);
+      const response = await issueService.createIssue({ ...formData, isAnonymous: reportsAnonymously });
       setSubmitSuccess(true);
       
-      // Redirect to issue detail or map after successful submission
-      setTimeout(() => {
-        navigate('/map');
-      }, 2000);
+      if (pushService.shouldPrompt()) {
+        // Offer notifications after the first report; stay on this page until the user decides
+        setShowPushPrompt(true);
+      } else {
+        // Keep an existing subscription linked to the current user or anonymous session
+        pushService.refreshSubscription().catch((error) => {
+          console.error('Error refreshing push subscription:', error);
+        });
+        
+        // Redirect to issue detail or map after successful submission
+        setTimeout(() => {
+          navigate('/map');
+        }, 2000);
+      }
       
     } catch (error) {
       console.error('Error submitting issue:', error);
@@ -133,8 +218,13 @@ const IssueReportForm = () => {
           </svg>
           <h2 className="text-2xl font-semibold text-green-800 mb-2">Issue Reported Successfully!</h2>
           <p className="text-green-700 mb-4">
-            Thank you for reporting this issue. You'll be redirected to the map view shortly.
+            {showPushPrompt
+              ? 'Thank you for reporting this issue.'
+              : "Thank you for reporting this issue. You'll be redirected to the map view shortly."}
           </p>
+          {showPushPrompt && (
+            <PushNotificationPrompt onDone={() => navigate('/map')} />
+          )}
           <button
             onClick={() => navigate('/map')}
             className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700"
@@ -159,23 +249,29 @@ const IssueReportForm = () => {
                 <div>
                   <h3 className="text-sm font-medium text-blue-800">Reporting as</h3>
                   <p className="text-sm text-blue-600">
-                    {formData.isAnonymous ? 'Anonymous user' : `${user?.email || 'Verified user'}`}
+                    {reportsAnonymously ? 'Anonymous user' : `${user?.email || 'Verified user'}`}
                   </p>
                 </div>
                 <button
                   type="button"
                   onClick={() => handleInputChange('isAnonymous', !formData.isAnonymous)}
-                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                    formData.isAnonymous ? 'bg-gray-400' : 'bg-primary-600'
+                  disabled={!canReportByName}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    reportsAnonymously ? 'bg-gray-400' : 'bg-primary-600'
                   }`}
                 >
                   <span
                     className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                      formData.isAnonymous ? 'translate-x-1' : 'translate-x-6'
+                      reportsAnonymously ? 'translate-x-1' : 'translate-x-6'
                     }`}
                   />
                 </button>
               </div>
+              {!canReportByName && (
+                <p className="mt-2 text-sm text-blue-600">
+                  Verify your email address to report under your name. Until then your reports are anonymous.
+                </p>
+              )}
             </div>
           )}
 
@@ -205,21 +301,53 @@ const IssueReportForm = () => {
             <select
               id="category"
               value={formData.category}
-              onChange={(e) => handleInputChange('category', e.target.value)}
+              onChange={(e) => handleCategoryChange(e.target.value)}
               className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
                 errors.category ? 'border-red-300' : 'border-gray-300'
               }`}
             >
               <option value="">Select a category</option>
-              {CATEGORIES.map((category) => (
-                <option key={category.value} value={category.value}>
-                  {category.label}
+              {activeCategories.map((category) => (
+                <option key={category.key} value={category.key}>
+                  {category.icon ? `${category.icon} ${category.label}` : category.label}
                 </option>
               ))}
             </select>
             {errors.category && <p className="mt-1 text-sm text-red-600">{errors.category}</p>}
           </div>
 
+          {/* Subcategory */}
+          {subcategories.length > 0 && (
+            <div>
+              <label htmlFor="subcategory" className="block text-sm font-medium text-gray-700 mb-1">
+                Type of issue (optional)
+              </label>
+              <select
+                id="subcategory"
+                value={formData.subcategory}
+                onChange={(e) => handleInputChange('subcategory', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">Not sure</option>
+                {subcategories.map((subcategory) => (
+                  <option key={subcategory.key} value={subcategory.key}>
+                    {subcategory.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Category specific questions */}
+          {customFields.length > 0 && (
+            <CustomFieldInputs
+              fields={customFields}
+              values={formData.customFields}
+              onChange={handleCustomFieldChange}
+              errors={Object.fromEntries(customFields.map(field => [field.key, errors[`custom_${field.key}`]]))}
+            />
+          )}
+
           {/* Description */}
           <div>
             <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
@@ -269,24 +397,33 @@ const IssueReportForm = () => {
             </div>
           )}
 
-          {/* Submit Button */}
-          <div className="flex justify-end space-x-3">
-            <button
-              type="button"
-              onClick={() => navigate('/')}
-              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={isSubmitting}
-              className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
-            >
-              {isSubmitting && <LoadingSpinner size="sm" className="mr-2" />}
-              {isSubmitting ? 'Submitting...' : 'Submit Report'}
-            </button>
-          </div>
+          {/* Likely duplicates, shown instead of the submit button until the user decides */}
+          {duplicates?.length > 0 ? (
+            <DuplicateIssuesNotice
+              duplicates={duplicates}
+              onSubmitAnyway={submitIssue}
+              onCancel={() => setDuplicates(null)}
+              isSubmitting={isSubmitting}
+            />
+          ) : (
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => navigate('/')}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+              >
+                {isSubmitting && <LoadingSpinner size="sm" className="mr-2" />}
+                {isSubmitting ? 'Submitting...' : 'Submit Report'}
+              </button>
+            </div>
+          )}
         </form>
       </div>
     </div>
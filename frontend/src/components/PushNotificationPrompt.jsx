@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { pushService } from '../services/pushService';
+import LoadingSpinner from './LoadingSpinner';
+
+const PushNotificationPrompt = ({ onDone }) => {
+  const [status, setStatus] = useState('idle'); // idle, subscribing, enabled, declined, error
+  const [error, setError] = useState('');
+
+  const handleEnable = async () => {
+    setStatus('subscribing');
+    pushService.markPromptShown();
+
+    try {
+      const subscription = await pushService.subscribe();
+      setStatus(subscription ? 'enabled' : 'declined');
+    } catch (err) {
+      console.error('Error enabling push notifications:', err);
+      setError(err.message || 'Could not enable notifications');
+      setStatus('error');
+    }
+  };
+
+  const handleDismiss = () => {
+    pushService.markPromptShown();
+    onDone?.();
+  };
+
+  if (status === 'enabled') {
+    return (
+      <div className="bg-white border border-green-200 rounded-md p-4 mb-4 text-left">
+        <p className="text-sm text-green-800">
+          Notifications enabled. We'll let you know when the status of your report changes.
+        </p>
+      </div>
+    );
+  }
+
+  if (status === 'declined') {
+    return (
+      <div className="bg-white border border-gray-200 rounded-md p-4 mb-4 text-left">
+        <p className="text-sm text-gray-700">
+          Notifications are blocked. You can enable them later in your browser settings.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-green-200 rounded-md p-4 mb-4 text-left">
+      <h3 className="text-sm font-medium text-gray-900">Get notified about updates</h3>
+      <p className="text-sm text-gray-600 mt-1">
+        We can send you a notification when the status of your report changes, even when CivicTrack is closed.
+      </p>
+      {status === 'error' && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end space-x-3 mt-3">
+        <button
+          type="button"
+          onClick={handleDismiss}
+          disabled={status === 'subscribing'}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Not now
+        </button>
+        <button
+          type="button"
+          onClick={handleEnable}
+          disabled={status === 'subscribing'}
+          className="px-3 py-1.5 bg-primary-600 text-white rounded-md text-sm hover:bg-primary-700 disabled:opacity-50 flex items-center"
+        >
+          {status === 'subscribing' && <LoadingSpinner size="sm" className="mr-2" />}
+          Enable notifications
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PushNotificationPrompt;
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ActiveSessions from '../auth/ActiveSessions';
+import { authService } from '../../services/authService';
+
+vi.mock('../../services/authService', () => ({
+  authService: {
+    getSessions: vi.fn(),
+    revokeSession: vi.fn(),
+    revokeOtherSessions: vi.fn()
+  }
+}));
+
+const sessions = [
+  { id: 'session-1', device: 'Firefox on Linux', ip_address: '203.0.113.7', last_used_at: '2026-10-19T08:00:00Z', current: true },
+  { id: 'session-2', device: 'Safari on iOS', ip_address: '198.51.100.2', last_used_at: '2026-10-18T08:00:00Z', current: false },
+  { id: 'session-3', device: 'Chrome on Windows', ip_address: '198.51.100.9', last_used_at: '2026-10-17T08:00:00Z', current: false }
+];
+
+describe('ActiveSessions', () => {
+  beforeEach(() => {
+    authService.getSessions.mockReset().mockResolvedValue(sessions);
+    authService.revokeSession.mockReset();
+    authService.revokeOtherSessions.mockReset();
+  });
+
+  it('lists sessions and marks the current device', async () => {
+    render(<ActiveSessions />);
+
+    expect(await screen.findByText('Safari on iOS')).toBeInTheDocument();
+    expect(screen.getByText('This device')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Log out' })).toHaveLength(2);
+  });
+
+  it('logs out a single session', async () => {
+    authService.revokeSession.mockResolvedValue({ message: 'Session revoked' });
+    render(<ActiveSessions />);
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Log out' }))[0]);
+
+    await waitFor(() => expect(screen.queryByText('Safari on iOS')).not.toBeInTheDocument());
+    expect(authService.revokeSession).toHaveBeenCalledWith('session-2');
+    expect(screen.getByText('Chrome on Windows')).toBeInTheDocument();
+  });
+
+  it('logs out everywhere else and keeps the current session', async () => {
+    authService.revokeOtherSessions.mockResolvedValue({ revoked: 2 });
+    render(<ActiveSessions />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /log out everywhere else/i }));
+
+    expect(await screen.findByText('Logged out of 2 other sessions')).toBeInTheDocument();
+    expect(screen.getByText('Firefox on Linux')).toBeInTheDocument();
+    expect(screen.queryByText('Chrome on Windows')).not.toBeInTheDocument();
+  });
+});
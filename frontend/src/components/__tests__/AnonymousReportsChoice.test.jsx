@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AnonymousReportsChoice from '../auth/AnonymousReportsChoice';
+import { authService } from '../../services/authService';
+
+vi.mock('../../services/authService', () => ({
+  authService: {
+    getAnonymousReports: vi.fn()
+  }
+}));
+
+const reports = [
+  { id: 'issue-1', title: 'Pothole outside my house' },
+  { id: 'issue-2', title: 'Broken streetlight on Main Street' }
+];
+
+describe('AnonymousReportsChoice', () => {
+  beforeEach(() => {
+    authService.getAnonymousReports.mockReset().mockResolvedValue(reports);
+  });
+
+  it('keeps every guest report anonymous until one is unticked', async () => {
+    const onChange = vi.fn();
+    render(<AnonymousReportsChoice onChange={onChange} />);
+
+    const streetlight = await screen.findByLabelText('Keep anonymous: Broken streetlight on Main Street');
+    expect(streetlight).toBeChecked();
+    expect(onChange).toHaveBeenLastCalledWith({ keepReportsAnonymous: false, anonymousIssueIds: ['issue-1', 'issue-2'] });
+
+    fireEvent.click(streetlight);
+
+    expect(streetlight).not.toBeChecked();
+    expect(onChange).toHaveBeenLastCalledWith({ keepReportsAnonymous: false, anonymousIssueIds: ['issue-1'] });
+  });
+
+  it('leaves the choice to the server when the reports cannot be loaded', async () => {
+    authService.getAnonymousReports.mockRejectedValue(new Error('Network Error'));
+    const onChange = vi.fn();
+    const { container } = render(<AnonymousReportsChoice onChange={onChange} />);
+
+    await waitFor(() => expect(authService.getAnonymousReports).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
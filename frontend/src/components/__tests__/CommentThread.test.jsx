@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CommentThread from '../issue/CommentThread';
+import { issueService } from '../../services/issueService';
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    getComments: vi.fn(),
+    addComment: vi.fn(),
+    flagComment: vi.fn()
+  }
+}));
+
+const comment = (overrides = {}) => ({
+  id: 'comment-1',
+  issue_id: 'issue-1',
+  body: 'It is getting worse',
+  created_at: '2026-01-01T10:00:00Z',
+  is_anonymous: false,
+  author: { id: 'user-1', role: 'citizen' },
+  is_official: false,
+  ...overrides
+});
+
+describe('CommentThread', () => {
+  beforeEach(() => {
+    issueService.getComments.mockReset();
+    issueService.addComment.mockReset();
+  });
+
+  it('shows an authority badge on official comments', async () => {
+    issueService.getComments.mockResolvedValue({
+      comments: [
+        comment(),
+        comment({
+          id: 'comment-2',
+          body: 'Repair crew scheduled',
+          author: { id: 'authority-1', role: 'authority' },
+          is_official: true
+        })
+      ],
+      metadata: { total: 2 }
+    });
+
+    render(<CommentThread issueId="issue-1" />);
+
+    expect(await screen.findByText('Repair crew scheduled')).toBeInTheDocument();
+    expect(screen.getAllByText('Local authority')).toHaveLength(1);
+  });
+
+  it('appends a posted comment to the thread', async () => {
+    issueService.getComments.mockResolvedValue({ comments: [], metadata: { total: 0 } });
+    issueService.addComment.mockResolvedValue({ comment: comment({ body: 'Also blocks the bike lane' }) });
+
+    render(<CommentThread issueId="issue-1" locationParams={{ userLat: 40.7, userLng: -74 }} />);
+
+    await screen.findByText(/No comments yet/);
+    fireEvent.change(screen.getByLabelText('Add a comment'), { target: { value: ' Also blocks the bike lane ' } });
+    fireEvent.click(screen.getByText('Post comment'));
+
+    await waitFor(() => expect(screen.getByText('Also blocks the bike lane')).toBeInTheDocument());
+    expect(issueService.addComment).toHaveBeenCalledWith('issue-1', 'Also blocks the bike lane', { userLat: 40.7, userLng: -74 });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FlagIssueDialog from '../issue/FlagIssueDialog';
+import { issueService } from '../../services/issueService';
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    flagIssue: vi.fn()
+  }
+}));
+
+describe('FlagIssueDialog', () => {
+  beforeEach(() => {
+    issueService.flagIssue.mockReset();
+  });
+
+  it('keeps submit disabled until a reason is entered', () => {
+    render(<FlagIssueDialog issueId="issue-1" onClose={() => {}} />);
+
+    expect(screen.getByText('Flag issue')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Details'), { target: { value: 'Fake report' } });
+
+    expect(screen.getByText('Flag issue')).not.toBeDisabled();
+  });
+
+  it('flags the issue with the selected flag type', async () => {
+    const onFlagged = vi.fn();
+    issueService.flagIssue.mockResolvedValue({ message: 'Issue flagged successfully' });
+    render(
+      <FlagIssueDialog
+        issueId="issue-1"
+        locationParams={{ userLat: 40.7, userLng: -74 }}
+        onClose={() => {}}
+        onFlagged={onFlagged}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Reason for flagging'), { target: { value: 'duplicate' } });
+    fireEvent.change(screen.getByLabelText('Details'), { target: { value: '  Reported twice  ' } });
+    fireEvent.click(screen.getByText('Flag issue'));
+
+    await waitFor(() => expect(onFlagged).toHaveBeenCalled());
+    expect(issueService.flagIssue).toHaveBeenCalledWith(
+      'issue-1',
+      'Reported twice',
+      'duplicate',
+      { userLat: 40.7, userLng: -74 }
+    );
+  });
+
+  it('shows the error when flagging fails', async () => {
+    issueService.flagIssue.mockRejectedValue({ message: 'You have already flagged this issue' });
+    render(<FlagIssueDialog issueId="issue-1" onClose={() => {}} />);
+
+    fireEvent.change(screen.getByLabelText('Details'), { target: { value: 'Spam report' } });
+    fireEvent.click(screen.getByText('Flag issue'));
+
+    expect(await screen.findByText('You have already flagged this issue')).toBeInTheDocument();
+  });
+});
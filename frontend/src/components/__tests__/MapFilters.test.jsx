@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import MapFilters from '../map/MapFilters';
+import { WorkflowProvider } from '../../contexts/WorkflowContext';
+import { CategoryProvider } from '../../contexts/CategoryContext';
+
+const category = (key, label, overrides = {}) => ({
+  key,
+  label,
+  color: '#2563eb',
+  icon: null,
+  custom_fields: [],
+  subcategories: [],
+  is_active: true,
+  ...overrides
+});
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    getWorkflow: vi.fn(() => Promise.resolve({
+      workflow: {
+        initial: 'reported',
+        statuses: [
+          { key: 'reported', label: 'Reported', tone: 'yellow', open: true },
+          { key: 'in_progress', label: 'In Progress', tone: 'blue', open: true },
+          { key: 'resolved', label: 'Resolved', tone: 'green', open: false }
+        ],
+        transitions: []
+      }
+    })),
+    getCategories: vi.fn(() => Promise.resolve({
+      categories: [
+        category('roads', 'Roads'),
+        category('water', 'Water Supply'),
+        category('graffiti', 'Graffiti', { is_active: false })
+      ]
+    }))
+  }
+}));
+
+const renderFilters = (props) => render(
+  <WorkflowProvider>
+    <CategoryProvider>
+      <MapFilters {...props} />
+    </CategoryProvider>
+  </WorkflowProvider>
+);
+
+describe('MapFilters', () => {
+  it('renders workflow status and category options', async () => {
+    renderFilters({ filters: { status: [], category: [] }, onChange: () => {} });
+    expect(await screen.findByLabelText('In Progress')).toBeInTheDocument();
+    expect(await screen.findByLabelText('Water Supply')).toBeInTheDocument();
+  });
+
+  it('leaves inactive categories out', async () => {
+    renderFilters({ filters: { status: [], category: [] }, onChange: () => {} });
+    expect(await screen.findByLabelText('Roads')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Graffiti')).not.toBeInTheDocument();
+  });
+
+  it('adds a status to the filters when checked', async () => {
+    const onChange = vi.fn();
+    renderFilters({ filters: { status: ['reported'], category: [] }, onChange });
+
+    fireEvent.click(await screen.findByLabelText('Resolved'));
+
+    expect(onChange).toHaveBeenCalledWith({ status: ['reported', 'resolved'], category: [] });
+  });
+
+  it('removes a category from the filters when unchecked', async () => {
+    const onChange = vi.fn();
+    renderFilters({ filters: { status: [], category: ['roads', 'water'] }, onChange });
+
+    fireEvent.click(await screen.findByLabelText('Roads'));
+
+    expect(onChange).toHaveBeenCalledWith({ status: [], category: ['water'] });
+  });
+
+  it('clears all filters', () => {
+    const onChange = vi.fn();
+    renderFilters({ filters: { status: ['resolved'], category: ['roads'] }, onChange });
+
+    fireEvent.click(screen.getByText('Clear'));
+
+    expect(onChange).toHaveBeenCalledWith({ status: [], category: [] });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ReporterReviewPanel from '../issue/ReporterReviewPanel';
+import { issueService } from '../../services/issueService';
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    confirmResolution: vi.fn(),
+    reopenIssue: vi.fn()
+  }
+}));
+
+describe('ReporterReviewPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('confirms the fix', async () => {
+    const onReviewed = vi.fn();
+    issueService.confirmResolution.mockResolvedValue({ issue: { id: 'issue-1', status: 'closed' } });
+    render(<ReporterReviewPanel issueId="issue-1" onReviewed={onReviewed} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Yes, it is fixed' }));
+
+    await waitFor(() => expect(onReviewed).toHaveBeenCalledWith({ id: 'issue-1', status: 'closed' }));
+    expect(issueService.confirmResolution).toHaveBeenCalledWith('issue-1');
+  });
+
+  it('requires a comment to reopen the issue', async () => {
+    issueService.reopenIssue.mockResolvedValue({ issue: { id: 'issue-1', status: 'reopened' } });
+    render(<ReporterReviewPanel issueId="issue-1" />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'No, reopen it' }));
+    const submit = screen.getByRole('button', { name: 'Reopen issue' });
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('What is still wrong?'), { target: { value: 'Still leaking at night' } });
+    fireEvent.click(submit);
+
+    await waitFor(() => expect(issueService.reopenIssue).toHaveBeenCalledWith('issue-1', {
+      comment: 'Still leaking at night',
+      photos: []
+    }));
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StatusUpdateForm from '../issue/StatusUpdateForm';
+import { WorkflowProvider } from '../../contexts/WorkflowContext';
+import { issueService } from '../../services/issueService';
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    getWorkflow: vi.fn(),
+    updateIssueStatus: vi.fn()
+  }
+}));
+
+const workflow = {
+  initial: 'reported',
+  statuses: [
+    { key: 'reported', label: 'Reported', tone: 'yellow', open: true },
+    { key: 'acknowledged', label: 'Acknowledged', tone: 'indigo', open: true },
+    { key: 'resolved', label: 'Resolved', tone: 'green', open: false },
+    { key: 'rejected', label: 'Rejected', tone: 'red', open: false },
+    { key: 'closed', label: 'Closed', tone: 'gray', open: false }
+  ],
+  transitions: [
+    { from: ['reported'], to: 'acknowledged', roles: ['authority', 'admin'], requires: [] },
+    { from: ['reported'], to: 'resolved', roles: ['authority', 'admin'], requires: ['comment', 'photo'] },
+    {
+      from: ['reported'],
+      to: 'rejected',
+      roles: ['authority', 'admin'],
+      requires: ['comment', 'reason'],
+      reasons: [{ key: 'not_actionable', label: 'Not actionable' }]
+    },
+    { from: ['reported'], to: 'closed', roles: ['admin'], requires: [] }
+  ]
+};
+
+const renderForm = (props) => render(
+  <WorkflowProvider>
+    <StatusUpdateForm issueId="issue-1" status="reported" {...props} />
+  </WorkflowProvider>
+);
+
+describe('StatusUpdateForm', () => {
+  beforeEach(() => {
+    issueService.getWorkflow.mockResolvedValue({ workflow });
+    issueService.updateIssueStatus.mockReset();
+  });
+
+  it('only offers the transitions allowed for the role', async () => {
+    renderForm({ role: 'authority' });
+
+    await screen.findByRole('option', { name: 'Rejected' });
+    expect(screen.getByRole('option', { name: 'Acknowledged' })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: 'Closed' })).not.toBeInTheDocument();
+  });
+
+  it('requires the fields of the chosen transition before submitting', async () => {
+    const onUpdated = vi.fn();
+    issueService.updateIssueStatus.mockResolvedValue({ issue: { id: 'issue-1', status: 'rejected' } });
+    renderForm({ role: 'authority', onUpdated });
+
+    fireEvent.change(await screen.findByLabelText('New status'), { target: { value: 'rejected' } });
+    fireEvent.change(screen.getByLabelText('Comment'), { target: { value: 'Handled by the state agency' } });
+
+    const submit = screen.getByRole('button', { name: 'Update status' });
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'not_actionable' } });
+    fireEvent.click(submit);
+
+    await waitFor(() => expect(onUpdated).toHaveBeenCalledWith({ id: 'issue-1', status: 'rejected' }));
+    expect(issueService.updateIssueStatus).toHaveBeenCalledWith(
+      'issue-1',
+      { status: 'rejected', comment: 'Handled by the state agency', reason: 'not_actionable', photos: [] },
+      {}
+    );
+  });
+
+  it('sends after photos with the status change', async () => {
+    const photo = new File(['repaired'], 'repaired.jpg', { type: 'image/jpeg' });
+    URL.createObjectURL = vi.fn(() => 'blob:repaired');
+    issueService.updateIssueStatus.mockResolvedValue({ issue: { id: 'issue-1', status: 'acknowledged' } });
+    const { container } = renderForm({ role: 'authority' });
+
+    fireEvent.change(await screen.findByLabelText('New status'), { target: { value: 'acknowledged' } });
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [photo] } });
+    fireEvent.click(screen.getByRole('button', { name: 'Update status' }));
+
+    await waitFor(() => expect(issueService.updateIssueStatus).toHaveBeenCalledWith(
+      'issue-1',
+      { status: 'acknowledged', comment: undefined, reason: undefined, photos: [photo] },
+      {}
+    ));
+  });
+
+  it('requires an after photo where the transition asks for one', async () => {
+    const photo = new File(['repaired'], 'repaired.jpg', { type: 'image/jpeg' });
+    URL.createObjectURL = vi.fn(() => 'blob:repaired');
+    const { container } = renderForm({ role: 'authority' });
+
+    fireEvent.change(await screen.findByLabelText('New status'), { target: { value: 'resolved' } });
+    fireEvent.change(screen.getByLabelText('Comment'), { target: { value: 'Pothole filled and resurfaced' } });
+
+    const submit = screen.getByRole('button', { name: 'Update status' });
+    expect(screen.getByText('After photos')).toBeInTheDocument();
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [photo] } });
+    expect(submit).toBeEnabled();
+  });
+
+  it('renders nothing for citizens', async () => {
+    const { container } = renderForm({ role: 'citizen' });
+
+    await waitFor(() => expect(issueService.getWorkflow).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SupportButton from '../issue/SupportButton';
+import { issueService } from '../../services/issueService';
+
+vi.mock('../../services/issueService', () => ({
+  issueService: {
+    supportIssue: vi.fn(),
+    removeSupport: vi.fn()
+  }
+}));
+
+describe('SupportButton', () => {
+  beforeEach(() => {
+    issueService.supportIssue.mockReset();
+    issueService.removeSupport.mockReset();
+  });
+
+  it('adds a vote and shows the new count', async () => {
+    issueService.supportIssue.mockResolvedValue({ issue: { id: 'issue-1', support_count: 5, supported: true } });
+    render(<SupportButton issueId="issue-1" supportCount={4} locationParams={{ userLat: 40.7, userLng: -74 }} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /me too/i }));
+
+    await waitFor(() => expect(screen.getByRole('button')).toHaveAttribute('aria-pressed', 'true'));
+    expect(issueService.supportIssue).toHaveBeenCalledWith('issue-1', { userLat: 40.7, userLng: -74 });
+    expect(screen.getByText('5')).toBeInTheDocument();
+  });
+
+  it('withdraws an existing vote', async () => {
+    issueService.removeSupport.mockResolvedValue({ issue: { id: 'issue-1', support_count: 3, supported: false } });
+    render(<SupportButton issueId="issue-1" supportCount={4} supported />);
+
+    fireEvent.click(screen.getByRole('button', { name: /affects me too/i }));
+
+    await waitFor(() => expect(screen.getByText('3')).toBeInTheDocument());
+    expect(issueService.removeSupport).toHaveBeenCalledWith('issue-1', {});
+  });
+
+  it('shows the error message when the vote is rejected', async () => {
+    issueService.supportIssue.mockRejectedValue({ status: 400, message: 'You cannot support your own issue' });
+    render(<SupportButton issueId="issue-1" />);
+
+    fireEvent.click(screen.getByRole('button', { name: /me too/i }));
+
+    expect(await screen.findByText('You cannot support your own issue')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,120 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { authService } from '../../services/authService';
+import LoadingSpinner from '../LoadingSpinner';
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (err) {
+      setError(err.message || 'Failed to load your sessions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError('');
+    setMessage('');
+
+    try {
+      await authService.revokeSession(sessionId);
+      setSessions((current) => current.filter((session) => session.id !== sessionId));
+    } catch (err) {
+      setError(err.message || 'Failed to log out this session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevokingId('others');
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await authService.revokeOtherSessions();
+      setSessions((current) => current.filter((session) => session.current));
+      setMessage(`Logged out of ${response.revoked} other ${response.revoked === 1 ? 'session' : 'sessions'}`);
+    } catch (err) {
+      setError(err.message || 'Failed to log out your other sessions');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Active sessions</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Devices where you are logged in. Log out any you do not recognise.
+          </p>
+        </div>
+        {hasOtherSessions && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={revokingId !== null}
+            className="px-3 py-2 text-sm font-medium rounded-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Log out everywhere else
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+      {message && <p className="mt-4 text-sm text-green-700">{message}</p>}
+
+      {isLoading ? (
+        <LoadingSpinner className="mx-auto mt-6" />
+      ) : (
+        <ul className="mt-4 divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <li key={session.id} className="py-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 truncate" title={session.user_agent || ''}>
+                  {session.ip_address || 'Unknown IP address'} · Last used {new Date(session.last_used_at).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revokingId !== null}
+                  className="ml-4 px-3 py-1 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Log out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { authService } from '../../services/authService';
+
+// Lets a guest who signs up or logs in choose which of their earlier reports stay anonymous
+const AnonymousReportsChoice = ({ onChange }) => {
+  const [issues, setIssues] = useState([]);
+  const [anonymousIds, setAnonymousIds] = useState([]);
+
+  const choose = (issueIds) => {
+    setAnonymousIds(issueIds);
+    onChange({ keepReportsAnonymous: false, anonymousIssueIds: issueIds });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    authService.getAnonymousReports()
+      .then((reports) => {
+        if (cancelled || reports.length === 0) return;
+        // Everything stays anonymous until the user says otherwise
+        setIssues(reports);
+        choose(reports.map((issue) => issue.id));
+      })
+      .catch(() => {
+        // Without the list the server keeps every claimed report anonymous
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (issues.length === 0) {
+    return null;
+  }
+
+  const toggle = (issueId) => {
+    choose(anonymousIds.includes(issueId)
+      ? anonymousIds.filter((id) => id !== issueId)
+      : [...anonymousIds, issueId]);
+  };
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className="text-sm text-gray-600">
+        The reports you made as a guest in this browser will be added to your account.
+        Untick the ones you want to show under your name once your email address is verified.
+      </legend>
+      {issues.map((issue) => (
+        <div key={issue.id} className="flex items-start">
+          <input
+            id={`anonymous-report-${issue.id}`}
+            type="checkbox"
+            checked={anonymousIds.includes(issue.id)}
+            onChange={() => toggle(issue.id)}
+            className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+          />
+          <label htmlFor={`anonymous-report-${issue.id}`} className="ml-2 text-sm text-gray-600">
+            Keep anonymous: {issue.title}
+          </label>
+        </div>
+      ))}
+    </fieldset>
+  );
+};
+
+export default AnonymousReportsChoice;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../../services/authService';
+import LoadingSpinner from '../LoadingSpinner';
+
+const ForgotPasswordForm = () => {
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle'); // idle, sending, sent
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('sending');
+    setError('');
+
+    try {
+      const response = await authService.forgotPassword(email);
+      setMessage(response.message);
+      setStatus('sent');
+    } catch (err) {
+      setError(err.message || 'Could not request a password reset');
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter the email address of your account and we'll send you a link to choose a new password.
+          </p>
+        </div>
+
+        {status === 'sent' ? (
+          <div className="rounded-md bg-green-50 p-4">
+            <p className="text-sm text-green-800">{message}</p>
+            <p className="mt-2 text-sm text-green-800">
+              Check your spam folder if the email does not arrive within a few minutes.
+            </p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm"
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={status === 'sending'}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {status === 'sending' ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                Send reset link
+              </button>
+            </div>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-600">
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
 import LoadingSpinner from '../LoadingSpinner';
+import AnonymousReportsChoice from './AnonymousReportsChoice';
 
 const LoginForm = () => {
   const [formData, setFormData] = useState({
@@ -9,6 +11,9 @@ const LoginForm = () => {
     password: ''
   });
   const [showPassword, setShowPassword] = useState(false);
+  // Which claimed guest reports stay anonymous; empty keeps them all anonymous
+  const [reportChoice, setReportChoice] = useState({});
+  const hasAnonymousSession = authService.hasAnonymousSession();
   
   const { login, loading, error, clearError } = useAuth();
   const navigate = useNavigate();
@@ -28,7 +33,7 @@ const LoginForm = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      await login(formData);
+      await login(hasAnonymousSession ? { ...formData, ...reportChoice } : formData);
       navigate(from, { replace: true });
     } catch (err) {
       // Error is handled by the auth context
@@ -164,7 +169,17 @@ const LoginForm = () => {
                   </svg>
                 </button>
               </div>
+              <div className="mt-2 text-right">
+                <Link
+                  to="/forgot-password"
+                  className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
             </div>
+
+            {hasAnonymousSession && <AnonymousReportsChoice onChange={setReportChoice} />}
           </div>
 
           <div>
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
 import LoadingSpinner from '../LoadingSpinner';
+import AnonymousReportsChoice from './AnonymousReportsChoice';
 
 const RegisterForm = () => {
   const [formData, setFormData] = useState({
@@ -12,6 +14,9 @@ const RegisterForm = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  // Which claimed guest reports stay anonymous; empty keeps them all anonymous
+  const [reportChoice, setReportChoice] = useState({});
+  const hasAnonymousSession = authService.hasAnonymousSession();
   
   const { register, loading, error, clearError } = useAuth();
   const navigate = useNavigate();
@@ -70,7 +75,8 @@ const RegisterForm = () => {
     try {
       await register({
         email: formData.email,
-        password: formData.password
+        password: formData.password,
+        ...(hasAnonymousSession ? reportChoice : {})
       });
       navigate('/');
     } catch (err) {
@@ -263,6 +269,8 @@ const RegisterForm = () => {
             </div>
           </div>
 
+          {hasAnonymousSession && <AnonymousReportsChoice onChange={setReportChoice} />}
+
           <div>
             <button
               type="submit"
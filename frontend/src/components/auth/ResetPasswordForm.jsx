@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
+import LoadingSpinner from '../LoadingSpinner';
+
+const inputClasses = 'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm';
+
+const ResetPasswordForm = () => {
+  const { token } = useParams();
+  const { isAuthenticated, logout } = useAuth();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [status, setStatus] = useState('idle'); // idle, saving, done
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setStatus('saving');
+    try {
+      await authService.resetPassword(token, formData.password);
+      // The reset ended every session, including one in this browser
+      if (isAuthenticated) await logout();
+      setStatus('done');
+    } catch (err) {
+      setError(err.message || 'Could not reset your password');
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            You will be signed out on all devices.
+          </p>
+        </div>
+
+        {status === 'done' ? (
+          <div className="rounded-md bg-green-50 p-4 text-center">
+            <p className="text-sm text-green-800">Your password has been reset.</p>
+            <Link
+              to="/login"
+              className="mt-3 inline-block font-medium text-primary-600 hover:text-primary-500"
+            >
+              Sign in with your new password
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <p className="text-sm text-red-800">{error}</p>
+                <Link
+                  to="/forgot-password"
+                  className="mt-2 inline-block text-sm font-medium text-red-800 underline"
+                >
+                  Request a new link
+                </Link>
+              </div>
+            )}
+
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  New password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  minLength={8}
+                  value={formData.password}
+                  onChange={handleChange}
+                  className={inputClasses}
+                  placeholder="At least 8 characters"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Use upper and lower case letters, a number and a special character (@$!%*?&).
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={inputClasses}
+                  placeholder="Repeat the new password"
+                />
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={status === 'saving'}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {status === 'saving' ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                Reset password
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
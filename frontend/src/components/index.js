@@ -7,12 +7,18 @@ export { default as ProtectedRoute } from './ProtectedRoute';
 export { default as Layout } from './layout/Layout';
 export { default as Header } from './layout/Header';
 export { default as Footer } from './layout/Footer';
+export { default as NotificationBell } from './layout/NotificationBell';
 
 // Auth components
 export { default as LoginForm } from './auth/LoginForm';
 export { default as RegisterForm } from './auth/RegisterForm';
+export { default as ForgotPasswordForm } from './auth/ForgotPasswordForm';
+export { default as ResetPasswordForm } from './auth/ResetPasswordForm';
+export { default as ActiveSessions } from './auth/ActiveSessions';
+export { default as AnonymousReportsChoice } from './auth/AnonymousReportsChoice';
 
 // Issue reporting components
 export { default as IssueReportForm } from './IssueReportForm';
 export { default as PhotoUpload } from './PhotoUpload';
-export { default as LocationInput } from './LocationInput';
\ No newline at end of file
+export { default as LocationInput } from './LocationInput';
+export { default as PushNotificationPrompt } from './PushNotificationPrompt';
\ No newline at end of file
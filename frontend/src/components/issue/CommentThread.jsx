@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { issueService } from '../../services/issueService';
+import FlagIssueDialog, { COMMENT_FLAG_TYPE_OPTIONS } from './FlagIssueDialog';
+
+const PAGE_SIZE = 20;
+const MAX_LENGTH = 1000;
+
+const NO_LOCATION = {};
+
+const ROLE_BADGES = {
+  authority: { label: 'Local authority', className: 'bg-blue-100 text-blue-800' },
+  admin: { label: 'Moderator', className: 'bg-purple-100 text-purple-800' }
+};
+
+const CommentThread = ({ issueId, locationParams = NO_LOCATION }) => {
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [body, setBody] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const [flaggingComment, setFlaggingComment] = useState(null);
+  const [flaggedIds, setFlaggedIds] = useState([]);
+
+  const loadComments = useCallback(async (offset = 0) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await issueService.getComments(issueId, { ...locationParams, limit: PAGE_SIZE, offset });
+      setComments(prev => (offset === 0 ? response.comments : [...prev, ...response.comments]));
+      setTotal(response.metadata.total);
+    } catch (err) {
+      setError(err.message || 'Failed to load comments');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [issueId, locationParams]);
+
+  useEffect(() => {
+    loadComments(0);
+  }, [loadComments]);
+
+  const trimmedBody = body.trim();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!trimmedBody) return;
+
+    setIsSubmitting(true);
+    setSubmitError('');
+
+    try {
+      const response = await issueService.addComment(issueId, trimmedBody, locationParams);
+      setComments(prev => [...prev, response.comment]);
+      setTotal(prev => prev + 1);
+      setBody('');
+    } catch (err) {
+      setSubmitError(err.message || 'Failed to add comment');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleFlagged = () => {
+    setFlaggedIds(prev => [...prev, flaggingComment.id]);
+    setFlaggingComment(null);
+  };
+
+  return (
+    <div>
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {!isLoading && comments.length === 0 && !error && (
+        <p className="text-sm text-gray-500 mb-4">No comments yet. Add what you know about this issue.</p>
+      )}
+
+      <ul className="space-y-4 mb-4">
+        {comments.map((comment) => {
+          const badge = comment.is_official ? ROLE_BADGES[comment.author?.role] : null;
+
+          return (
+            <li key={comment.id} className="border-b border-gray-100 pb-3">
+              <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                <span className="font-medium text-gray-700">
+                  {comment.is_anonymous ? 'Anonymous' : 'Resident'}
+                </span>
+                {badge && (
+                  <span className={`px-2 py-0.5 rounded-full font-medium ${badge.className}`}>{badge.label}</span>
+                )}
+                <span>· {new Date(comment.created_at).toLocaleString()}</span>
+                <span className="ml-auto">
+                  {flaggedIds.includes(comment.id) ? (
+                    <span>Flagged</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => setFlaggingComment(comment)}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      Flag
+                    </button>
+                  )}
+                </span>
+              </div>
+              <p className="text-sm text-gray-800 whitespace-pre-line">{comment.body}</p>
+            </li>
+          );
+        })}
+      </ul>
+
+      {comments.length < total && (
+        <button
+          type="button"
+          onClick={() => loadComments(comments.length)}
+          disabled={isLoading}
+          className="text-sm font-medium text-primary-600 hover:text-primary-700 mb-4 disabled:opacity-50"
+        >
+          {isLoading ? 'Loading...' : `Show more comments (${total - comments.length})`}
+        </button>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <label htmlFor="comment-body" className="block text-sm font-medium text-gray-700 mb-1">
+          Add a comment
+        </label>
+        <textarea
+          id="comment-body"
+          rows={3}
+          maxLength={MAX_LENGTH}
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+          placeholder="Is it getting worse? Does it affect anything else?"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <div className="flex items-center justify-between mt-2">
+          <p className="text-xs text-gray-500">{trimmedBody.length}/{MAX_LENGTH} characters</p>
+          <button
+            type="submit"
+            disabled={!trimmedBody || isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Posting...' : 'Post comment'}
+          </button>
+        </div>
+        {submitError && <p className="text-sm text-red-600 mt-2">{submitError}</p>}
+      </form>
+
+      {flaggingComment && (
+        <FlagIssueDialog
+          title="Flag this comment"
+          flagTypeOptions={COMMENT_FLAG_TYPE_OPTIONS}
+          submitFlag={(reason, flagType) => (
+            issueService.flagComment(issueId, flaggingComment.id, reason, flagType, locationParams)
+          )}
+          onClose={() => setFlaggingComment(null)}
+          onFlagged={handleFlagged}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
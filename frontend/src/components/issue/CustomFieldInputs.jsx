@@ -0,0 +1,68 @@
+import React from 'react';
+
+const inputClasses = (hasError) => (
+  `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
+    hasError ? 'border-red-300' : 'border-gray-300'
+  }`
+);
+
+// Inputs for the extra questions an admin configured for a category, e.g. the pole number of a streetlight
+const CustomFieldInputs = ({ fields, values, onChange, errors = {} }) => (
+  <div className="space-y-4">
+    {fields.map((field) => {
+      const id = `custom-field-${field.key}`;
+      const value = values[field.key] ?? '';
+
+      if (field.type === 'boolean') {
+        return (
+          <div key={field.key}>
+            <label htmlFor={id} className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                id={id}
+                checked={value === true}
+                onChange={(e) => onChange(field.key, e.target.checked)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              {field.label}
+            </label>
+            {errors[field.key] && <p className="mt-1 text-sm text-red-600">{errors[field.key]}</p>}
+          </div>
+        );
+      }
+
+      return (
+        <div key={field.key}>
+          <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}{field.required ? ' *' : ' (optional)'}
+          </label>
+          {field.type === 'select' ? (
+            <select
+              id={id}
+              value={value}
+              onChange={(e) => onChange(field.key, e.target.value)}
+              className={inputClasses(errors[field.key])}
+            >
+              <option value="">Select an option</option>
+              {field.options.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type={field.type === 'number' ? 'number' : 'text'}
+              id={id}
+              value={value}
+              maxLength={field.type === 'text' ? 500 : undefined}
+              onChange={(e) => onChange(field.key, e.target.value)}
+              className={inputClasses(errors[field.key])}
+            />
+          )}
+          {errors[field.key] && <p className="mt-1 text-sm text-red-600">{errors[field.key]}</p>}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default CustomFieldInputs;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+
+const DuplicateIssuesNotice = ({ duplicates, onSubmitAnyway, onCancel, isSubmitting = false }) => {
+  const { getStatusLabel } = useWorkflow();
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+      <h3 className="text-sm font-semibold text-yellow-900">Is this the same issue?</h3>
+      <p className="text-sm text-yellow-800 mt-1 mb-3">
+        {duplicates.length === 1 ? 'A similar issue was' : 'Similar issues were'} reported nearby recently.
+        Following an existing report helps it get fixed faster than a new one.
+      </p>
+
+      <ul className="space-y-2 mb-4">
+        {duplicates.map((duplicate) => (
+          <li key={duplicate.id} className="bg-white border border-yellow-100 rounded-md p-3">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{duplicate.title}</p>
+                <p className="text-xs text-gray-500">
+                  {getStatusLabel(duplicate.status)}
+                  {' · '}
+                  {duplicate.distance_meters} m away
+                  {' · '}
+                  reported {new Date(duplicate.created_at).toLocaleDateString()}
+                </p>
+              </div>
+              <Link
+                to={`/issues/${duplicate.id}`}
+                className="flex-shrink-0 text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                Yes, view it
+              </Link>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isSubmitting}
+          className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Edit my report
+        </button>
+        <button
+          type="button"
+          onClick={onSubmitAnyway}
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Submitting...' : 'No, submit my report'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateIssuesNotice;
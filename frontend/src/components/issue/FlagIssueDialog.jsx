@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { issueService } from '../../services/issueService';
+
+export const FLAG_TYPE_OPTIONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'irrelevant', label: 'Not a civic issue' },
+  { value: 'duplicate', label: 'Duplicate of another report' },
+  { value: 'other', label: 'Other' }
+];
+
+// Comments cannot be duplicates of another report
+export const COMMENT_FLAG_TYPE_OPTIONS = FLAG_TYPE_OPTIONS.filter(option => option.value !== 'duplicate');
+
+const FlagIssueDialog = ({
+  issueId,
+  locationParams = {},
+  onClose,
+  onFlagged,
+  title = 'Flag this issue',
+  flagTypeOptions = FLAG_TYPE_OPTIONS,
+  submitFlag
+}) => {
+  const [flagType, setFlagType] = useState('spam');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const trimmedReason = reason.trim();
+  const isValid = trimmedReason.length >= 3 && trimmedReason.length <= 500;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!isValid) return;
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = submitFlag
+        ? await submitFlag(trimmedReason, flagType)
+        : await issueService.flagIssue(issueId, trimmedReason, flagType, locationParams);
+      onFlagged?.(response);
+    } catch (err) {
+      setError(err.message || 'Failed to flag issue');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="flag-issue-title"
+      className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 px-4"
+    >
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-white rounded-lg shadow-xl p-6">
+        <h2 id="flag-issue-title" className="text-lg font-semibold text-gray-900 mb-1">
+          {title}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Flagged content is reviewed by moderators and hidden if it breaks the rules.
+        </p>
+
+        <label htmlFor="flag-type" className="block text-sm font-medium text-gray-700 mb-1">
+          Reason for flagging
+        </label>
+        <select
+          id="flag-type"
+          value={flagType}
+          onChange={(event) => setFlagType(event.target.value)}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm mb-4 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {flagTypeOptions.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        <label htmlFor="flag-reason" className="block text-sm font-medium text-gray-700 mb-1">
+          Details
+        </label>
+        <textarea
+          id="flag-reason"
+          rows={4}
+          maxLength={500}
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          placeholder="Tell the moderators what is wrong here"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <p className="text-xs text-gray-500 mt-1 mb-4">{trimmedReason.length}/500 characters (at least 3)</p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!isValid || isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Flagging...' : 'Flag issue'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default FlagIssueDialog;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Uploaded photos come from the API as { url, originalName, ... }, older ones as plain URLs
+const getPhotoUrl = (photo) => (typeof photo === 'string' ? photo : photo.url);
+
+const PhotoGallery = ({ photos = [], title = 'Issue photo', emptyMessage = 'No photos were added to this issue.' }) => {
+  const [activeIndex, setActiveIndex] = useState(null);
+  const isOpen = activeIndex !== null;
+
+  const close = useCallback(() => setActiveIndex(null), []);
+
+  const showPrevious = useCallback(() => {
+    setActiveIndex((index) => (index - 1 + photos.length) % photos.length);
+  }, [photos.length]);
+
+  const showNext = useCallback(() => {
+    setActiveIndex((index) => (index + 1) % photos.length);
+  }, [photos.length]);
+
+  // Keyboard navigation while the lightbox is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+      if (event.key === 'ArrowLeft') showPrevious();
+      if (event.key === 'ArrowRight') showNext();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, close, showPrevious, showNext]);
+
+  if (photos.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {photos.map((photo, index) => (
+          <button
+            key={getPhotoUrl(photo)}
+            type="button"
+            onClick={() => setActiveIndex(index)}
+            className="aspect-square overflow-hidden rounded-md bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <img
+              src={getPhotoUrl(photo)}
+              alt={`${title} ${index + 1}`}
+              className="h-full w-full object-cover hover:opacity-90 transition-opacity"
+            />
+          </button>
+        ))}
+      </div>
+
+      {isOpen && (
+        <div
+          role="dialog"
+          aria-modal="true"
+          aria-label="Photo viewer"
+          className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-90"
+          onClick={close}
+        >
+          <img
+            src={getPhotoUrl(photos[activeIndex])}
+            alt={`${title} ${activeIndex + 1}`}
+            className="max-h-[85vh] max-w-[90vw] object-contain"
+            onClick={(event) => event.stopPropagation()}
+          />
+
+          <button
+            type="button"
+            onClick={close}
+            className="absolute top-4 right-4 text-white text-3xl leading-none hover:text-gray-300"
+            aria-label="Close photo viewer"
+          >
+            &times;
+          </button>
+
+          {photos.length > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(event) => { event.stopPropagation(); showPrevious(); }}
+                className="absolute left-4 text-white text-4xl hover:text-gray-300"
+                aria-label="Previous photo"
+              >
+                &lsaquo;
+              </button>
+              <button
+                type="button"
+                onClick={(event) => { event.stopPropagation(); showNext(); }}
+                className="absolute right-4 text-white text-4xl hover:text-gray-300"
+                aria-label="Next photo"
+              >
+                &rsaquo;
+              </button>
+              <p className="absolute bottom-4 text-sm text-gray-300">
+                {activeIndex + 1} / {photos.length}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PhotoGallery;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { issueService } from '../../services/issueService';
+import PhotoUpload from '../PhotoUpload';
+
+// Asks the reporter of a resolved issue whether it is really fixed
+const ReporterReviewPanel = ({ issueId, deadline, onReviewed }) => {
+  const [isReopening, setIsReopening] = useState(false);
+  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const trimmedComment = comment.trim();
+
+  const submit = async (request) => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await request();
+      onReviewed?.(response.issue);
+    } catch (err) {
+      setError(err.message || 'Failed to send your review');
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleConfirm = () => submit(() => issueService.confirmResolution(issueId));
+
+  const handleReopen = (event) => {
+    event.preventDefault();
+    if (trimmedComment.length < 5) return;
+    submit(() => issueService.reopenIssue(issueId, { comment: trimmedComment, photos }));
+  };
+
+  return (
+    <section className="bg-white shadow rounded-lg p-6 border-l-4 border-green-500">
+      <h2 className="text-lg font-semibold text-gray-900">Is this issue fixed?</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        You reported this issue and it was marked as resolved. Let us know if the fix worked
+        {deadline && ` before ${new Date(deadline).toLocaleDateString()}`}.
+      </p>
+
+      {isReopening ? (
+        <form onSubmit={handleReopen} className="mt-4 space-y-3">
+          <div>
+            <label htmlFor="reopen-comment" className="block text-sm font-medium text-gray-700 mb-1">
+              What is still wrong?
+            </label>
+            <textarea
+              id="reopen-comment"
+              value={comment}
+              onChange={(event) => setComment(event.target.value)}
+              rows={3}
+              maxLength={1000}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <PhotoUpload photos={photos} onPhotosChange={setPhotos} />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={trimmedComment.length < 5 || isSubmitting}
+              className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Reopening...' : 'Reopen issue'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsReopening(false)}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="mt-4 flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Confirming...' : 'Yes, it is fixed'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsReopening(true)}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50"
+          >
+            No, reopen it
+          </button>
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </section>
+  );
+};
+
+export default ReporterReviewPanel;
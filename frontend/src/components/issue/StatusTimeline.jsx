@@ -0,0 +1,63 @@
+import React from 'react';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+
+const formatDateTime = (date) => new Date(date).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Who made a change, without exposing more than the role for anonymous viewers
+const getAuthorLabel = (change) => {
+  const updatedBy = change.updated_by;
+  // Anonymous reporters confirming or reopening a fix have no user
+  if (change.is_reporter_action) return 'Reporter';
+  if (!updatedBy) return 'System';
+  if (updatedBy.role === 'authority') return 'Local authority';
+  if (updatedBy.role === 'admin') return 'Administrator';
+  return 'Reporter';
+};
+
+const StatusTimeline = ({ createdAt, history = [] }) => {
+  const { workflow, getStatusLabel, getStatusClasses, getReasonLabel } = useWorkflow();
+
+  // The report itself is the first entry, followed by every status change
+  const entries = [
+    { id: 'reported', status: workflow.initial, date: createdAt, title: 'Issue reported' },
+    ...history.map((change) => ({
+      id: change.id,
+      status: change.new_status,
+      date: change.updated_at,
+      title: `Marked as ${getStatusLabel(change.new_status)}`,
+      author: getAuthorLabel(change),
+      reason: change.reason ? getReasonLabel(change.new_status, change.reason) : null,
+      comment: change.comment
+    }))
+  ];
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {entries.map((entry) => (
+        <li key={entry.id} className="mb-6 ml-6 last:mb-0">
+          <span
+            className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white ${getStatusClasses(entry.status).dot}`}
+          />
+          <h3 className="text-sm font-medium text-gray-900">{entry.title}</h3>
+          <p className="text-xs text-gray-500">
+            {entry.date && formatDateTime(entry.date)}
+            {entry.author && ` · ${entry.author}`}
+          </p>
+          {entry.reason && (
+            <p className="mt-1 text-sm text-gray-700">Reason: {entry.reason}</p>
+          )}
+          {entry.comment && (
+            <blockquote className="mt-2 rounded-md bg-gray-50 px-3 py-2 text-sm text-gray-700 border-l-2 border-primary-300">
+              {entry.comment}
+            </blockquote>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusTimeline;
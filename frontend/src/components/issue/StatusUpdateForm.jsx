@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { issueService } from '../../services/issueService';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import PhotoUpload from '../PhotoUpload';
+
+// Lets authorities move an issue along the transitions the workflow allows for their role
+const StatusUpdateForm = ({ issueId, status, role, locationParams = {}, onUpdated }) => {
+  const { getStatusLabel, getAvailableTransitions } = useWorkflow();
+  const [target, setTarget] = useState('');
+  const [comment, setComment] = useState('');
+  const [reason, setReason] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const transitions = getAvailableTransitions(status, role);
+  const transition = transitions.find(option => option.to === target);
+  const requires = transition?.requires || [];
+
+  if (transitions.length === 0) {
+    return null;
+  }
+
+  const trimmedComment = comment.trim();
+  // The API rejects comments shorter than 5 characters, even optional ones
+  const isCommentValid = trimmedComment.length >= 5 || (trimmedComment.length === 0 && !requires.includes('comment'));
+  const isValid = Boolean(transition)
+    && isCommentValid
+    && (!requires.includes('reason') || Boolean(reason))
+    && (!requires.includes('photo') || photos.length > 0);
+
+  const handleTargetChange = (event) => {
+    setTarget(event.target.value);
+    setReason('');
+    setError('');
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!isValid) return;
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await issueService.updateIssueStatus(
+        issueId,
+        { status: target, comment: trimmedComment || undefined, reason: reason || undefined, photos },
+        locationParams
+      );
+      setTarget('');
+      setComment('');
+      setReason('');
+      setPhotos([]);
+      onUpdated?.(response.issue);
+    } catch (err) {
+      setError(err.message || 'Failed to update status');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <section className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-3">Update status</h2>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label htmlFor="status-target" className="block text-sm font-medium text-gray-700 mb-1">
+            New status
+          </label>
+          <select
+            id="status-target"
+            value={target}
+            onChange={handleTargetChange}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">Choose a status</option>
+            {transitions.map((option) => (
+              <option key={option.to} value={option.to}>{getStatusLabel(option.to)}</option>
+            ))}
+          </select>
+        </div>
+
+        {transition?.reasons?.length > 0 && (
+          <div>
+            <label htmlFor="status-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason{requires.includes('reason') ? '' : ' (optional)'}
+            </label>
+            <select
+              id="status-reason"
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Choose a reason</option>
+              {transition.reasons.map((option) => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {transition && (
+          <div>
+            <label htmlFor="status-comment" className="block text-sm font-medium text-gray-700 mb-1">
+              Comment{requires.includes('comment') ? '' : ' (optional)'}
+            </label>
+            <textarea
+              id="status-comment"
+              value={comment}
+              onChange={(event) => setComment(event.target.value)}
+              rows={3}
+              maxLength={1000}
+              placeholder="Shown to the reporter in the status timeline"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+        )}
+
+        {transition && (
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">
+              After photos{requires.includes('photo') ? '' : ' (optional)'}
+            </p>
+            <p className="text-xs text-gray-500 mb-2">Show the result, for example the completed repair.</p>
+            <PhotoUpload photos={photos} onPhotosChange={setPhotos} />
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={!isValid || isSubmitting}
+          className="w-full px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Updating...' : 'Update status'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default StatusUpdateForm;
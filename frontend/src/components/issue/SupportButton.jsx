@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { issueService } from '../../services/issueService';
+
+const SupportButton = ({ issueId, supportCount = 0, supported = false, disabled = false, locationParams = {} }) => {
+  const [count, setCount] = useState(supportCount);
+  const [isSupported, setIsSupported] = useState(supported);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleClick = async () => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = isSupported
+        ? await issueService.removeSupport(issueId, locationParams)
+        : await issueService.supportIssue(issueId, locationParams);
+      setCount(response.issue.support_count);
+      setIsSupported(response.issue.supported);
+    } catch (err) {
+      setError(err.message || 'Failed to update your vote');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-start">
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={disabled || isSubmitting}
+        aria-pressed={isSupported}
+        className={`px-3 py-2 text-sm font-medium rounded-md border disabled:opacity-50 disabled:cursor-not-allowed ${
+          isSupported
+            ? 'text-white bg-primary-600 border-primary-600 hover:bg-primary-700'
+            : 'text-primary-700 bg-white border-primary-200 hover:bg-primary-50'
+        }`}
+      >
+        {isSupported ? 'Affects me too' : 'Me too'}
+        <span className="ml-2 font-semibold">{count}</span>
+      </button>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default SupportButton;
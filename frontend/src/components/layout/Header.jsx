@@ -1,14 +1,15 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Header = () => {
   const { user, isAuthenticated, logout } = useAuth();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
     setIsMenuOpen(false);
   };
@@ -74,6 +75,14 @@ const Header = () => {
 
           {/* User Menu */}
           <div className="flex items-center">
+            {/* Anonymous reporters have an inbox for their session */}
+            {(isAuthenticated || localStorage.getItem('anonymousSessionToken')) && (
+              <div className="mr-4">
+                {/* Remount on login/logout so the inbox and socket follow the current token */}
+                <NotificationBell key={user?.id || 'anonymous'} />
+              </div>
+            )}
+
             {isAuthenticated ? (
               <div className="relative">
                 <button
@@ -1,11 +1,13 @@
 import React from 'react';
 import Header from './Header';
 import Footer from './Footer';
+import VerificationBanner from './VerificationBanner';
 
 const Layout = ({ children, showFooter = true }) => {
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <Header />
+      <VerificationBanner />
       <main className="flex-1">
         {children}
       </main>
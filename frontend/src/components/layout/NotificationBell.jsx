@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationService } from '../../services/notificationService';
+import { socketService } from '../../services/socketService';
+
+// Relative time label, e.g. "5m ago"
+const formatTimeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const loadNotifications = async () => {
+    setIsLoading(true);
+    try {
+      const response = await notificationService.getNotifications({ limit: 10 });
+      setNotifications(response.notifications);
+      setUnreadCount(response.unread_count);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load the inbox and listen for new notifications
+  useEffect(() => {
+    loadNotifications();
+
+    const unsubscribe = socketService.on('notification:created', (notification) => {
+      setNotifications(prev => [notification, ...prev].slice(0, 10));
+      setUnreadCount(prev => prev + 1);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  // Close the dropdown when clicking outside of it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      loadNotifications();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.is_read) {
+      try {
+        await notificationService.markAsRead(notification.id);
+        setNotifications(prev => prev.map(item => (
+          item.id === notification.id ? { ...item, is_read: true } : item
+        )));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+
+    setIsOpen(false);
+    if (notification.issue_id) {
+      navigate(`/issues/${notification.issue_id}`);
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setNotifications(prev => prev.map(item => ({ ...item, is_read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-full text-gray-500 hover:text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 text-xs font-bold text-white bg-red-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllAsRead}
+                className="text-xs text-primary-600 hover:text-primary-700"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {isLoading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleNotificationClick(notification)}
+                  className={`block w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                    notification.is_read ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  <div className="flex items-start">
+                    {!notification.is_read && (
+                      <span className="mt-1.5 mr-2 h-2 w-2 flex-shrink-0 rounded-full bg-primary-600" />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                      <p className="text-sm text-gray-600 truncate">{notification.message}</p>
+                      <p className="text-xs text-gray-400 mt-1">{formatTimeAgo(notification.created_at)}</p>
+                    </div>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
+
+// Reminds signed-in users with an unverified email address to open the emailed link
+const VerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState('idle'); // idle, sending, sent, error
+  const [error, setError] = useState('');
+
+  if (!isAuthenticated || !user || user.isVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      await authService.resendVerification();
+      setStatus('sent');
+    } catch (err) {
+      setError(err.message || 'Could not send the verification email');
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-yellow-800">
+          {status === 'sent'
+            ? `We sent a new verification link to ${user.email}.`
+            : `Verify your email address to report issues under your name. Check ${user.email} for the link.`}
+          {status === 'error' && <span className="ml-1 text-red-600">{error}</span>}
+        </p>
+        {status !== 'sent' && (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={status === 'sending'}
+            className="text-sm font-medium text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50"
+          >
+            {status === 'sending' ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerificationBanner;
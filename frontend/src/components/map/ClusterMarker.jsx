@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import L from 'leaflet';
+import { Marker, Tooltip, useMap } from 'react-leaflet';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { useCategories } from '../../contexts/CategoryContext';
+
+// Marker diameter grows with the issue count (px)
+const getSize = (count) => Math.min(28 + Math.round(Math.log10(count) * 12), 56);
+
+const ClusterMarker = ({ cluster }) => {
+  const map = useMap();
+  const { getStatusLabel } = useWorkflow();
+  const { getCategoryOption } = useCategories();
+  const size = getSize(cluster.count);
+
+  const icon = useMemo(() => L.divIcon({
+    className: '',
+    iconSize: [size, size],
+    html: `<div class="flex items-center justify-center rounded-full bg-primary-600 bg-opacity-80 border-2 border-white text-white text-xs font-semibold shadow" style="width:${size}px;height:${size}px">${cluster.count}</div>`
+  }), [cluster.count, size]);
+
+  // Zoom into the cluster's grid cell to expand it
+  const handleClick = () => {
+    const { north, south, east, west } = cluster.bounds;
+    map.flyToBounds([[south, west], [north, east]]);
+  };
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={icon}
+      eventHandlers={{ click: handleClick }}
+    >
+      <Tooltip direction="top" offset={[0, -size / 2]}>
+        <div className="text-xs">
+          <p className="font-semibold mb-1">
+            {cluster.count} issue{cluster.count === 1 ? '' : 's'}
+          </p>
+          {Object.entries(cluster.status).map(([status, count]) => (
+            <p key={status}>{getStatusLabel(status)}: {count}</p>
+          ))}
+          <hr className="my-1" />
+          {Object.entries(cluster.category).map(([category, count]) => (
+            <p key={category}>{getCategoryOption(category).label}: {count}</p>
+          ))}
+        </div>
+      </Tooltip>
+    </Marker>
+  );
+};
+
+export default ClusterMarker;
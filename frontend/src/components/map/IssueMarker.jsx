@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CircleMarker, Popup } from 'react-leaflet';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { useCategories } from '../../contexts/CategoryContext';
+
+const IssueMarker = ({ issue }) => {
+  const { getStatusLabel, getStatusClasses, isOpenStatus } = useWorkflow();
+  const { getCategoryOption } = useCategories();
+  const category = getCategoryOption(issue.category);
+  // Issues that no longer need work are drawn faded
+  const isClosed = !isOpenStatus(issue.status);
+
+  return (
+    <CircleMarker
+      center={[parseFloat(issue.latitude), parseFloat(issue.longitude)]}
+      radius={9}
+      pathOptions={{
+        color: '#ffffff',
+        weight: 2,
+        fillColor: category.color,
+        fillOpacity: isClosed ? 0.5 : 0.9
+      }}
+    >
+      <Popup>
+        <div className="min-w-[12rem]">
+          <h3 className="font-semibold text-gray-900 mb-1">{issue.title}</h3>
+          <div className="flex items-center space-x-2 mb-2">
+            <span
+              className="inline-block h-2.5 w-2.5 rounded-full"
+              style={{ backgroundColor: category.color }}
+            />
+            <span className="text-xs text-gray-600">{category.label}</span>
+            <span className={`text-xs px-2 py-0.5 rounded-full ${getStatusClasses(issue.status).badge}`}>
+              {getStatusLabel(issue.status)}
+            </span>
+          </div>
+          {issue.address && <p className="text-xs text-gray-500 mb-1">{issue.address}</p>}
+          {issue.distance_km !== undefined && issue.distance_km !== null && (
+            <p className="text-xs text-gray-500 mb-2">{Number(issue.distance_km).toFixed(1)} km away</p>
+          )}
+          <Link
+            to={`/issues/${issue.id}`}
+            className="text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            View details
+          </Link>
+        </div>
+      </Popup>
+    </CircleMarker>
+  );
+};
+
+export default IssueMarker;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { useWorkflow } from '../../contexts/WorkflowContext';
+import { useCategories } from '../../contexts/CategoryContext';
+
+// Toggle a value in a list of selected values
+const toggleValue = (values, value) => (
+  values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+);
+
+const MapFilters = ({ filters, onChange }) => {
+  const { statuses } = useWorkflow();
+  const { activeCategories, getCategoryOption } = useCategories();
+
+  const handleStatusChange = (status) => {
+    onChange({ ...filters, status: toggleValue(filters.status, status) });
+  };
+
+  const handleCategoryChange = (category) => {
+    onChange({ ...filters, category: toggleValue(filters.category, category) });
+  };
+
+  const hasFilters = filters.status.length > 0 || filters.category.length > 0;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-gray-900">Filters</h2>
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={() => onChange({ status: [], category: [] })}
+            className="text-xs text-primary-600 hover:text-primary-700"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <fieldset>
+        <legend className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">Status</legend>
+        <div className="space-y-1">
+          {statuses.map((status) => (
+            <label key={status.key} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={filters.status.includes(status.key)}
+                onChange={() => handleStatusChange(status.key)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              {status.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">Category</legend>
+        <div className="space-y-1">
+          {activeCategories.map((category) => (
+            <label key={category.key} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={filters.category.includes(category.key)}
+                onChange={() => handleCategoryChange(category.key)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              <span
+                className="inline-block h-3 w-3 rounded-full mr-2"
+                style={{ backgroundColor: getCategoryOption(category.key).color }}
+              />
+              {category.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default MapFilters;
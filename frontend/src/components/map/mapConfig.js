@@ -0,0 +1,8 @@
+// Shared settings for the issue map
+
+// Fallback center when the user's location is unavailable
+export const DEFAULT_CENTER = { lat: 40.7128, lng: -74.0060 };
+export const DEFAULT_ZOOM = 14;
+
+// At this zoom and below the map shows clusters instead of individual issues
+export const CLUSTER_MAX_ZOOM = 13;
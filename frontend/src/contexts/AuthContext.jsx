@@ -32,6 +32,8 @@ const authReducer = (state, action) => {
         loading: false,
         error: null 
       };
+    case 'UPDATE_USER':
+      return { ...state, user: { ...state.user, ...action.payload } };
     case 'SET_LOADING':
       return { ...state, loading: action.payload };
     case 'CLEAR_ERROR':
@@ -59,13 +61,14 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'SET_LOADING', payload: true });
       authService.verifyToken(token)
         .then(user => {
+          // The stored token may have been refreshed while verifying
           dispatch({ 
             type: 'LOGIN_SUCCESS', 
-            payload: { user, token } 
+            payload: { user, token: localStorage.getItem('token') } 
           });
         })
         .catch(() => {
-          localStorage.removeItem('token');
+          authService.clearTokens();
           dispatch({ type: 'LOGOUT' });
         });
     }
@@ -75,7 +78,7 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const response = await authService.login(credentials);
-      localStorage.setItem('token', response.token);
+      authService.storeTokens(response);
       dispatch({ 
         type: 'LOGIN_SUCCESS', 
         payload: response 
@@ -94,7 +97,7 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const response = await authService.register(userData);
-      localStorage.setItem('token', response.token);
+      authService.storeTokens(response);
       dispatch({ 
         type: 'LOGIN_SUCCESS', 
         payload: response 
@@ -109,11 +112,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  const logout = async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      // The session may already be revoked or expired; log out locally anyway
+    }
+    authService.clearTokens();
     dispatch({ type: 'LOGOUT' });
   };
 
+  // Merge fresh user details, e.g. after the email address was verified
+  const updateUser = (changes) => {
+    dispatch({ type: 'UPDATE_USER', payload: changes });
+  };
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -123,6 +136,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    updateUser,
     clearError
   };
 
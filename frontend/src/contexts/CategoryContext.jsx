@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { issueService } from '../services/issueService';
+
+// Map colour for categories without one, or not loaded yet
+const DEFAULT_COLOR = '#6b7280';
+
+// Lookups shared by every component that shows or picks an issue category
+const buildCategoryHelpers = (categories) => {
+  const findCategory = (key) => categories.find(category => category.key === key);
+  const findSubcategory = (categoryKey, subcategoryKey) => (
+    findCategory(categoryKey)?.subcategories.find(subcategory => subcategory.key === subcategoryKey)
+  );
+
+  return {
+    categories,
+    // Inactive categories still label existing issues, but cannot be chosen for new ones
+    activeCategories: categories
+      .filter(category => category.is_active)
+      .map(category => ({
+        ...category,
+        subcategories: category.subcategories.filter(subcategory => subcategory.is_active)
+      })),
+    getCategoryOption: (key) => {
+      const category = findCategory(key);
+      return {
+        value: key,
+        label: category?.label || key,
+        color: category?.color || DEFAULT_COLOR,
+        icon: category?.icon || null
+      };
+    },
+    getSubcategoryLabel: (categoryKey, subcategoryKey) => (
+      findSubcategory(categoryKey, subcategoryKey)?.label || subcategoryKey
+    ),
+    // Fields of the category followed by those of the subcategory, as the server validates them
+    getCustomFields: (categoryKey, subcategoryKey) => [
+      ...(findCategory(categoryKey)?.custom_fields || []),
+      ...(findSubcategory(categoryKey, subcategoryKey)?.custom_fields || [])
+    ]
+  };
+};
+
+const CategoryContext = createContext(buildCategoryHelpers([]));
+
+export const CategoryProvider = ({ children }) => {
+  const [categories, setCategories] = useState([]);
+
+  // Categories are managed by admins on the server, load them once for the whole app
+  useEffect(() => {
+    let cancelled = false;
+
+    issueService.getCategories()
+      .then((response) => {
+        if (!cancelled) setCategories(response.categories);
+      })
+      .catch((error) => {
+        console.warn('Could not load the issue categories:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const value = useMemo(() => buildCategoryHelpers(categories), [categories]);
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+};
+
+export const useCategories = () => useContext(CategoryContext);
@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { issueService } from '../services/issueService';
+
+// Status colours per workflow tone, spelled out so Tailwind keeps the classes
+export const STATUS_TONE_CLASSES = {
+  yellow: { badge: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-400' },
+  indigo: { badge: 'bg-indigo-100 text-indigo-800', dot: 'bg-indigo-500' },
+  blue: { badge: 'bg-blue-100 text-blue-800', dot: 'bg-blue-500' },
+  orange: { badge: 'bg-orange-100 text-orange-800', dot: 'bg-orange-500' },
+  green: { badge: 'bg-green-100 text-green-800', dot: 'bg-green-500' },
+  red: { badge: 'bg-red-100 text-red-800', dot: 'bg-red-500' },
+  gray: { badge: 'bg-gray-100 text-gray-800', dot: 'bg-gray-400' }
+};
+
+const EMPTY_WORKFLOW = { initial: null, statuses: [], transitions: [] };
+
+// in_progress -> In Progress, for statuses the workflow has not loaded yet
+const humanize = (status) => status
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Lookups shared by every component that shows or changes an issue status
+const buildWorkflowHelpers = (workflow) => {
+  const findStatus = (key) => workflow.statuses.find(status => status.key === key);
+
+  return {
+    workflow,
+    statuses: workflow.statuses,
+    getStatusLabel: (key) => findStatus(key)?.label || (key ? humanize(key) : ''),
+    getStatusClasses: (key) => STATUS_TONE_CLASSES[findStatus(key)?.tone] || STATUS_TONE_CLASSES.gray,
+    isOpenStatus: (key) => Boolean(findStatus(key)?.open),
+    getReasonLabel: (to, reasonKey) => workflow.transitions
+      .filter(transition => transition.to === to)
+      .flatMap(transition => transition.reasons || [])
+      .find(reason => reason.key === reasonKey)?.label || reasonKey,
+    getAvailableTransitions: (from, role) => workflow.transitions.filter(transition => (
+      transition.from.includes(from) && transition.roles.includes(role)
+    ))
+  };
+};
+
+const WorkflowContext = createContext(buildWorkflowHelpers(EMPTY_WORKFLOW));
+
+export const WorkflowProvider = ({ children }) => {
+  const [workflow, setWorkflow] = useState(EMPTY_WORKFLOW);
+
+  // The workflow is defined on the server, load it once for the whole app
+  useEffect(() => {
+    let cancelled = false;
+
+    issueService.getWorkflow()
+      .then((response) => {
+        if (!cancelled) setWorkflow(response.workflow);
+      })
+      .catch((error) => {
+        console.warn('Could not load the issue workflow:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const value = useMemo(() => buildWorkflowHelpers(workflow), [workflow]);
+
+  return (
+    <WorkflowContext.Provider value={value}>
+      {children}
+    </WorkflowContext.Provider>
+  );
+};
+
+export const useWorkflow = () => useContext(WorkflowContext);
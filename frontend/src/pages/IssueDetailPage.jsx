@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { MapContainer, TileLayer, CircleMarker } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { issueService } from '../services/issueService';
+import { geolocationService } from '../services/geolocationService';
+import PhotoGallery from '../components/issue/PhotoGallery';
+import StatusTimeline from '../components/issue/StatusTimeline';
+import FlagIssueDialog from '../components/issue/FlagIssueDialog';
+import SupportButton from '../components/issue/SupportButton';
+import CommentThread from '../components/issue/CommentThread';
+import StatusUpdateForm from '../components/issue/StatusUpdateForm';
+import ReporterReviewPanel from '../components/issue/ReporterReviewPanel';
+import { LoadingPage } from '../components/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkflow } from '../contexts/WorkflowContext';
+import { useCategories } from '../contexts/CategoryContext';
+
+const formatDistance = (km) => (
+  km < 1 ? `${Math.round(km * 1000)} m away` : `${km.toFixed(1)} km away`
+);
+
+const IssueDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { getStatusLabel, getStatusClasses } = useWorkflow();
+  const { getCategoryOption, getSubcategoryLabel, getCustomFields } = useCategories();
+  const [userLocation, setUserLocation] = useState(undefined);
+  const [issue, setIssue] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showFlagDialog, setShowFlagDialog] = useState(false);
+  const [flagMessage, setFlagMessage] = useState('');
+
+  // The issues API uses the viewer's location for access control and distance
+  const locationParams = useMemo(() => (
+    userLocation ? { userLat: userLocation.lat, userLng: userLocation.lng } : {}
+  ), [userLocation]);
+
+  useEffect(() => {
+    geolocationService.getCurrentPosition()
+      .then(setUserLocation)
+      .catch(() => setUserLocation(null));
+  }, []);
+
+  useEffect(() => {
+    if (userLocation === undefined) return undefined;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    Promise.all([
+      issueService.getIssueById(id, locationParams),
+      issueService.getIssueHistory(id, locationParams)
+    ])
+      .then(([issueResponse, historyResponse]) => {
+        if (cancelled) return;
+        // Merged duplicates are redirected to their canonical issue by the API
+        if (issueResponse.issue.id !== id) {
+          cancelled = true;
+          navigate(`/issues/${issueResponse.issue.id}`, { replace: true });
+          return;
+        }
+        setIssue(issueResponse.issue);
+        setHistory(historyResponse.history);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.status === 404 ? 'This issue does not exist or has been hidden.' : err.message || 'Failed to load issue');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, userLocation, locationParams, navigate]);
+
+  const handleStatusUpdated = (updatedIssue) => {
+    setIssue((current) => ({ ...current, status: updatedIssue.status, reporter_review: null }));
+    // Reload the timeline, any photos uploaded with the change and the reporter review state
+    Promise.all([
+      issueService.getIssueById(id, locationParams),
+      issueService.getIssueHistory(id, locationParams)
+    ])
+      .then(([issueResponse, historyResponse]) => {
+        setIssue(issueResponse.issue);
+        setHistory(historyResponse.history);
+      })
+      .catch(() => {});
+  };
+
+  const handleFlagged = () => {
+    setShowFlagDialog(false);
+    setFlagMessage('Thanks for the report. Moderators will review this issue.');
+  };
+
+  if (isLoading) {
+    return <LoadingPage message="Loading issue..." />;
+  }
+
+  if (error || !issue) {
+    return (
+      <div className="max-w-3xl mx-auto py-12 px-4 text-center">
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Issue unavailable</h1>
+        <p className="text-gray-600 mb-6">{error}</p>
+        <Link to="/map" className="text-primary-600 hover:text-primary-700 font-medium">
+          Back to the map
+        </Link>
+      </div>
+    );
+  }
+
+  const category = getCategoryOption(issue.category);
+  // Answers to fields an admin has since removed are still shown, under their key
+  const customFields = Object.entries(issue.custom_fields || {}).map(([key, value]) => ({
+    key,
+    label: getCustomFields(issue.category, issue.subcategory).find(field => field.key === key)?.label || key,
+    value: typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value)
+  }));
+  const position = [parseFloat(issue.latitude), parseFloat(issue.longitude)];
+
+  return (
+    <div className="max-w-5xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <Link to="/map" className="text-sm text-primary-600 hover:text-primary-700">
+        &larr; Back to the map
+      </Link>
+
+      <div className="mt-4 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{issue.title}</h1>
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusClasses(issue.status).badge}`}>
+              {getStatusLabel(issue.status)}
+            </span>
+            <span className="flex items-center">
+              <span
+                className="inline-block h-2.5 w-2.5 rounded-full mr-1"
+                style={{ backgroundColor: category.color }}
+              />
+              {category.label}
+              {issue.subcategory && ` › ${getSubcategoryLabel(issue.category, issue.subcategory)}`}
+            </span>
+            {issue.distance && <span>· {formatDistance(issue.distance.km)}</span>}
+            <span>· Reported {new Date(issue.created_at).toLocaleDateString()}</span>
+            {issue.is_anonymous && <span>· Anonymous report</span>}
+            {issue.mergedIssues?.length > 0 && (
+              <span>
+                · Includes {issue.mergedIssues.length} merged {issue.mergedIssues.length === 1 ? 'report' : 'reports'}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="self-start flex items-start gap-2">
+          <SupportButton
+            key={issue.id}
+            issueId={issue.id}
+            supportCount={issue.support_count}
+            supported={issue.supported}
+            locationParams={locationParams}
+          />
+          {!flagMessage && (
+            <button
+              type="button"
+              onClick={() => setShowFlagDialog(true)}
+              className="px-3 py-2 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50"
+            >
+              Flag this issue
+            </button>
+          )}
+        </div>
+      </div>
+
+      {flagMessage && (
+        <div className="mt-4 bg-green-50 border border-green-200 rounded-md p-3">
+          <p className="text-sm text-green-800">{flagMessage}</p>
+        </div>
+      )}
+
+      <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {issue.reporter_review?.can_review && (
+            <ReporterReviewPanel
+              issueId={issue.id}
+              deadline={issue.reporter_review.deadline}
+              onReviewed={handleStatusUpdated}
+            />
+          )}
+
+          <section className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Description</h2>
+            <p className="text-gray-700 whitespace-pre-line">{issue.description}</p>
+            {customFields.length > 0 && (
+              <dl className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {customFields.map((field) => (
+                  <div key={field.key}>
+                    <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{field.label}</dt>
+                    <dd className="text-sm text-gray-900">{field.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+          </section>
+
+          <section className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Photos</h2>
+            {issue.after_photos?.length > 0 ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Before</h3>
+                  <PhotoGallery
+                    photos={issue.photos || []}
+                    title={`${issue.title} before`}
+                    emptyMessage="The reporter did not add photos."
+                  />
+                </div>
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">After</h3>
+                  <PhotoGallery photos={issue.after_photos} title={`${issue.title} after`} />
+                </div>
+              </div>
+            ) : (
+              <PhotoGallery photos={issue.photos || []} title={issue.title} />
+            )}
+          </section>
+
+          <section className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Status timeline</h2>
+            <StatusTimeline createdAt={issue.created_at} history={history} />
+          </section>
+
+          <section className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Comments</h2>
+            <CommentThread issueId={issue.id} locationParams={locationParams} />
+          </section>
+        </div>
+
+        <aside className="space-y-6">
+          {user && (
+            <StatusUpdateForm
+              issueId={issue.id}
+              status={issue.status}
+              role={user.role}
+              locationParams={locationParams}
+              onUpdated={handleStatusUpdated}
+            />
+          )}
+
+          <section className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="h-56">
+              <MapContainer
+                center={position}
+                zoom={16}
+                scrollWheelZoom={false}
+                className="h-full w-full"
+              >
+                <TileLayer
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                <CircleMarker
+                  center={position}
+                  radius={9}
+                  pathOptions={{ color: '#ffffff', weight: 2, fillColor: category.color, fillOpacity: 0.9 }}
+                />
+              </MapContainer>
+            </div>
+            {issue.address && (
+              <p className="px-4 py-3 text-sm text-gray-700">{issue.address}</p>
+            )}
+          </section>
+        </aside>
+      </div>
+
+      {showFlagDialog && (
+        <FlagIssueDialog
+          issueId={issue.id}
+          locationParams={locationParams}
+          onClose={() => setShowFlagDialog(false)}
+          onFlagged={handleFlagged}
+        />
+      )}
+    </div>
+  );
+};
+
+export default IssueDetailPage;
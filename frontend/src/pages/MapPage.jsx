@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, CircleMarker, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { issueService } from '../services/issueService';
+import { geolocationService } from '../services/geolocationService';
+import { socketService } from '../services/socketService';
+import IssueMarker from '../components/map/IssueMarker';
+import ClusterMarker from '../components/map/ClusterMarker';
+import MapFilters from '../components/map/MapFilters';
+import { LoadingPage } from '../components/LoadingSpinner';
+import { DEFAULT_CENTER, DEFAULT_ZOOM, CLUSTER_MAX_ZOOM } from '../components/map/mapConfig';
+import { useCategories } from '../contexts/CategoryContext';
+
+// Delay before reloading issues after the map stops moving (ms)
+const RELOAD_DELAY = 300;
+
+// Reports the visible area whenever the map stops moving
+const ViewportWatcher = ({ onViewportChange }) => {
+  // moveend also fires after zooming
+  const map = useMapEvents({
+    moveend: () => onViewportChange(map)
+  });
+
+  useEffect(() => {
+    onViewportChange(map);
+  }, [map, onViewportChange]);
+
+  return null;
+};
+
+// Check whether an issue matches the active filters
+const matchesFilters = (issue, filters) => (
+  !issue.merged_into_id &&
+  (filters.status.length === 0 || filters.status.includes(issue.status)) &&
+  (filters.category.length === 0 || filters.category.includes(issue.category))
+);
+
+const MapPage = () => {
+  const { activeCategories, getCategoryOption } = useCategories();
+  const [userLocation, setUserLocation] = useState(null);
+  const [initialCenter, setInitialCenter] = useState(null);
+  const [locationError, setLocationError] = useState('');
+  const [viewport, setViewport] = useState(null);
+  const [filters, setFilters] = useState({ status: [], category: [] });
+  const [issues, setIssues] = useState([]);
+  const [clusters, setClusters] = useState(null);
+  const [metadata, setMetadata] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestIdRef = useRef(0);
+  const filtersRef = useRef(filters);
+
+  filtersRef.current = filters;
+
+  // Center on the user, falling back to the default center
+  useEffect(() => {
+    geolocationService.getCurrentPosition()
+      .then((position) => {
+        setUserLocation(position);
+        setInitialCenter(position);
+      })
+      .catch((err) => {
+        setLocationError(err.message);
+        setInitialCenter(DEFAULT_CENTER);
+      });
+  }, []);
+
+  // Convert the visible map area into the bbox the issues API expects
+  const handleViewportChange = useCallback((map) => {
+    const center = map.getCenter();
+    const bounds = map.getBounds();
+
+    // Leaflet bounds can extend past the world edges when zoomed out
+    setViewport({
+      lat: center.lat,
+      lng: center.lng,
+      zoom: map.getZoom(),
+      west: Math.max(bounds.getWest(), -180),
+      south: Math.max(bounds.getSouth(), -90),
+      east: Math.min(bounds.getEast(), 180),
+      north: Math.min(bounds.getNorth(), 90)
+    });
+  }, []);
+
+  // Reload issues for the visible area and active filters
+  useEffect(() => {
+    if (!viewport) return undefined;
+
+    const timer = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      setIsLoading(true);
+      setError('');
+
+      const showClusters = viewport.zoom <= CLUSTER_MAX_ZOOM;
+      const params = {
+        bbox: [viewport.west, viewport.south, viewport.east, viewport.north]
+          .map(value => value.toFixed(6))
+          .join(',')
+      };
+      if (showClusters) {
+        params.zoom = viewport.zoom;
+      } else {
+        params.limit = 100;
+      }
+      if (filters.status.length > 0) params.status = filters.status.join(',');
+      if (filters.category.length > 0) params.category = filters.category.join(',');
+
+      try {
+        if (showClusters) {
+          const response = await issueService.getIssueClusters(params);
+          if (requestId === requestIdRef.current) {
+            setClusters(response.clusters);
+            setIssues([]);
+            setMetadata(response.metadata);
+          }
+        } else {
+          const response = await issueService.getIssues(params);
+          if (requestId === requestIdRef.current) {
+            setClusters(null);
+            setIssues(response.issues);
+            setMetadata(response.metadata);
+          }
+        }
+      } catch (err) {
+        if (requestId === requestIdRef.current) {
+          setError(err.message || 'Failed to load issues');
+        }
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setIsLoading(false);
+        }
+      }
+    }, RELOAD_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [viewport, filters]);
+
+  // Receive new and changed issues around the map center
+  useEffect(() => {
+    if (!viewport) return undefined;
+    socketService.joinArea(viewport.lat, viewport.lng);
+    return undefined;
+  }, [viewport?.lat, viewport?.lng]);
+
+  useEffect(() => {
+    const handleIssueEvent = ({ issue }) => {
+      setIssues((prev) => {
+        const others = prev.filter(item => item.id !== issue.id);
+        return matchesFilters(issue, filtersRef.current) ? [issue, ...others] : others;
+      });
+    };
+
+    const unsubscribeCreated = socketService.on('issue:created', handleIssueEvent);
+    const unsubscribeUpdated = socketService.on('issue:updated', handleIssueEvent);
+
+    return () => {
+      unsubscribeCreated();
+      unsubscribeUpdated();
+      socketService.leaveArea();
+    };
+  }, []);
+
+  // In cluster mode the metadata counts issues across all clusters
+  const issueCount = clusters ? metadata?.total || 0 : issues.length;
+
+  if (!initialCenter) {
+    return <LoadingPage message="Finding your location..." />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Issues Map</h1>
+          <p className="text-sm text-gray-600">
+            {isLoading
+              ? 'Loading issues...'
+              : `${issueCount} issue${issueCount === 1 ? '' : 's'} in this area`}
+            {!clusters && metadata && metadata.total > metadata.count && ' (zoom in to see more)'}
+          </p>
+        </div>
+        <Link
+          to="/report"
+          className="bg-primary-600 hover:bg-primary-700 text-white px-4 py-2 text-sm font-medium rounded-md transition-colors"
+        >
+          Report Issue
+        </Link>
+      </div>
+
+      {locationError && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+          <p className="text-sm text-yellow-800">
+            {locationError}. Showing the default area instead.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        <aside className="lg:w-64 flex-shrink-0 space-y-4">
+          <MapFilters filters={filters} onChange={setFilters} />
+
+          <div className="bg-white shadow rounded-lg p-4">
+            <h2 className="text-sm font-semibold text-gray-900 mb-2">Legend</h2>
+            <ul className="space-y-1">
+              {activeCategories.map((category) => (
+                <li key={category.key} className="flex items-center text-sm text-gray-700">
+                  <span
+                    className="inline-block h-3 w-3 rounded-full mr-2"
+                    style={{ backgroundColor: getCategoryOption(category.key).color }}
+                  />
+                  {category.label}
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-gray-500 mt-2">Resolved issues are shown faded.</p>
+          </div>
+        </aside>
+
+        <div className="flex-1 h-[32rem] lg:h-[40rem] rounded-lg overflow-hidden shadow">
+          <MapContainer
+            center={[initialCenter.lat, initialCenter.lng]}
+            zoom={DEFAULT_ZOOM}
+            className="h-full w-full"
+          >
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            />
+            <ViewportWatcher onViewportChange={handleViewportChange} />
+
+            {userLocation && (
+              <CircleMarker
+                center={[userLocation.lat, userLocation.lng]}
+                radius={6}
+                pathOptions={{ color: '#1d4ed8', weight: 3, fillColor: '#3b82f6', fillOpacity: 1 }}
+              />
+            )}
+
+            {clusters
+              ? clusters.map((cluster) => (
+                <ClusterMarker key={cluster.id} cluster={cluster} />
+              ))
+              : issues.map((issue) => (
+                <IssueMarker key={issue.id} issue={issue} />
+              ))}
+          </MapContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapPage;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import ActiveSessions from '../components/auth/ActiveSessions';
+
+const ProfilePage = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 py-6 sm:px-0 space-y-6">
+        <h2 className="text-2xl font-semibold text-gray-900">User Profile</h2>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900">Account</h3>
+          <dl className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <dt className="text-sm text-gray-500">Email address</dt>
+              <dd className="text-sm font-medium text-gray-900">{user?.email}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Role</dt>
+              <dd className="text-sm font-medium text-gray-900 capitalize">{user?.role}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Email verification</dt>
+              <dd className="text-sm font-medium text-gray-900">
+                {user?.isVerified ? 'Verified' : 'Not verified'}
+              </dd>
+            </div>
+          </dl>
+        </div>
+
+        <ActiveSessions />
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePage;
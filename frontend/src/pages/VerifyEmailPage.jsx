@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services/authService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying'); // verifying, verified, error
+  const [error, setError] = useState('');
+  // Links are single-use, so never redeem the token twice (StrictMode runs effects twice)
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    authService.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setError(err.message || 'This verification link is invalid or has already been used');
+        setStatus('error');
+      });
+  }, [token]);
+
+  // The link may be opened in a browser where the same user is logged in
+  useEffect(() => {
+    if (status === 'verified' && user && !user.isVerified) {
+      updateUser({ isVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="max-w-md mx-auto py-12 px-4">
+      <div className="bg-white shadow rounded-lg p-6 text-center">
+        {status === 'verifying' && (
+          <>
+            <LoadingSpinner className="mx-auto" />
+            <p className="mt-4 text-sm text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="text-lg font-medium text-gray-900">Email address verified</h2>
+            <p className="mt-2 text-sm text-gray-600">
+              You can now report issues under your name.
+            </p>
+            <div className="mt-6">
+              <Link
+                to={user ? '/report' : '/login'}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+              >
+                {user ? 'Report an issue' : 'Sign in'}
+              </Link>
+            </div>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="text-lg font-medium text-gray-900">Could not verify your email address</h2>
+            <p className="mt-2 text-sm text-red-600">{error}</p>
+            <p className="mt-2 text-sm text-gray-600">
+              Sign in to request a new verification email.
+            </p>
+            <div className="mt-6">
+              <Link
+                to="/"
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Go back home
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -1,4 +1,8 @@
 // Export all pages from this directory
 export { default as HomePage } from './HomePage';
 export { default as ReportPage } from './ReportPage';
+export { default as MapPage } from './MapPage';
+export { default as IssueDetailPage } from './IssueDetailPage';
+export { default as VerifyEmailPage } from './VerifyEmailPage';
+export { default as ProfilePage } from './ProfilePage';
 export { default as NotFoundPage } from './NotFoundPage';
\ No newline at end of file
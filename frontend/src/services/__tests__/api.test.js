@@ -0,0 +1,25 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import api from '../api';
+
+// Run a request config through the request interceptors
+const intercept = (config) => api.interceptors.request.handlers
+  .filter(Boolean)
+  .reduce((current, { fulfilled }) => fulfilled(current), { headers: {}, ...config });
+
+describe('api request interceptor', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('anonymousSessionToken', 'anonymous-token');
+  });
+
+  it('sends the anonymous session token only on requests made for an anonymous reporter', () => {
+    expect(intercept({}).headers.Authorization).toBeUndefined();
+    expect(intercept({ anonymousSession: true }).headers.Authorization).toBe('Bearer anonymous-token');
+  });
+
+  it('prefers the token of the logged in user', () => {
+    localStorage.setItem('token', 'user-token');
+
+    expect(intercept({ anonymousSession: true }).headers.Authorization).toBe('Bearer user-token');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import api from '../api';
+import { authService, ANONYMOUS_TOKEN_KEY, EARLIER_ANONYMOUS_TOKENS_KEY } from '../authService';
+
+vi.mock('../api', () => ({
+  default: { post: vi.fn() },
+  REFRESH_TOKEN_KEY: 'refreshToken'
+}));
+
+// Unsigned JWT with the given expiry, in seconds from now
+const sessionToken = (expiresIn) => {
+  const payload = btoa(JSON.stringify({ type: 'anonymous', exp: Math.floor(Date.now() / 1000) + expiresIn }));
+  return `header.${payload}.signature`;
+};
+
+describe('authService anonymous sessions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('keeps an expired token when starting a new session', async () => {
+    const expiredToken = sessionToken(-60);
+    const newToken = sessionToken(3600);
+    localStorage.setItem(ANONYMOUS_TOKEN_KEY, expiredToken);
+    api.post.mockResolvedValue({ sessionToken: newToken });
+
+    await expect(authService.getAnonymousSessionToken()).resolves.toBe(newToken);
+    expect(authService.getAnonymousSessionTokens()).toEqual([newToken, expiredToken]);
+  });
+
+  it('reuses a token that has not expired', async () => {
+    const token = sessionToken(3600);
+    localStorage.setItem(ANONYMOUS_TOKEN_KEY, token);
+
+    await expect(authService.getAnonymousSessionToken()).resolves.toBe(token);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('claims every session on login and forgets them once claimed', async () => {
+    localStorage.setItem(ANONYMOUS_TOKEN_KEY, 'current');
+    localStorage.setItem(EARLIER_ANONYMOUS_TOKENS_KEY, JSON.stringify(['earlier']));
+    api.post.mockResolvedValue({ claimedReports: { issues: 2, flags: 0 } });
+
+    await authService.login({ email: 'resident@example.com', password: 'secret' });
+
+    expect(api.post).toHaveBeenCalledWith('/auth/login', {
+      email: 'resident@example.com',
+      password: 'secret',
+      anonymousSessionTokens: ['current', 'earlier']
+    });
+    expect(authService.hasAnonymousSession()).toBe(false);
+  });
+
+  it('keeps the tokens when nothing was claimed', async () => {
+    localStorage.setItem(EARLIER_ANONYMOUS_TOKENS_KEY, JSON.stringify(['earlier']));
+    api.post.mockResolvedValue({ claimedReports: null });
+
+    await authService.register({ email: 'resident@example.com', password: 'secret' });
+
+    expect(authService.getAnonymousSessionTokens()).toEqual(['earlier']);
+  });
+});
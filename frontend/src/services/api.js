@@ -9,10 +9,38 @@ const api = axios.create({
   },
 });
 
+// localStorage key of the refresh token of a logged in user
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Refresh in flight, shared by all requests that failed with an expired access token
+let refreshPromise = null;
+
+// Exchange the refresh token for a new access token; the refresh token rotates on every use
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    // Plain axios: a failed refresh must not go through the interceptors below
+    refreshPromise = axios.post('/api/auth/refresh', { refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    // Requests made for an anonymous reporter (anonymousSession: true) fall back to the anonymous session
+    const token = localStorage.getItem('token')
+      || (config.anonymousSession ? localStorage.getItem('anonymousSessionToken') : null);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -28,14 +56,32 @@ api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const { config } = error;
+
+    // Access tokens are short-lived: renew once with the refresh token and repeat the request
+    if (error.response?.status === 401 && config && !config.retriedAfterRefresh && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      config.retriedAfterRefresh = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return await api(config);
+      } catch (retryError) {
+        // A failed retry was already handled by this interceptor
+        if (!retryError?.isAxiosError) {
+          return Promise.reject(retryError);
+        }
+      }
+    }
+
     if (error.response) {
       // Server responded with error status
       const { status, data } = error.response;
       
-      if (status === 401) {
-        // Unauthorized - clear token and redirect to login
+      if (status === 401 && !config?.skipAuthRedirect) {
+        // Unauthorized - clear tokens and redirect to login
         localStorage.removeItem('token');
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
         window.location.href = '/login';
       }
       
@@ -1,18 +1,91 @@
-import api from './api';
+import api, { REFRESH_TOKEN_KEY } from './api';
+
+// localStorage key of the anonymous session token
+export const ANONYMOUS_TOKEN_KEY = 'anonymousSessionToken';
+
+// localStorage key of the expired anonymous session tokens whose reports are not claimed yet
+export const EARLIER_ANONYMOUS_TOKENS_KEY = 'earlierAnonymousSessionTokens';
+
+// Check the exp claim of a JWT without verifying it
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return !payload.exp || payload.exp * 1000 <= Date.now();
+  } catch (error) {
+    return true;
+  }
+};
 
 export const authService = {
-  // Login user
+  // Login user; reports made in this browser without an account move to the account
   async login(credentials) {
-    const response = await api.post('/auth/login', credentials);
+    const response = await api.post('/auth/login', this.withAnonymousSession(credentials));
+    this.forgetClaimedAnonymousSession(response);
     return response;
   },
 
-  // Register user
+  // Register user; reports made in this browser without an account move to the account
   async register(userData) {
-    const response = await api.post('/auth/register', userData);
+    const response = await api.post('/auth/register', this.withAnonymousSession(userData));
+    this.forgetClaimedAnonymousSession(response);
     return response;
   },
 
+  // Whether this browser has an anonymous session whose reports a login would claim
+  hasAnonymousSession() {
+    return this.getAnonymousSessionTokens().length > 0;
+  },
+
+  // Tokens of every anonymous session started in this browser and not claimed yet, current one first
+  getAnonymousSessionTokens() {
+    const earlierTokens = JSON.parse(localStorage.getItem(EARLIER_ANONYMOUS_TOKENS_KEY) || '[]');
+    const currentToken = localStorage.getItem(ANONYMOUS_TOKEN_KEY);
+    return currentToken ? [currentToken, ...earlierTokens] : earlierTokens;
+  },
+
+  // Issues reported in this browser without an account, which a login or registration would claim
+  async getAnonymousReports() {
+    const anonymousSessionTokens = this.getAnonymousSessionTokens();
+    if (anonymousSessionTokens.length === 0) {
+      return [];
+    }
+
+    const response = await api.post('/auth/anonymous/reports', { anonymousSessionTokens });
+    return response.issues;
+  },
+
+  // Send the anonymous session tokens along; expired tokens still identify their reports
+  withAnonymousSession(data) {
+    const anonymousSessionTokens = this.getAnonymousSessionTokens();
+    return anonymousSessionTokens.length > 0 ? { ...data, anonymousSessionTokens } : data;
+  },
+
+  // The server retires claimed anonymous sessions, so stop using their tokens
+  forgetClaimedAnonymousSession(response) {
+    if (response.claimedReports) {
+      localStorage.removeItem(ANONYMOUS_TOKEN_KEY);
+      localStorage.removeItem(EARLIER_ANONYMOUS_TOKENS_KEY);
+    }
+  },
+
+  // Revoke the current session on the server; a failure must not send the user to the login page
+  async logout() {
+    const response = await api.post('/auth/logout', null, { skipAuthRedirect: true });
+    return response;
+  },
+
+  // Keep the tokens of a login or registration response
+  storeTokens({ token, refreshToken }) {
+    localStorage.setItem('token', token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+
+  // Forget the tokens of the logged in user
+  clearTokens() {
+    localStorage.removeItem('token');
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+
   // Verify token
   async verifyToken(token) {
     const response = await api.get('/auth/verify', {
@@ -33,9 +106,68 @@ export const authService = {
     return response;
   },
 
+  // Verify an email address with the token from the emailed link
+  async verifyEmail(token) {
+    const response = await api.post('/auth/verify-email', { token });
+    return response;
+  },
+
+  // Send a new verification email to the current user
+  async resendVerification() {
+    const response = await api.post('/auth/resend-verification');
+    return response;
+  },
+
+  // Email a password reset link; the response is the same for unknown addresses
+  async forgotPassword(email) {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response;
+  },
+
+  // Set a new password with the token from the reset email
+  async resetPassword(token, password) {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response;
+  },
+
+  // List the active sessions (devices) of the current user
+  async getSessions() {
+    const response = await api.get('/auth/sessions');
+    return response.sessions;
+  },
+
+  // Log out one session of the current user
+  async revokeSession(sessionId) {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response;
+  },
+
+  // Log out every session except the current one
+  async revokeOtherSessions() {
+    const response = await api.delete('/auth/sessions');
+    return response;
+  },
+
   // Create anonymous session
   async createAnonymousSession() {
     const response = await api.post('/auth/anonymous');
     return response;
+  },
+
+  // Get the stored anonymous session token, creating a new session if it is missing or expired.
+  // An expired token is kept with the earlier ones, so a later login still claims its reports.
+  async getAnonymousSessionToken() {
+    const storedToken = localStorage.getItem(ANONYMOUS_TOKEN_KEY);
+    if (storedToken && !isTokenExpired(storedToken)) {
+      return storedToken;
+    }
+
+    const response = await this.createAnonymousSession();
+    if (storedToken) {
+      const earlierTokens = this.getAnonymousSessionTokens();
+      localStorage.setItem(EARLIER_ANONYMOUS_TOKENS_KEY, JSON.stringify(earlierTokens));
+    }
+    localStorage.setItem(ANONYMOUS_TOKEN_KEY, response.sessionToken);
+    return response.sessionToken;
   }
 };
\ No newline at end of file
@@ -2,4 +2,7 @@
 export { default as api } from './api';
 export { authService } from './authService';
 export { issueService } from './issueService';
-export { geolocationService } from './geolocationService';
\ No newline at end of file
+export { geolocationService } from './geolocationService';
+export { socketService } from './socketService';
+export { pushService } from './pushService';
+export { notificationService } from './notificationService';
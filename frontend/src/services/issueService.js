@@ -1,14 +1,31 @@
 import api from './api';
+import { authService } from './authService';
 
 export const issueService = {
   // Create new issue
   async createIssue(issueData) {
+    // Anonymous reports are tied to a session so the reporter can receive updates
+    if (!localStorage.getItem('token')) {
+      try {
+        await authService.getAnonymousSessionToken();
+      } catch (error) {
+        console.warn('Could not create anonymous session:', error.message);
+      }
+    }
+
     const formData = new FormData();
     
     // Add text fields
     formData.append('title', issueData.title);
     formData.append('description', issueData.description);
     formData.append('category', issueData.category);
+    if (issueData.subcategory) {
+      formData.append('subcategory', issueData.subcategory);
+    }
+    // Answers to the category's custom fields travel as one JSON field
+    if (issueData.customFields && Object.keys(issueData.customFields).length > 0) {
+      formData.append('custom_fields', JSON.stringify(issueData.customFields));
+    }
     formData.append('isAnonymous', issueData.isAnonymous);
     
     // Add location data as separate fields (backend expects latitude/longitude)
@@ -26,6 +43,7 @@ export const issueService = {
     }
     
     const response = await api.post('/issues', formData, {
+      anonymousSession: true,
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -40,15 +58,158 @@ export const issueService = {
     return response;
   },
 
-  // Get issue by ID
-  async getIssueById(id) {
-    const response = await api.get(`/issues/${id}`);
+  // Find open issues that likely describe the same problem as a report
+  async checkDuplicates(params) {
+    const response = await api.get('/issues/duplicates-check', { params });
+    return response;
+  },
+
+  // Get issue clusters for a map viewport
+  async getIssueClusters(params = {}) {
+    const response = await api.get('/issues/clusters', { params });
+    return response;
+  },
+
+  // Get issue by ID (pass userLat/userLng to get the distance)
+  async getIssueById(id, params = {}) {
+    const response = await api.get(`/issues/${id}`, { params, anonymousSession: true });
+    return response;
+  },
+
+  // Get the issue categories with their subcategories, map colors and custom fields
+  async getCategories() {
+    const response = await api.get('/issues/categories');
+    return response;
+  },
+
+  // Get the issue workflow: statuses, transitions and what each transition requires
+  async getWorkflow() {
+    const response = await api.get('/issues/workflow');
+    return response;
+  },
+
+  // Move an issue along a workflow transition (authorities and admins), optionally with "after" photos
+  async updateIssueStatus(id, { status, comment, reason, photos = [] }, params = {}) {
+    const formData = new FormData();
+
+    formData.append('status', status);
+    if (comment) formData.append('comment', comment);
+    if (reason) formData.append('reason', reason);
+    photos.forEach((photo) => {
+      formData.append('photos', photo);
+    });
+
+    const response = await api.patch(`/issues/${id}/status`, formData, {
+      params,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response;
+  },
+
+  // Confirm that a resolved issue is fixed (original reporter, within the review window)
+  async confirmResolution(id) {
+    const response = await api.post(`/issues/${id}/confirm`, null, { anonymousSession: true });
+    return response;
+  },
+
+  // Reopen a resolved issue that is not fixed (original reporter, within the review window)
+  async reopenIssue(id, { comment, photos = [] }) {
+    const formData = new FormData();
+
+    formData.append('comment', comment);
+    photos.forEach((photo) => {
+      formData.append('photos', photo);
+    });
+
+    const response = await api.post(`/issues/${id}/reopen`, formData, {
+      anonymousSession: true,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response;
+  },
+
+  // Get the status change history of an issue
+  async getIssueHistory(id, params = {}) {
+    const response = await api.get(`/issues/${id}/history`, { params });
     return response;
   },
 
   // Flag an issue
-  async flagIssue(id, reason) {
-    const response = await api.post(`/issues/${id}/flag`, { reason });
+  async flagIssue(id, reason, flagType = 'spam', params = {}) {
+    // Anonymous flags are tracked per session to prevent duplicates
+    if (!localStorage.getItem('token')) {
+      try {
+        await authService.getAnonymousSessionToken();
+      } catch (error) {
+        console.warn('Could not create anonymous session:', error.message);
+      }
+    }
+
+    const response = await api.post(`/issues/${id}/flag`, { reason, flag_type: flagType }, { params, anonymousSession: true });
+    return response;
+  },
+
+  // Add a "me too" vote to an issue
+  async supportIssue(id, params = {}) {
+    // Anonymous votes are tracked per session, one per issue
+    if (!localStorage.getItem('token')) {
+      try {
+        await authService.getAnonymousSessionToken();
+      } catch (error) {
+        console.warn('Could not create anonymous session:', error.message);
+      }
+    }
+
+    const response = await api.post(`/issues/${id}/support`, null, { params, anonymousSession: true });
+    return response;
+  },
+
+  // Withdraw a "me too" vote
+  async removeSupport(id, params = {}) {
+    const response = await api.delete(`/issues/${id}/support`, { params, anonymousSession: true });
+    return response;
+  },
+
+  // Get the comment thread of an issue (oldest first)
+  async getComments(id, params = {}) {
+    const response = await api.get(`/issues/${id}/comments`, { params });
+    return response;
+  },
+
+  // Add a comment to an issue
+  async addComment(id, body, params = {}) {
+    // Anonymous comments are tracked per session
+    if (!localStorage.getItem('token')) {
+      try {
+        await authService.getAnonymousSessionToken();
+      } catch (error) {
+        console.warn('Could not create anonymous session:', error.message);
+      }
+    }
+
+    const response = await api.post(`/issues/${id}/comments`, { body }, { params, anonymousSession: true });
+    return response;
+  },
+
+  // Flag a comment
+  async flagComment(id, commentId, reason, flagType = 'spam', params = {}) {
+    if (!localStorage.getItem('token')) {
+      try {
+        await authService.getAnonymousSessionToken();
+      } catch (error) {
+        console.warn('Could not create anonymous session:', error.message);
+      }
+    }
+
+    const response = await api.post(
+      `/issues/${id}/comments/${commentId}/flag`,
+      { reason, flag_type: flagType },
+      { params, anonymousSession: true }
+    );
     return response;
   }
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+import api from './api';
+
+export const notificationService = {
+  // Get the notification inbox (newest first) with the unread count
+  async getNotifications(params = {}) {
+    const response = await api.get('/notifications', { params, anonymousSession: true });
+    return response;
+  },
+
+  // Mark a single notification as read
+  async markAsRead(id) {
+    const response = await api.patch(`/notifications/${id}/read`, null, { anonymousSession: true });
+    return response;
+  },
+
+  // Mark all notifications as read
+  async markAllAsRead() {
+    const response = await api.post('/notifications/read-all', null, { anonymousSession: true });
+    return response;
+  }
+};
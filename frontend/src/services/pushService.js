@@ -0,0 +1,94 @@
+import api from './api';
+
+// localStorage key remembering that the user was already asked to enable notifications
+const PROMPT_SHOWN_KEY = 'pushPromptShown';
+
+// Convert the base64url VAPID key into the format PushManager expects
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = atob(base64);
+
+  return Uint8Array.from([...rawData].map((char) => char.charCodeAt(0)));
+};
+
+export const pushService = {
+  // Check browser support for service workers and Web Push
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  },
+
+  // Current notification permission: granted, denied, default or unsupported
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  },
+
+  // Whether to offer notifications after a report (only once, and only if undecided)
+  shouldPrompt() {
+    return this.getPermission() === 'default' && !localStorage.getItem(PROMPT_SHOWN_KEY);
+  },
+
+  // Remember that the prompt was shown
+  markPromptShown() {
+    localStorage.setItem(PROMPT_SHOWN_KEY, 'true');
+  },
+
+  // Register the service worker that displays notifications
+  async registerServiceWorker() {
+    await navigator.serviceWorker.register('/sw.js');
+    return navigator.serviceWorker.ready;
+  },
+
+  // Ask for permission and send the browser subscription to the backend
+  async subscribe() {
+    if (!this.isSupported()) {
+      throw new Error('Push notifications are not supported in this browser');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return null;
+    }
+
+    const registration = await this.registerServiceWorker();
+    const { publicKey } = await api.get('/notifications/vapid-public-key');
+
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+    }
+
+    await api.post('/notifications/subscriptions', subscription.toJSON(), { anonymousSession: true });
+    return subscription;
+  },
+
+  // Re-send the existing subscription for the current user or session (no prompt)
+  async refreshSubscription() {
+    if (this.getPermission() !== 'granted') {
+      return null;
+    }
+
+    return this.subscribe();
+  },
+
+  // Remove the browser subscription
+  async unsubscribe() {
+    if (!this.isSupported()) {
+      return;
+    }
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = registration && await registration.pushManager.getSubscription();
+
+    if (subscription) {
+      await api.delete('/notifications/subscriptions', {
+        data: { endpoint: subscription.endpoint },
+        anonymousSession: true
+      });
+      await subscription.unsubscribe();
+    }
+  }
+};
@@ -0,0 +1,85 @@
+import { io } from 'socket.io-client';
+
+// Socket.io server URL; defaults to the current origin (proxied by Vite in development)
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || undefined;
+
+let socket = null;
+// Login session (or anonymous session token) the open socket was connected for
+let socketIdentity = null;
+
+const getToken = () => localStorage.getItem('token') || localStorage.getItem('anonymousSessionToken');
+
+// Refreshed access tokens keep the session ID of their login, so a refresh needs no reconnect
+const getIdentity = () => {
+  const token = getToken();
+  if (!token) return null;
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.sid || token;
+  } catch (error) {
+    return token;
+  }
+};
+
+export const socketService = {
+  // Connect (or reconnect after logging in or out) to the real-time server
+  connect() {
+    const identity = getIdentity();
+
+    if (socket && socketIdentity === identity) {
+      return socket;
+    }
+
+    if (socket) {
+      socket.disconnect();
+    }
+
+    socketIdentity = identity;
+    socket = io(SOCKET_URL, {
+      // Read the token on every (re)connect; access tokens are refreshed while the socket is open
+      auth: (cb) => {
+        const token = getToken();
+        cb(token ? { token } : {});
+      },
+      transports: ['websocket', 'polling']
+    });
+
+    return socket;
+  },
+
+  // Close the connection
+  disconnect() {
+    if (socket) {
+      socket.disconnect();
+      socket = null;
+      socketIdentity = null;
+    }
+  },
+
+  // Receive new and changed issues around a map location
+  joinArea(lat, lng) {
+    const activeSocket = this.connect();
+
+    return new Promise((resolve) => {
+      activeSocket.emit('map:join', { latitude: lat, longitude: lng }, resolve);
+    });
+  },
+
+  // Stop receiving map updates
+  leaveArea() {
+    if (socket) {
+      socket.emit('map:leave');
+    }
+  },
+
+  // Subscribe to a server event; returns an unsubscribe function
+  on(event, handler) {
+    const activeSocket = this.connect();
+    activeSocket.on(event, handler);
+
+    return () => {
+      activeSocket.off(event, handler);
+    };
+  }
+};